@@ -0,0 +1,135 @@
+import { useState } from 'react'
+import { Badge, Button } from '../ui'
+import { resolveAIAction } from '../../lib/aiProxy'
+
+const TOOL_LABELS = {
+    create_task: '📝 태스크 생성',
+    create_meeting: '📅 회의 생성'
+}
+
+const STATUS_BADGES = {
+    pending: { label: '확인 대기', variant: 'outline' },
+    processing: { label: '처리 중', variant: 'outline' },
+    confirmed: { label: '완료', variant: 'default' },
+    cancelled: { label: '취소됨', variant: 'secondary' },
+    failed: { label: '실패', variant: 'destructive' }
+}
+
+const formatDateTime = (value) =>
+    new Date(value).toLocaleString('ko-KR', {
+        month: 'short',
+        day: 'numeric',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    })
+
+// 작업 종류별 확인 항목
+const getActionFields = ({ tool, args }) => {
+    if (tool === 'create_task') {
+        return [
+            ['제목', args.title],
+            ['설명', args.description],
+            ['담당자', args.assignee_name || '미지정'],
+            ['마감일', args.due_date]
+        ]
+    }
+
+    return [
+        ['제목', args.title],
+        ['일시', `${formatDateTime(args.start_time)} ~ ${formatDateTime(args.end_time)}`],
+        ['장소', args.location],
+        ['참석자', args.participants?.map((p) => p.name).join(', ') || '없음'],
+        ['설명', args.description]
+    ]
+}
+
+/**
+ * AI가 제안한 쓰기 작업 확인 카드
+ * - 작업을 요청한 사용자에게만 확인/취소 버튼 표시
+ * - 처리 결과는 서버에서 메시지 metadata에도 기록되어 다른 참여자에게 실시간 반영
+ *
+ * @param {Object} action - { id, tool, args, requestedBy, status, error? }
+ * @param {Object} message - 작업이 담긴 AI 메시지
+ * @param {string} currentUserId - 현재 사용자 ID
+ */
+const AIActionCard = ({ action, message, currentUserId }) => {
+    // 실시간 UPDATE 전에도 결과를 바로 보여주기 위한 로컬 상태
+    const [resolved, setResolved] = useState(null)
+    const [processing, setProcessing] = useState(false)
+    const [error, setError] = useState(null)
+
+    const current = resolved || action
+    const badge = STATUS_BADGES[current.status] || STATUS_BADGES.pending
+    const canResolve = current.status === 'pending' &&
+        current.requestedBy === currentUserId &&
+        !message._isOptimistic
+
+    const handleResolve = async (decision) => {
+        setProcessing(true)
+        setError(null)
+
+        try {
+            const { action: updated } = await resolveAIAction(
+                message.workspace_id,
+                message.id,
+                action.id,
+                decision
+            )
+            setResolved(updated)
+        } catch (err) {
+            console.error('❌ AI 작업 처리 실패:', err)
+            setError(err.message)
+        } finally {
+            setProcessing(false)
+        }
+    }
+
+    return (
+        <div className="mt-1 w-full max-w-sm rounded-lg border border-purple-200 bg-white p-3 text-sm">
+            <div className="flex items-center justify-between mb-2">
+                <span className="font-medium text-gray-900">
+                    {TOOL_LABELS[current.tool] || current.tool}
+                </span>
+                <Badge variant={badge.variant}>{badge.label}</Badge>
+            </div>
+
+            <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs">
+                {getActionFields(current)
+                    .filter(([, value]) => value)
+                    .map(([label, value]) => (
+                        <div key={label} className="contents">
+                            <dt className="text-gray-500">{label}</dt>
+                            <dd className="text-gray-900 break-words">{value}</dd>
+                        </div>
+                    ))}
+            </dl>
+
+            {(current.error || error) && (
+                <p className="mt-2 text-xs text-red-600">{current.error || error}</p>
+            )}
+
+            {canResolve && (
+                <div className="flex justify-end gap-2 mt-3">
+                    <Button
+                        size="sm"
+                        variant="ghost"
+                        disabled={processing}
+                        onClick={() => handleResolve('cancel')}
+                    >
+                        취소
+                    </Button>
+                    <Button
+                        size="sm"
+                        disabled={processing}
+                        onClick={() => handleResolve('confirm')}
+                    >
+                        {processing ? '처리 중...' : '확인'}
+                    </Button>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default AIActionCard
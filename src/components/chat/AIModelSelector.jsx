@@ -15,44 +15,21 @@ import {
   PopoverContent,
   PopoverTrigger,
 } from "../ui/popover"
+import { getAIProviders, getAIModel } from "../../lib/aiProviders"
 
-const aiModels = [
-  {
-    value: "gpt-5",
-    label: "GPT-5",
-    description: "최신 GPT-5 모델",
-    provider: "openai"
-  },
-  {
-    value: "gpt-4.1",
-    label: "GPT-4.1",
-    description: "최신 GPT-4.1 모델",
-    provider: "openai"
-  },
-  {
-    value: "claude-opus-4-1-20250805",
-    label: "Claude Opus 4.1",
-    description: "가장 강력한 Claude 모델",
-    provider: "anthropic"
-  },
-  {
-    value: "claude-sonnet-4-5-20250929",
-    label: "Claude Sonnet 4.5",
-    description: "최신 Claude Sonnet 모델",
-    provider: "anthropic"
-  },
-  {
-    value: "claude-3-7-sonnet-latest",
-    label: "Claude 3.7 Sonnet",
-    description: "Claude 3.7 Sonnet 최신 버전",
-    provider: "anthropic"
-  }
+// 기능 표시 배지
+const capabilityLabels = [
+  { key: "streaming", label: "스트리밍" },
+  { key: "vision", label: "이미지·PDF" },
+  { key: "tools", label: "웹 검색" },
+  { key: "fileSearch", label: "파일 검색" }
 ]
 
 const AIModelSelector = ({ value, onChange, disabled }) => {
   const [open, setOpen] = useState(false)
 
-  const selectedModel = aiModels.find((model) => model.value === value)
+  const providers = getAIProviders()
+  const selectedModel = getAIModel(value)
 
   return (
     <Popover open={open} onOpenChange={setOpen}>
@@ -69,34 +46,42 @@ const AIModelSelector = ({ value, onChange, disabled }) => {
           <ChevronsUpDown className="ml-2 h-4 w-4 shrink-0 opacity-50" />
         </Button>
       </PopoverTrigger>
-      <PopoverContent className="w-[200px] p-0">
+      <PopoverContent className="w-[240px] p-0">
         <Command>
           <CommandInput placeholder="모델 검색..." />
           <CommandList>
             <CommandEmpty>모델을 찾을 수 없습니다.</CommandEmpty>
-            <CommandGroup>
-              {aiModels.map((model) => (
-                <CommandItem
-                  key={model.value}
-                  value={model.value}
-                  onSelect={(currentValue) => {
-                    onChange(currentValue === value ? "" : currentValue)
-                    setOpen(false)
-                  }}
-                >
-                  <Check
-                    className={cn(
-                      "mr-2 h-4 w-4",
-                      value === model.value ? "opacity-100" : "opacity-0"
-                    )}
-                  />
-                  <div className="flex flex-col">
-                    <span className="font-medium">{model.label}</span>
-                    <span className="text-xs text-gray-500">{model.description}</span>
-                  </div>
-                </CommandItem>
-              ))}
-            </CommandGroup>
+            {providers.map((provider) => (
+              <CommandGroup key={provider.id} heading={provider.label}>
+                {provider.models.map((model) => (
+                  <CommandItem
+                    key={model.value}
+                    value={model.value}
+                    onSelect={(currentValue) => {
+                      onChange(currentValue === value ? "" : currentValue)
+                      setOpen(false)
+                    }}
+                  >
+                    <Check
+                      className={cn(
+                        "mr-2 h-4 w-4",
+                        value === model.value ? "opacity-100" : "opacity-0"
+                      )}
+                    />
+                    <div className="flex flex-col">
+                      <span className="font-medium">{model.label}</span>
+                      <span className="text-xs text-gray-500">{model.description}</span>
+                      <span className="text-[10px] text-gray-400">
+                        {capabilityLabels
+                          .filter(({ key }) => provider.capabilities[key])
+                          .map(({ label }) => label)
+                          .join(" · ")}
+                      </span>
+                    </div>
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+            ))}
           </CommandList>
         </Command>
       </PopoverContent>
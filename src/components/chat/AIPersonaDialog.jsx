@@ -0,0 +1,217 @@
+/**
+ * AIPersonaDialog.jsx
+ *
+ * 채팅방 AI 페르소나 설정 다이얼로그
+ * - 이 채팅방 / 워크스페이스 기본값 탭
+ * - system 프롬프트, 기본 모델, temperature, 허용 도구
+ * - 채팅방에서 비워둔 항목은 워크스페이스 기본값을 따름
+ */
+
+import { useState, useEffect } from 'react'
+import {
+  Dialog,
+  Button,
+  Input,
+  Label,
+  Switch,
+  Tabs,
+  TabsList,
+  TabsTrigger,
+  Textarea
+} from '../ui'
+import AIModelSelector from './AIModelSelector'
+
+// 페르소나에서 켜고 끌 수 있는 도구 (서버 도구 이름과 동일)
+const PERSONA_TOOLS = [
+  { name: 'web_search', label: '🔎 웹 검색' },
+  { name: 'file_search', label: '📂 워크스페이스 파일 검색' },
+  { name: 'list_my_tasks', label: '📋 내 태스크 조회' },
+  { name: 'search_messages', label: '💬 메시지 검색' },
+  { name: 'create_task', label: '📝 태스크 생성 (확인 후 실행)' },
+  { name: 'create_meeting', label: '📅 회의 생성 (확인 후 실행)' }
+]
+
+const toForm = (persona) => ({
+  systemPrompt: persona?.system_prompt || '',
+  defaultModel: persona?.default_model || '',
+  temperature: persona?.temperature ?? '',
+  restrictTools: Array.isArray(persona?.allowed_tools),
+  allowedTools: persona?.allowed_tools || PERSONA_TOOLS.map((tool) => tool.name)
+})
+
+const fromForm = (form) => ({
+  system_prompt: form.systemPrompt.trim() || null,
+  default_model: form.defaultModel || null,
+  temperature: form.temperature === '' ? null : Number(form.temperature),
+  allowed_tools: form.restrictTools ? form.allowedTools : null
+})
+
+const AIPersonaDialog = ({
+  open,
+  onOpenChange,
+  chatRoomName,
+  persona // useAIPersona 반환값
+}) => {
+  const [scope, setScope] = useState('room')
+  const [form, setForm] = useState(toForm(null))
+
+  const current = scope === 'room' ? persona.roomPersona : persona.workspacePersona
+  const inheritLabel = scope === 'room' ? '워크스페이스 기본값' : '기본 동작'
+
+  // 다이얼로그를 열거나 탭을 바꿀 때 저장된 값으로 초기화
+  useEffect(() => {
+    if (open) {
+      setForm(toForm(current))
+    }
+  }, [open, scope, current])
+
+  const temperatureInvalid = form.temperature !== '' &&
+    (Number.isNaN(Number(form.temperature)) || Number(form.temperature) < 0 || Number(form.temperature) > 2)
+
+  const toggleTool = (name, checked) => {
+    setForm({
+      ...form,
+      allowedTools: checked
+        ? [...form.allowedTools, name]
+        : form.allowedTools.filter((tool) => tool !== name)
+    })
+  }
+
+  const handleSave = async () => {
+    try {
+      await persona.savePersona(scope, fromForm(form))
+      onOpenChange(false)
+    } catch (err) {
+      alert(`AI 설정 저장 중 오류가 발생했습니다: ${err.message}`)
+    }
+  }
+
+  const handleReset = async () => {
+    if (!confirm(`${scope === 'room' ? '이 채팅방의' : '워크스페이스 기본'} AI 설정을 초기화할까요?`)) return
+
+    try {
+      await persona.resetPersona(scope)
+    } catch (err) {
+      alert(`AI 설정 초기화 중 오류가 발생했습니다: ${err.message}`)
+    }
+  }
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={onOpenChange}
+      title="🤖 AI 설정"
+      description="채팅방에서 AI가 사용할 페르소나를 설정합니다. 비워둔 항목은 기본값을 따릅니다."
+      confirmText={persona.saving ? '저장 중...' : '저장'}
+      cancelText="취소"
+      onConfirm={handleSave}
+      onCancel={() => onOpenChange(false)}
+      confirmDisabled={persona.saving || temperatureInvalid}
+    >
+      <div className="space-y-5">
+        <Tabs value={scope} onValueChange={setScope}>
+          <TabsList className="w-full">
+            <TabsTrigger value="room" className="flex-1">
+              {chatRoomName || '이 채팅방'}
+            </TabsTrigger>
+            <TabsTrigger value="workspace" className="flex-1">
+              워크스페이스 기본값
+            </TabsTrigger>
+          </TabsList>
+        </Tabs>
+
+        <div className="space-y-2">
+          <Label htmlFor="persona-system-prompt">System 프롬프트</Label>
+          <Textarea
+            id="persona-system-prompt"
+            value={form.systemPrompt}
+            onChange={(e) => setForm({ ...form, systemPrompt: e.target.value })}
+            placeholder={`예: 당신은 마케팅 팀의 어시스턴트입니다. 항상 존댓말로 간결하게 답하세요. (비우면 ${inheritLabel})`}
+            className="min-h-[120px]"
+          />
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label>기본 모델</Label>
+            <div className="flex items-center gap-2">
+              <AIModelSelector
+                value={form.defaultModel}
+                onChange={(model) => setForm({ ...form, defaultModel: model })}
+              />
+              {form.defaultModel && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setForm({ ...form, defaultModel: '' })}
+                >
+                  해제
+                </Button>
+              )}
+            </div>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="persona-temperature">Temperature (0 ~ 2)</Label>
+            <Input
+              id="persona-temperature"
+              type="number"
+              min="0"
+              max="2"
+              step="0.1"
+              value={form.temperature}
+              onChange={(e) => setForm({ ...form, temperature: e.target.value })}
+              placeholder={inheritLabel}
+            />
+            {temperatureInvalid && (
+              <p className="text-xs text-red-600">0 이상 2 이하로 입력해주세요.</p>
+            )}
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <Label htmlFor="persona-restrict-tools">허용 도구 지정</Label>
+            <Switch
+              id="persona-restrict-tools"
+              checked={form.restrictTools}
+              onCheckedChange={(checked) => setForm({ ...form, restrictTools: checked })}
+            />
+          </div>
+          {form.restrictTools ? (
+            <div className="grid grid-cols-2 gap-2">
+              {PERSONA_TOOLS.map((tool) => (
+                <label key={tool.name} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={form.allowedTools.includes(tool.name)}
+                    onChange={(e) => toggleTool(tool.name, e.target.checked)}
+                  />
+                  {tool.label}
+                </label>
+              ))}
+            </div>
+          ) : (
+            <p className="text-xs text-gray-500">
+              {scope === 'room' ? '워크스페이스 기본값의 허용 도구를 따릅니다.' : '모든 도구를 사용할 수 있습니다.'}
+            </p>
+          )}
+          <p className="text-xs text-gray-500">
+            웹/파일 검색과 워크스페이스 도구는 지원하는 모델(OpenAI, Anthropic)에서만 동작합니다.
+          </p>
+        </div>
+
+        {persona.error && <p className="text-sm text-red-600">{persona.error}</p>}
+
+        {current && (
+          <div className="flex justify-end">
+            <Button variant="ghost" size="sm" onClick={handleReset} disabled={persona.saving}>
+              {scope === 'room' ? '채팅방 설정 초기화' : '기본값 초기화'}
+            </Button>
+          </div>
+        )}
+      </div>
+    </Dialog>
+  )
+}
+
+export default AIPersonaDialog
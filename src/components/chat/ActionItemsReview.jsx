@@ -0,0 +1,174 @@
+/**
+ * ActionItemsReview.jsx
+ *
+ * 회의록 액션 아이템 → 태스크 검토 화면
+ * - 담당자 이름을 워크스페이스 멤버로 자동 매칭 (매칭 실패 시 직접 선택)
+ * - 제목, 담당자, 기한 수정 후 선택한 항목만 태스크로 생성
+ */
+
+import { useState, useEffect } from 'react'
+import {
+  Button,
+  Input,
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '../ui'
+import { Loader2 } from 'lucide-react'
+import { supabase } from '../../lib/supabase'
+import { buildTaskDrafts } from '../../utils/actionItems'
+
+const UNASSIGNED = 'unassigned'
+
+const ActionItemsReview = ({
+  workspaceId,
+  actionItems,
+  creating,
+  onConfirm,
+  onCancel
+}) => {
+  const [members, setMembers] = useState([])
+  const [drafts, setDrafts] = useState([])
+  const [loadingMembers, setLoadingMembers] = useState(true)
+
+  // 워크스페이스 멤버 조회 후 담당자 매칭
+  useEffect(() => {
+    const fetchMembers = async () => {
+      try {
+        setLoadingMembers(true)
+
+        const { data, error } = await supabase
+          .from('workspace_members')
+          .select(`
+            user_id,
+            users:user_id (
+              user_id,
+              user_name,
+              email
+            )
+          `)
+          .eq('workspace_id', workspaceId)
+
+        if (error) throw error
+
+        const memberList = (data || [])
+          .map((member) => member.users)
+          .filter((user) => user?.user_id)
+
+        setMembers(memberList)
+        setDrafts(buildTaskDrafts(actionItems, memberList))
+      } catch (err) {
+        console.error('멤버 조회 오류:', err)
+        setDrafts(buildTaskDrafts(actionItems, []))
+      } finally {
+        setLoadingMembers(false)
+      }
+    }
+
+    fetchMembers()
+  }, [workspaceId, actionItems])
+
+  const updateDraft = (index, changes) => {
+    setDrafts((prev) => prev.map((draft) => (draft.index === index ? { ...draft, ...changes } : draft)))
+  }
+
+  const selectedDrafts = drafts.filter((draft) => draft.selected && !draft.taskId)
+  const hasEmptyTitle = selectedDrafts.some((draft) => !draft.title.trim())
+
+  if (loadingMembers) {
+    return (
+      <div className="flex items-center justify-center gap-2 p-6 text-sm text-gray-500">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        담당자를 확인하는 중...
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">
+        회의록의 액션 아이템을 태스크로 만듭니다. 내용을 확인하고 필요하면 수정하세요.
+      </p>
+
+      <div className="space-y-2 max-h-[50vh] overflow-y-auto">
+        {drafts.map((draft) => (
+          <div
+            key={draft.index}
+            className={`p-3 rounded-lg border ${draft.taskId ? 'bg-gray-50 opacity-60' : 'bg-white dark:bg-gray-900'}`}
+          >
+            <div className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={draft.selected && !draft.taskId}
+                disabled={!!draft.taskId || creating}
+                onChange={(e) => updateDraft(draft.index, { selected: e.target.checked })}
+              />
+              <Input
+                value={draft.title}
+                onChange={(e) => updateDraft(draft.index, { title: e.target.value })}
+                disabled={!!draft.taskId || creating}
+                className="flex-1"
+              />
+              {draft.taskId && <span className="text-xs text-green-600 shrink-0">✓ 생성됨</span>}
+            </div>
+
+            {!draft.taskId && (
+              <div className="flex items-center gap-2 mt-2 pl-6">
+                <Select
+                  value={draft.assigneeId || UNASSIGNED}
+                  onValueChange={(value) =>
+                    updateDraft(draft.index, { assigneeId: value === UNASSIGNED ? '' : value })
+                  }
+                  disabled={creating}
+                >
+                  <SelectTrigger className="w-48">
+                    <SelectValue placeholder="담당자" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={UNASSIGNED}>담당자 없음</SelectItem>
+                    {members.map((member) => (
+                      <SelectItem key={member.user_id} value={member.user_id}>
+                        {member.user_name || member.email}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Input
+                  type="date"
+                  value={draft.dueDate}
+                  onChange={(e) => updateDraft(draft.index, { dueDate: e.target.value })}
+                  disabled={creating}
+                  className="w-40"
+                />
+                {/* 회의록에 적힌 담당자를 멤버로 찾지 못한 경우 */}
+                {draft.owner && !draft.assigneeId && (
+                  <span className="text-xs text-orange-600">
+                    "{draft.owner}" 멤버를 찾지 못했습니다
+                  </span>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-end gap-2 pt-2">
+        <Button variant="outline" onClick={onCancel} disabled={creating}>
+          돌아가기
+        </Button>
+        <Button
+          onClick={() => onConfirm(selectedDrafts)}
+          disabled={creating || selectedDrafts.length === 0 || hasEmptyTitle}
+          className="flex items-center gap-2"
+        >
+          {creating && <Loader2 className="h-4 w-4 animate-spin" />}
+          {selectedDrafts.length}개 태스크 만들기
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default ActionItemsReview
@@ -1,8 +1,8 @@
 import { Flex, Heading, Text } from '@radix-ui/themes'
-import { LogOut, Users, FileText } from 'lucide-react'
+import { LogOut, Users, FileText, Bot, Archive, FileSearch, AtSign, Search } from 'lucide-react'
 import { Button, Tooltip } from '../ui'
 
-const ChatHeader = ({ workspaceName, realtimeStatus, onLeaveRoom, currentRoomName, memberCount, onShowMembers, onGenerateMeetingNotes }) => {
+const ChatHeader = ({ workspaceName, realtimeStatus, onLeaveRoom, currentRoomName, memberCount, onlineCount, onShowMembers, onGenerateMeetingNotes, onSearchMeetingNotes, onExportMeetingNotes, onOpenAISettings, mentionsFilterActive, onToggleMentionsFilter, messageSearchActive, onToggleMessageSearch }) => {
     const getStatusColor = () => {
         switch (realtimeStatus) {
             case 'SUBSCRIBED': return 'bg-green-500'
@@ -53,12 +53,52 @@ const ChatHeader = ({ workspaceName, realtimeStatus, onLeaveRoom, currentRoomNam
                             >
                                 <Users className="h-3 w-3" />
                                 <span className="ml-1 text-xs">{memberCount}명</span>
+                                {onlineCount > 0 && (
+                                    <span className="ml-1 flex items-center gap-1 text-xs text-green-600">
+                                        <span className="h-1.5 w-1.5 rounded-full bg-green-500"></span>
+                                        {onlineCount}명 접속 중
+                                    </span>
+                                )}
                             </Button>
                         </Tooltip>
                     )}
                 </Flex>
                 {/* 액션 버튼 그룹 */}
                 <Flex gap="3" align="center">
+                    {/* 메시지 검색 패널 열기/닫기 */}
+                    {onToggleMessageSearch && currentRoomName && (
+                        <Tooltip content="워크스페이스의 모든 채팅 메시지를 검색합니다">
+                            <Button
+                                variant={messageSearchActive ? 'default' : 'soft'}
+                                color="gray"
+                                size="2"
+                                onClick={onToggleMessageSearch}
+                                aria-pressed={!!messageSearchActive}
+                                className="flex items-center gap-2"
+                            >
+                                <Search className="h-5 w-5" />
+                                <span className="hidden md:inline">검색</span>
+                            </Button>
+                        </Tooltip>
+                    )}
+
+                    {/* 나를 멘션한 메시지만 보기 */}
+                    {onToggleMentionsFilter && currentRoomName && (
+                        <Tooltip content={mentionsFilterActive ? '모든 메시지 보기' : '나를 멘션한 메시지만 봅니다'}>
+                            <Button
+                                variant={mentionsFilterActive ? 'default' : 'soft'}
+                                color="gray"
+                                size="2"
+                                onClick={onToggleMentionsFilter}
+                                aria-pressed={!!mentionsFilterActive}
+                                className="flex items-center gap-2"
+                            >
+                                <AtSign className="h-5 w-5" />
+                                <span className="hidden md:inline">멘션</span>
+                            </Button>
+                        </Tooltip>
+                    )}
+
                     {/* 회의록 생성 버튼 */}
                     {onGenerateMeetingNotes && currentRoomName && (
                         <Tooltip content="대화 내용을 분석하여 회의록을 생성합니다">
@@ -75,6 +115,54 @@ const ChatHeader = ({ workspaceName, realtimeStatus, onLeaveRoom, currentRoomNam
                         </Tooltip>
                     )}
 
+                    {/* 회의록 검색 버튼 */}
+                    {onSearchMeetingNotes && currentRoomName && (
+                        <Tooltip content="워크스페이스의 모든 회의록을 검색합니다">
+                            <Button
+                                variant="soft"
+                                color="gray"
+                                size="2"
+                                onClick={onSearchMeetingNotes}
+                                className="flex items-center gap-2"
+                            >
+                                <FileSearch className="h-5 w-5" />
+                                <span className="hidden md:inline">회의록 검색</span>
+                            </Button>
+                        </Tooltip>
+                    )}
+
+                    {/* 회의록 일괄 내보내기 버튼 */}
+                    {onExportMeetingNotes && currentRoomName && (
+                        <Tooltip content="기간별 회의록을 PDF, Word 등으로 내보냅니다">
+                            <Button
+                                variant="soft"
+                                color="gray"
+                                size="2"
+                                onClick={onExportMeetingNotes}
+                                className="flex items-center gap-2"
+                            >
+                                <Archive className="h-5 w-5" />
+                                <span className="hidden md:inline">회의록 내보내기</span>
+                            </Button>
+                        </Tooltip>
+                    )}
+
+                    {/* 채팅방 AI 설정 (페르소나) 버튼 */}
+                    {onOpenAISettings && currentRoomName && (
+                        <Tooltip content="이 채팅방의 AI 페르소나를 설정합니다">
+                            <Button
+                                variant="soft"
+                                color="gray"
+                                size="2"
+                                onClick={onOpenAISettings}
+                                className="flex items-center gap-2"
+                            >
+                                <Bot className="h-5 w-5" />
+                                <span className="hidden md:inline">AI 설정</span>
+                            </Button>
+                        </Tooltip>
+                    )}
+
                     {/* 채팅방 나가기 버튼 */}
                     {onLeaveRoom && currentRoomName && (
                         <Tooltip content="채팅방에서 나가기">
@@ -20,10 +20,16 @@ const ChatRoomList = ({
 
     try {
       // 🚀 최적화: 5개 쿼리 → 1개 RPC 함수 호출로 변경
-      const { data, error } = await supabase.rpc('get_chat_rooms_optimized', {
-        p_workspace_id: workspaceId,
-        p_user_id: currentUserId
-      });
+      // @ 읽지 않은 멘션 수는 일반 안 읽은 메시지와 따로 조회
+      const [{ data, error }, mentionsResult] = await Promise.all([
+        supabase.rpc('get_chat_rooms_optimized', {
+          p_workspace_id: workspaceId,
+          p_user_id: currentUserId
+        }),
+        supabase.rpc('get_unread_mention_counts', {
+          p_workspace_id: workspaceId
+        }),
+      ]);
 
       if (error) {
         console.error("Error fetching chat rooms:", error);
@@ -31,6 +37,17 @@ const ChatRoomList = ({
         return;
       }
 
+      if (mentionsResult.error) {
+        console.error("Error fetching mention counts:", mentionsResult.error);
+      }
+
+      const mentionCounts = new Map(
+        (mentionsResult.data || []).map((row) => [
+          row.chat_room_id,
+          Number(row.mention_count),
+        ])
+      );
+
       // 데이터 변환 (camelCase로)
       const roomsWithInfo = (data || []).map(room => ({
         id: room.id,
@@ -41,6 +58,7 @@ const ChatRoomList = ({
         updated_at: room.updated_at,
         memberCount: Number(room.member_count),
         unreadCount: Number(room.unread_count),
+        mentionCount: mentionCounts.get(room.id) || 0,
         lastActivity: room.last_activity ? new Date(room.last_activity) : null,
       }));
 
@@ -53,45 +71,22 @@ const ChatRoomList = ({
     }
   }, [workspaceId, currentUserId]);
 
-  // 🆕 채팅방 읽음 상태 업데이트 함수
-  const updateReadStatus = useCallback(
-    async (roomId) => {
-      if (!roomId || !currentUserId) return;
-
-      try {
-        const { error } = await supabase.from("chat_read_status").upsert(
-          {
-            chat_room_id: roomId,
-            user_id: currentUserId,
-            last_read_at: new Date().toISOString(),
-          },
-          {
-            onConflict: "chat_room_id,user_id", // 중복 시 업데이트
-          }
-        );
-
-        if (error) {
-          console.error("Error updating read status:", error);
-        }
-      } catch (error) {
-        console.error("Error updating read status:", error);
-      }
-    },
-    [currentUserId]
-  );
-
-  // 🆕 채팅방 선택 핸들러 (read_status 업데이트 포함)
+  // 🆕 채팅방 선택 핸들러
+  // 읽음 위치(chat_read_status)는 메시지가 화면에 보일 때 채팅방에서 기록하므로 여기서는 배지만 초기화
   const handleRoomSelect = useCallback(
-    async (roomId, roomName, isDefault) => {
-      // read_status 업데이트
-      await updateReadStatus(roomId);
+    (roomId, roomName, isDefault) => {
+      setChatRooms((prev) =>
+        prev.map((room) =>
+          room.id === roomId ? { ...room, unreadCount: 0, mentionCount: 0 } : room
+        )
+      );
 
       // 부모 컴포넌트의 onRoomSelect 호출
       if (onRoomSelect) {
         onRoomSelect(roomId, roomName, isDefault);
       }
     },
-    [onRoomSelect, updateReadStatus]
+    [onRoomSelect]
   );
 
   useEffect(() => {
@@ -157,9 +152,20 @@ const ChatRoomList = ({
                   </Badge>
                 )}
               </div>
-              {room.unreadCount > 0 && (
-                <div className="h-2 w-2 bg-red-500 rounded-full" title="새 메시지" />
-              )}
+              <div className="flex items-center gap-1">
+                {room.mentionCount > 0 && (
+                  <Badge
+                    variant="destructive"
+                    className="h-4 text-xs px-1"
+                    title={`나를 멘션한 읽지 않은 메시지 ${room.mentionCount}개`}
+                  >
+                    @{room.mentionCount}
+                  </Badge>
+                )}
+                {room.unreadCount > 0 && (
+                  <div className="h-2 w-2 bg-red-500 rounded-full" title="새 메시지" />
+                )}
+              </div>
             </div>
 
             <div className="flex items-center justify-between w-full text-xs text-muted-foreground">
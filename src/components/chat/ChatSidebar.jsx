@@ -10,14 +10,24 @@ import {
   DialogTitle,
 } from "../ui";
 import { useUser } from "../../hooks/useUser";
-import useRealtimeChat from "../../hooks/useRealtimeChat";
+import useRealtimeChat, { useRoomPresence } from "../../hooks/useRealtimeChat";
+import useAIResponse from "../../hooks/useAIResponse";
+import useAIPersona from "../../hooks/useAIPersona";
+import useReadReceipts from "../../hooks/useReadReceipts";
+import { buildRegenerateMessages } from "../../utils/chatHistory";
+import { isMentioned } from "../../utils/mentions";
 import ChatHeader from "./ChatHeader";
 import MessageList from "./MessageList";
 import MessageInput from "./MessageInput";
+import ThreadPanel from "./ThreadPanel";
+import MessageSearchPanel from "./MessageSearchPanel";
 import LeaveChatRoomDialog from "./LeaveChatRoomDialog";
 import MemberList from "./MemberList";
 import GenerateMeetingNotesDialog from "./GenerateMeetingNotesDialog";
+import ExportMeetingNotesDialog from "./ExportMeetingNotesDialog";
+import MeetingNotesSearchDialog from "./MeetingNotesSearchDialog";
 import MeetingNotesViewer from "./MeetingNotesViewer";
+import AIPersonaDialog from "./AIPersonaDialog";
 import { supabase } from "../../lib/supabase";
 
 // 🚨 임시 기능: 자동 메시지 전송 (나중에 삭제 예정)
@@ -31,10 +41,14 @@ import {
 const ChatSidebar = ({
   workspaceId,
   workspaceName,
+  companyLogoUrl,
   chatRoomId,
   chatRoomName,
   chatRoomIsDefault,
+  isWorkspaceAdmin = false,
   onLeaveChatRoom,
+  onSelectChatRoom,
+  presence,
 }) => {
   const { user, isAuthenticated, getId } = useUser();
 
@@ -53,16 +67,34 @@ const ChatSidebar = ({
     loading,
     error,
     sendMessage,
+    editMessage,
+    deleteMessage,
+    toggleReaction,
     realtimeStatus,
     hasMoreMessages,
     loadingMore,
     loadMoreMessages,
+    loadedChatRoomId,
+    hasNewerMessages,
+    jumpToMessage,
+    jumpToLatest,
+    markRoomAsRead,
   } = useRealtimeChat(workspaceId, stableUser, chatRoomId);
   const [showLeaveDialog, setShowLeaveDialog] = useState(false);
 
-  // 🎯 스트리밍 상태 추가
-  const [streamingContent, setStreamingContent] = useState("");
-  const [isStreaming, setIsStreaming] = useState(false);
+  // ✍️ 채팅방 입력 중 표시
+  const { typingUsers, setTyping } = useRoomPresence(chatRoomId, stableUser);
+
+  // 👀 메시지별 읽음 표시 (멤버가 적은 채팅방만)
+  const readReceipts = useReadReceipts(chatRoomId);
+
+  // 🎯 AI 응답 생성 상태 (스트리밍, 중지, 재시도)
+  const aiResponse = useAIResponse(workspaceId, chatRoomId);
+
+  // 🤖 채팅방 AI 페르소나 (기본 모델은 여기서, 나머지는 서버에서 적용)
+  const aiPersona = useAIPersona(workspaceId, chatRoomId, stableUser?.user_id);
+  const [showAISettingsDialog, setShowAISettingsDialog] = useState(false);
+  const defaultModel = aiPersona.effectivePersona.default_model || "gpt-5";
 
   // 🚨 임시 기능: 자동 메시지 상태 (나중에 삭제 예정)
   const [autoMessageRunning, setAutoMessageRunning] = useState(false);
@@ -72,10 +104,88 @@ const ChatSidebar = ({
   const [chatMembers, setChatMembers] = useState([]);
   const [loadingMembers, setLoadingMembers] = useState(false);
 
+  // @멘션 후보 (나를 제외한 채팅방 멤버), 나를 멘션한 메시지만 보기
+  const [mentionMembers, setMentionMembers] = useState([]);
+  const [showMentionsOnly, setShowMentionsOnly] = useState(false);
+  const visibleMessages = useMemo(
+    () =>
+      showMentionsOnly
+        ? messages.filter((message) => isMentioned(message, user?.id))
+        : messages,
+    [messages, showMentionsOnly, user?.id]
+  );
+  // 멘션 필터 중에는 걸러진 메시지까지 읽음 처리되지 않도록 읽음 위치를 올리지 않음
+  const handleMessagesSeen = showMentionsOnly ? null : markRoomAsRead;
+
   // 📝 회의록 생성 관련 상태
   const [showMeetingNotesDialog, setShowMeetingNotesDialog] = useState(false);
   const [showMeetingNotesViewer, setShowMeetingNotesViewer] = useState(false);
   const [generatedMeetingNotes, setGeneratedMeetingNotes] = useState(null);
+  const [showExportNotesDialog, setShowExportNotesDialog] = useState(false);
+  const [showSearchNotesDialog, setShowSearchNotesDialog] = useState(false);
+
+  // 🧵 열린 스레드 (채팅방을 옮기면 닫힘)
+  const [openThread, setOpenThread] = useState(null);
+  const activeThreadId =
+    openThread?.chatRoomId === chatRoomId ? openThread.messageId : null;
+  const handleOpenThread = (messageId) =>
+    setOpenThread({ chatRoomId, messageId });
+
+  // 🔍 메시지 검색 패널 (검색어/필터는 채팅방을 옮겨도 유지)
+  const [showMessageSearch, setShowMessageSearch] = useState(false);
+  const [messageSearchQuery, setMessageSearchQuery] = useState("");
+  const [messageSearchFilters, setMessageSearchFilters] = useState(undefined);
+  // 이동할 검색 결과 (다른 채팅방이면 채팅방 로드 후 이동), 강조 중인 메시지
+  const [pendingJump, setPendingJump] = useState(null);
+  const [highlightMessageId, setHighlightMessageId] = useState(null);
+
+  // 검색 결과 선택 → 해당 채팅방으로 전환 후 메시지로 이동
+  // 스레드에서만 보이는 답글은 원본 메시지로 이동하고 스레드를 엶
+  const handleSelectSearchResult = (result) => {
+    const isThreadOnly = result.parent_message_id && !result.also_sent_to_room;
+    const targetId = isThreadOnly ? result.parent_message_id : result.id;
+
+    if (isThreadOnly) {
+      setOpenThread({ chatRoomId: result.chat_room_id, messageId: result.parent_message_id });
+    }
+
+    setShowMentionsOnly(false);
+    setPendingJump({ chatRoomId: result.chat_room_id, messageId: targetId });
+
+    if (result.chat_room_id !== chatRoomId && onSelectChatRoom) {
+      onSelectChatRoom(result.chat_room_id, result.chat_room_name, result.chat_room_is_default);
+    }
+  };
+
+  // 채팅방 초기 로드가 끝나면 대기 중인 검색 결과로 이동
+  useEffect(() => {
+    if (!pendingJump || pendingJump.chatRoomId !== chatRoomId || loadedChatRoomId !== chatRoomId) return;
+
+    const { messageId } = pendingJump;
+    setPendingJump(null);
+    setHighlightMessageId(messageId);
+
+    jumpToMessage(messageId).then((found) => {
+      if (!found) {
+        setHighlightMessageId(null);
+        alert("메시지를 찾을 수 없습니다. 삭제되었거나 볼 수 없는 채팅방일 수 있습니다.");
+      }
+    });
+  }, [pendingJump, chatRoomId, loadedChatRoomId, jumpToMessage]);
+
+  // 검색 결과 강조는 잠시 후 해제
+  useEffect(() => {
+    if (!highlightMessageId) return;
+
+    const timer = setTimeout(() => setHighlightMessageId(null), 4000);
+    return () => clearTimeout(timer);
+  }, [highlightMessageId]);
+
+  // 회의록 내보내기 머리글 (워크스페이스 이름 + 회사 로고)
+  const exportBranding = useMemo(
+    () => ({ workspaceName, logoUrl: companyLogoUrl }),
+    [workspaceName, companyLogoUrl]
+  );
 
   // 🚨 임시 기능: 자동 메시지 전송 핸들러 (나중에 삭제 예정)
   const handleToggleAutoMessage = () => {
@@ -115,6 +225,7 @@ const ChatSidebar = ({
     const fetchChatMembers = async () => {
       if (!chatRoomId) {
         setChatMembers([]);
+        setMentionMembers([]);
         return;
       }
 
@@ -135,12 +246,22 @@ const ChatSidebar = ({
         const formattedMembers = (data || []).map((member) => ({
           id: member.id,
           user_id: member.user_name || member.email || member.user_id,
+          user_uuid: member.user_id, // 접속 상태 조회용 실제 사용자 ID
           role: member.role,
           joined_at: member.joined_at,
           email: member.email,
         }));
 
         setChatMembers(formattedMembers);
+        setMentionMembers(
+          (data || [])
+            .filter((member) => member.user_id !== stableUser?.user_id)
+            .map((member) => ({
+              user_id: member.user_id,
+              name: member.user_name || member.email?.split("@")[0] || "알 수 없음",
+              email: member.email,
+            }))
+        );
       } catch (error) {
         console.error("Error in fetchChatMembers:", error);
       } finally {
@@ -149,7 +270,7 @@ const ChatSidebar = ({
     };
 
     fetchChatMembers();
-  }, [chatRoomId]);
+  }, [chatRoomId, stableUser?.user_id]);
 
   if (!isAuthenticated || !user) {
     return (
@@ -207,34 +328,52 @@ const ChatSidebar = ({
     );
   }
 
-  // 🎯 메시지 전송 핸들러 (스트리밍 상태 관리)
-  const handleSendMessage = async (
-    content,
-    messageType,
-    files,
-    isAiMode = false
-  ) => {
-    // AI 모드일 때만 스트리밍 상태 관리
-    if (isAiMode) {
-      // 사용자 메시지일 때 스트리밍 초기화
-      if (messageType === "user") {
-        setStreamingContent("");
-        setIsStreaming(true);
-      }
-      // AI 메시지 완료 시 스트리밍 종료
-      else if (messageType === "ai") {
-        setIsStreaming(false);
-        setStreamingContent("");
-      }
+  // 🎯 메시지 전송 핸들러
+  const handleSendMessage = async (content, messageType, files, isAiMode, mentions) => {
+    // 검색 결과로 이동해 과거 구간을 보는 중이면 최신 메시지로 돌아간 뒤 전송
+    if (hasNewerMessages) {
+      await jumpToLatest();
     }
+    await sendMessage(content, messageType, files, {}, mentions);
+  };
 
-    // 실제 메시지 전송
-    await sendMessage(content, messageType, files);
+  // 🎯 AI 응답 생성 후 채팅방에 게시 (사용한 모델, 출처, 확인 대기 작업은 metadata에 기록)
+  const handleAskAI = async (aiMessages, model) => {
+    const answer = await aiResponse.generate(aiMessages, model);
+
+    if (answer) {
+      await sendMessage(
+        answer.text || "아래 작업을 확인해주세요.",
+        "ai",
+        [],
+        {
+          model,
+          citations: answer.citations,
+          actions: answer.actions,
+        }
+      );
+    }
   };
 
-  // 🎯 스트리밍 업데이트 콜백
-  const handleStreamUpdate = (partialText) => {
-    setStreamingContent(partialText);
+  // 🔁 AI 답변 다시 생성 (해당 답변 이전까지의 대화 기준, 모델 변경 가능)
+  const handleRegenerate = async (aiMessage, model) => {
+    const aiMessages = buildRegenerateMessages(messages, aiMessage.id);
+
+    if (aiMessages.length === 0) {
+      console.warn("다시 생성할 대화 맥락이 없습니다:", aiMessage.id);
+      return;
+    }
+
+    await handleAskAI(aiMessages, model || aiMessage.metadata?.model || defaultModel);
+  };
+
+  // 🔁 실패한 요청 다시 시도
+  const handleRetryAI = async () => {
+    const { request } = aiResponse.error || {};
+
+    if (request) {
+      await handleAskAI(request.messages, request.model);
+    }
   };
 
   const handleLeaveSuccess = (roomId) => {
@@ -275,8 +414,20 @@ const ChatSidebar = ({
         realtimeStatus={realtimeStatus}
         onLeaveRoom={chatRoomId ? () => setShowLeaveDialog(true) : null}
         memberCount={chatMembers.length}
+        onlineCount={
+          presence
+            ? chatMembers.filter((member) => presence.getStatus(member.user_uuid) !== "offline").length
+            : 0
+        }
         onShowMembers={handleShowMembers}
         onGenerateMeetingNotes={chatRoomId ? handleOpenMeetingNotesDialog : null}
+        onSearchMeetingNotes={chatRoomId ? () => setShowSearchNotesDialog(true) : null}
+        onExportMeetingNotes={chatRoomId ? () => setShowExportNotesDialog(true) : null}
+        onOpenAISettings={chatRoomId ? () => setShowAISettingsDialog(true) : null}
+        messageSearchActive={showMessageSearch}
+        onToggleMessageSearch={chatRoomId ? () => setShowMessageSearch((prev) => !prev) : null}
+        mentionsFilterActive={showMentionsOnly}
+        onToggleMentionsFilter={chatRoomId ? () => setShowMentionsOnly((prev) => !prev) : null}
       />
 
       {/* 🚨 임시 기능: 자동 메시지 전송 버튼 (나중에 삭제 예정) */}
@@ -305,23 +456,115 @@ const ChatSidebar = ({
         </div>
       )}
 
-      <MessageList
-        messages={messages}
-        currentUserId={user.id}
-        streamingContent={streamingContent}
-        isStreaming={isStreaming}
-        hasMoreMessages={hasMoreMessages}
-        loadingMore={loadingMore}
-        loadMoreMessages={loadMoreMessages}
-      />
+      {/* 💬 메시지 목록 + 🧵 스레드 패널 */}
+      <div className="flex-1 flex min-h-0">
+        <div className="flex-1 flex flex-col min-w-0">
+          {/* @ 나를 멘션한 메시지만 보기 */}
+          {showMentionsOnly && (
+            <div className="px-4 py-2 border-b border-gray-200 dark:border-gray-700 bg-yellow-50 dark:bg-yellow-900/20 flex items-center justify-between text-xs text-yellow-800 dark:text-yellow-200">
+              <span>
+                @ 나를 멘션한 메시지 {visibleMessages.length}개 (불러온 메시지 기준)
+              </span>
+              <Button size="sm" variant="ghost" onClick={() => setShowMentionsOnly(false)}>
+                전체 보기
+              </Button>
+            </div>
+          )}
 
-      <MessageInput
-        onSend={handleSendMessage} // 👈 수정
-        onStreamUpdate={handleStreamUpdate} // 👈 추가
-        disabled={false}
-        workspaceId={workspaceId}
-        user={user}
-      />
+          <MessageList
+            messages={visibleMessages}
+            currentUserId={user.id}
+            streamingContent={aiResponse.streamingContent}
+            isStreaming={aiResponse.isGenerating}
+            streamingProgress={aiResponse.streamingProgress}
+            retryStatus={aiResponse.retryStatus}
+            onRegenerate={aiResponse.isGenerating ? null : handleRegenerate}
+            onOpenThread={chatRoomId ? handleOpenThread : null}
+            onEditMessage={editMessage}
+            onDeleteMessage={deleteMessage}
+            canModerate={isWorkspaceAdmin}
+            onToggleReaction={toggleReaction}
+            hasMoreMessages={hasMoreMessages}
+            loadingMore={loadingMore}
+            loadMoreMessages={loadMoreMessages}
+            highlightMessageId={highlightMessageId}
+            hasNewerMessages={hasNewerMessages}
+            onJumpToLatest={jumpToLatest}
+            typingUsers={typingUsers}
+            onMessagesSeen={handleMessagesSeen}
+            getReaders={readReceipts.enabled ? readReceipts.getReaders : null}
+          />
+
+          {/* ⚠️ AI 응답 실패 / 중지 안내 (다시 시도) */}
+          {aiResponse.error && (
+            <div className="px-4 pt-2">
+              <Alert
+                variant={aiResponse.error.stopped ? "default" : "destructive"}
+                className="flex items-center gap-2"
+              >
+                <AlertDescription className="flex-1">
+                  {aiResponse.error.message}
+                </AlertDescription>
+                <Button size="sm" variant="outline" onClick={handleRetryAI}>
+                  다시 시도
+                </Button>
+                <Button size="sm" variant="ghost" onClick={aiResponse.dismissError}>
+                  닫기
+                </Button>
+              </Alert>
+            </div>
+          )}
+
+          <MessageInput
+            roomMessages={messages}
+            onSend={handleSendMessage}
+            onAskAI={handleAskAI}
+            onStopAI={aiResponse.stop}
+            isGenerating={aiResponse.isGenerating}
+            disabled={false}
+            workspaceId={workspaceId}
+            user={user}
+            defaultModel={defaultModel}
+            mentionMembers={mentionMembers}
+            onTyping={setTyping}
+          />
+        </div>
+
+        {activeThreadId && (
+          <ThreadPanel
+            key={activeThreadId}
+            workspaceId={workspaceId}
+            user={stableUser}
+            chatRoomId={chatRoomId}
+            parentMessageId={activeThreadId}
+            canModerate={isWorkspaceAdmin}
+            mentionMembers={mentionMembers}
+            onClose={() => setOpenThread(null)}
+          />
+        )}
+
+        {showMessageSearch && (
+          <MessageSearchPanel
+            workspaceId={workspaceId}
+            query={messageSearchQuery}
+            onQueryChange={setMessageSearchQuery}
+            filters={messageSearchFilters}
+            onFiltersChange={setMessageSearchFilters}
+            onSelectResult={handleSelectSearchResult}
+            onClose={() => setShowMessageSearch(false)}
+          />
+        )}
+      </div>
+
+      {/* 🤖 채팅방 AI 설정 다이얼로그 */}
+      {chatRoomId && (
+        <AIPersonaDialog
+          open={showAISettingsDialog}
+          onOpenChange={setShowAISettingsDialog}
+          chatRoomName={chatRoomName}
+          persona={aiPersona}
+        />
+      )}
 
       {/* 채팅방 나가기 다이얼로그 */}
       {chatRoomId && (
@@ -349,7 +592,7 @@ const ChatSidebar = ({
               <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
             </div>
           ) : (
-            <MemberList members={chatMembers} currentUserId={user?.id} />
+            <MemberList members={chatMembers} currentUserId={user?.id} presence={presence} />
           )}
         </DialogContent>
       </Dialog>
@@ -366,6 +609,28 @@ const ChatSidebar = ({
         />
       )}
 
+      {/* 🔍 회의록 검색 다이얼로그 */}
+      {chatRoomId && (
+        <MeetingNotesSearchDialog
+          open={showSearchNotesDialog}
+          onOpenChange={setShowSearchNotesDialog}
+          workspaceId={workspaceId}
+          branding={exportBranding}
+        />
+      )}
+
+      {/* 📦 회의록 일괄 내보내기 다이얼로그 */}
+      {chatRoomId && (
+        <ExportMeetingNotesDialog
+          open={showExportNotesDialog}
+          onOpenChange={setShowExportNotesDialog}
+          workspaceId={workspaceId}
+          chatRoomId={chatRoomId}
+          chatRoomName={chatRoomName}
+          branding={exportBranding}
+        />
+      )}
+
       {/* 📝 회의록 뷰어 다이얼로그 */}
       {generatedMeetingNotes && (
         <MeetingNotesViewer
@@ -373,6 +638,8 @@ const ChatSidebar = ({
           onOpenChange={setShowMeetingNotesViewer}
           content={generatedMeetingNotes.content}
           metadata={generatedMeetingNotes.metadata}
+          messages={generatedMeetingNotes.messages}
+          branding={exportBranding}
           onSaveSuccess={handleMeetingNotesSaved}
           workspaceId={workspaceId}
           chatRoomId={chatRoomId}
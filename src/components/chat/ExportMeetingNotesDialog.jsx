@@ -0,0 +1,213 @@
+/**
+ * ExportMeetingNotesDialog.jsx
+ *
+ * 회의록 일괄 내보내기 다이얼로그
+ * - 회의 날짜 범위 선택 (워크스페이스 전체 또는 이 채팅방)
+ * - 형식 선택 (PDF / DOCX / HTML / Markdown) 후 zip으로 다운로드
+ */
+
+import { useState, useEffect } from 'react'
+import {
+  Dialog,
+  Input,
+  Label,
+  Progress,
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+  Switch
+} from '../ui'
+import { Loader2 } from 'lucide-react'
+import { useMeetingNotes } from '../../hooks/useMeetingNotes'
+import {
+  EXPORT_FORMATS,
+  downloadBlob,
+  exportMeetingNotesArchive,
+  loadExportBranding
+} from '../../utils/meetingNotesExport'
+
+// 한 번에 내보낼 수 있는 최대 회의록 수
+const MAX_EXPORT_NOTES = 200
+
+const toDateInput = (date) => {
+  const offset = date.getTimezoneOffset() * 60 * 1000
+  return new Date(date.getTime() - offset).toISOString().slice(0, 10)
+}
+
+// 날짜 입력(로컬) → 조회 범위 (종료일 포함)
+const toRange = (fromDate, toDate) => {
+  const to = new Date(`${toDate}T00:00`)
+  to.setDate(to.getDate() + 1)
+  return { from: new Date(`${fromDate}T00:00`).toISOString(), to: to.toISOString() }
+}
+
+const ExportMeetingNotesDialog = ({
+  open,
+  onOpenChange,
+  workspaceId,
+  chatRoomId,
+  chatRoomName,
+  branding
+}) => {
+  const [fromDate, setFromDate] = useState('')
+  const [toDate, setToDate] = useState('')
+  const [roomOnly, setRoomOnly] = useState(true)
+  const [format, setFormat] = useState('pdf')
+  const [notes, setNotes] = useState([])
+  const [exportProgress, setExportProgress] = useState(null) // { done, total }
+
+  const { loading, error, fetchMeetingNotesList } = useMeetingNotes(workspaceId, chatRoomId)
+
+  // 다이얼로그 열릴 때 최근 30일로 초기화
+  useEffect(() => {
+    if (open) {
+      const now = new Date()
+      const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000)
+      setFromDate(toDateInput(monthAgo))
+      setToDate(toDateInput(now))
+      setExportProgress(null)
+    }
+  }, [open])
+
+  // 조건이 바뀌면 대상 회의록 조회
+  useEffect(() => {
+    if (!open || !fromDate || !toDate || fromDate > toDate) {
+      setNotes([])
+      return
+    }
+
+    fetchMeetingNotesList({
+      ...toRange(fromDate, toDate),
+      chatRoomIdFilter: roomOnly ? chatRoomId : null,
+      limit: MAX_EXPORT_NOTES
+    })
+      .then((data) => setNotes(data || []))
+      .catch(() => setNotes([]))
+  }, [open, fromDate, toDate, roomOnly, chatRoomId, fetchMeetingNotesList])
+
+  const exporting = exportProgress !== null
+
+  const handleExport = async () => {
+    try {
+      setExportProgress({ done: 0, total: notes.length })
+
+      const archive = await exportMeetingNotesArchive(
+        // 오래된 회의부터 정렬
+        [...notes].reverse(),
+        format,
+        await loadExportBranding(branding),
+        (done, total) => setExportProgress({ done, total })
+      )
+
+      downloadBlob(archive, `회의록_${fromDate}_${toDate}.zip`)
+      onOpenChange(false)
+    } catch (err) {
+      console.error('회의록 일괄 내보내기 오류:', err)
+      alert(`내보내기 중 오류가 발생했습니다: ${err.message}`)
+    } finally {
+      setExportProgress(null)
+    }
+  }
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(next) => !exporting && onOpenChange(next)}
+      title="📦 회의록 내보내기"
+      description="선택한 기간의 회의록을 한 번에 zip 파일로 내보냅니다."
+      confirmText={exporting ? '내보내는 중...' : `${notes.length}개 내보내기`}
+      cancelText="취소"
+      onConfirm={handleExport}
+      onCancel={() => !exporting && onOpenChange(false)}
+      confirmDisabled={exporting || loading || notes.length === 0}
+    >
+      <div className="space-y-5">
+        <div className="grid grid-cols-2 gap-4">
+          <div className="space-y-1">
+            <Label htmlFor="export-from">시작일</Label>
+            <Input
+              id="export-from"
+              type="date"
+              value={fromDate}
+              max={toDate}
+              onChange={(e) => setFromDate(e.target.value)}
+              disabled={exporting}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="export-to">종료일</Label>
+            <Input
+              id="export-to"
+              type="date"
+              value={toDate}
+              min={fromDate}
+              onChange={(e) => setToDate(e.target.value)}
+              disabled={exporting}
+            />
+          </div>
+        </div>
+
+        {chatRoomId && (
+          <div className="flex items-center justify-between">
+            <Label htmlFor="export-room-only">
+              {chatRoomName ? `"${chatRoomName}" 채팅방만` : '이 채팅방만'}
+            </Label>
+            <Switch
+              id="export-room-only"
+              checked={roomOnly}
+              onCheckedChange={setRoomOnly}
+              disabled={exporting}
+            />
+          </div>
+        )}
+
+        <div className="space-y-1">
+          <Label>형식</Label>
+          <Select value={format} onValueChange={setFormat} disabled={exporting}>
+            <SelectTrigger className="w-full">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {EXPORT_FORMATS.map((item) => (
+                <SelectItem key={item.value} value={item.value}>
+                  {item.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div className="p-4 bg-gray-50 dark:bg-gray-800 rounded-lg border text-sm">
+          {loading ? (
+            <span className="flex items-center gap-2 text-gray-500">
+              <Loader2 className="h-3 w-3 animate-spin" />
+              회의록을 찾는 중...
+            </span>
+          ) : notes.length > 0 ? (
+            <span>
+              회의록 <strong>{notes.length}개</strong>를 내보냅니다.
+              {notes.length >= MAX_EXPORT_NOTES && ` (최대 ${MAX_EXPORT_NOTES}개, 기간을 나눠 내보내세요)`}
+            </span>
+          ) : (
+            <span className="text-gray-500">선택한 기간에 저장된 회의록이 없습니다.</span>
+          )}
+        </div>
+
+        {exporting && (
+          <div className="space-y-1">
+            <div className="text-sm text-gray-600">
+              문서 생성 중 ({exportProgress.done}/{exportProgress.total})
+            </div>
+            <Progress value={exportProgress.total ? (exportProgress.done / exportProgress.total) * 100 : 0} />
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+    </Dialog>
+  )
+}
+
+export default ExportMeetingNotesDialog
@@ -4,13 +4,34 @@
  * 회의록 생성 다이얼로그
  * - 시간 범위 선택
  * - 메시지 미리보기
- * - 회의록 생성 옵션
+ * - 회의록 생성 옵션 (회의록 템플릿 선택)
+ * - 긴 대화는 구간별 요약 후 병합 (단계별 진행 상황 표시)
  */
 
-import { useState, useEffect } from 'react'
-import { Dialog, Button, Input } from '../ui'
-import { Calendar, Clock, FileText, Loader2 } from 'lucide-react'
+import { useState, useEffect, useMemo } from 'react'
+import {
+  Dialog,
+  Button,
+  Input,
+  Progress,
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '../ui'
+import { Calendar, Clock, FileText, LayoutTemplate, Loader2 } from 'lucide-react'
 import { useMeetingNotes } from '../../hooks/useMeetingNotes'
+import { useMeetingNoteTemplates } from '../../hooks/useMeetingNoteTemplates'
+import { estimateChunkCount } from '../../utils/meetingNotesGenerator'
+import { DEFAULT_TEMPLATE_ID, toTemplateMetadata } from '../../utils/meetingNoteTemplates'
+
+// 생성 단계 표시 문구
+const STAGE_LABELS = {
+  map: '구간 요약 중',
+  merge: '요약 병합 중',
+  reduce: '회의록 작성 중'
+}
 
 const GenerateMeetingNotesDialog = ({
   open,
@@ -35,10 +56,16 @@ const GenerateMeetingNotesDialog = ({
   const [endTime, setEndTime] = useState('')
   const [messageCount, setMessageCount] = useState(0)
   const [previewLoading, setPreviewLoading] = useState(false)
+  const [templateId, setTemplateId] = useState(DEFAULT_TEMPLATE_ID)
+
+  const { templates } = useMeetingNoteTemplates(workspaceId)
+  const selectedTemplate = templates.find((template) => template.id === templateId) || templates[0]
 
   const {
     loading,
     error,
+    messages: previewMessages,
+    progress,
     fetchMessagesInRange,
     createMeetingNotesStreaming
   } = useMeetingNotes(workspaceId, chatRoomId)
@@ -61,6 +88,9 @@ const GenerateMeetingNotesDialog = ({
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [startTime, endTime, open])
 
+  // 긴 대화면 예상 구간 수 안내 (실제 분할은 서버에서 수행)
+  const chunkCount = useMemo(() => estimateChunkCount(previewMessages), [previewMessages])
+
   /**
    * 메시지 수 미리보기
    */
@@ -108,27 +138,30 @@ const GenerateMeetingNotesDialog = ({
         return
       }
 
-      // 회의 메타데이터
+      // 회의 메타데이터 (선택한 템플릿 기록)
       const metadata = {
         chatRoomName,
         startTime: new Date(startTime).toISOString(),
-        endTime: new Date(endTime).toISOString()
+        endTime: new Date(endTime).toISOString(),
+        template: toTemplateMetadata(selectedTemplate)
       }
 
-      // 회의록 생성 (스트리밍 모드)
+      // 회의록 생성 (스트리밍 모드, 서버가 같은 시간 범위의 대화를 조회)
       const generatedNotes = await createMeetingNotesStreaming(
-        messages,
         metadata,
-        null // 스트리밍 콜백 불필요
+        null, // 스트리밍 콜백 불필요
+        { template: selectedTemplate }
       )
 
-      // 성공 시 부모 컴포넌트에 알림
+      // 성공 시 부모 컴포넌트에 알림 (구조화된 회의록은 metadata.structured로 저장)
       if (onSuccess) {
         onSuccess({
-          content: generatedNotes,
+          content: generatedNotes.content,
           metadata: {
             ...metadata,
-            messageCount: messages.length
+            messageCount: generatedNotes.messageCount,
+            chunkCount: generatedNotes.chunkCount,
+            structured: generatedNotes.structured
           },
           messages
         })
@@ -169,6 +202,29 @@ const GenerateMeetingNotesDialog = ({
           </div>
         </div>
 
+        {/* 회의록 템플릿 */}
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 text-sm font-medium">
+            <LayoutTemplate className="h-4 w-4" />
+            템플릿
+          </label>
+          <Select value={selectedTemplate?.id} onValueChange={setTemplateId} disabled={loading}>
+            <SelectTrigger className="w-full">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {templates.map((template) => (
+                <SelectItem key={template.id} value={template.id}>
+                  {template.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {selectedTemplate?.description && (
+            <p className="text-xs text-gray-500">{selectedTemplate.description}</p>
+          )}
+        </div>
+
         {/* 시간 범위 선택 */}
         <div className="space-y-4">
           <div>
@@ -268,6 +324,12 @@ const GenerateMeetingNotesDialog = ({
             </div>
           )}
 
+          {messageCount > 0 && chunkCount > 1 && (
+            <div className="mt-1 text-xs text-gray-500">
+              📚 대화가 길어 약 {chunkCount}개 구간으로 나눠 요약한 뒤 회의록으로 합칩니다.
+            </div>
+          )}
+
           {messageCount === 0 && !previewLoading && startTime && endTime && (
             <div className="mt-2 text-xs text-red-500">
               ⚠️ 선택한 시간 범위에 메시지가 없습니다.
@@ -275,6 +337,20 @@ const GenerateMeetingNotesDialog = ({
           )}
         </div>
 
+        {/* 생성 진행 상황 */}
+        {loading && progress && (
+          <div className="space-y-2">
+            <div className="flex items-center gap-2 text-sm">
+              <Loader2 className="h-3 w-3 animate-spin" />
+              {STAGE_LABELS[progress.stage]}
+              {progress.total > 1 && ` (${progress.current}/${progress.total})`}
+            </div>
+            {progress.stage !== 'reduce' && (
+              <Progress value={((progress.current - 1) / progress.total) * 100} />
+            )}
+          </div>
+        )}
+
         {/* 오류 표시 */}
         {error && (
           <div className="p-3 bg-red-50 dark:bg-red-900/20 rounded-lg border border-red-200 dark:border-red-800">
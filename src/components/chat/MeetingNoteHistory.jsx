@@ -0,0 +1,141 @@
+/**
+ * MeetingNoteHistory.jsx
+ *
+ * 회의록 버전 기록 패널
+ * - 버전 목록 (저장/편집/다시 생성/복원)
+ * - 선택한 버전과 현재 내용의 줄 단위 비교 (나란히 보기)
+ * - 선택한 버전으로 복원 (회의록 작성자만)
+ */
+
+import { Fragment, useState, useMemo, useEffect } from 'react'
+import { Badge, Button } from '../ui'
+import { Loader2, RotateCcw } from 'lucide-react'
+import { buildSideBySideDiff } from '../../utils/textDiff'
+
+const CHANGE_TYPE_LABELS = {
+  generated: 'AI 생성',
+  edited: '편집',
+  regenerated: '다시 생성',
+  restored: '복원'
+}
+
+const LINE_STYLES = {
+  equal: '',
+  removed: 'bg-red-50 text-red-800 dark:bg-red-900/30 dark:text-red-200',
+  added: 'bg-green-50 text-green-800 dark:bg-green-900/30 dark:text-green-200'
+}
+
+const DiffCell = ({ line, className = '' }) => (
+  <div className={`px-2 whitespace-pre-wrap break-words min-h-[1.25rem] ${line ? LINE_STYLES[line.type] : 'bg-gray-50 dark:bg-gray-800'} ${className}`}>
+    {line?.text}
+  </div>
+)
+
+const MeetingNoteHistory = ({
+  versions,
+  currentContent,
+  loading,
+  restoring,
+  canRestore = true,
+  onRestore,
+  onClose
+}) => {
+  const [selectedId, setSelectedId] = useState(null)
+
+  // 기본 선택: 현재 바로 이전 버전 (없으면 최신 버전)
+  useEffect(() => {
+    if (versions.length > 0 && !versions.some((version) => version.id === selectedId)) {
+      setSelectedId((versions[1] || versions[0]).id)
+    }
+  }, [versions, selectedId])
+
+  const selected = versions.find((version) => version.id === selectedId)
+
+  const rows = useMemo(
+    () => (selected ? buildSideBySideDiff(selected.content, currentContent) : []),
+    [selected, currentContent]
+  )
+
+  const changedCount = rows.filter((row) => row.left?.type !== 'equal').length
+
+  if (loading && versions.length === 0) {
+    return (
+      <div className="flex items-center justify-center gap-2 p-6 text-sm text-gray-500">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        버전 기록을 불러오는 중...
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-3">
+        {/* 버전 목록 */}
+        <div className="w-48 shrink-0 space-y-1 max-h-[55vh] overflow-y-auto">
+          {versions.map((version, index) => (
+            <button
+              key={version.id}
+              type="button"
+              onClick={() => setSelectedId(version.id)}
+              className={`w-full text-left p-2 rounded-lg border text-sm ${version.id === selectedId ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20' : 'hover:bg-gray-50 dark:hover:bg-gray-800'}`}
+            >
+              <div className="flex items-center gap-2">
+                <span className="font-medium">v{version.version_number}</span>
+                <Badge variant={index === 0 ? 'default' : 'outline'}>
+                  {CHANGE_TYPE_LABELS[version.change_type] || version.change_type}
+                </Badge>
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                {new Date(version.created_at).toLocaleString('ko-KR')}
+              </div>
+              {version.restored_from && (
+                <div className="text-xs text-gray-500">v{version.restored_from}에서 복원</div>
+              )}
+            </button>
+          ))}
+        </div>
+
+        {/* 나란히 비교 */}
+        <div className="flex-1 min-w-0">
+          {selected ? (
+            <>
+              <div className="grid grid-cols-2 text-xs font-medium text-gray-500 mb-1">
+                <span>v{selected.version_number}</span>
+                <span>현재 ({changedCount > 0 ? `${changedCount}줄 다름` : '변경 없음'})</span>
+              </div>
+              {/* 줄바꿈 높이가 달라도 좌우가 맞도록 행 단위로 배치 */}
+              <div className="grid grid-cols-2 border rounded-lg text-xs font-mono max-h-[50vh] overflow-y-auto">
+                {rows.map((row, index) => (
+                  <Fragment key={index}>
+                    <DiffCell line={row.left} className="border-r" />
+                    <DiffCell line={row.right} />
+                  </Fragment>
+                ))}
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-gray-500 p-4">기록된 버전이 없습니다.</p>
+          )}
+        </div>
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <Button variant="outline" onClick={onClose} disabled={restoring}>
+          돌아가기
+        </Button>
+        {canRestore && (
+          <Button
+            onClick={() => onRestore(selected)}
+            disabled={!selected || restoring || changedCount === 0}
+            className="flex items-center gap-2"
+          >
+            {restoring ? <Loader2 className="h-4 w-4 animate-spin" /> : <RotateCcw className="h-4 w-4" />}
+            v{selected?.version_number ?? ''}으로 복원
+          </Button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default MeetingNoteHistory
@@ -0,0 +1,338 @@
+/**
+ * MeetingNotesSearchDialog.jsx
+ *
+ * 워크스페이스 회의록 검색 다이얼로그
+ * - 제목/내용 전문 검색 (입력을 멈추면 자동 검색)
+ * - 채팅방, 작성자, 참석자, 회의 날짜 범위 필터
+ * - 검색어가 포함된 제목과 본문 미리보기를 하이라이트, 선택하면 회의록 열기
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import {
+  Dialog,
+  Button,
+  Input,
+  Label,
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '../ui'
+import { Loader2, Search } from 'lucide-react'
+import { supabase } from '../../lib/supabase'
+import { useMeetingNotes } from '../../hooks/useMeetingNotes'
+import { highlightSegments, splitSearchTerms, toDateRange } from '../../utils/searchHighlight'
+import MeetingNotesViewer from './MeetingNotesViewer'
+
+const PAGE_SIZE = 20
+const SEARCH_DEBOUNCE_MS = 300
+const ALL = 'all'
+
+const EMPTY_FILTERS = {
+  chatRoomId: ALL,
+  createdBy: ALL,
+  participantId: ALL,
+  fromDate: '',
+  toDate: ''
+}
+
+const Highlighted = ({ text, terms }) =>
+  highlightSegments(text, terms).map((segment, index) =>
+    segment.match ? (
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-700 rounded-sm px-0.5">
+        {segment.text}
+      </mark>
+    ) : (
+      <span key={index}>{segment.text}</span>
+    )
+  )
+
+const MemberSelect = ({ value, onChange, members, placeholder }) => (
+  <Select value={value} onValueChange={onChange}>
+    <SelectTrigger className="w-full">
+      <SelectValue placeholder={placeholder} />
+    </SelectTrigger>
+    <SelectContent>
+      <SelectItem value={ALL}>전체</SelectItem>
+      {members.map((member) => (
+        <SelectItem key={member.user_id} value={member.user_id}>
+          {member.user_name || member.email}
+        </SelectItem>
+      ))}
+    </SelectContent>
+  </Select>
+)
+
+const MeetingNotesSearchDialog = ({
+  open,
+  onOpenChange,
+  workspaceId,
+  branding
+}) => {
+  const [query, setQuery] = useState('')
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [chatRooms, setChatRooms] = useState([])
+  const [members, setMembers] = useState([])
+  const [results, setResults] = useState([])
+  const [total, setTotal] = useState(0)
+  const [searchedTerms, setSearchedTerms] = useState([])
+  const [openedNote, setOpenedNote] = useState(null)
+  // 검색 조건이 바뀔 때마다 증가 (더 불러오기 응답이 이전 검색 것인지 확인)
+  const searchIdRef = useRef(0)
+
+  const { loading, error, searchMeetingNotes, fetchMeetingNote } = useMeetingNotes(workspaceId, null)
+
+  // 필터 선택지 (채팅방, 워크스페이스 멤버)
+  useEffect(() => {
+    if (!open || !workspaceId) return
+
+    const fetchFilterOptions = async () => {
+      const [roomsResult, membersResult] = await Promise.all([
+        supabase
+          .from('chat_rooms')
+          .select('id, name')
+          .eq('workspace_id', workspaceId)
+          .eq('is_active', true)
+          .order('created_at', { ascending: true }),
+        supabase
+          .from('workspace_members')
+          .select(`
+            user_id,
+            users:user_id (
+              user_id,
+              user_name,
+              email
+            )
+          `)
+          .eq('workspace_id', workspaceId)
+      ])
+
+      if (roomsResult.error) console.error('채팅방 조회 오류:', roomsResult.error)
+      if (membersResult.error) console.error('멤버 조회 오류:', membersResult.error)
+
+      setChatRooms(roomsResult.data || [])
+      setMembers((membersResult.data || []).map((member) => member.users).filter((user) => user?.user_id))
+    }
+
+    fetchFilterOptions()
+  }, [open, workspaceId])
+
+  // 검색 조건 (첫 페이지부터)
+  const buildSearchOptions = (offset) => ({
+    query,
+    chatRoomIdFilter: filters.chatRoomId === ALL ? null : filters.chatRoomId,
+    createdBy: filters.createdBy === ALL ? null : filters.createdBy,
+    participantId: filters.participantId === ALL ? null : filters.participantId,
+    ...toDateRange(filters.fromDate, filters.toDate),
+    limit: PAGE_SIZE,
+    offset
+  })
+
+  // 검색어/필터가 바뀌면 잠시 기다렸다가 다시 검색
+  useEffect(() => {
+    searchIdRef.current += 1
+
+    if (!open) return
+
+    // 검색 조건이 바뀐 뒤 늦게 도착한 이전 응답은 무시
+    let cancelled = false
+
+    const timer = setTimeout(() => {
+      searchMeetingNotes(buildSearchOptions(0))
+        .then(({ results: found, total: count }) => {
+          if (cancelled) return
+          setResults(found)
+          setTotal(count)
+          setSearchedTerms(splitSearchTerms(query))
+        })
+        .catch(() => {
+          if (cancelled) return
+          setResults([])
+          setTotal(0)
+        })
+    }, SEARCH_DEBOUNCE_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+    // buildSearchOptions는 query/filters로만 결정됨
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, query, filters, searchMeetingNotes])
+
+  const handleLoadMore = async () => {
+    const searchId = searchIdRef.current
+
+    try {
+      const { results: found } = await searchMeetingNotes(buildSearchOptions(results.length))
+      // 더 불러오는 동안 검색 조건이 바뀌었으면 반영하지 않음
+      if (searchId !== searchIdRef.current) return
+      setResults((prev) => [...prev, ...found])
+    } catch (err) {
+      if (searchId !== searchIdRef.current) return
+      alert(`검색 결과를 더 불러올 수 없습니다: ${err.message}`)
+    }
+  }
+
+  const handleOpenNote = async (noteId) => {
+    try {
+      setOpenedNote(await fetchMeetingNote(noteId))
+    } catch (err) {
+      alert(`회의록을 불러올 수 없습니다: ${err.message}`)
+    }
+  }
+
+  const updateFilter = (changes) => setFilters((prev) => ({ ...prev, ...changes }))
+  const hasFilters = Object.keys(EMPTY_FILTERS).some((key) => filters[key] !== EMPTY_FILTERS[key])
+
+  return (
+    <>
+      <Dialog
+        open={open}
+        onOpenChange={onOpenChange}
+        title="🔍 회의록 검색"
+        description="워크스페이스의 모든 회의록에서 제목과 내용을 검색합니다."
+      >
+        <div className="space-y-4">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <Input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="검색어 (여러 단어는 모두 포함된 회의록을 찾습니다)"
+              className="pl-9"
+              autoFocus
+            />
+          </div>
+
+          <div className="grid grid-cols-3 gap-3">
+            <div className="space-y-1">
+              <Label>채팅방</Label>
+              <Select value={filters.chatRoomId} onValueChange={(value) => updateFilter({ chatRoomId: value })}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>전체</SelectItem>
+                  {chatRooms.map((room) => (
+                    <SelectItem key={room.id} value={room.id}>
+                      # {room.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1">
+              <Label>작성자</Label>
+              <MemberSelect
+                value={filters.createdBy}
+                onChange={(value) => updateFilter({ createdBy: value })}
+                members={members}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label>참석자</Label>
+              <MemberSelect
+                value={filters.participantId}
+                onChange={(value) => updateFilter({ participantId: value })}
+                members={members}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-1">
+              <Label htmlFor="search-notes-from">회의 시작일</Label>
+              <Input
+                id="search-notes-from"
+                type="date"
+                value={filters.fromDate}
+                max={filters.toDate || undefined}
+                onChange={(e) => updateFilter({ fromDate: e.target.value })}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="search-notes-to">회의 종료일</Label>
+              <Input
+                id="search-notes-to"
+                type="date"
+                value={filters.toDate}
+                min={filters.fromDate || undefined}
+                onChange={(e) => updateFilter({ toDate: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between text-sm text-gray-500">
+            <span className="flex items-center gap-2">
+              {loading && <Loader2 className="h-3 w-3 animate-spin" />}
+              회의록 {total}개
+            </span>
+            {hasFilters && (
+              <Button variant="ghost" size="sm" onClick={() => setFilters(EMPTY_FILTERS)}>
+                필터 초기화
+              </Button>
+            )}
+          </div>
+
+          <div className="space-y-2 max-h-[45vh] overflow-y-auto">
+            {results.map((result) => (
+              <button
+                key={result.id}
+                type="button"
+                onClick={() => handleOpenNote(result.id)}
+                className="w-full text-left p-3 rounded-lg border hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors"
+              >
+                <div className="font-medium">
+                  <Highlighted text={result.title} terms={searchedTerms} />
+                </div>
+                <div className="text-xs text-gray-500 mt-0.5">
+                  {result.chat_room_name && `# ${result.chat_room_name} · `}
+                  {new Date(result.start_time).toLocaleString('ko-KR')}
+                </div>
+                {result.snippet && (
+                  <p className="text-sm text-gray-600 dark:text-gray-300 mt-1 line-clamp-2">
+                    <Highlighted text={result.snippet} terms={searchedTerms} />
+                  </p>
+                )}
+              </button>
+            ))}
+
+            {!loading && results.length === 0 && (
+              <p className="py-6 text-center text-sm text-gray-500">
+                {query.trim() || hasFilters ? '조건에 맞는 회의록이 없습니다.' : '저장된 회의록이 없습니다.'}
+              </p>
+            )}
+
+            {results.length < total && (
+              <div className="flex justify-center pt-1">
+                <Button variant="outline" size="sm" onClick={handleLoadMore} disabled={loading}>
+                  더 보기 ({results.length}/{total})
+                </Button>
+              </div>
+            )}
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+      </Dialog>
+
+      {openedNote && (
+        <MeetingNotesViewer
+          key={openedNote.id}
+          open={!!openedNote}
+          onOpenChange={(next) => !next && setOpenedNote(null)}
+          note={openedNote}
+          content={openedNote.content}
+          metadata={openedNote.metadata}
+          branding={branding}
+          workspaceId={workspaceId}
+          chatRoomId={openedNote.chat_room_id}
+        />
+      )}
+    </>
+  )
+}
+
+export default MeetingNotesSearchDialog
@@ -3,28 +3,95 @@
  *
  * 생성된 회의록을 표시하고 관리하는 컴포넌트
  * - Markdown 렌더링
- * - 복사, 다운로드, 저장 기능
+ * - 복사, 내보내기(PDF / DOCX / HTML / Markdown / 구조화된 JSON), 저장 기능
+ * - 액션 아이템 검토 후 태스크 일괄 생성 (회의록을 먼저 저장)
+ * - 편집 / 다시 생성 (회의록을 먼저 저장, 변경마다 버전 기록)
+ * - 버전 기록 비교 및 복원
+ * - 저장된 회의록(note)을 열면 저장된 내용 기준으로 표시
+ * - 저장된 회의록의 편집/다시 생성/태스크 생성/복원은 작성자만 (meeting_notes UPDATE 정책과 동일)
  */
 
 import { useState } from 'react'
-import { Dialog, Button } from '../ui'
-import { Copy, Download, Save, Check, Loader2 } from 'lucide-react'
+import {
+  Dialog,
+  Button,
+  Textarea,
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from '../ui'
+import {
+  Copy,
+  Download,
+  Save,
+  Check,
+  Loader2,
+  CheckSquare,
+  Pencil,
+  RefreshCw,
+  History
+} from 'lucide-react'
 import ReactMarkdown from 'react-markdown'
+import remarkGfm from 'remark-gfm'
+import { useAuth } from '../../hooks/useAuth'
 import { useMeetingNotes } from '../../hooks/useMeetingNotes'
+import { useMeetingNoteTemplates } from '../../hooks/useMeetingNoteTemplates'
 import { generateMeetingTitle } from '../../utils/meetingNotesGenerator'
+import {
+  EXPORT_FORMATS,
+  downloadBlob,
+  exportMeetingNote,
+  loadExportBranding,
+  toExportFileName
+} from '../../utils/meetingNotesExport'
+import ActionItemsReview from './ActionItemsReview'
+import MeetingNoteHistory from './MeetingNoteHistory'
 
 const MeetingNotesViewer = ({
   open,
   onOpenChange,
-  content,
-  metadata = {},
+  content: initialContent,
+  metadata: initialMetadata = {},
+  note = null, // 이미 저장된 회의록 (자동 생성된 회의록 등)
+  messages = [], // 생성에 사용한 원본 메시지 (있으면 같은 시간 범위로 다시 생성 가능)
+  branding, // 내보내기 머리글 { workspaceName, logoUrl }
   onSaveSuccess,
   workspaceId,
   chatRoomId
 }) => {
   const [copied, setCopied] = useState(false)
+  const [savedNote, setSavedNote] = useState(note)
+  // 'notes' | 'actionItems' | 'edit' | 'history'
+  const [view, setView] = useState('notes')
+  const [draft, setDraft] = useState('')
+  const [versions, setVersions] = useState([])
+  const [regenerating, setRegenerating] = useState(false)
+  const [exporting, setExporting] = useState(false)
 
-  const { saveMeetingNotes, saving, error } = useMeetingNotes(workspaceId, chatRoomId)
+  const {
+    saveMeetingNotes,
+    updateMeetingNote,
+    createMeetingNotesStreaming,
+    fetchMeetingNoteVersions,
+    restoreMeetingNoteVersion,
+    createTasksFromActionItems,
+    loading,
+    saving,
+    error
+  } = useMeetingNotes(workspaceId, chatRoomId)
+
+  const { templates } = useMeetingNoteTemplates(workspaceId)
+  const { user } = useAuth()
+
+  // 저장 후에는 편집/태스크 생성이 반영된 회의록 기준
+  const content = savedNote?.content ?? initialContent
+  const metadata = savedNote?.metadata || initialMetadata
+  const actionItems = metadata.structured?.actionItems || []
+  const busy = saving || loading || regenerating || exporting
+  // 저장 전이면 저장하는 사용자가 작성자, 자동 회의록은 회의를 만든 사용자가 작성자
+  const canEdit = !savedNote || savedNote.created_by === user?.id
 
   /**
    * 클립보드에 복사
@@ -41,27 +108,127 @@ const MeetingNotesViewer = ({
   }
 
   /**
-   * Markdown 파일로 다운로드
+   * 파일로 내보내기 (PDF / DOCX / HTML / Markdown 또는 구조화된 회의록 JSON)
+   *
+   * @param {'pdf' | 'docx' | 'html' | 'md' | 'json'} format - 내보낼 형식
    */
-  const handleDownload = () => {
+  const handleExport = async (format) => {
+    const title = savedNote?.title || generateMeetingTitle(metadata)
+
     try {
-      const blob = new Blob([content], { type: 'text/markdown;charset=utf-8' })
-      const url = URL.createObjectURL(blob)
-      const link = document.createElement('a')
-      link.href = url
-
-      const fileName = generateMeetingTitle(metadata)
-        .replace(/[^a-zA-Z0-9가-힣\s\-_]/g, '')
-        .replace(/\s+/g, '_')
-
-      link.download = `${fileName}.md`
-      document.body.appendChild(link)
-      link.click()
-      document.body.removeChild(link)
-      URL.revokeObjectURL(url)
+      setExporting(true)
+
+      const blob = format === 'json'
+        ? new Blob([JSON.stringify(metadata.structured, null, 2)], { type: 'application/json;charset=utf-8' })
+        : await exportMeetingNote({ title, content }, format, await loadExportBranding(branding))
+
+      downloadBlob(blob, `${toExportFileName(title)}.${format}`)
     } catch (err) {
-      console.error('다운로드 오류:', err)
-      alert('다운로드에 실패했습니다.')
+      console.error('내보내기 오류:', err)
+      alert('내보내기에 실패했습니다.')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  /**
+   * 회의록 저장 (이미 저장했으면 저장된 회의록 반환)
+   */
+  const persistNote = async () => {
+    if (savedNote) return savedNote
+
+    const noteData = {
+      title: generateMeetingTitle(metadata),
+      content: content,
+      startTime: metadata.startTime,
+      endTime: metadata.endTime,
+      messageCount: metadata.messageCount || 0,
+      metadata: metadata
+    }
+
+    const note = await saveMeetingNotes(noteData)
+    setSavedNote(note)
+    return note
+  }
+
+  /**
+   * 편집한 내용 저장 (새 버전으로 기록)
+   */
+  const handleSaveEdit = async () => {
+    try {
+      const note = await persistNote()
+      const updatedNote = await updateMeetingNote(note.id, { content: draft }, { changeType: 'edited' })
+
+      setSavedNote(updatedNote)
+      setView('notes')
+    } catch (err) {
+      console.error('편집 저장 오류:', err)
+      alert(`편집 내용 저장 중 오류가 발생했습니다: ${err.message}`)
+    }
+  }
+
+  /**
+   * 같은 메시지로 회의록 다시 생성 (기존 내용은 버전 기록에 남음)
+   */
+  const handleRegenerate = async () => {
+    if (!confirm('같은 대화로 회의록을 다시 생성할까요? 현재 내용은 버전 기록에 남습니다.')) return
+
+    try {
+      setRegenerating(true)
+
+      const note = await persistNote()
+      const template = templates.find((item) => item.id === metadata.template?.id)
+      const regenerated = await createMeetingNotesStreaming(metadata, null, { template })
+
+      const updatedNote = await updateMeetingNote(
+        note.id,
+        {
+          content: regenerated.content,
+          metadata: {
+            ...note.metadata,
+            chunkCount: regenerated.chunkCount,
+            structured: regenerated.structured
+          }
+        },
+        { changeType: 'regenerated' }
+      )
+
+      setSavedNote(updatedNote)
+    } catch (err) {
+      console.error('회의록 다시 생성 오류:', err)
+      alert(`회의록 다시 생성 중 오류가 발생했습니다: ${err.message}`)
+    } finally {
+      setRegenerating(false)
+    }
+  }
+
+  /**
+   * 버전 기록 열기
+   */
+  const handleShowHistory = async () => {
+    try {
+      setVersions([])
+      setView('history')
+      setVersions(await fetchMeetingNoteVersions(savedNote.id))
+    } catch (err) {
+      console.error('버전 기록 조회 오류:', err)
+    }
+  }
+
+  /**
+   * 선택한 버전으로 복원 (복원도 새 버전으로 기록)
+   */
+  const handleRestore = async (version) => {
+    if (!confirm(`v${version.version_number}으로 복원할까요? 현재 내용은 버전 기록에 남습니다.`)) return
+
+    try {
+      const updatedNote = await restoreMeetingNoteVersion(savedNote, version)
+
+      setSavedNote(updatedNote)
+      setVersions(await fetchMeetingNoteVersions(updatedNote.id))
+    } catch (err) {
+      console.error('버전 복원 오류:', err)
+      alert(`버전 복원 중 오류가 발생했습니다: ${err.message}`)
     }
   }
 
@@ -70,21 +237,12 @@ const MeetingNotesViewer = ({
    */
   const handleSave = async () => {
     try {
-      const noteData = {
-        title: generateMeetingTitle(metadata),
-        content: content,
-        startTime: metadata.startTime,
-        endTime: metadata.endTime,
-        messageCount: metadata.messageCount || 0,
-        metadata: metadata
-      }
-
-      const savedNote = await saveMeetingNotes(noteData)
+      const note = await persistNote()
 
       alert('회의록이 성공적으로 저장되었습니다!')
 
       if (onSaveSuccess) {
-        onSaveSuccess(savedNote)
+        onSaveSuccess(note)
       }
 
       onOpenChange(false)
@@ -95,8 +253,25 @@ const MeetingNotesViewer = ({
     }
   }
 
+  /**
+   * 검토한 액션 아이템을 태스크로 생성 (회의록이 저장되지 않았으면 먼저 저장)
+   */
+  const handleCreateTasks = async (drafts) => {
+    try {
+      const note = await persistNote()
+      const { tasks, note: updatedNote } = await createTasksFromActionItems(note, drafts)
+
+      setSavedNote(updatedNote)
+      setView('notes')
+      alert(`${tasks.length}개의 태스크가 생성되었습니다. 태스크 보드에서 확인하세요.`)
+    } catch (err) {
+      console.error('태스크 생성 오류:', err)
+      alert(`태스크 생성 중 오류가 발생했습니다: ${err.message}`)
+    }
+  }
+
   const handleClose = () => {
-    if (!saving) {
+    if (!busy) {
       onOpenChange(false)
     }
   }
@@ -105,8 +280,8 @@ const MeetingNotesViewer = ({
     <Dialog
       open={open}
       onOpenChange={onOpenChange}
-      title="📝 생성된 회의록"
-      description="AI가 작성한 회의록을 확인하고 저장하세요."
+      title={note ? `📝 ${note.title}` : '📝 생성된 회의록'}
+      description={note ? 'AI가 작성한 회의록을 확인하고 편집하세요.' : 'AI가 작성한 회의록을 확인하고 저장하세요.'}
       size="large"
     >
       <div className="space-y-4">
@@ -116,7 +291,7 @@ const MeetingNotesViewer = ({
             variant="outline"
             size="sm"
             onClick={handleCopy}
-            disabled={saving}
+            disabled={busy}
             className="flex items-center gap-2"
           >
             {copied ? (
@@ -132,22 +307,98 @@ const MeetingNotesViewer = ({
             )}
           </Button>
 
-          <Button
-            variant="outline"
-            size="sm"
-            onClick={handleDownload}
-            disabled={saving}
-            className="flex items-center gap-2"
-          >
-            <Download className="h-4 w-4" />
-            다운로드
-          </Button>
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={busy}
+                className="flex items-center gap-2"
+              >
+                {exporting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+                내보내기
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              {EXPORT_FORMATS.map((format) => (
+                <DropdownMenuItem key={format.value} onSelect={() => handleExport(format.value)}>
+                  {format.label}
+                </DropdownMenuItem>
+              ))}
+              {/* 구조화된 회의록 (안건, 결정 사항, 액션 아이템 등) */}
+              {metadata.structured && (
+                <>
+                  <DropdownMenuSeparator />
+                  <DropdownMenuItem onSelect={() => handleExport('json')}>
+                    구조화된 데이터 (JSON)
+                  </DropdownMenuItem>
+                </>
+              )}
+            </DropdownMenuContent>
+          </DropdownMenu>
+
+          {/* 액션 아이템 → 태스크 */}
+          {canEdit && actionItems.length > 0 && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setView('actionItems')}
+              disabled={busy || view !== 'notes'}
+              className="flex items-center gap-2"
+            >
+              <CheckSquare className="h-4 w-4" />
+              태스크로 만들기
+            </Button>
+          )}
+
+          {/* 편집 / 다시 생성 / 버전 기록 */}
+          {canEdit && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => {
+                setDraft(content)
+                setView('edit')
+              }}
+              disabled={busy || view !== 'notes'}
+              className="flex items-center gap-2"
+            >
+              <Pencil className="h-4 w-4" />
+              편집
+            </Button>
+          )}
+
+          {canEdit && messages.length > 0 && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleRegenerate}
+              disabled={busy || view !== 'notes'}
+              className="flex items-center gap-2"
+            >
+              <RefreshCw className={`h-4 w-4 ${regenerating ? 'animate-spin' : ''}`} />
+              {regenerating ? '생성 중...' : '다시 생성'}
+            </Button>
+          )}
+
+          {savedNote && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleShowHistory}
+              disabled={busy || view !== 'notes'}
+              className="flex items-center gap-2"
+            >
+              <History className="h-4 w-4" />
+              버전 기록
+            </Button>
+          )}
 
           <Button
             variant="default"
             size="sm"
             onClick={handleSave}
-            disabled={saving}
+            disabled={busy || !!savedNote}
             className="flex items-center gap-2"
           >
             {saving ? (
@@ -158,7 +409,7 @@ const MeetingNotesViewer = ({
             ) : (
               <>
                 <Save className="h-4 w-4" />
-                저장
+                {savedNote ? '저장됨' : '저장'}
               </>
             )}
           </Button>
@@ -173,40 +424,78 @@ const MeetingNotesViewer = ({
           </div>
         )}
 
-        {/* Markdown 렌더링 */}
-        <div className="prose dark:prose-invert max-w-none overflow-y-auto max-h-[60vh] p-4 bg-white dark:bg-gray-900 rounded-lg border">
-          <ReactMarkdown
-            components={{
-              // 체크박스 커스터마이징
-              input: ({ node, ...props }) => (
-                <input
-                  {...props}
-                  className="mr-2 cursor-pointer"
-                  onChange={(e) => {
-                    // 클릭 시 체크 상태 변경 (읽기 전용이지만 시각적 피드백)
-                    e.target.checked = !e.target.checked
-                  }}
-                />
-              ),
-              // 링크 새 탭에서 열기
-              a: ({ node, ...props }) => (
-                <a {...props} target="_blank" rel="noopener noreferrer" />
-              ),
-              // 코드 블록 스타일링
-              code: ({ node, inline, ...props }) =>
-                inline ? (
-                  <code
+        {/* 액션 아이템 검토 / 편집 / 버전 기록 / Markdown 렌더링 */}
+        {view === 'actionItems' ? (
+          <ActionItemsReview
+            workspaceId={workspaceId}
+            actionItems={actionItems}
+            creating={saving}
+            onConfirm={handleCreateTasks}
+            onCancel={() => setView('notes')}
+          />
+        ) : view === 'edit' ? (
+          <div className="space-y-2">
+            <Textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              className="min-h-[50vh] font-mono text-sm"
+            />
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" onClick={() => setView('notes')} disabled={busy}>
+                취소
+              </Button>
+              <Button onClick={handleSaveEdit} disabled={busy || draft === content} className="flex items-center gap-2">
+                {busy && <Loader2 className="h-4 w-4 animate-spin" />}
+                편집 저장
+              </Button>
+            </div>
+          </div>
+        ) : view === 'history' ? (
+          <MeetingNoteHistory
+            versions={versions}
+            currentContent={content}
+            loading={loading}
+            restoring={loading && versions.length > 0}
+            canRestore={canEdit}
+            onRestore={handleRestore}
+            onClose={() => setView('notes')}
+          />
+        ) : (
+          <div className="prose dark:prose-invert max-w-none overflow-y-auto max-h-[60vh] p-4 bg-white dark:bg-gray-900 rounded-lg border">
+            <ReactMarkdown
+              remarkPlugins={[remarkGfm]}
+              components={{
+                // 체크박스 커스터마이징
+                input: ({ node, ...props }) => (
+                  <input
                     {...props}
-                    className="px-1.5 py-0.5 bg-gray-100 dark:bg-gray-800 rounded text-sm"
+                    className="mr-2 cursor-pointer"
+                    onChange={(e) => {
+                      // 클릭 시 체크 상태 변경 (읽기 전용이지만 시각적 피드백)
+                      e.target.checked = !e.target.checked
+                    }}
                   />
-                ) : (
-                  <code {...props} className="block p-3 bg-gray-100 dark:bg-gray-800 rounded" />
-                )
-            }}
-          >
-            {content}
-          </ReactMarkdown>
-        </div>
+                ),
+                // 링크 새 탭에서 열기
+                a: ({ node, ...props }) => (
+                  <a {...props} target="_blank" rel="noopener noreferrer" />
+                ),
+                // 코드 블록 스타일링
+                code: ({ node, inline, ...props }) =>
+                  inline ? (
+                    <code
+                      {...props}
+                      className="px-1.5 py-0.5 bg-gray-100 dark:bg-gray-800 rounded text-sm"
+                    />
+                  ) : (
+                    <code {...props} className="block p-3 bg-gray-100 dark:bg-gray-800 rounded" />
+                  )
+              }}
+            >
+              {content}
+            </ReactMarkdown>
+          </div>
+        )}
 
         {/* 메타정보 */}
         {metadata.messageCount && (
@@ -218,12 +507,13 @@ const MeetingNotesViewer = ({
         {/* 안내 문구 */}
         <div className="text-sm text-gray-500 p-3 bg-gray-50 dark:bg-gray-800 rounded-lg">
           💡 <strong>팁:</strong> 회의록을 저장하면 언제든지 다시 확인할 수 있습니다.
-          필요시 내용을 복사하거나 다운로드하여 외부 문서에 활용하세요.
+          필요시 내용을 복사하거나 PDF, Word 등으로 내보내 외부 문서에 활용하세요.
+          {!canEdit && ' 이 회의록은 작성자만 편집하거나 태스크로 만들 수 있습니다.'}
         </div>
 
         {/* 닫기 버튼 */}
         <div className="flex justify-end pt-2">
-          <Button variant="outline" onClick={handleClose} disabled={saving}>
+          <Button variant="outline" onClick={handleClose} disabled={busy}>
             닫기
           </Button>
         </div>
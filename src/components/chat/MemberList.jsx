@@ -1,6 +1,9 @@
 import { Avatar, Badge, ScrollArea, AvatarFallback } from '../ui'
+import { PRESENCE_LABELS, formatLastSeen } from '../../utils/presence'
+import PresenceDot from './PresenceDot'
 
-const MemberList = ({ members, currentUserId }) => {
+// presence: useWorkspacePresence 결과 (없으면 접속 상태 표시 안 함)
+const MemberList = ({ members, currentUserId, presence }) => {
     // 사용자 표시 이름 추출 함수
     const getDisplayName = (member, isCurrentUser) => {
         if (isCurrentUser) return '나'
@@ -23,6 +26,8 @@ const MemberList = ({ members, currentUserId }) => {
                         {members.map((member) => {
                             const isCurrentUser = member.user_id === currentUserId
                             const displayName = getDisplayName(member, isCurrentUser)
+                            const status = presence?.getStatus(member.user_uuid) || 'offline'
+                            const lastSeen = status === 'offline' ? formatLastSeen(presence?.getLastSeen(member.user_uuid)) : null
 
                             return (
                                 <div
@@ -33,12 +38,15 @@ const MemberList = ({ members, currentUserId }) => {
                                             : 'hover:bg-gray-50 dark:hover:bg-gray-800/30'
                                     }`}
                                 >
-                                    {/* 아바타 */}
-                                    <Avatar>
-                                        <AvatarFallback className="bg-gradient-to-br from-purple-400 to-blue-500 text-white font-semibold">
-                                            {displayName?.charAt(0)?.toUpperCase() || '?'}
-                                        </AvatarFallback>
-                                    </Avatar>
+                                    {/* 아바타 + 접속 상태 */}
+                                    <div className="relative">
+                                        <Avatar>
+                                            <AvatarFallback className="bg-gradient-to-br from-purple-400 to-blue-500 text-white font-semibold">
+                                                {displayName?.charAt(0)?.toUpperCase() || '?'}
+                                            </AvatarFallback>
+                                        </Avatar>
+                                        {presence && <PresenceDot status={status} />}
+                                    </div>
 
                                     {/* 사용자 정보 */}
                                     <div className="flex-1 min-w-0">
@@ -57,6 +65,11 @@ const MemberList = ({ members, currentUserId }) => {
                                                 {member.email}
                                             </p>
                                         )}
+                                        {presence && (
+                                            <p className="text-xs text-gray-400 dark:text-gray-500">
+                                                {lastSeen ? `마지막 접속 ${lastSeen}` : PRESENCE_LABELS[status]}
+                                            </p>
+                                        )}
                                     </div>
                                 </div>
                             )
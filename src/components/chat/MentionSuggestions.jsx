@@ -0,0 +1,44 @@
+/**
+ * MentionSuggestions.jsx
+ *
+ * @멘션 자동완성 후보 목록 (입력창 위에 표시)
+ * - useMentionAutocomplete의 candidates / activeIndex / selectCandidate 사용
+ */
+
+const MentionSuggestions = ({ candidates, activeIndex, onSelect }) => {
+  if (!candidates || candidates.length === 0) return null
+
+  return (
+    <ul
+      role="listbox"
+      aria-label="멘션할 멤버"
+      className="absolute bottom-full left-0 mb-1 w-64 max-w-full rounded-lg border bg-white dark:bg-gray-900 shadow-lg py-1 z-20"
+    >
+      {candidates.map((member, index) => (
+        <li key={member.user_id} role="option" aria-selected={index === activeIndex}>
+          <button
+            type="button"
+            // 입력창 포커스를 잃지 않도록 mousedown에서 선택
+            onMouseDown={(e) => {
+              e.preventDefault()
+              onSelect(member)
+            }}
+            className={`w-full flex items-center gap-2 px-3 py-1.5 text-left text-sm ${
+              index === activeIndex ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-gray-50 dark:hover:bg-gray-800'
+            }`}
+          >
+            <span className="flex h-6 w-6 items-center justify-center rounded-full bg-gray-200 text-xs font-semibold text-gray-600">
+              {member.name.charAt(0).toUpperCase()}
+            </span>
+            <span className="font-medium">@{member.name}</span>
+            {member.email && (
+              <span className="text-xs text-gray-400 truncate">{member.email}</span>
+            )}
+          </button>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default MentionSuggestions
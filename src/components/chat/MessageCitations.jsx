@@ -0,0 +1,70 @@
+// 출처 종류별 표시
+const SOURCE_LABELS = {
+    workspace_file: '공유 폴더',
+    chat_file: '채팅 첨부'
+}
+
+const getHostname = (url) => {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '')
+    } catch {
+        return url
+    }
+}
+
+/**
+ * AI 답변 출처 목록 (번호 순)
+ * - 웹 출처: 원본 URL로 이동
+ * - 파일 출처: 공유 폴더 / 채팅 첨부 원본 파일 열기
+ *
+ * @param {Array<{ type: 'url' | 'file', title: string, url?: string, sourceType?: string }>} citations
+ */
+const MessageCitations = ({ citations }) => {
+    if (!citations || citations.length === 0) return null
+
+    return (
+        <div className="mt-1 px-1">
+            <p className="text-xs text-gray-500 mb-1">출처</p>
+            <ol className="flex flex-col gap-0.5">
+                {citations.map((citation, index) => {
+                    const isFile = citation.type === 'file'
+                    const subtitle = isFile
+                        ? SOURCE_LABELS[citation.sourceType] || '파일'
+                        : getHostname(citation.url)
+
+                    const label = (
+                        <span className="flex items-center gap-1.5 text-xs min-w-0">
+                            <span className="shrink-0 inline-flex items-center justify-center w-4 h-4 rounded bg-purple-100 text-purple-700 text-[10px] font-semibold">
+                                {index + 1}
+                            </span>
+                            <span className="shrink-0">{isFile ? '📎' : '🌐'}</span>
+                            <span className="truncate max-w-[260px]">{citation.title}</span>
+                            <span className="shrink-0 text-gray-400">· {subtitle}</span>
+                        </span>
+                    )
+
+                    return (
+                        <li key={`${citation.url || citation.title}-${index}`}>
+                            {citation.url ? (
+                                <a
+                                    href={citation.url}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    title={citation.url}
+                                    className="text-purple-700 hover:underline"
+                                >
+                                    {label}
+                                </a>
+                            ) : (
+                                // 지식 베이스에서 삭제된 파일 등 원본을 찾을 수 없는 경우
+                                <span className="text-gray-500">{label}</span>
+                            )}
+                        </li>
+                    )
+                })}
+            </ol>
+        </div>
+    )
+}
+
+export default MessageCitations
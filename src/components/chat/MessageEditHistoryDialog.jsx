@@ -0,0 +1,86 @@
+/**
+ * MessageEditHistoryDialog.jsx
+ *
+ * 메시지 수정 기록 다이얼로그
+ * - 현재 내용과 수정 전 내용들을 최신순으로 표시 (chat_message_edits)
+ */
+
+import { useState, useEffect } from 'react'
+import { Dialog } from '../ui'
+import { Loader2 } from 'lucide-react'
+import { supabase } from '../../lib/supabase'
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString('ko-KR')
+
+const MessageEditHistoryDialog = ({ open, onOpenChange, message }) => {
+  const [edits, setEdits] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!open || !message?.id) return
+
+    const fetchEdits = async () => {
+      setLoading(true)
+      setError(null)
+
+      const { data, error: fetchError } = await supabase
+        .from('chat_message_edits')
+        .select('id, previous_content, edited_at')
+        .eq('message_id', message.id)
+        .order('edited_at', { ascending: false })
+
+      if (fetchError) {
+        console.error('수정 기록 조회 오류:', fetchError)
+        setError(`수정 기록을 불러올 수 없습니다: ${fetchError.message}`)
+      } else {
+        setEdits(data || [])
+      }
+
+      setLoading(false)
+    }
+
+    fetchEdits()
+  }, [open, message?.id, message?.edited_at])
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={onOpenChange}
+      title="✏️ 수정 기록"
+      description="이 메시지의 이전 내용입니다."
+    >
+      <div className="space-y-3 max-h-[60vh] overflow-y-auto">
+        {message && (
+          <div className="p-3 rounded-lg border border-blue-200 bg-blue-50 dark:bg-blue-900/20">
+            <p className="text-xs text-blue-600 mb-1">
+              현재 · {formatDateTime(message.edited_at || message.created_at)}
+            </p>
+            <p className="text-sm whitespace-pre-wrap break-words">{message.content}</p>
+          </div>
+        )}
+
+        {loading && (
+          <div className="flex justify-center py-4">
+            <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+          </div>
+        )}
+
+        {!loading && edits.map((edit, index) => (
+          <div key={edit.id} className="p-3 rounded-lg border">
+            <p className="text-xs text-gray-500 mb-1">
+              {index === edits.length - 1 ? '원본' : '이전 내용'} · {formatDateTime(edit.edited_at)}에 수정됨
+            </p>
+            <p className="text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap break-words">
+              {edit.previous_content}
+            </p>
+          </div>
+        ))}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+    </Dialog>
+  )
+}
+
+export default MessageEditHistoryDialog
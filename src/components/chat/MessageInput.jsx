@@ -1,31 +1,53 @@
-import { useState, useRef } from "react";
+import { useState, useRef, useEffect } from "react";
 import { Flex, Text } from "@radix-ui/themes";
 import { Button, Tooltip } from "../ui";
-import {
-  generateResponse,
-  generateClaudeResponseStream,
-} from "./chatbot";
+import { getProviderForModel } from "../../lib/aiProviders";
 import useFileUpload from "../../hooks/useFileUpload";
 import FileUpload from "./FileUpload";
 import AIModelSelector from "./AIModelSelector";
+import MentionSuggestions from "./MentionSuggestions";
+import useMentionAutocomplete from "../../hooks/useMentionAutocomplete";
+import { collectMentions } from "../../utils/mentions";
+import {
+  buildConversationHistory,
+  appendUserTurn,
+} from "../../utils/chatHistory";
 
 const MessageInput = ({
+  roomMessages = [],
   onSend,
-  onStreamUpdate,
+  onAskAI,
+  onStopAI,
+  isGenerating = false,
   disabled,
   workspaceId,
   user,
+  defaultModel = "gpt-5",
+  mentionMembers = [], // @멘션 후보 (채팅방 멤버 { user_id, name, email })
+  onTyping, // (isTyping) => void - 입력 중 표시
 }) => {
   const [message, setMessage] = useState("");
   const [isAiMode, setIsAiMode] = useState(false);
-  const [selectedModel, setSelectedModel] = useState("gpt-5");
-  const [isStreaming, setIsStreaming] = useState(false); // 👈 스트리밍 상태 추가
+  const [selectedModel, setSelectedModel] = useState(defaultModel);
   const textareaRef = useRef(null);
   const fallbackRef = useRef(null);
 
+  // 채팅방 AI 페르소나의 기본 모델로 전환 (채팅방 이동, 설정 변경 시)
+  useEffect(() => {
+    setSelectedModel(defaultModel);
+  }, [defaultModel]);
+
   // 파일 업로드 훅
   const fileUpload = useFileUpload(workspaceId, user);
 
+  // @멘션 자동완성
+  const mention = useMentionAutocomplete(
+    mentionMembers,
+    message,
+    setMessage,
+    textareaRef
+  );
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -36,11 +58,14 @@ const MessageInput = ({
       (hasMessage || hasFiles) &&
       !disabled &&
       !fileUpload.uploading &&
-      !isStreaming
+      !isGenerating
     ) {
       try {
+        onTyping?.(false);
+
         // 파일과 함께 메시지 전송
         const messageContent = hasMessage ? message.trim() : null;
+        const mentions = collectMentions(messageContent, mentionMembers);
 
         // 임시 messageId 생성
         const tempMessageId = `temp_${Date.now()}_${Math.random()
@@ -52,97 +77,41 @@ const MessageInput = ({
 
         if (isAiMode) {
           // AI 모드: 사용자 메시지를 먼저 보내고, AI 응답 생성
-          await onSend(messageContent, "user", uploadedFiles, true);
+          await onSend(messageContent, "user", uploadedFiles, true, mentions);
 
-          try {
-            // provider 판단
-            const provider = selectedModel.startsWith("claude-")
-              ? "claude"
-              : "openai";
+          // provider 판단 (AI provider 레지스트리 기준)
+          const provider = getProviderForModel(selectedModel);
 
-            // AI 분석 가능한 파일들 가져오기
-            const aiFiles = fileUpload.getAIFiles(provider);
+          // AI 분석 가능한 파일들 가져오기 (vision 미지원 provider는 텍스트만 전송)
+          const aiFiles = provider.capabilities.vision
+            ? fileUpload.getAIFiles(provider.fileFormat)
+            : [];
 
-            // messages 형태로 구성
-            let messages = [];
+          const textType =
+            provider.fileFormat === "claude" ? "text" : "input_text";
 
-            // 텍스트 메시지 추가
-            if (messageContent || aiFiles.length === 0) {
-              const textContent = messageContent || "안녕하세요!";
-              messages.push({
-                role: "user",
-                content: textContent,
-              });
-            }
+          // 현재 질문 구성 (파일이 있는 경우 multimodal content)
+          let currentContent = messageContent || "안녕하세요!";
 
-            // 파일이 있는 경우 multimodal 메시지로 구성
-            if (aiFiles.length > 0) {
-              const content = [];
-
-              const textType = provider === "claude" ? "text" : "input_text";
-              if (messageContent) {
-                content.push({
-                  type: textType,
-                  text: messageContent,
-                });
-              } else {
-                content.push({
-                  type: textType,
-                  text: "첨부된 파일을 분석해주세요.",
-                });
-              }
-
-              aiFiles.forEach((file) => {
-                content.push(file.apiObject);
-              });
-
-              messages = [
-                {
-                  role: "user",
-                  content: content,
-                },
-              ];
-            }
-
-            // 🎯 Claude만 스트리밍 사용
-            if (provider === "claude") {
-              setIsStreaming(true);
-
-              const aiResponse = await generateClaudeResponseStream(
-                messages,
-                selectedModel,
-                (partialText) => {
-                  if (onStreamUpdate) {
-                    onStreamUpdate(partialText);
-                  }
-                }
-              );
+          if (aiFiles.length > 0) {
+            currentContent = [
+              {
+                type: textType,
+                text: messageContent || "첨부된 파일을 분석해주세요.",
+              },
+              ...aiFiles.map((file) => file.apiObject),
+            ];
+          }
 
-              if (aiResponse) {
-                await onSend(aiResponse, "ai", [], true);
-              }
+          // 채팅방의 최근 대화를 history로 붙여 멀티턴 맥락 유지
+          const history = buildConversationHistory(roomMessages);
+          const messages = appendUserTurn(history, currentContent, textType);
 
-              setIsStreaming(false);
-            } else {
-              // OpenAI는 기존 방식 (스트리밍 X)
-              const aiResponse = await generateResponse(messages, selectedModel);
-              if (aiResponse) {
-                await onSend(aiResponse, "ai", [], true);
-              }
-            }
-          } catch (error) {
-            console.error("AI 응답 생성 중 오류:", error);
-            setIsStreaming(false);
-            await onSend(
-              "죄송합니다. AI 응답을 생성하는 중 오류가 발생했습니다.",
-              "ai",
-              [],
-              true
-            );
-          }
+          // 🎯 응답 생성/중지/재시도는 상위(useAIResponse)에서 처리
+          await onAskAI(messages, selectedModel);
         } else {
           // 일반 모드: 사용자 메시지만 보내기
-          await onSend(messageContent, "user", uploadedFiles, false);
+          await onSend(messageContent, "user", uploadedFiles, false, mentions);
         }
 
         // 전송 완료 후 초기화
@@ -153,7 +122,6 @@ const MessageInput = ({
         }
       } catch (error) {
         console.error("메시지 전송 중 오류:", error);
-        setIsStreaming(false);
       }
     }
   };
@@ -167,6 +135,8 @@ const MessageInput = ({
 
   const handleChange = (e) => {
     setMessage(e.target.value);
+    mention.updateQuery(e.target.value, e.target.selectionStart);
+    onTyping?.(!!e.target.value.trim());
 
     if (textareaRef.current) {
       textareaRef.current.style.height = "auto";
@@ -193,21 +163,31 @@ const MessageInput = ({
       <form onSubmit={handleSubmit}>
         <Flex gap="2" align="start">
           <div className="flex-1 relative">
+            <MentionSuggestions
+              candidates={mention.candidates}
+              activeIndex={mention.activeIndex}
+              onSelect={mention.selectCandidate}
+            />
             <textarea
               ref={textareaRef}
               value={message}
               onChange={handleChange}
+              onKeyDown={mention.handleKeyDown}
               onKeyPress={handleKeyPress}
+              onSelect={(e) =>
+                mention.updateQuery(e.target.value, e.target.selectionStart)
+              }
+              onBlur={mention.close}
               placeholder={
-                isStreaming
+                isGenerating
                   ? "AI가 답변 중입니다..."
                   : isAiMode
                   ? fileUpload.hasAIAnalyzableFiles()
                     ? "AI가 첨부된 파일을 분석하여 답변합니다..."
                     : "AI에게 질문하세요... (파일 첨부 가능)"
-                  : "메시지를 입력하세요... (파일 첨부 가능)"
+                  : "메시지를 입력하세요... (@로 멤버 멘션, 파일 첨부 가능)"
               }
-              disabled={disabled || fileUpload.uploading || isStreaming}
+              disabled={disabled || fileUpload.uploading || isGenerating}
               rows={1}
               className="w-full resize-none border border-gray-200 rounded-lg px-4 py-2.5 pr-12 focus:outline-none focus:ring-1 focus:ring-blue-400 focus:border-blue-400 disabled:opacity-50 disabled:cursor-not-allowed max-h-36 transition-all"
               style={{ minHeight: "44px", lineHeight: "1.5" }}
@@ -238,7 +218,7 @@ const MessageInput = ({
                     const input = document.querySelector('input[type="file"]');
                     input?.click();
                   }}
-                  disabled={disabled || fileUpload.uploading || isStreaming}
+                  disabled={disabled || fileUpload.uploading || isGenerating}
                   className="h-8 w-8 p-0 hover:bg-gray-100 rounded-md"
                 >
                   📎
@@ -252,7 +232,7 @@ const MessageInput = ({
             <AIModelSelector
               value={selectedModel}
               onChange={setSelectedModel}
-              disabled={disabled || fileUpload.uploading || isStreaming}
+              disabled={disabled || fileUpload.uploading || isGenerating}
             />
           )}
 
@@ -262,7 +242,7 @@ const MessageInput = ({
               variant={isAiMode ? "default" : "outline"}
               size="lg"
               onClick={() => setIsAiMode(!isAiMode)}
-              disabled={disabled || fileUpload.uploading || isStreaming}
+              disabled={disabled || fileUpload.uploading || isGenerating}
               aria-label={isAiMode ? "AI 모드 비활성화" : "AI 모드 활성화"}
               className={`h-11 shrink-0 ${
                 isAiMode ? "bg-purple-500 hover:bg-purple-600" : ""
@@ -272,29 +252,38 @@ const MessageInput = ({
             </Button>
           </Tooltip>
 
-          <Button
-            type="submit"
-            disabled={
-              disabled ||
-              fileUpload.uploading ||
-              isStreaming ||
-              (!message.trim() && !fileUpload.hasFiles)
-            }
-            variant="default"
-            size="lg"
-            className="h-11 shrink-0"
-          >
-            {isStreaming
-              ? "답변 중..."
-              : fileUpload.uploading
-              ? "업로드 중..."
-              : "전송"}
-          </Button>
+          {/* 답변 생성 중에는 전송 대신 중지 버튼 */}
+          {isGenerating ? (
+            <Button
+              type="button"
+              variant="destructive"
+              size="lg"
+              onClick={onStopAI}
+              aria-label="AI 응답 중지"
+              className="h-11 shrink-0"
+            >
+              ⏹ 중지
+            </Button>
+          ) : (
+            <Button
+              type="submit"
+              disabled={
+                disabled ||
+                fileUpload.uploading ||
+                (!message.trim() && !fileUpload.hasFiles)
+              }
+              variant="default"
+              size="lg"
+              className="h-11 shrink-0"
+            >
+              {fileUpload.uploading ? "업로드 중..." : "전송"}
+            </Button>
+          )}
         </Flex>
       </form>
       <Flex justify="start" align="center" mt="-1">
         <Text size="1" color="gray">
-          {isStreaming
+          {isGenerating
             ? "🤖 AI가 답변을 작성하고 있습니다..."
             : fileUpload.uploading
             ? `📎 파일 업로드 중... (${
@@ -1,9 +1,65 @@
-import { Avatar, Badge } from '../ui'
+import { useState } from 'react'
+import {
+    Avatar,
+    Badge,
+    Button,
+    DropdownMenu,
+    DropdownMenuContent,
+    DropdownMenuItem,
+    DropdownMenuLabel,
+    DropdownMenuSeparator,
+    DropdownMenuTrigger,
+    Textarea
+} from '../ui'
 import FileMessage from './FileMessage'
+import MessageEditHistoryDialog from './MessageEditHistoryDialog'
+import MessageReactions, { ReactionPicker } from './MessageReactions'
+import MessageReadReceipts from './MessageReadReceipts'
 import MeetingMessageCard from '../meeting/MeetingMessageCard'
+import MeetingNotesMessageCard from '../meeting/MeetingNotesMessageCard'
 import MessageDisplay from './MessageDisplay' // 👈 추가!
+import MessageCitations from './MessageCitations'
+import AIActionCard from './AIActionCard'
+import { getAIProviders, getAIModel } from '../../lib/aiProviders'
+import { isMentioned, splitMentionSegments } from '../../utils/mentions'
+
+// @멘션 하이라이트 (나를 멘션하면 강조)
+const MentionText = ({ content, mentions, currentUserId, isOwnMessage }) =>
+    splitMentionSegments(content, mentions).map((segment, index) => {
+        if (!segment.mention) return <span key={index}>{segment.text}</span>
+
+        const className = segment.mention.user_id === currentUserId
+            ? 'rounded px-0.5 bg-yellow-200 text-yellow-900 font-semibold'
+            : isOwnMessage
+                ? 'font-semibold underline'
+                : 'font-medium text-blue-600'
+
+        return (
+            <span key={index} className={className}>
+                {segment.text}
+            </span>
+        )
+    })
+
+const MessageItem = ({
+    message,
+    isOwnMessage,
+    currentUserId,
+    showSender,
+    showTime,
+    onRegenerate,
+    onOpenThread,
+    onEdit, // (messageId, content) => Promise
+    onDelete, // (messageId) => Promise
+    canModerate, // 워크스페이스 관리자: 다른 사람 메시지도 삭제 가능
+    onToggleReaction, // (message, emoji) => Promise
+    readers // 내 메시지를 읽은 멤버 (읽음 표시를 쓰지 않는 채팅방은 null)
+}) => {
+    const [isEditing, setIsEditing] = useState(false)
+    const [editContent, setEditContent] = useState('')
+    const [savingEdit, setSavingEdit] = useState(false)
+    const [showEditHistory, setShowEditHistory] = useState(false)
 
-const MessageItem = ({ message, isOwnMessage, showSender, showTime }) => {
     const formatTime = (timestamp) => {
         const date = new Date(timestamp)
         const now = new Date()
@@ -32,6 +88,148 @@ const MessageItem = ({ message, isOwnMessage, showSender, showTime }) => {
         })
     }
 
+    // 스레드: 답글은 원본 스레드로 이동, 원본 메시지는 답글 수 표시 (스레드 패널 안에서는 onOpenThread 없음)
+    const isReply = !!message.parent_message_id
+    const canOpenThread = onOpenThread && !message._isOptimistic
+
+    // 수정/삭제 권한 (수정은 자신의 텍스트 메시지만, 삭제는 자신의 메시지 또는 관리자)
+    const isDeleted = !!message.deleted_at
+    const canEdit = onEdit && isOwnMessage && message.message_type === 'user' &&
+        !message._isOptimistic && !isDeleted && !!message.content?.trim()
+    const canDelete = onDelete && !message._isOptimistic && !isDeleted &&
+        message.message_type !== 'system' && (isOwnMessage || canModerate)
+
+    const handleStartEdit = () => {
+        setEditContent(message.content)
+        setIsEditing(true)
+    }
+
+    const handleSaveEdit = async () => {
+        if (!editContent.trim() || savingEdit) return
+
+        setSavingEdit(true)
+        try {
+            await onEdit(message.id, editContent)
+            setIsEditing(false)
+        } catch (error) {
+            console.error('Error editing message:', error)
+            alert(`메시지를 수정할 수 없습니다: ${error.message}`)
+        } finally {
+            setSavingEdit(false)
+        }
+    }
+
+    const handleEditKeyDown = (e) => {
+        if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+            e.preventDefault()
+            handleSaveEdit()
+        } else if (e.key === 'Escape') {
+            setIsEditing(false)
+        }
+    }
+
+    const handleDelete = async () => {
+        const confirmMessage = isOwnMessage
+            ? '이 메시지를 삭제하시겠습니까?'
+            : '관리자 권한으로 이 메시지를 삭제하시겠습니까?'
+        if (!window.confirm(confirmMessage)) return
+
+        try {
+            await onDelete(message.id)
+        } catch (error) {
+            console.error('Error deleting message:', error)
+            alert(`메시지를 삭제할 수 없습니다: ${error.message}`)
+        }
+    }
+
+    // 💬 스레드 답글 수 / 답글 달기
+    const threadLink = !isReply && canOpenThread && (
+        message.reply_count > 0 ? (
+            <button
+                type="button"
+                onClick={() => onOpenThread(message.id)}
+                className="text-xs font-medium text-blue-600 hover:underline px-1"
+            >
+                💬 답글 {message.reply_count}개
+                {message.last_reply_at && (
+                    <span className="font-normal text-gray-400"> · 마지막 답글 {formatTime(message.last_reply_at)}</span>
+                )}
+            </button>
+        ) : !isDeleted && (
+            <button
+                type="button"
+                onClick={() => onOpenThread(message.id)}
+                className="text-xs text-gray-400 hover:text-blue-600 px-1 opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity"
+            >
+                💬 답글 달기
+            </button>
+        )
+    )
+
+    // 😀 이모지 반응 (전송 중/삭제된 메시지 제외)
+    const canReact = onToggleReaction && !message._isOptimistic && !isDeleted
+    const handleToggleReaction = (emoji) => onToggleReaction(message, emoji)
+    const reactionPicker = canReact && !isEditing && (
+        <ReactionPicker onSelect={handleToggleReaction} align={isOwnMessage ? 'end' : 'start'} />
+    )
+
+    // 👀 읽음 표시 (내 메시지)
+    const readReceipts = isOwnMessage && !isDeleted && readers?.length > 0 && (
+        <MessageReadReceipts readers={readers} align="end" />
+    )
+
+    // ⋯ 수정/삭제 메뉴
+    const messageMenu = (canEdit || canDelete) && !isEditing && (
+        <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+                <button
+                    type="button"
+                    aria-label="메시지 메뉴"
+                    className="text-sm leading-none text-gray-400 hover:text-gray-700 px-1 opacity-0 group-hover:opacity-100 focus:opacity-100 data-[state=open]:opacity-100 transition-opacity"
+                >
+                    ⋯
+                </button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align={isOwnMessage ? 'end' : 'start'}>
+                {canEdit && (
+                    <DropdownMenuItem onSelect={handleStartEdit}>
+                        ✏️ 수정
+                    </DropdownMenuItem>
+                )}
+                {canDelete && (
+                    <DropdownMenuItem onSelect={handleDelete} className="text-red-600">
+                        🗑️ {isOwnMessage ? '삭제' : '삭제 (관리자)'}
+                    </DropdownMenuItem>
+                )}
+            </DropdownMenuContent>
+        </DropdownMenu>
+    )
+
+    // 🗑️ 삭제된 메시지 (스레드 답글 수는 유지)
+    if (isDeleted) {
+        const deletedByModerator = message.deleted_by && message.deleted_by !== message.sender_id
+
+        return (
+            <div className={`flex ${isOwnMessage ? 'justify-end' : 'justify-start'}`}>
+                <div className={`flex flex-col ${isOwnMessage ? 'items-end' : 'items-start pl-10'} gap-1 max-w-[75%]`}>
+                    <div className="flex items-end gap-1.5">
+                        <div className="px-3 py-1.5 rounded-lg border border-dashed border-gray-300 text-gray-400">
+                            <p className="text-sm italic">
+                                {deletedByModerator ? '관리자가 삭제한 메시지입니다' : '삭제된 메시지입니다'}
+                            </p>
+                        </div>
+                        {showTime && (
+                            <p className="text-xs text-gray-400 whitespace-nowrap pb-0.5">
+                                {formatTime(message.created_at)}
+                            </p>
+                        )}
+                    </div>
+                    {threadLink}
+                </div>
+            </div>
+        )
+    }
+
     if (message.message_type === 'system') {
         return (
             <div className="flex justify-center">
@@ -91,15 +289,56 @@ const MessageItem = ({ message, isOwnMessage, showSender, showTime }) => {
         }
     }
 
+    // 자동 생성 회의록 공유 메시지 처리 (AI가 보낸 메시지)
+    if (message.message_type === 'meeting_notes') {
+        try {
+            const notesData = JSON.parse(message.content)
+            return (
+                <div className="flex justify-start">
+                    <div className="flex flex-col items-start gap-1 max-w-[95%]">
+                        {showSender && (
+                            <p className="text-xs text-gray-500">AXTI</p>
+                        )}
+
+                        <MeetingNotesMessageCard
+                            notesData={notesData}
+                            workspaceId={message.workspace_id}
+                            chatRoomId={message.chat_room_id}
+                        />
+
+                        {showTime && (
+                            <p className="text-xs text-gray-500">
+                                {formatTime(message.created_at)}
+                            </p>
+                        )}
+                    </div>
+                </div>
+            )
+        } catch (error) {
+            console.error('Error parsing meeting notes data:', error)
+            return (
+                <div className="flex justify-center">
+                    <Badge variant="secondary" className="text-xs text-red-600">
+                        회의록 정보를 불러올 수 없습니다
+                    </Badge>
+                </div>
+            )
+        }
+    }
+
     // AI 메시지 처리
     const isAiMessage = message.message_type === 'ai'
+    const usedModel = isAiMessage ? getAIModel(message.metadata?.model) : null
 
     // 파일 첨부 여부 확인
     const hasFiles = message.has_files && message.files && message.files.length > 0
     const hasTextContent = message.content && message.content.trim()
 
+    // 나를 멘션한 메시지 강조
+    const mentionsMe = !isOwnMessage && isMentioned(message, currentUserId)
+
     return (
-        <div className={`flex ${isOwnMessage ? 'justify-end' : 'justify-start'}`}>
+        <div className={`group flex ${isOwnMessage ? 'justify-end' : 'justify-start'}`}>
             <div
                 className={`flex ${isOwnMessage ? 'flex-row-reverse' : 'flex-row'} gap-2 max-w-[75%]`}
             >
@@ -136,10 +375,40 @@ const MessageItem = ({ message, isOwnMessage, showSender, showTime }) => {
                         </p>
                     )}
 
+                    {/* 🧵 채팅방에도 보낸 스레드 답글 */}
+                    {isReply && canOpenThread && (
+                        <button
+                            type="button"
+                            onClick={() => onOpenThread(message.parent_message_id)}
+                            className="text-xs text-gray-400 hover:text-blue-600 px-1"
+                        >
+                            🧵 스레드 답글 · 스레드 보기
+                        </button>
+                    )}
+
                     {/* 메시지 내용 영역 */}
                     <div className="message-content">
-                        {/* 텍스트 메시지 */}
-                        {hasTextContent && (
+                        {/* ✏️ 메시지 수정 */}
+                        {isEditing ? (
+                            <div className="flex flex-col gap-1.5 w-72 max-w-full">
+                                <Textarea
+                                    value={editContent}
+                                    onChange={(e) => setEditContent(e.target.value)}
+                                    onKeyDown={handleEditKeyDown}
+                                    rows={2}
+                                    autoFocus
+                                    disabled={savingEdit}
+                                />
+                                <div className="flex justify-end gap-1.5">
+                                    <Button size="sm" variant="ghost" onClick={() => setIsEditing(false)} disabled={savingEdit}>
+                                        취소
+                                    </Button>
+                                    <Button size="sm" onClick={handleSaveEdit} disabled={savingEdit || !editContent.trim()}>
+                                        저장
+                                    </Button>
+                                </div>
+                            </div>
+                        ) : hasTextContent && (
                             <div className="flex items-end gap-1.5">
                                 <div
                                     className={`px-3 py-1.5 rounded-lg break-words ${
@@ -150,7 +419,7 @@ const MessageItem = ({ message, isOwnMessage, showSender, showTime }) => {
                                                     ? 'bg-blue-400 text-white opacity-75'
                                                     : 'bg-blue-500 text-white'
                                                 : 'bg-gray-100 text-gray-900'
-                                    } ${hasFiles ? 'mb-2' : ''}`}
+                                    } ${hasFiles ? 'mb-2' : ''} ${mentionsMe ? 'ring-2 ring-yellow-300' : ''}`}
                                 >
                                     {/* 🎯 AI 메시지는 마크다운 렌더링 */}
                                     {isAiMessage ? (
@@ -161,12 +430,29 @@ const MessageItem = ({ message, isOwnMessage, showSender, showTime }) => {
                                             }}
                                         />
                                     ) : (
-                                        <p className="text-sm">{message.content}</p>
+                                        <p className="text-sm">
+                                            <MentionText
+                                                content={message.content}
+                                                mentions={message.mentions}
+                                                currentUserId={currentUserId}
+                                                isOwnMessage={isOwnMessage}
+                                            />
+                                        </p>
                                     )}
                                 </div>
                                 {showTime && (
                                     <p className="text-xs text-gray-400 whitespace-nowrap pb-0.5">
                                         {formatTime(message.created_at)}
+                                        {message.edited_at && (
+                                            <button
+                                                type="button"
+                                                onClick={() => setShowEditHistory(true)}
+                                                className="ml-1 hover:underline"
+                                                title="수정 기록 보기"
+                                            >
+                                                (수정됨)
+                                            </button>
+                                        )}
                                     </p>
                                 )}
                             </div>
@@ -202,8 +488,85 @@ const MessageItem = ({ message, isOwnMessage, showSender, showTime }) => {
                             </div>
                         )}
                     </div>
+
+                    {/* 😀 이모지 반응 */}
+                    <MessageReactions
+                        reactions={message.reactions}
+                        currentUserId={currentUserId}
+                        onToggle={canReact ? handleToggleReaction : null}
+                        align={isOwnMessage ? 'end' : 'start'}
+                    />
+
+                    {/* 👀 읽음 / 💬 스레드 / 😀 반응 추가 / ⋯ 수정·삭제 메뉴 */}
+                    {(readReceipts || threadLink || reactionPicker || messageMenu) && (
+                        <div className={`flex items-center gap-1 ${isOwnMessage ? 'flex-row-reverse' : ''}`}>
+                            {readReceipts}
+                            {threadLink}
+                            {reactionPicker}
+                            {messageMenu}
+                        </div>
+                    )}
+
+                    {/* 📚 AI 답변 출처 (웹 검색 / 워크스페이스 파일) */}
+                    {isAiMessage && (
+                        <MessageCitations citations={message.metadata?.citations} />
+                    )}
+
+                    {/* ✅ AI가 제안한 작업 확인 카드 (태스크/회의 생성) */}
+                    {isAiMessage && message.metadata?.actions?.map((action) => (
+                        <AIActionCard
+                            key={action.id}
+                            action={action}
+                            message={message}
+                            currentUserId={currentUserId}
+                        />
+                    ))}
+
+                    {/* 🔁 AI 답변 다시 생성 (다른 모델 선택 가능) */}
+                    {isAiMessage && onRegenerate && !message._isOptimistic && (
+                        <DropdownMenu>
+                            <DropdownMenuTrigger asChild>
+                                <button
+                                    type="button"
+                                    className="text-xs text-gray-400 hover:text-purple-600 px-1"
+                                >
+                                    🔁 다시 생성
+                                    {usedModel && ` · ${usedModel.label}`}
+                                </button>
+                            </DropdownMenuTrigger>
+                            <DropdownMenuContent align="start" className="w-56">
+                                <DropdownMenuItem onSelect={() => onRegenerate(message)}>
+                                    같은 모델로 다시 생성
+                                </DropdownMenuItem>
+                                {getAIProviders().map((provider) => (
+                                    <div key={provider.id}>
+                                        <DropdownMenuSeparator />
+                                        <DropdownMenuLabel className="text-xs text-gray-500">
+                                            {provider.label}
+                                        </DropdownMenuLabel>
+                                        {provider.models.map((model) => (
+                                            <DropdownMenuItem
+                                                key={model.value}
+                                                onSelect={() => onRegenerate(message, model.value)}
+                                            >
+                                                {model.label}
+                                            </DropdownMenuItem>
+                                        ))}
+                                    </div>
+                                ))}
+                            </DropdownMenuContent>
+                        </DropdownMenu>
+                    )}
                 </div>
             </div>
+
+            {message.edited_at && (
+                <MessageEditHistoryDialog
+                    open={showEditHistory}
+                    onOpenChange={setShowEditHistory}
+                    message={message}
+                />
+            )}
         </div>
     )
 }
@@ -3,8 +3,22 @@ import { Flex, Text } from '@radix-ui/themes'
 import { ScrollArea, Avatar } from '../ui'
 import MessageItem from './MessageItem'
 import MessageDisplay from './MessageDisplay'
+import { formatTypingUsers } from '../../utils/presence'
 
-const MessageList = ({ messages, currentUserId, streamingContent, isStreaming, hasMoreMessages, loadingMore, loadMoreMessages }) => {
+// 도구 호출 진행 상황 표시 문구
+const TOOL_PROGRESS_LABELS = {
+    web_search: '🔎 웹 검색 중...',
+    file_search: '📂 워크스페이스 파일 검색 중...',
+    list_my_tasks: '📋 태스크 조회 중...',
+    search_messages: '💬 메시지 검색 중...',
+    create_task: '📝 태스크 준비 중...',
+    create_meeting: '📅 회의 준비 중...'
+}
+
+// 화면에 보인 메시지를 모아 읽음 처리하기까지 기다리는 시간
+const READ_MARK_DELAY_MS = 500
+
+const MessageList = ({ messages, currentUserId, streamingContent, isStreaming, streamingProgress, retryStatus, onRegenerate, onOpenThread, onEditMessage, onDeleteMessage, canModerate, onToggleReaction, hasMoreMessages, loadingMore, loadMoreMessages, highlightMessageId, hasNewerMessages, onJumpToLatest, typingUsers = [], onMessagesSeen, getReaders }) => {
     const messagesEndRef = useRef(null)
     const scrollViewportRef = useRef(null)
     const [isAtBottom, setIsAtBottom] = useState(true)
@@ -12,6 +26,8 @@ const MessageList = ({ messages, currentUserId, streamingContent, isStreaming, h
     const previousScrollHeightRef = useRef(0)
     const isInitialLoadRef = useRef(true)
     const lastMessageIdRef = useRef(null) // 마지막 메시지 ID 추적 (새 메시지 감지용)
+    const initialScrollTimerRef = useRef(null) // 초기 하단 스크롤 타이머 (검색 결과로 이동하면 취소)
+    const scrolledHighlightIdRef = useRef(null) // 이미 스크롤한 검색 결과 메시지
 
     // 스크롤 핸들러 (상단 도달 시 과거 메시지 로드)
     const handleScroll = (e) => {
@@ -56,7 +72,7 @@ const MessageList = ({ messages, currentUserId, streamingContent, isStreaming, h
             lastMessageIdRef.current = currentLastMessage?.id
             
             // 초기 로드 시에는 즉시 하단으로 스크롤
-            setTimeout(() => {
+            initialScrollTimerRef.current = setTimeout(() => {
                 const scrollViewport = scrollViewportRef.current
                 if (scrollViewport) {
                     scrollViewport.scrollTop = scrollViewport.scrollHeight
@@ -77,8 +93,8 @@ const MessageList = ({ messages, currentUserId, streamingContent, isStreaming, h
             return
         }
         
-        // 초기 로드는 건너뜀
-        if (isInitialLoadRef.current) {
+        // 초기 로드, 검색 결과로 이동한 과거 구간은 건너뜀
+        if (isInitialLoadRef.current || hasNewerMessages) {
             lastMessageIdRef.current = currentLastMessageId
             return
         }
@@ -92,7 +108,63 @@ const MessageList = ({ messages, currentUserId, streamingContent, isStreaming, h
             
             lastMessageIdRef.current = currentLastMessageId
         }
-    }, [messages, streamingContent, isAtBottom, loadingMore])
+    }, [messages, streamingContent, isAtBottom, loadingMore, hasNewerMessages])
+
+    // 🔍 검색 결과 메시지로 스크롤 (메시지가 목록에 들어온 뒤 한 번만)
+    useEffect(() => {
+        if (!highlightMessageId) {
+            scrolledHighlightIdRef.current = null
+            return
+        }
+        if (scrolledHighlightIdRef.current === highlightMessageId) return
+
+        const element = scrollViewportRef.current?.querySelector(`[data-message-id="${highlightMessageId}"]`)
+        if (!element) return
+
+        clearTimeout(initialScrollTimerRef.current)
+        scrolledHighlightIdRef.current = highlightMessageId
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    }, [highlightMessageId, messages])
+
+    // 👀 화면에 보인 가장 최근 메시지까지 읽음 처리 (창이 보일 때만, 잠시 모아서 전달)
+    useEffect(() => {
+        const scrollViewport = scrollViewportRef.current
+        if (!scrollViewport || !onMessagesSeen) return
+
+        const visibleMessages = new Map() // 메시지 ID → created_at
+        let timer = null
+
+        const scheduleMark = () => {
+            clearTimeout(timer)
+            timer = setTimeout(() => {
+                if (document.hidden || visibleMessages.size === 0) return
+
+                const latest = [...visibleMessages.values()].reduce((a, b) => (new Date(a) >= new Date(b) ? a : b))
+                onMessagesSeen(latest)
+            }, READ_MARK_DELAY_MS)
+        }
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach((entry) => {
+                const { messageId, createdAt } = entry.target.dataset
+                if (entry.isIntersecting) {
+                    visibleMessages.set(messageId, createdAt)
+                } else {
+                    visibleMessages.delete(messageId)
+                }
+            })
+            scheduleMark()
+        }, { root: scrollViewport, threshold: 0.1 })
+
+        scrollViewport.querySelectorAll('[data-created-at]').forEach((element) => observer.observe(element))
+        document.addEventListener('visibilitychange', scheduleMark)
+
+        return () => {
+            observer.disconnect()
+            clearTimeout(timer)
+            document.removeEventListener('visibilitychange', scheduleMark)
+        }
+    }, [messages, onMessagesSeen])
 
     // 과거 메시지 로드 후 스크롤 위치 유지
     useEffect(() => {
@@ -165,15 +237,32 @@ const MessageList = ({ messages, currentUserId, streamingContent, isStreaming, h
                     const previousMessage = messages[index - 1]
                     const showSender = !previousMessage || previousMessage.sender_id !== message.sender_id
                     const showTime = true
+                    const isOwnMessage = message.sender_id === currentUserId
 
                     return (
-                        <MessageItem
+                        <div
                             key={message.id}
-                            message={message}
-                            isOwnMessage={message.sender_id === currentUserId}
-                            showSender={showSender}
-                            showTime={showTime}
-                        />
+                            data-message-id={message.id}
+                            data-created-at={message._isOptimistic ? undefined : message.created_at}
+                            className={`rounded-lg transition-colors duration-700 ${
+                                message.id === highlightMessageId ? 'bg-yellow-50 ring-2 ring-yellow-300 dark:bg-yellow-900/20' : ''
+                            }`}
+                        >
+                            <MessageItem
+                                message={message}
+                                isOwnMessage={isOwnMessage}
+                                currentUserId={currentUserId}
+                                showSender={showSender}
+                                showTime={showTime}
+                                onRegenerate={onRegenerate}
+                                onOpenThread={onOpenThread}
+                                onEdit={onEditMessage}
+                                onDelete={onDeleteMessage}
+                                canModerate={canModerate}
+                                onToggleReaction={onToggleReaction}
+                                readers={isOwnMessage && getReaders && !message._isOptimistic ? getReaders(message) : null}
+                            />
+                        </div>
                     )
                 })}
 
@@ -185,6 +274,18 @@ const MessageList = ({ messages, currentUserId, streamingContent, isStreaming, h
                             <div className="flex flex-col gap-1">
                                 <p className="text-xs text-purple-600">AXTI</p>
                                 <div className="px-3 py-2 rounded-lg bg-purple-50 border border-purple-200">
+                                    {/* rate limit / 과부하로 재시도 대기 중 */}
+                                    {retryStatus && (
+                                        <p className="text-xs text-amber-600 mb-1">
+                                            ⏳ 요청이 많아 다시 시도하는 중... ({retryStatus.attempt}/{retryStatus.maxRetries})
+                                        </p>
+                                    )}
+                                    {/* 웹/파일 검색 진행 상황 */}
+                                    {streamingProgress && (
+                                        <p className="text-xs text-purple-500 mb-1 animate-pulse">
+                                            {TOOL_PROGRESS_LABELS[streamingProgress.tool] || '🔧 도구 실행 중...'}
+                                        </p>
+                                    )}
                                     {streamingContent ? (
                                         <>
                                             <MessageDisplay 
@@ -210,6 +311,32 @@ const MessageList = ({ messages, currentUserId, streamingContent, isStreaming, h
                     </div>
                 )}
 
+                {/* ✍️ 다른 사용자 입력 중 표시 */}
+                {typingUsers.length > 0 && (
+                    <div className="flex items-center gap-2 pl-10 text-xs text-gray-500" aria-live="polite">
+                        <span className="flex gap-0.5">
+                            <span className="w-1.5 h-1.5 bg-gray-400 rounded-full animate-bounce"></span>
+                            <span className="w-1.5 h-1.5 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></span>
+                            <span className="w-1.5 h-1.5 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.4s' }}></span>
+                        </span>
+                        {formatTypingUsers(typingUsers)}
+                    </div>
+                )}
+
+                {/* 검색 결과로 이동해 과거 구간을 보는 중 */}
+                {hasNewerMessages && (
+                    <div className="sticky bottom-0 flex justify-center py-2">
+                        <button
+                            type="button"
+                            onClick={onJumpToLatest}
+                            disabled={loadingMore}
+                            className="px-3 py-1.5 rounded-full bg-blue-600 text-white text-xs shadow-md hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            ↓ 최신 메시지로 이동
+                        </button>
+                    </div>
+                )}
+
                 <div ref={messagesEndRef} />
             </Flex>
         </div>
@@ -0,0 +1,96 @@
+import {
+    DropdownMenu,
+    DropdownMenuContent,
+    DropdownMenuItem,
+    DropdownMenuTrigger,
+    Tooltip,
+    TooltipContent,
+    TooltipTrigger
+} from '../ui'
+
+// 반응 선택기에 표시할 이모지
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '😮', '😢', '🙏', '👀', '✅', '🔥']
+
+// 이모지별 반응 묶기 (처음 반응한 순서 유지)
+const groupReactions = (reactions) => {
+    const groups = new Map()
+
+    reactions.forEach((reaction) => {
+        if (!groups.has(reaction.emoji)) {
+            groups.set(reaction.emoji, [])
+        }
+        groups.get(reaction.emoji).push(reaction)
+    })
+
+    return [...groups.entries()].map(([emoji, items]) => ({ emoji, items }))
+}
+
+/**
+ * 메시지 이모지 반응 칩 (이모지별 개수, 마우스를 올리면 반응한 사람 표시)
+ * - 칩을 누르면 같은 이모지로 반응 토글
+ *
+ * @param {Array<{ emoji: string, user_id: string, user_name?: string }>} reactions
+ */
+const MessageReactions = ({ reactions, currentUserId, onToggle, align = 'start' }) => {
+    if (!reactions || reactions.length === 0) return null
+
+    return (
+        <div className={`flex flex-wrap gap-1 px-1 ${align === 'end' ? 'justify-end' : ''}`}>
+            {groupReactions(reactions).map(({ emoji, items }) => {
+                const reactedByMe = items.some((item) => item.user_id === currentUserId)
+                const names = items.map((item) => item.user_id === currentUserId ? '나' : (item.user_name || '알 수 없음'))
+
+                return (
+                    <Tooltip key={emoji}>
+                        <TooltipTrigger asChild>
+                            <button
+                                type="button"
+                                onClick={() => onToggle?.(emoji)}
+                                disabled={!onToggle}
+                                className={`flex items-center gap-1 px-1.5 py-0.5 rounded-full border text-xs transition-colors ${
+                                    reactedByMe
+                                        ? 'bg-blue-50 border-blue-300 text-blue-700'
+                                        : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
+                                }`}
+                            >
+                                <span>{emoji}</span>
+                                <span>{items.length}</span>
+                            </button>
+                        </TooltipTrigger>
+                        <TooltipContent>
+                            {names.join(', ')}님이 {emoji} 반응
+                        </TooltipContent>
+                    </Tooltip>
+                )
+            })}
+        </div>
+    )
+}
+
+// 반응 추가 버튼 (이모지 선택기)
+export const ReactionPicker = ({ onSelect, align = 'start' }) => (
+    <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+            <button
+                type="button"
+                aria-label="반응 추가"
+                className="text-xs text-gray-400 hover:text-gray-700 px-1 opacity-0 group-hover:opacity-100 focus:opacity-100 data-[state=open]:opacity-100 transition-opacity"
+            >
+                😀+
+            </button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align={align} className="grid grid-cols-5 gap-1 p-2 w-auto">
+            {REACTION_EMOJIS.map((emoji) => (
+                <DropdownMenuItem
+                    key={emoji}
+                    onSelect={() => onSelect(emoji)}
+                    className="justify-center text-lg px-2"
+                >
+                    {emoji}
+                </DropdownMenuItem>
+            ))}
+        </DropdownMenuContent>
+    </DropdownMenu>
+)
+
+export default MessageReactions
@@ -0,0 +1,37 @@
+import { Popover, PopoverContent, PopoverTrigger } from '../ui/popover'
+
+/**
+ * 내 메시지의 읽음 표시 ("읽음 N", 누르면 읽은 사람 목록)
+ * - 읽은 사람이 없으면 표시하지 않음
+ *
+ * @param {Array<{ user_id: string, user_name: string }>} readers - 메시지를 읽은 멤버
+ */
+const MessageReadReceipts = ({ readers, align = 'end' }) => {
+    if (!readers || readers.length === 0) return null
+
+    return (
+        <Popover>
+            <PopoverTrigger asChild>
+                <button
+                    type="button"
+                    aria-label={`${readers.length}명 읽음, 읽은 사람 보기`}
+                    className="text-xs text-gray-400 hover:text-blue-600 px-1"
+                >
+                    읽음 {readers.length}
+                </button>
+            </PopoverTrigger>
+            <PopoverContent align={align} className="w-48 p-2">
+                <p className="px-1 pb-1 text-xs font-medium text-gray-500">읽은 사람 {readers.length}명</p>
+                <ul className="max-h-48 overflow-y-auto">
+                    {readers.map((reader) => (
+                        <li key={reader.user_id} className="px-1 py-0.5 text-sm truncate">
+                            {reader.user_name}
+                        </li>
+                    ))}
+                </ul>
+            </PopoverContent>
+        </Popover>
+    )
+}
+
+export default MessageReadReceipts
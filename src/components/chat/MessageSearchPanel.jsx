@@ -0,0 +1,329 @@
+/**
+ * MessageSearchPanel.jsx
+ *
+ * 워크스페이스 채팅 메시지 검색 사이드 패널
+ * - 모든 채팅방의 메시지 전문 검색 (입력을 멈추면 자동 검색)
+ * - 채팅방, 보낸 사람, 날짜 범위, 첨부 파일 필터
+ * - 일치 위치 주변 미리보기를 하이라이트, 선택하면 해당 메시지로 이동
+ * - 검색어/필터는 상위(ChatSidebar)에서 관리 → 다른 채팅방으로 이동해도 유지
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import {
+  Button,
+  Input,
+  Label,
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '../ui'
+import { Loader2, Paperclip, Search, X } from 'lucide-react'
+import { supabase } from '../../lib/supabase'
+import { useMessageSearch } from '../../hooks/useMessageSearch'
+import { highlightSegments, splitSearchTerms, toDateRange } from '../../utils/searchHighlight'
+
+const PAGE_SIZE = 20
+const SEARCH_DEBOUNCE_MS = 300
+const ALL = 'all'
+
+const EMPTY_FILTERS = {
+  chatRoomId: ALL,
+  senderId: ALL,
+  fromDate: '',
+  toDate: '',
+  hasFiles: ALL
+}
+
+const HAS_FILES_OPTIONS = {
+  [ALL]: null,
+  with: true,
+  without: false
+}
+
+const Highlighted = ({ text, terms }) =>
+  highlightSegments(text, terms).map((segment, index) =>
+    segment.match ? (
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-700 rounded-sm px-0.5">
+        {segment.text}
+      </mark>
+    ) : (
+      <span key={index}>{segment.text}</span>
+    )
+  )
+
+const MessageSearchPanel = ({
+  workspaceId,
+  query = '',
+  onQueryChange,
+  filters = EMPTY_FILTERS,
+  onFiltersChange,
+  onSelectResult,
+  onClose
+}) => {
+  const [chatRooms, setChatRooms] = useState([])
+  const [members, setMembers] = useState([])
+  const [results, setResults] = useState([])
+  const [total, setTotal] = useState(0)
+  const [searchedTerms, setSearchedTerms] = useState([])
+  // 검색 조건이 바뀔 때마다 증가 (더 불러오기 응답이 이전 검색 것인지 확인)
+  const searchIdRef = useRef(0)
+
+  const { loading, error, searchMessages } = useMessageSearch(workspaceId)
+
+  const hasFilters = Object.keys(EMPTY_FILTERS).some(
+    (key) => filters[key] !== EMPTY_FILTERS[key]
+  )
+  const hasCriteria = !!query.trim() || hasFilters
+
+  // 필터 선택지 (채팅방, 워크스페이스 멤버)
+  useEffect(() => {
+    if (!workspaceId) return
+
+    const fetchFilterOptions = async () => {
+      const [roomsResult, membersResult] = await Promise.all([
+        supabase
+          .from('chat_rooms')
+          .select('id, name')
+          .eq('workspace_id', workspaceId)
+          .eq('is_active', true)
+          .order('created_at', { ascending: true }),
+        supabase
+          .from('workspace_members')
+          .select(`
+            user_id,
+            users:user_id (
+              user_id,
+              user_name,
+              email
+            )
+          `)
+          .eq('workspace_id', workspaceId)
+      ])
+
+      if (roomsResult.error) console.error('채팅방 조회 오류:', roomsResult.error)
+      if (membersResult.error) console.error('멤버 조회 오류:', membersResult.error)
+
+      setChatRooms(roomsResult.data || [])
+      setMembers((membersResult.data || []).map((member) => member.users).filter((user) => user?.user_id))
+    }
+
+    fetchFilterOptions()
+  }, [workspaceId])
+
+  // 검색 조건 (첫 페이지부터)
+  const buildSearchOptions = (offset) => ({
+    query,
+    chatRoomId: filters.chatRoomId === ALL ? null : filters.chatRoomId,
+    senderId: filters.senderId === ALL ? null : filters.senderId,
+    ...toDateRange(filters.fromDate, filters.toDate),
+    hasFiles: HAS_FILES_OPTIONS[filters.hasFiles],
+    limit: PAGE_SIZE,
+    offset
+  })
+
+  // 검색어/필터가 바뀌면 잠시 기다렸다가 다시 검색 (조건이 없으면 검색하지 않음)
+  useEffect(() => {
+    searchIdRef.current += 1
+
+    if (!hasCriteria) {
+      setResults([])
+      setTotal(0)
+      return
+    }
+
+    // 검색 조건이 바뀐 뒤 늦게 도착한 이전 응답은 무시
+    let cancelled = false
+
+    const timer = setTimeout(() => {
+      searchMessages(buildSearchOptions(0))
+        .then(({ results: found, total: count }) => {
+          if (cancelled) return
+          setResults(found)
+          setTotal(count)
+          setSearchedTerms(splitSearchTerms(query))
+        })
+        .catch(() => {
+          if (cancelled) return
+          setResults([])
+          setTotal(0)
+        })
+    }, SEARCH_DEBOUNCE_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+    // buildSearchOptions는 query/filters로만 결정됨
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [query, filters, hasCriteria, searchMessages])
+
+  const handleLoadMore = async () => {
+    const searchId = searchIdRef.current
+
+    try {
+      const { results: found } = await searchMessages(buildSearchOptions(results.length))
+      // 더 불러오는 동안 검색 조건이 바뀌었으면 반영하지 않음
+      if (searchId !== searchIdRef.current) return
+      setResults((prev) => [...prev, ...found])
+    } catch (err) {
+      if (searchId !== searchIdRef.current) return
+      console.error('메시지 검색 더 보기 오류:', err)
+    }
+  }
+
+  const updateFilter = (changes) => onFiltersChange({ ...filters, ...changes })
+
+  return (
+    <aside className="w-96 max-w-full flex flex-col border-l bg-white dark:bg-gray-900">
+      <div className="flex items-center justify-between px-4 py-3 border-b">
+        <div>
+          <h3 className="font-semibold">🔍 메시지 검색</h3>
+          <p className="text-xs text-gray-500">워크스페이스의 모든 채팅방</p>
+        </div>
+        <Button variant="ghost" size="icon" onClick={onClose} aria-label="메시지 검색 닫기">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+
+      <div className="p-4 space-y-3 border-b">
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <Input
+            value={query}
+            onChange={(e) => onQueryChange(e.target.value)}
+            placeholder="검색어 (여러 단어는 모두 포함)"
+            className="pl-9"
+            autoFocus
+          />
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <div className="space-y-1">
+            <Label>채팅방</Label>
+            <Select value={filters.chatRoomId} onValueChange={(value) => updateFilter({ chatRoomId: value })}>
+              <SelectTrigger className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>전체</SelectItem>
+                {chatRooms.map((room) => (
+                  <SelectItem key={room.id} value={room.id}>
+                    # {room.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label>보낸 사람</Label>
+            <Select value={filters.senderId} onValueChange={(value) => updateFilter({ senderId: value })}>
+              <SelectTrigger className="w-full">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>전체</SelectItem>
+                {members.map((member) => (
+                  <SelectItem key={member.user_id} value={member.user_id}>
+                    {member.user_name || member.email}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="search-messages-from">시작일</Label>
+            <Input
+              id="search-messages-from"
+              type="date"
+              value={filters.fromDate}
+              max={filters.toDate || undefined}
+              onChange={(e) => updateFilter({ fromDate: e.target.value })}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="search-messages-to">종료일</Label>
+            <Input
+              id="search-messages-to"
+              type="date"
+              value={filters.toDate}
+              min={filters.fromDate || undefined}
+              onChange={(e) => updateFilter({ toDate: e.target.value })}
+            />
+          </div>
+        </div>
+
+        <div className="space-y-1">
+          <Label>첨부 파일</Label>
+          <Select value={filters.hasFiles} onValueChange={(value) => updateFilter({ hasFiles: value })}>
+            <SelectTrigger className="w-full">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL}>전체</SelectItem>
+              <SelectItem value="with">첨부 파일 있음</SelectItem>
+              <SelectItem value="without">첨부 파일 없음</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div className="flex items-center justify-between text-sm text-gray-500">
+          <span className="flex items-center gap-2">
+            {loading && <Loader2 className="h-3 w-3 animate-spin" />}
+            {hasCriteria && `메시지 ${total}개`}
+          </span>
+          {hasFilters && (
+            <Button variant="ghost" size="sm" onClick={() => onFiltersChange(EMPTY_FILTERS)}>
+              필터 초기화
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-2">
+        {results.map((result) => (
+          <button
+            key={result.id}
+            type="button"
+            onClick={() => onSelectResult(result)}
+            className="w-full text-left p-3 rounded-lg border hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors"
+          >
+            <div className="flex items-center gap-1 text-xs text-gray-500">
+              <span className="font-medium text-gray-700 dark:text-gray-200">{result.sender_name}</span>
+              <span>· # {result.chat_room_name}</span>
+              {result.parent_message_id && <span>· 🧵 스레드</span>}
+              {result.has_files && <Paperclip className="h-3 w-3" aria-label="첨부 파일" />}
+            </div>
+            {result.snippet && (
+              <p className="text-sm text-gray-700 dark:text-gray-300 mt-1 line-clamp-3 break-words">
+                <Highlighted text={result.snippet} terms={searchedTerms} />
+              </p>
+            )}
+            <div className="text-xs text-gray-400 mt-1">
+              {new Date(result.created_at).toLocaleString('ko-KR')}
+            </div>
+          </button>
+        ))}
+
+        {!loading && results.length === 0 && (
+          <p className="py-6 text-center text-sm text-gray-500">
+            {hasCriteria ? '조건에 맞는 메시지가 없습니다.' : '검색어를 입력하거나 필터를 선택하세요.'}
+          </p>
+        )}
+
+        {results.length < total && (
+          <div className="flex justify-center pt-1">
+            <Button variant="outline" size="sm" onClick={handleLoadMore} disabled={loading}>
+              더 보기 ({results.length}/{total})
+            </Button>
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+    </aside>
+  )
+}
+
+export default MessageSearchPanel
@@ -0,0 +1,23 @@
+import { PRESENCE_LABELS } from '../../utils/presence'
+
+const STATUS_COLORS = {
+    online: 'bg-green-500',
+    away: 'bg-yellow-400',
+    offline: 'bg-gray-300 dark:bg-gray-600'
+}
+
+/**
+ * 아바타 오른쪽 아래 접속 상태 점 (아바타를 relative 요소로 감싸서 사용)
+ *
+ * @param {'online' | 'away' | 'offline'} status
+ */
+const PresenceDot = ({ status = 'offline' }) => (
+    <span
+        role="img"
+        aria-label={PRESENCE_LABELS[status]}
+        title={PRESENCE_LABELS[status]}
+        className={`absolute bottom-0 right-0 block h-3 w-3 rounded-full ring-2 ring-white dark:ring-gray-900 ${STATUS_COLORS[status]}`}
+    />
+)
+
+export default PresenceDot
@@ -0,0 +1,167 @@
+/**
+ * ThreadPanel.jsx
+ *
+ * 메시지 스레드(답글) 사이드 패널
+ * - 원본 메시지와 답글 목록 (스레드 전용 Realtime 구독, 실패 시 폴링)
+ * - 답글 작성, '채팅방에도 보내기' 선택 시 채팅방 목록에도 표시
+ * - 스레드 안 메시지도 수정/삭제 가능 (관리자는 다른 사람 메시지 삭제)
+ * - 답글에서도 @멘션 자동완성
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { Button, Label, Textarea } from '../ui'
+import { Loader2, Send, X } from 'lucide-react'
+import { useThreadMessages } from '../../hooks/useRealtimeChat'
+import useMentionAutocomplete from '../../hooks/useMentionAutocomplete'
+import { collectMentions } from '../../utils/mentions'
+import MessageItem from './MessageItem'
+import MentionSuggestions from './MentionSuggestions'
+
+const ThreadPanel = ({ workspaceId, user, chatRoomId, parentMessageId, canModerate, mentionMembers = [], onClose }) => {
+  const [content, setContent] = useState('')
+  const [alsoSendToRoom, setAlsoSendToRoom] = useState(false)
+  const [sending, setSending] = useState(false)
+  const repliesEndRef = useRef(null)
+  const textareaRef = useRef(null)
+
+  const mention = useMentionAutocomplete(mentionMembers, content, setContent, textareaRef)
+
+  const { parentMessage, replies, loading, error, sendReply, editMessage, deleteMessage, toggleReaction } = useThreadMessages(
+    workspaceId,
+    user,
+    chatRoomId,
+    parentMessageId
+  )
+
+  // 새 답글이 오면 아래로 스크롤
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
+  }, [replies.length])
+
+  const handleSend = async () => {
+    if (!content.trim() || sending) return
+
+    setSending(true)
+    try {
+      await sendReply(content, { alsoSendToRoom, mentions: collectMentions(content, mentionMembers) })
+      setContent('')
+    } finally {
+      setSending(false)
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (mention.handleKeyDown(e)) return
+
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+      e.preventDefault()
+      handleSend()
+    }
+  }
+
+  return (
+    <aside className="w-96 max-w-full flex flex-col border-l bg-white dark:bg-gray-900">
+      <div className="flex items-center justify-between px-4 py-3 border-b">
+        <div>
+          <h3 className="font-semibold">🧵 스레드</h3>
+          <p className="text-xs text-gray-500">답글 {replies.length}개</p>
+        </div>
+        <Button variant="ghost" size="icon" onClick={onClose} aria-label="스레드 닫기">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-3">
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+          </div>
+        ) : (
+          <>
+            {parentMessage && (
+              <div className="pb-3 border-b">
+                <MessageItem
+                  message={parentMessage}
+                  isOwnMessage={parentMessage.sender_id === user?.user_id}
+                  currentUserId={user?.user_id}
+                  showSender
+                  showTime
+                  onEdit={editMessage}
+                  onDelete={deleteMessage}
+                  canModerate={canModerate}
+                  onToggleReaction={toggleReaction}
+                />
+              </div>
+            )}
+
+            {replies.map((reply, index) => (
+              <MessageItem
+                key={reply.id}
+                message={reply}
+                isOwnMessage={reply.sender_id === user?.user_id}
+                currentUserId={user?.user_id}
+                showSender={replies[index - 1]?.sender_id !== reply.sender_id}
+                showTime
+                onEdit={editMessage}
+                onDelete={deleteMessage}
+                canModerate={canModerate}
+                onToggleReaction={toggleReaction}
+              />
+            ))}
+
+            {replies.length === 0 && (
+              <p className="py-4 text-center text-sm text-gray-500">첫 답글을 남겨보세요.</p>
+            )}
+          </>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div ref={repliesEndRef} />
+      </div>
+
+      <div className="border-t p-3 space-y-2">
+        <div className="relative">
+          <MentionSuggestions
+            candidates={mention.candidates}
+            activeIndex={mention.activeIndex}
+            onSelect={mention.selectCandidate}
+          />
+          <Textarea
+            ref={textareaRef}
+            value={content}
+            onChange={(e) => {
+              setContent(e.target.value)
+              mention.updateQuery(e.target.value, e.target.selectionStart)
+            }}
+            onSelect={(e) => mention.updateQuery(e.target.value, e.target.selectionStart)}
+            onBlur={mention.close}
+            onKeyDown={handleKeyDown}
+            placeholder="답글 입력... (@로 멤버 멘션, Shift+Enter 줄바꿈)"
+            rows={2}
+            disabled={loading || !parentMessage}
+          />
+        </div>
+        <div className="flex items-center justify-between gap-2">
+          <div className="flex items-center gap-2">
+            <input
+              id="thread-also-send"
+              type="checkbox"
+              checked={alsoSendToRoom}
+              onChange={(e) => setAlsoSendToRoom(e.target.checked)}
+              className="h-4 w-4"
+            />
+            <Label htmlFor="thread-also-send" className="text-sm font-normal">
+              채팅방에도 보내기
+            </Label>
+          </div>
+          <Button size="sm" onClick={handleSend} disabled={!content.trim() || sending || !parentMessage}>
+            {sending ? <Loader2 className="h-4 w-4 animate-spin" /> : <Send className="h-4 w-4" />}
+            답글
+          </Button>
+        </div>
+      </div>
+    </aside>
+  )
+}
+
+export default ThreadPanel
@@ -1,56 +1,50 @@
-import OpenAI from "openai";
-import Anthropic from "@anthropic-ai/sdk";
-
-// OpenAI API 호출
-const generateOpenAIResponse = async (userMessages, model) => {
-  const client = new OpenAI({
-    apiKey: import.meta.env.VITE_OPENAI_API_KEY,
-    dangerouslyAllowBrowser: true,
-  });
-
-  console.log(">>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>");
-  console.log("OpenAI 모델:", model);
-  console.dir(userMessages);
-  console.log(">>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>");
-
-  try {
-    const requestConfig = {
-      model: model,
-      input: userMessages,
-      tools: [
-        { type: "web_search" },
-        {
-          type: "file_search",
-          vector_store_ids: [import.meta.env.VITE_VECTOR_STORE_ID],
-        },
-      ],
-    };
+import {
+  requestAI,
+  streamAI,
+  withRetry,
+  isRetryableError,
+} from "../../lib/aiProxy";
+import { getProviderForModel } from "../../lib/aiProviders";
 
-    // GPT-5만 reasoning과 text 파라미터 지원
-    if (model === "gpt-5") {
-      requestConfig.reasoning = { effort: "low" };
-      requestConfig.text = { verbosity: "low" };
-    }
+// 응답 형식 지침 (레지스트리에서 markdownSystemPrompt가 켜진 provider에 전달)
+const MARKDOWN_SYSTEM_PROMPT = `응답할 때 반드시 마크다운 형식을 사용하여 구조화하세요:
 
-    const response = await client.responses.create(requestConfig);
+**형식 규칙:**
+- 주요 섹션은 ## 헤더 사용
+- 하위 섹션은 ### 헤더 사용
+- 항목 나열 시 - 또는 1. 리스트 사용
+- 중요한 키워드나 강조는 **굵게** 표시
+- 코드는 \`\`\`언어명 으로 감싸기
+- 인라인 코드는 \`백틱\`으로 감싸기
+- 짧은 문단으로 나누고 적절한 줄바꿈 사용
+- 긴 텍스트 덩어리 대신 구조화된 형태로 작성
 
-    console.log(response.output_text);
-    return response.output_text;
-  } catch (error) {
-    console.error("OpenAI 응답 생성 중 오류:", error);
-    throw error;
-  }
+**금지 사항:**
+- 긴 문단을 통으로 작성하지 마세요
+- 구조 없이 텍스트만 나열하지 마세요`;
+
+// provider별 ai-proxy 요청 본문 구성
+const buildChatRequest = (userMessages, model, options = {}) => {
+  const provider = getProviderForModel(model);
+
+  return {
+    task: "chat",
+    workspaceId: options.workspaceId,
+    // 채팅방 AI 페르소나(system 프롬프트, temperature, 허용 도구)는 서버에서 적용
+    chatRoomId: options.chatRoomId,
+    provider: provider.id,
+    model: model,
+    system: provider.markdownSystemPrompt ? MARKDOWN_SYSTEM_PROMPT : undefined,
+    messages: userMessages,
+    // 도구 호출 시 "내일 오후 3시" 같은 상대 시각 해석용
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  };
 };
 
-// Anthropic (Claude) API 호출
-const generateClaudeResponse = async (userMessages, model) => {
-  const anthropic = new Anthropic({
-    apiKey: import.meta.env.VITE_ANTHROPIC_API_KEY,
-    dangerouslyAllowBrowser: true,
-  });
-
+// 요청 메시지 로그
+const logRequest = (title, userMessages, model) => {
   console.log(">>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>");
-  console.log("Claude 모델:", model);
+  console.log(title, model);
   console.log("메시지 수:", userMessages.length);
 
   userMessages.forEach((msg, idx) => {
@@ -64,131 +58,93 @@ const generateClaudeResponse = async (userMessages, model) => {
     });
   });
 
-  console.dir(userMessages, { depth: 3 });
   console.log(">>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>");
-
-  try {
-    const response = await anthropic.messages.create({
-      model: model,
-      max_tokens: 4096,
-      system: `응답할 때 반드시 마크다운 형식을 사용하여 구조화하세요:
-
-**형식 규칙:**
-- 주요 섹션은 ## 헤더 사용
-- 하위 섹션은 ### 헤더 사용
-- 항목 나열 시 - 또는 1. 리스트 사용
-- 중요한 키워드나 강조는 **굵게** 표시
-- 코드는 \`\`\`언어명 으로 감싸기
-- 인라인 코드는 \`백틱\`으로 감싸기
-- 짧은 문단으로 나누고 적절한 줄바꿈 사용
-- 긴 텍스트 덩어리 대신 구조화된 형태로 작성
-
-**금지 사항:**
-- 긴 문단을 통으로 작성하지 마세요
-- 구조 없이 텍스트만 나열하지 마세요`,
-      messages: userMessages,
-      tools: [
-        {
-          type: "web_search_20250305",
-          name: "web_search",
-          max_uses: 5,
-        },
-      ],
-    });
-
-    console.log("Claude API 응답:", response);
-
-    const textContents = response.content
-      .filter((c) => c.type === "text")
-      .map((c) => c.text)
-      .join("\n\n");
-
-    return textContents || "";
-  } catch (error) {
-    console.error("Claude 응답 생성 중 오류:", error);
-    console.error("오류 상세:", error.message);
-    if (error.response) {
-      console.error("API 응답 오류:", error.response);
-    }
-    throw error;
-  }
 };
 
-// Claude 스트리밍 응답
-export const generateClaudeResponseStream = async (
+// 스트리밍 응답 (ai-proxy Edge Function의 SSE 스트림 사용)
+// 레지스트리에서 streaming을 지원하는 provider의 모델만 사용하세요
+// options.onProgress: 웹 검색/파일 검색 진행 상황 콜백 ({ tool, status })
+// options.signal: 응답 중지용 AbortSignal
+// options.onRetry: rate limit/과부하로 재시도할 때 콜백 ({ attempt, maxRetries, delay })
+// 반환값: { text, citations, actions }
+//   citations: 웹/파일 검색 출처 목록
+//   actions: 사용자 확인이 필요한 작업 목록 (태스크/회의 생성)
+export const generateResponseStream = async (
   userMessages,
   model,
-  onChunk
+  onChunk,
+  options = {}
 ) => {
-  const anthropic = new Anthropic({
-    apiKey: import.meta.env.VITE_ANTHROPIC_API_KEY,
-    dangerouslyAllowBrowser: true,
-  });
-
-  console.log(">>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>");
-  console.log("Claude 스트리밍 시작:", model);
-  console.log("메시지 수:", userMessages.length);
-  console.log(">>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>");
+  logRequest("스트리밍 시작:", userMessages, model);
 
   try {
-    const stream = await anthropic.messages.stream({
-      model: model,
-      max_tokens: 4096,
-      system: `응답할 때 반드시 마크다운 형식을 사용하여 구조화하세요:
-
-**형식 규칙:**
-- 주요 섹션은 ## 헤더 사용
-- 하위 섹션은 ### 헤더 사용
-- 항목 나열 시 - 또는 1. 리스트 사용
-- 중요한 키워드나 강조는 **굵게** 표시
-- 코드는 \`\`\`언어명 으로 감싸기
-- 인라인 코드는 \`백틱\`으로 감싸기
-- 짧은 문단으로 나누고 적절한 줄바꿈 사용
-- 긴 텍스트 덩어리 대신 구조화된 형태로 작성
-
-**금지 사항:**
-- 긴 문단을 통으로 작성하지 마세요
-- 구조 없이 텍스트만 나열하지 마세요`,
-      messages: userMessages,
-      tools: [
-        {
-          type: "web_search_20250305",
-          name: "web_search",
-          max_uses: 5,
-        },
-      ],
-    });
-
     let fullText = "";
 
-    for await (const event of stream) {
-      if (event.type === "content_block_delta" && event.delta?.text) {
-        const chunk = event.delta.text;
-        fullText += chunk;
-
-        if (onChunk) {
-          onChunk(fullText);
-        }
+    const doneEvent = await withRetry(
+      () =>
+        streamAI(
+          buildChatRequest(userMessages, model, options),
+          (event) => {
+            if (event.type === "delta" && event.text) {
+              fullText += event.text;
+
+              if (onChunk) {
+                onChunk(fullText);
+              }
+            } else if (event.type === "progress" && options.onProgress) {
+              options.onProgress({ tool: event.tool, status: event.status });
+            }
+          },
+          { signal: options.signal }
+        ),
+      {
+        signal: options.signal,
+        // 이미 일부 응답을 받은 뒤에는 재시도하지 않음 (중복 출력 방지)
+        shouldRetry: (error) => !fullText && isRetryableError(error),
+        onRetry: options.onRetry,
       }
-    }
+    );
 
-    console.log("Claude 스트리밍 완료:", fullText.length, "글자");
-    return fullText;
+    console.log("스트리밍 완료:", fullText.length, "글자");
+    return {
+      text: fullText,
+      citations: doneEvent.citations || [],
+      actions: doneEvent.actions || [],
+    };
   } catch (error) {
-    console.error("Claude 스트리밍 중 오류:", error);
+    console.error("스트리밍 중 오류:", error);
     console.error("오류 상세:", error.message);
-    if (error.response) {
-      console.error("API 응답 오류:", error.response);
-    }
     throw error;
   }
 };
 
-// 통합 응답 생성 함수
-export const generateResponse = async (userMessages, model = "gpt-5") => {
-  if (model.startsWith("claude-")) {
-    return await generateClaudeResponse(userMessages, model);
-  } else {
-    return await generateOpenAIResponse(userMessages, model);
+// 통합 응답 생성 함수 (ai-proxy Edge Function 경유)
+// options와 반환값은 generateResponseStream과 동일 (workspaceId, signal, onRetry → { text, citations, actions })
+export const generateResponse = async (
+  userMessages,
+  model = "gpt-5",
+  options = {}
+) => {
+  logRequest("모델:", userMessages, model);
+
+  try {
+    const response = await withRetry(
+      () =>
+        requestAI(buildChatRequest(userMessages, model, options), {
+          signal: options.signal,
+        }),
+      { signal: options.signal, onRetry: options.onRetry }
+    );
+
+    console.log("AI 응답:", response);
+    return {
+      text: response.text || "",
+      citations: response.citations || [],
+      actions: response.actions || [],
+    };
+  } catch (error) {
+    console.error("AI 응답 생성 중 오류:", error);
+    console.error("오류 상세:", error.message);
+    throw error;
   }
 };
@@ -2,9 +2,11 @@ import { useState, useEffect } from "react"
 import { supabase } from "../../lib/supabase"
 import { useAuth } from "../../hooks/useAuth"
 import { Card, Badge, Avatar, AvatarFallback, ScrollArea, Dialog, DialogContent, DialogHeader, DialogTitle, Separator, Tooltip, TooltipTrigger, TooltipContent } from '../ui'
-import { Users, Calendar as CalendarIcon, MessageCircle, TrendingUp, Mail, Shield, Clock } from 'lucide-react'
+import { Users, Calendar as CalendarIcon, MessageCircle, TrendingUp, Mail, Shield, Clock, Activity } from 'lucide-react'
+import { PRESENCE_LABELS, formatLastSeen } from '../../utils/presence'
+import PresenceDot from '../chat/PresenceDot'
 
-const DashboardView = ({ workspaceId, workspace }) => {
+const DashboardView = ({ workspaceId, workspace, presence }) => {
     const { user } = useAuth()
     const [teamMembers, setTeamMembers] = useState([])
     const [recentMessages, setRecentMessages] = useState([])
@@ -136,11 +138,14 @@ const DashboardView = ({ workspaceId, workspace }) => {
                                                 onClick={() => handleMemberClick(member)}
                                                 className="flex items-center gap-3 p-3 border rounded-lg hover:bg-gray-50 cursor-pointer transition-colors"
                                             >
-                                                <Avatar>
-                                                    <AvatarFallback className="bg-gradient-to-br from-purple-400 to-blue-500 text-white font-semibold">
-                                                        {member.user_name?.charAt(0).toUpperCase() || 'U'}
-                                                    </AvatarFallback>
-                                                </Avatar>
+                                                <div className="relative">
+                                                    <Avatar>
+                                                        <AvatarFallback className="bg-gradient-to-br from-purple-400 to-blue-500 text-white font-semibold">
+                                                            {member.user_name?.charAt(0).toUpperCase() || 'U'}
+                                                        </AvatarFallback>
+                                                    </Avatar>
+                                                    {presence && <PresenceDot status={presence.getStatus(member.user_id)} />}
+                                                </div>
 
                                                 <div className="flex-1 min-w-0">
                                                     <div className="flex items-center gap-2">
@@ -254,11 +259,14 @@ const DashboardView = ({ workspaceId, workspace }) => {
                         <div className="space-y-6">
                             {/* 프로필 헤더 */}
                             <div className="flex items-center gap-4">
-                                <Avatar className="w-16 h-16">
-                                    <AvatarFallback className="bg-gradient-to-br from-purple-400 to-blue-500 text-white text-2xl font-bold">
-                                        {selectedMember.user_name?.charAt(0).toUpperCase() || 'U'}
-                                    </AvatarFallback>
-                                </Avatar>
+                                <div className="relative">
+                                    <Avatar className="w-16 h-16">
+                                        <AvatarFallback className="bg-gradient-to-br from-purple-400 to-blue-500 text-white text-2xl font-bold">
+                                            {selectedMember.user_name?.charAt(0).toUpperCase() || 'U'}
+                                        </AvatarFallback>
+                                    </Avatar>
+                                    {presence && <PresenceDot status={presence.getStatus(selectedMember.user_id)} />}
+                                </div>
                                 <div className="flex-1">
                                     <h3 className="text-lg font-semibold">{selectedMember.user_name}</h3>
                                     <div className="flex items-center gap-2 mt-1">
@@ -319,6 +327,20 @@ const DashboardView = ({ workspaceId, workspace }) => {
                                     </div>
                                 )}
 
+                                {presence && (
+                                    <div className="flex items-start gap-3">
+                                        <Activity className="h-5 w-5 text-gray-400 mt-0.5" />
+                                        <div className="flex-1">
+                                            <p className="text-sm text-gray-600 dark:text-white">접속 상태</p>
+                                            <p className="text-sm font-medium">
+                                                {presence.getStatus(selectedMember.user_id) === 'offline'
+                                                    ? `마지막 접속 ${formatLastSeen(presence.getLastSeen(selectedMember.user_id)) || '기록 없음'}`
+                                                    : PRESENCE_LABELS[presence.getStatus(selectedMember.user_id)]}
+                                            </p>
+                                        </div>
+                                    </div>
+                                )}
+
                                 {selectedMember.last_sign_in_at && (
                                     <div className="flex items-start gap-3">
                                         <TrendingUp className="h-5 w-5 text-gray-400 mt-0.5" />
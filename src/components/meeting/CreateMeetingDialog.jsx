@@ -2,6 +2,7 @@ import { useState, useEffect } from "react"
 import { supabase } from "../../lib/supabase"
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter, Input, Button } from '../ui'
 import ParticipantSelector from './ParticipantSelector'
+import MeetingChatRoomSettings from './MeetingChatRoomSettings'
 
 const CreateMeetingDialog = ({
     open,
@@ -16,7 +17,9 @@ const CreateMeetingDialog = ({
         description: '',
         start_time: '',
         end_time: '',
-        location: ''
+        location: '',
+        chat_room_id: null,
+        auto_meeting_notes: false
     })
     const [selectedParticipants, setSelectedParticipants] = useState([])
     const [loading, setLoading] = useState(false)
@@ -114,6 +117,8 @@ const CreateMeetingDialog = ({
                     start_time: formData.start_time,
                     end_time: formData.end_time,
                     location: formData.location,
+                    chat_room_id: formData.chat_room_id,
+                    auto_meeting_notes: formData.auto_meeting_notes,
                     created_by: currentUserId
                 }])
                 .select()
@@ -155,7 +160,9 @@ const CreateMeetingDialog = ({
                 description: '',
                 start_time: '',
                 end_time: '',
-                location: ''
+                location: '',
+                chat_room_id: null,
+                auto_meeting_notes: false
             })
             setSelectedParticipants([])
 
@@ -174,7 +181,9 @@ const CreateMeetingDialog = ({
             description: '',
             start_time: '',
             end_time: '',
-            location: ''
+            location: '',
+            chat_room_id: null,
+            auto_meeting_notes: false
         })
         setSelectedParticipants([])
         setErrors({})
@@ -237,6 +246,15 @@ const CreateMeetingDialog = ({
                         error={errors.location}
                     />
 
+                    <div className="border-t pt-4">
+                        <MeetingChatRoomSettings
+                            workspaceId={workspaceId}
+                            chatRoomId={formData.chat_room_id}
+                            autoMeetingNotes={formData.auto_meeting_notes}
+                            onChange={(changes) => setFormData(prev => ({ ...prev, ...changes }))}
+                        />
+                    </div>
+
                     <div className="border-t pt-4">
                         <ParticipantSelector
                             workspaceId={workspaceId}
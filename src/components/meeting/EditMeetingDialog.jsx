@@ -2,6 +2,7 @@ import { useState, useEffect } from "react"
 import { supabase } from "../../lib/supabase"
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter, Input, Button } from '../ui'
 import ParticipantSelector from './ParticipantSelector'
+import MeetingChatRoomSettings from './MeetingChatRoomSettings'
 
 const EditMeetingDialog = ({
     open,
@@ -15,7 +16,9 @@ const EditMeetingDialog = ({
         description: '',
         start_time: '',
         end_time: '',
-        location: ''
+        location: '',
+        chat_room_id: null,
+        auto_meeting_notes: false
     })
     const [selectedParticipants, setSelectedParticipants] = useState([])
     const [loading, setLoading] = useState(false)
@@ -40,7 +43,9 @@ const EditMeetingDialog = ({
                 description: meeting.description || '',
                 start_time: formatDateTime(meeting.start_time),
                 end_time: formatDateTime(meeting.end_time),
-                location: meeting.location || ''
+                location: meeting.location || '',
+                chat_room_id: meeting.chat_room_id || null,
+                auto_meeting_notes: !!meeting.auto_meeting_notes
             })
 
             // 현재 참가자 중 호스트가 아닌 사람들만 선택
@@ -115,7 +120,9 @@ const EditMeetingDialog = ({
                     description: formData.description,
                     start_time: formData.start_time,
                     end_time: formData.end_time,
-                    location: formData.location
+                    location: formData.location,
+                    chat_room_id: formData.chat_room_id,
+                    auto_meeting_notes: formData.auto_meeting_notes
                 })
                 .eq('id', meeting.id)
                 .select()
@@ -191,7 +198,9 @@ const EditMeetingDialog = ({
                 description: '',
                 start_time: '',
                 end_time: '',
-                location: ''
+                location: '',
+                chat_room_id: null,
+                auto_meeting_notes: false
             })
             setSelectedParticipants([])
             setErrors({})
@@ -212,7 +221,9 @@ const EditMeetingDialog = ({
             description: '',
             start_time: '',
             end_time: '',
-            location: ''
+            location: '',
+            chat_room_id: null,
+            auto_meeting_notes: false
         })
         setSelectedParticipants([])
         setErrors({})
@@ -277,6 +288,15 @@ const EditMeetingDialog = ({
                         error={errors.location}
                     />
 
+                    <div className="border-t pt-4">
+                        <MeetingChatRoomSettings
+                            workspaceId={meeting.workspace_id}
+                            chatRoomId={formData.chat_room_id}
+                            autoMeetingNotes={formData.auto_meeting_notes}
+                            onChange={(changes) => setFormData(prev => ({ ...prev, ...changes }))}
+                        />
+                    </div>
+
                     <div className="border-t pt-4">
                         <ParticipantSelector
                             workspaceId={meeting.workspace_id}
@@ -0,0 +1,84 @@
+import { useState, useEffect } from 'react'
+import { supabase } from '../../lib/supabase'
+import { Label, Select, SelectContent, SelectItem, SelectTrigger, SelectValue, Switch } from '../ui'
+
+const NO_ROOM = 'none'
+
+// 회의 ↔ 채팅방 연결, 종료 후 회의록 자동 생성 설정 (회의 만들기/수정 공통)
+const MeetingChatRoomSettings = ({
+    workspaceId,
+    chatRoomId,
+    autoMeetingNotes,
+    onChange // ({ chat_room_id, auto_meeting_notes }) => void
+}) => {
+    const [chatRooms, setChatRooms] = useState([])
+
+    useEffect(() => {
+        if (!workspaceId) return
+
+        const fetchChatRooms = async () => {
+            const { data, error } = await supabase
+                .from('chat_rooms')
+                .select('id, name, is_default')
+                .eq('workspace_id', workspaceId)
+                .eq('is_active', true)
+                .order('is_default', { ascending: false })
+                .order('created_at', { ascending: true })
+
+            if (error) {
+                console.error('Error fetching chat rooms:', error)
+                return
+            }
+
+            setChatRooms(data || [])
+        }
+
+        fetchChatRooms()
+    }, [workspaceId])
+
+    const handleRoomChange = (value) => {
+        const roomId = value === NO_ROOM ? null : value
+        onChange({
+            chat_room_id: roomId,
+            auto_meeting_notes: roomId ? autoMeetingNotes : false
+        })
+    }
+
+    return (
+        <div className="space-y-3">
+            <div className="space-y-2">
+                <Label>회의 채팅방 (선택사항)</Label>
+                <Select value={chatRoomId || NO_ROOM} onValueChange={handleRoomChange}>
+                    <SelectTrigger className="w-full">
+                        <SelectValue placeholder="채팅방 선택" />
+                    </SelectTrigger>
+                    <SelectContent>
+                        <SelectItem value={NO_ROOM}>연결 안 함</SelectItem>
+                        {chatRooms.map((room) => (
+                            <SelectItem key={room.id} value={room.id}>
+                                # {room.name}
+                            </SelectItem>
+                        ))}
+                    </SelectContent>
+                </Select>
+            </div>
+
+            <div className="flex items-center justify-between gap-4">
+                <div>
+                    <Label htmlFor="auto-meeting-notes">회의록 자동 생성</Label>
+                    <p className="text-xs text-gray-500 mt-0.5">
+                        회의가 끝나면 회의 시간 동안의 채팅방 대화로 회의록을 만들어 채팅방에 공유합니다.
+                    </p>
+                </div>
+                <Switch
+                    id="auto-meeting-notes"
+                    checked={!!chatRoomId && autoMeetingNotes}
+                    onCheckedChange={(checked) => onChange({ chat_room_id: chatRoomId, auto_meeting_notes: checked })}
+                    disabled={!chatRoomId}
+                />
+            </div>
+        </div>
+    )
+}
+
+export default MeetingChatRoomSettings
@@ -1,16 +1,29 @@
 import { useState } from "react"
-import { Clock, MapPin, Users, Edit, Trash2, Calendar, User, Share2 } from 'lucide-react'
+import { Clock, MapPin, Users, Edit, Trash2, Calendar, User, Share2, FileText, Hash, Loader2 } from 'lucide-react'
 import { format } from "date-fns"
 import { ko } from "date-fns/locale"
 import { supabase } from "../../lib/supabase"
 import { Button, Card, Badge, Separator } from '../ui'
 import EditMeetingDialog from './EditMeetingDialog'
 import ShareMeetingDialog from './ShareMeetingDialog'
+import MeetingNotesViewer from '../chat/MeetingNotesViewer'
+import { useMeetingNotes } from '../../hooks/useMeetingNotes'
+
+// 자동 회의록 상태 표시
+const NOTES_STATUS_LABELS = {
+    pending: { label: '회의가 끝나면 자동 생성', className: 'border-blue-200 text-blue-700 bg-blue-50' },
+    generating: { label: '생성 중', className: 'border-amber-200 text-amber-700 bg-amber-50' },
+    completed: { label: '생성 완료', className: 'border-green-200 text-green-700 bg-green-50' },
+    skipped: { label: '대화 없음', className: 'border-gray-200 text-gray-600 bg-gray-50' },
+    failed: { label: '생성 실패', className: 'border-red-200 text-red-700 bg-red-50' }
+}
 
 const MeetingDetail = ({ meeting, currentUserId, onMeetingDeleted, onMeetingUpdated }) => {
     const [isDeleting, setIsDeleting] = useState(false)
     const [showEditDialog, setShowEditDialog] = useState(false)
     const [showShareDialog, setShowShareDialog] = useState(false)
+    const [openedNote, setOpenedNote] = useState(null)
+    const { fetchMeetingNote, loading: loadingNote } = useMeetingNotes(meeting?.workspace_id, meeting?.chat_room_id)
 
     if (!meeting) {
         return (
@@ -83,6 +96,15 @@ const MeetingDetail = ({ meeting, currentUserId, onMeetingDeleted, onMeetingUpda
         setShowEditDialog(true)
     }
 
+    const handleOpenNote = async (noteId) => {
+        try {
+            setOpenedNote(await fetchMeetingNote(noteId))
+        } catch (error) {
+            console.error('Error fetching meeting note:', error)
+            alert('회의록을 불러올 수 없습니다.')
+        }
+    }
+
     const handleMeetingUpdated = () => {
         setShowEditDialog(false)
         onMeetingUpdated()
@@ -233,6 +255,52 @@ const MeetingDetail = ({ meeting, currentUserId, onMeetingDeleted, onMeetingUpda
                         </div>
                     </div>
 
+                    {/* 회의록 (채팅방 연결, 자동 생성 상태, 연결된 회의록) */}
+                    {(meeting.chat_room_id || meeting.meeting_notes?.length > 0) && (
+                        <>
+                            <Separator />
+
+                            <div className="space-y-4">
+                                <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                                    <FileText className="h-5 w-5" />
+                                    회의록
+                                    {meeting.notes_status && (
+                                        <Badge variant="outline" className={NOTES_STATUS_LABELS[meeting.notes_status]?.className}>
+                                            {NOTES_STATUS_LABELS[meeting.notes_status]?.label}
+                                        </Badge>
+                                    )}
+                                </h3>
+                                <div className="space-y-3 pl-7">
+                                    {meeting.chat_room_id && (
+                                        <p className="text-sm text-gray-500 flex items-center gap-1">
+                                            <Hash className="h-4 w-4" />
+                                            {meeting.auto_meeting_notes
+                                                ? '회의가 끝나면 연결된 채팅방 대화로 회의록을 자동 생성합니다.'
+                                                : '채팅방이 연결되어 있습니다. 자동 회의록은 꺼져 있습니다.'}
+                                        </p>
+                                    )}
+                                    {meeting.notes_status === 'failed' && meeting.notes_error && (
+                                        <p className="text-sm text-red-600">⚠️ {meeting.notes_error}</p>
+                                    )}
+                                    {meeting.meeting_notes?.map((note) => (
+                                        <button
+                                            key={note.id}
+                                            type="button"
+                                            onClick={() => handleOpenNote(note.id)}
+                                            disabled={loadingNote}
+                                            className="w-full flex items-center gap-3 p-3 bg-gray-50 hover:bg-gray-100 rounded-lg text-left transition-colors"
+                                        >
+                                            <FileText className="h-4 w-4 text-amber-600 flex-shrink-0" />
+                                            <span className="flex-1 font-medium text-gray-900 truncate">{note.title}</span>
+                                            <span className="text-sm text-gray-500">{formatDateTime(note.created_at)}</span>
+                                            {loadingNote && <Loader2 className="h-4 w-4 animate-spin text-gray-400" />}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        </>
+                    )}
+
                     {/* 액션 버튼 */}
                     {status === 'ongoing' && (
                         <div className="pt-4">
@@ -256,6 +324,20 @@ const MeetingDetail = ({ meeting, currentUserId, onMeetingDeleted, onMeetingUpda
                 currentUserId={currentUserId}
             />
 
+            {/* 회의록 보기 */}
+            {openedNote && (
+                <MeetingNotesViewer
+                    key={openedNote.id}
+                    open={!!openedNote}
+                    onOpenChange={(open) => !open && setOpenedNote(null)}
+                    note={openedNote}
+                    content={openedNote.content}
+                    metadata={openedNote.metadata}
+                    workspaceId={meeting.workspace_id}
+                    chatRoomId={openedNote.chat_room_id}
+                />
+            )}
+
             {/* 공유 다이얼로그 */}
             <ShareMeetingDialog
                 open={showShareDialog}
@@ -33,6 +33,11 @@ const MeetingManagement = ({ workspaceId, onMeetingCreated }) => {
                     meeting_participants (
                         user_id,
                         role
+                    ),
+                    meeting_notes (
+                        id,
+                        title,
+                        created_at
                     )
                 `)
                 .eq('workspace_id', workspaceId)
@@ -0,0 +1,83 @@
+import { useState } from 'react'
+import { FileText, CheckSquare, Loader2 } from 'lucide-react'
+import { format } from 'date-fns'
+import { ko } from 'date-fns/locale'
+import { Button } from '../ui'
+import { useMeetingNotes } from '../../hooks/useMeetingNotes'
+import MeetingNotesViewer from '../chat/MeetingNotesViewer'
+
+// 회의 종료 후 자동 생성된 회의록 공유 카드 (meeting-notes-auto 가 보낸 meeting_notes 메시지)
+const MeetingNotesMessageCard = ({ notesData, workspaceId, chatRoomId }) => {
+    const [note, setNote] = useState(null)
+    const [showViewer, setShowViewer] = useState(false)
+    const { fetchMeetingNote, loading } = useMeetingNotes(workspaceId, chatRoomId)
+
+    const formatDateTime = (dateTimeString) => format(new Date(dateTimeString), 'M월 d일 (EEE) HH:mm', { locale: ko })
+
+    const handleOpen = async () => {
+        try {
+            setNote(await fetchMeetingNote(notesData.meeting_note_id))
+            setShowViewer(true)
+        } catch (error) {
+            console.error('Error fetching meeting note:', error)
+            alert('회의록을 불러올 수 없습니다. 삭제되었을 수 있습니다.')
+        }
+    }
+
+    return (
+        <>
+            <div className="border rounded-xl p-5 bg-amber-50 border-amber-200 w-full max-w-full sm:max-w-2xl shadow-sm">
+                <div className="flex items-center gap-3 mb-3">
+                    <FileText className="h-6 w-6 text-amber-600 flex-shrink-0" />
+                    <h4 className="font-semibold text-lg text-amber-900 flex-1 line-clamp-2">{notesData.title}</h4>
+                </div>
+
+                {notesData.start_time && notesData.end_time && (
+                    <p className="text-sm text-gray-500 mb-2">
+                        {formatDateTime(notesData.start_time)} ~ {formatDateTime(notesData.end_time)}
+                    </p>
+                )}
+
+                {notesData.summary && (
+                    <p className="text-base text-gray-700 line-clamp-3">{notesData.summary}</p>
+                )}
+
+                <div className="mt-4 flex items-center justify-between gap-3">
+                    <span className="flex items-center gap-1.5 text-sm text-gray-500">
+                        <CheckSquare className="h-4 w-4" />
+                        액션 아이템 {notesData.action_item_count || 0}개
+                    </span>
+                    <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={handleOpen}
+                        disabled={loading}
+                        className="flex items-center gap-2 border-amber-300 text-amber-800 hover:bg-amber-100"
+                    >
+                        {loading && <Loader2 className="h-4 w-4 animate-spin" />}
+                        회의록 보기
+                    </Button>
+                </div>
+
+                <div className="mt-3 text-sm text-gray-500 italic">
+                    📝 회의가 끝나 회의록이 자동으로 생성되었습니다
+                </div>
+            </div>
+
+            {note && (
+                <MeetingNotesViewer
+                    key={note.id}
+                    open={showViewer}
+                    onOpenChange={setShowViewer}
+                    note={note}
+                    content={note.content}
+                    metadata={note.metadata}
+                    workspaceId={workspaceId}
+                    chatRoomId={note.chat_room_id}
+                />
+            )}
+        </>
+    )
+}
+
+export default MeetingNotesMessageCard
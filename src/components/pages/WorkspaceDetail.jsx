@@ -27,6 +27,7 @@ import {
 } from "lucide-react";
 import { supabase } from "../../lib/supabase";
 import { useAuth } from "../../hooks/useAuth";
+import { useWorkspacePresence } from "../../hooks/useRealtimeChat";
 import {
   Button,
   Card,
@@ -73,6 +74,8 @@ import ChatRoomList from "../chat/ChatRoomList";
 import CreateChatRoomDialog from "../chat/CreateChatRoomDialog";
 import DashboardView from "../dashboard/DashboardView";
 import WorkspaceFiles from "../workspace/WorkspaceFiles";
+import AIUsageSettings from "../workspace/AIUsageSettings";
+import MeetingNoteTemplateSettings from "../workspace/MeetingNoteTemplateSettings";
 import TaskBoard from "../task/TaskBoard";
 import TeamCalendar from "../calendar/TeamCalendar";
 
@@ -80,6 +83,8 @@ const WorkspaceDetail = () => {
   const { companyId, workspaceId } = useParams();
   const navigate = useNavigate();
   const { user, isAuthenticated, loading: authLoading, signOut } = useAuth();
+  // 🟢 워크스페이스 접속 상태 (채팅 멤버 목록, 대시보드 프로필에 표시)
+  const presence = useWorkspacePresence(workspaceId, user);
   const [workspace, setWorkspace] = useState(null);
   const [company, setCompany] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -576,16 +581,20 @@ const WorkspaceDetail = () => {
             <ChatSidebar
               workspaceId={workspaceId}
               workspaceName={workspace.name}
+              companyLogoUrl={company?.logo_url}
               chatRoomId={selectedChatRoom?.id}
               chatRoomName={selectedChatRoom?.name}
               chatRoomIsDefault={selectedChatRoom?.is_default}
+              isWorkspaceAdmin={currentUserProfile?.workspace_role === "admin"}
               onLeaveChatRoom={handleLeaveChatRoom}
+              onSelectChatRoom={handleChatRoomSelect}
+              presence={presence}
             />
           </div>
         );
       case "dashboard":
         return (
-          <DashboardView workspaceId={workspaceId} workspace={workspace} />
+          <DashboardView workspaceId={workspaceId} workspace={workspace} presence={presence} />
         );
       case "shared-files":
         return (
@@ -593,6 +602,7 @@ const WorkspaceDetail = () => {
             workspaceId={workspaceId}
             workspace={workspace}
             currentUser={user}
+            isWorkspaceAdmin={currentUserProfile?.workspace_role === "admin"}
           />
         );
       case "tasks":
@@ -703,6 +713,8 @@ const WorkspaceDetail = () => {
                 <h3 className="text-lg font-semibold mb-4">권한 관리</h3>
                 <p className="text-gray-600">권한 관리 기능은 준비 중입니다.</p>
               </Card>
+              <AIUsageSettings workspaceId={workspaceId} currentUser={user} />
+              <MeetingNoteTemplateSettings workspaceId={workspaceId} currentUser={user} />
             </div>
           </div>
         );
@@ -0,0 +1,249 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+  Button,
+  Card,
+  Input,
+  Label,
+  Progress,
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+  Skeleton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '../ui';
+import { Bot } from 'lucide-react';
+import { useAIUsage } from '../../hooks/useAIUsage';
+import { getAIModel } from '../../lib/aiProviders';
+
+// 조회 가능한 기간 (최근 6개월)
+const MONTH_OPTIONS = Array.from({ length: 6 }, (_, index) => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - index);
+  return {
+    value: String(-index),
+    label: index === 0
+      ? '이번 달'
+      : date.toLocaleDateString('ko-KR', { year: 'numeric', month: 'long' }),
+  };
+});
+
+const LIMIT_FIELDS = [
+  { key: 'monthly_token_limit', label: '워크스페이스 월간 토큰 한도', unit: '토큰', step: '1000' },
+  { key: 'monthly_cost_limit_usd', label: '워크스페이스 월간 비용 한도', unit: 'USD', step: '0.01' },
+  { key: 'user_monthly_cost_limit_usd', label: '멤버 1인당 월간 비용 한도', unit: 'USD', step: '0.01' },
+];
+
+const formatNumber = (value) => Number(value || 0).toLocaleString('ko-KR');
+const formatCost = (value) => `$${Number(value || 0).toFixed(Number(value) < 1 ? 4 : 2)}`;
+
+const toFormValues = (limits) =>
+  Object.fromEntries(LIMIT_FIELDS.map(({ key }) => [key, limits?.[key] ?? '']));
+
+/**
+ * 워크스페이스 설정 - AI 사용량 / 월간 한도
+ * - 월별 멤버·모델별 토큰 사용량과 예상 비용
+ * - 관리자만 월간 한도 수정 (비워두면 제한 없음, 초과 시 AI 호출 차단)
+ */
+const AIUsageSettings = ({ workspaceId, currentUser }) => {
+  const [monthOffset, setMonthOffset] = useState(0);
+  const [form, setForm] = useState(toFormValues(null));
+  const [saved, setSaved] = useState(false);
+
+  const { usage, users, limits, isAdmin, loading, saving, error, saveLimits } =
+    useAIUsage(workspaceId, currentUser?.id, monthOffset);
+
+  useEffect(() => {
+    setForm(toFormValues(limits));
+  }, [limits]);
+
+  const totals = useMemo(() => usage.reduce((sum, row) => ({
+    calls: sum.calls + Number(row.call_count),
+    tokens: sum.tokens + Number(row.input_tokens) + Number(row.output_tokens),
+    cost: sum.cost + Number(row.cost_usd),
+  }), { calls: 0, tokens: 0, cost: 0 }), [usage]);
+
+  // 멤버별 합계 (내 사용량 한도 표시용)
+  const myCost = useMemo(() => usage
+    .filter((row) => row.user_id === currentUser?.id)
+    .reduce((sum, row) => sum + Number(row.cost_usd), 0), [usage, currentUser?.id]);
+
+  const handleSave = async () => {
+    const nextLimits = Object.fromEntries(
+      LIMIT_FIELDS.map(({ key }) => [key, form[key] === '' ? null : Number(form[key])])
+    );
+
+    try {
+      await saveLimits(nextLimits);
+      setSaved(true);
+      setTimeout(() => setSaved(false), 2000);
+    } catch {
+      // 오류는 훅의 error 상태로 표시
+    }
+  };
+
+  // 이번 달 사용률 (한도가 설정된 항목만)
+  const limitUsages = monthOffset === 0 && limits ? [
+    limits.monthly_token_limit && {
+      label: '워크스페이스 토큰',
+      used: totals.tokens,
+      limit: Number(limits.monthly_token_limit),
+      format: formatNumber,
+    },
+    limits.monthly_cost_limit_usd && {
+      label: '워크스페이스 비용',
+      used: totals.cost,
+      limit: Number(limits.monthly_cost_limit_usd),
+      format: formatCost,
+    },
+    limits.user_monthly_cost_limit_usd && {
+      label: '내 비용',
+      used: myCost,
+      limit: Number(limits.user_monthly_cost_limit_usd),
+      format: formatCost,
+    },
+  ].filter(Boolean) : [];
+
+  return (
+    <Card className="p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2">
+          <Bot className="h-5 w-5" />
+          AI 사용량
+        </h3>
+        <Select value={String(monthOffset)} onValueChange={(value) => setMonthOffset(Number(value))}>
+          <SelectTrigger className="w-40">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {MONTH_OPTIONS.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {loading ? (
+        <div className="space-y-2">
+          <Skeleton className="h-16 w-full" />
+          <Skeleton className="h-32 w-full" />
+        </div>
+      ) : (
+        <div className="space-y-6">
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <p className="text-sm text-gray-500">호출 수</p>
+              <p className="text-xl font-semibold">{formatNumber(totals.calls)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">토큰</p>
+              <p className="text-xl font-semibold">{formatNumber(totals.tokens)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">예상 비용</p>
+              <p className="text-xl font-semibold">{formatCost(totals.cost)}</p>
+            </div>
+          </div>
+
+          {limitUsages.length > 0 && (
+            <div className="space-y-3">
+              {limitUsages.map((item) => (
+                <div key={item.label}>
+                  <div className="flex justify-between text-sm mb-1">
+                    <span className="text-gray-700">{item.label}</span>
+                    <span className={item.used >= item.limit ? 'text-red-600' : 'text-gray-500'}>
+                      {item.format(item.used)} / {item.format(item.limit)}
+                    </span>
+                  </div>
+                  <Progress value={Math.min((item.used / item.limit) * 100, 100)} />
+                </div>
+              ))}
+            </div>
+          )}
+
+          {usage.length === 0 ? (
+            <p className="text-sm text-gray-500">이 기간의 AI 사용 기록이 없습니다.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>멤버</TableHead>
+                  <TableHead>모델</TableHead>
+                  <TableHead className="text-right">호출</TableHead>
+                  <TableHead className="text-right">입력 토큰</TableHead>
+                  <TableHead className="text-right">출력 토큰</TableHead>
+                  <TableHead className="text-right">예상 비용</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {usage.map((row) => (
+                  <TableRow key={`${row.user_id}-${row.provider}-${row.model}`}>
+                    <TableCell>
+                      {users[row.user_id]?.user_name || users[row.user_id]?.email || '알 수 없음'}
+                    </TableCell>
+                    <TableCell>{getAIModel(row.model)?.label || row.model}</TableCell>
+                    <TableCell className="text-right">{formatNumber(row.call_count)}</TableCell>
+                    <TableCell className="text-right">{formatNumber(row.input_tokens)}</TableCell>
+                    <TableCell className="text-right">{formatNumber(row.output_tokens)}</TableCell>
+                    <TableCell className="text-right">{formatCost(row.cost_usd)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+
+          <div className="border-t pt-4">
+            <h4 className="font-medium mb-1">월간 한도</h4>
+            <p className="text-sm text-gray-500 mb-4">
+              한도를 넘으면 채팅 AI와 회의록 생성이 다음 달(UTC 기준)까지 차단됩니다. 비워두면 제한이 없습니다.
+            </p>
+            <div className="grid grid-cols-3 gap-4">
+              {LIMIT_FIELDS.map((field) => (
+                <div key={field.key} className="space-y-1">
+                  <Label htmlFor={field.key} className="text-sm">
+                    {field.label} ({field.unit})
+                  </Label>
+                  <Input
+                    id={field.key}
+                    type="number"
+                    min="0"
+                    step={field.step}
+                    value={form[field.key]}
+                    onChange={(e) => setForm({ ...form, [field.key]: e.target.value })}
+                    placeholder="제한 없음"
+                    disabled={!isAdmin}
+                  />
+                </div>
+              ))}
+            </div>
+            {isAdmin ? (
+              <div className="flex items-center justify-end gap-2 mt-4">
+                {saved && <span className="text-sm text-green-600">저장되었습니다</span>}
+                <Button onClick={handleSave} disabled={saving}>
+                  {saving ? '저장 중...' : '한도 저장'}
+                </Button>
+              </div>
+            ) : (
+              <p className="text-xs text-gray-500 mt-2">
+                워크스페이스 관리자만 한도를 변경할 수 있습니다.
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default AIUsageSettings;
@@ -1,5 +1,6 @@
 import { useState, useRef } from 'react';
 import { supabase } from '../../lib/supabase';
+import { addToKnowledgeBase } from '../../lib/aiProxy';
 import {
   Dialog,
   DialogContent,
@@ -120,7 +121,7 @@ const FileUploadDialog = ({
           .getPublicUrl(filePath);
 
         // workspace_files 테이블에 메타데이터 저장
-        const { error: dbError } = await supabase
+        const { data: fileRecord, error: dbError } = await supabase
           .from('workspace_files')
           .insert({
             workspace_id: workspaceId,
@@ -131,12 +132,19 @@ const FileUploadDialog = ({
             storage_url: urlData.publicUrl,
             uploaded_by: currentUserId,
             folder: currentFolder || '/'
-          });
+          })
+          .select('id')
+          .single();
 
         if (dbError) {
           throw dbError;
         }
 
+        // 워크스페이스 지식 베이스(AI 파일 검색)에 등록 - 업로드 완료를 기다리게 하지 않음
+        addToKnowledgeBase(workspaceId, 'workspace_file', fileRecord.id).catch((error) => {
+          console.warn(`지식 베이스 등록 실패 (${fileItem.file.name}):`, error);
+        });
+
         // 업로드 완료
         setSelectedFiles((prev) =>
           prev.map((f) =>
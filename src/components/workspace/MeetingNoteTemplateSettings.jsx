@@ -0,0 +1,235 @@
+import { useState } from 'react';
+import { Badge, Button, Card, Input, Label, Skeleton, Textarea } from '../ui';
+import { FileText, Plus, Trash2, X } from 'lucide-react';
+import { useMeetingNoteTemplates } from '../../hooks/useMeetingNoteTemplates';
+
+const EMPTY_FORM = {
+  id: null,
+  name: '',
+  description: '',
+  sections: [{ title: '', instruction: '' }],
+  tone: '',
+  language: '',
+  instructions: '',
+};
+
+// 템플릿 → 편집 폼 (기본 제공 템플릿은 복사본으로 편집)
+const toForm = (template, copy = false) => ({
+  id: copy ? null : template.id,
+  name: copy ? `${template.name} (사본)` : template.name,
+  description: template.description || '',
+  sections: template.sections?.length > 0
+    ? template.sections.map((section) => ({ title: section.title, instruction: section.instruction || '' }))
+    : [{ title: '', instruction: '' }],
+  tone: template.tone || '',
+  language: template.language || '',
+  instructions: template.instructions || '',
+});
+
+/**
+ * 워크스페이스 설정 - 회의록 템플릿
+ * - 기본 제공 템플릿은 복사해서 편집
+ * - 섹션을 비워두면 기본 회의록 구성에 어조/언어/추가 지침만 적용
+ */
+const MeetingNoteTemplateSettings = ({ workspaceId, currentUser }) => {
+  const [form, setForm] = useState(null);
+
+  const { templates, loading, saving, error, saveTemplate, deleteTemplate } =
+    useMeetingNoteTemplates(workspaceId, currentUser?.id);
+
+  const updateSection = (index, changes) => {
+    setForm({
+      ...form,
+      sections: form.sections.map((section, i) => (i === index ? { ...section, ...changes } : section)),
+    });
+  };
+
+  const handleSave = async () => {
+    try {
+      await saveTemplate(form);
+      setForm(null);
+    } catch {
+      // 오류는 훅의 error 상태로 표시
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!confirm(`"${template.name}" 템플릿을 삭제할까요?`)) return;
+
+    try {
+      await deleteTemplate(template.id);
+    } catch {
+      // 오류는 훅의 error 상태로 표시
+    }
+  };
+
+  return (
+    <Card className="p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2">
+          <FileText className="h-5 w-5" />
+          회의록 템플릿
+        </h3>
+        {!form && (
+          <Button size="sm" onClick={() => setForm(EMPTY_FORM)} className="flex items-center gap-1">
+            <Plus className="h-4 w-4" />
+            새 템플릿
+          </Button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {form ? (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-1">
+              <Label htmlFor="template-name">이름</Label>
+              <Input
+                id="template-name"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="예: 주간 회의"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="template-description">설명</Label>
+              <Input
+                id="template-description"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                placeholder="회의록 생성 시 표시됩니다"
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label>섹션</Label>
+            <p className="text-xs text-gray-500">
+              회의록에 순서대로 작성할 섹션입니다. 비워두면 기본 회의록 구성을 사용합니다. 액션 아이템은 항상 포함됩니다.
+            </p>
+            {form.sections.map((section, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <Input
+                  value={section.title}
+                  onChange={(e) => updateSection(index, { title: e.target.value })}
+                  placeholder="섹션 제목"
+                  className="w-48"
+                />
+                <Input
+                  value={section.instruction}
+                  onChange={(e) => updateSection(index, { instruction: e.target.value })}
+                  placeholder="작성 지침 (선택)"
+                  className="flex-1"
+                />
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setForm({ ...form, sections: form.sections.filter((_, i) => i !== index) })}
+                  title="섹션 삭제"
+                >
+                  <X className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setForm({ ...form, sections: [...form.sections, { title: '', instruction: '' }] })}
+            >
+              섹션 추가
+            </Button>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-1">
+              <Label htmlFor="template-tone">어조</Label>
+              <Input
+                id="template-tone"
+                value={form.tone}
+                onChange={(e) => setForm({ ...form, tone: e.target.value })}
+                placeholder="예: 간결한 개조식"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="template-language">작성 언어</Label>
+              <Input
+                id="template-language"
+                value={form.language}
+                onChange={(e) => setForm({ ...form, language: e.target.value })}
+                placeholder="기본: 한국어"
+              />
+            </div>
+          </div>
+
+          <div className="space-y-1">
+            <Label htmlFor="template-instructions">추가 지침</Label>
+            <Textarea
+              id="template-instructions"
+              value={form.instructions}
+              onChange={(e) => setForm({ ...form, instructions: e.target.value })}
+              placeholder="예: 고객사 이름은 약칭으로 쓰지 마세요."
+            />
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" onClick={() => setForm(null)} disabled={saving}>
+              취소
+            </Button>
+            <Button onClick={handleSave} disabled={saving || !form.name.trim()}>
+              {saving ? '저장 중...' : '템플릿 저장'}
+            </Button>
+          </div>
+        </div>
+      ) : loading ? (
+        <div className="space-y-2">
+          <Skeleton className="h-12 w-full" />
+          <Skeleton className="h-12 w-full" />
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {templates.map((template) => (
+            <div key={template.id} className="flex items-center justify-between gap-4 p-3 rounded-lg border">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium">{template.name}</span>
+                  {template.builtin && <Badge variant="secondary">기본 제공</Badge>}
+                </div>
+                {template.description && (
+                  <p className="text-sm text-gray-500 truncate">{template.description}</p>
+                )}
+              </div>
+              <div className="flex items-center gap-1 shrink-0">
+                {template.builtin ? (
+                  <Button variant="ghost" size="sm" onClick={() => setForm(toForm(template, true))}>
+                    복사해서 편집
+                  </Button>
+                ) : (
+                  <>
+                    <Button variant="ghost" size="sm" onClick={() => setForm(toForm(template))}>
+                      편집
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleDelete(template)}
+                      disabled={saving}
+                      title="템플릿 삭제"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+          <p className="text-xs text-gray-500">
+            템플릿은 만든 사람과 워크스페이스 관리자만 수정하거나 삭제할 수 있습니다.
+          </p>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default MeetingNoteTemplateSettings;
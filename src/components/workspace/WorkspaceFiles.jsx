@@ -1,18 +1,20 @@
 import { useState, useEffect } from 'react';
 import { supabase } from '../../lib/supabase';
+import { removeFromKnowledgeBase, syncKnowledgeBase } from '../../lib/aiProxy';
 import { useAuth } from '../../hooks/useAuth';
 import { Button, Card, Input, Skeleton } from '../ui';
-import { Upload, Search, FolderOpen } from 'lucide-react';
+import { Upload, Search, FolderOpen, BookOpen } from 'lucide-react';
 import FileList from './FileList';
 import FileUploadDialog from './FileUploadDialog';
 
-const WorkspaceFiles = ({ workspaceId, workspace, currentUser }) => {
+const WorkspaceFiles = ({ workspaceId, workspace, currentUser, isWorkspaceAdmin = false }) => {
   const { user } = useAuth();
   const [files, setFiles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
   const [showUploadDialog, setShowUploadDialog] = useState(false);
   const [currentFolder, setCurrentFolder] = useState('/');
+  const [syncing, setSyncing] = useState(false);
 
   useEffect(() => {
     if (workspaceId && user) {
@@ -80,6 +82,11 @@ const WorkspaceFiles = ({ workspaceId, workspace, currentUser }) => {
         return;
       }
 
+      // 워크스페이스 지식 베이스(AI 파일 검색)에서도 제거
+      removeFromKnowledgeBase(workspaceId, 'workspace_file', fileId).catch((error) => {
+        console.warn('지식 베이스에서 파일 제거 실패:', error);
+      });
+
       // 목록 새로고침
       fetchFiles();
     } catch (error) {
@@ -88,6 +95,37 @@ const WorkspaceFiles = ({ workspaceId, workspace, currentUser }) => {
     }
   };
 
+  // 기존 파일(공유 폴더 + 기본 채팅방 첨부)을 워크스페이스 지식 베이스에 일괄 등록 (관리자만)
+  const handleSyncKnowledgeBase = async () => {
+    try {
+      setSyncing(true);
+
+      let remaining = 0;
+      let synced = 0;
+      do {
+        const result = await syncKnowledgeBase(workspaceId);
+        synced += result.results.filter((r) => r.status !== 'failed').length;
+        remaining = result.remaining;
+
+        // 한 번에 전부 실패하면 무한 반복 방지
+        if (result.results.length > 0 && result.results.every((r) => r.status === 'failed')) {
+          break;
+        }
+      } while (remaining > 0);
+
+      alert(
+        remaining > 0
+          ? `AI 검색 동기화 중 일부 파일이 실패했습니다. (${synced}개 완료, ${remaining}개 남음)`
+          : `AI 검색 동기화가 완료되었습니다. (${synced}개 파일)`
+      );
+    } catch (error) {
+      console.error('Error syncing knowledge base:', error);
+      alert('AI 검색 동기화 중 오류가 발생했습니다.');
+    } finally {
+      setSyncing(false);
+    }
+  };
+
   const handleTogglePin = async (fileId, currentPinned) => {
     try {
       const { error } = await supabase
@@ -136,10 +174,23 @@ const WorkspaceFiles = ({ workspaceId, workspace, currentUser }) => {
             <FolderOpen className="h-6 w-6" />
             <h2 className="text-2xl font-bold">공유 폴더</h2>
           </div>
-          <Button onClick={() => setShowUploadDialog(true)}>
-            <Upload className="mr-2 h-4 w-4" />
-            파일 업로드
-          </Button>
+          <div className="flex items-center gap-2">
+            {isWorkspaceAdmin && (
+              <Button
+                variant="outline"
+                onClick={handleSyncKnowledgeBase}
+                disabled={syncing}
+                title="공유 폴더와 기본 채팅방 첨부 파일을 이 워크스페이스의 AI 파일 검색에 등록합니다"
+              >
+                <BookOpen className="mr-2 h-4 w-4" />
+                {syncing ? '동기화 중...' : 'AI 검색 동기화'}
+              </Button>
+            )}
+            <Button onClick={() => setShowUploadDialog(true)}>
+              <Upload className="mr-2 h-4 w-4" />
+              파일 업로드
+            </Button>
+          </div>
         </div>
         <p className="text-gray-600 dark:text-gray-400">
           {workspace?.name}의 공유 파일을 관리하세요
@@ -0,0 +1,164 @@
+/**
+ * useAIPersona.js
+ *
+ * 채팅방 AI 페르소나를 관리하는 커스텀 Hook
+ * - 채팅방 페르소나 / 워크스페이스 기본 페르소나 조회 및 저장
+ * - 적용될 페르소나 계산 (채팅방 값이 비어 있으면 워크스페이스 기본값)
+ * - system 프롬프트, temperature, 허용 도구는 ai-proxy가 서버에서 적용
+ *   (클라이언트는 기본 모델 선택에만 사용)
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { supabase } from '../lib/supabase'
+
+const PERSONA_FIELDS = ['system_prompt', 'default_model', 'temperature', 'allowed_tools']
+
+/**
+ * 채팅방 → 워크스페이스 기본 순으로 항목별 병합 (서버 personas.ts와 동일 규칙)
+ */
+export const mergePersona = (roomPersona, workspacePersona) =>
+  Object.fromEntries(
+    PERSONA_FIELDS.map((field) => [field, roomPersona?.[field] ?? workspacePersona?.[field] ?? null])
+  )
+
+export const useAIPersona = (workspaceId, chatRoomId, userId) => {
+  const [roomPersona, setRoomPersona] = useState(null)
+  const [workspacePersona, setWorkspacePersona] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fetchPersonas = useCallback(async () => {
+    if (!workspaceId) return
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      let query = supabase
+        .from('ai_personas')
+        .select('id, chat_room_id, system_prompt, default_model, temperature, allowed_tools, updated_at')
+        .eq('workspace_id', workspaceId)
+
+      query = chatRoomId
+        ? query.or(`chat_room_id.is.null,chat_room_id.eq.${chatRoomId}`)
+        : query.is('chat_room_id', null)
+
+      const { data, error: fetchError } = await query
+
+      if (fetchError) throw fetchError
+
+      setRoomPersona(data?.find((row) => row.chat_room_id) || null)
+      setWorkspacePersona(data?.find((row) => !row.chat_room_id) || null)
+    } catch (err) {
+      console.error('AI 페르소나 조회 오류:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [workspaceId, chatRoomId])
+
+  useEffect(() => {
+    fetchPersonas()
+  }, [fetchPersonas])
+
+  /**
+   * 페르소나 저장 (없으면 생성)
+   *
+   * @param {'room' | 'workspace'} scope - 채팅방 / 워크스페이스 기본
+   * @param {Object} values - { system_prompt, default_model, temperature, allowed_tools } (null은 상속/기본값)
+   */
+  const savePersona = useCallback(async (scope, values) => {
+    const current = scope === 'room' ? roomPersona : workspacePersona
+    const setPersona = scope === 'room' ? setRoomPersona : setWorkspacePersona
+
+    try {
+      setSaving(true)
+      setError(null)
+
+      const payload = { ...values, updated_by: userId }
+
+      // 부분 unique 인덱스라 upsert 대신 id 기준으로 수정/생성
+      const { data, error: saveError } = current
+        ? await supabase
+          .from('ai_personas')
+          .update(payload)
+          .eq('id', current.id)
+          .select()
+          .single()
+        : await supabase
+          .from('ai_personas')
+          .insert({
+            ...payload,
+            workspace_id: workspaceId,
+            chat_room_id: scope === 'room' ? chatRoomId : null
+          })
+          .select()
+          .single()
+
+      if (saveError) throw saveError
+
+      setPersona(data)
+      return data
+    } catch (err) {
+      console.error('AI 페르소나 저장 오류:', err)
+      setError(err.message)
+      throw err
+    } finally {
+      setSaving(false)
+    }
+  }, [workspaceId, chatRoomId, userId, roomPersona, workspacePersona])
+
+  /**
+   * 페르소나 초기화 (삭제 → 채팅방은 워크스페이스 기본값, 기본은 기존 동작)
+   *
+   * @param {'room' | 'workspace'} scope
+   */
+  const resetPersona = useCallback(async (scope) => {
+    const current = scope === 'room' ? roomPersona : workspacePersona
+    if (!current) return
+
+    try {
+      setSaving(true)
+      setError(null)
+
+      const { error: deleteError } = await supabase
+        .from('ai_personas')
+        .delete()
+        .eq('id', current.id)
+
+      if (deleteError) throw deleteError
+
+      if (scope === 'room') {
+        setRoomPersona(null)
+      } else {
+        setWorkspacePersona(null)
+      }
+    } catch (err) {
+      console.error('AI 페르소나 초기화 오류:', err)
+      setError(err.message)
+      throw err
+    } finally {
+      setSaving(false)
+    }
+  }, [roomPersona, workspacePersona])
+
+  const effectivePersona = useMemo(
+    () => mergePersona(roomPersona, workspacePersona),
+    [roomPersona, workspacePersona]
+  )
+
+  return {
+    roomPersona,
+    workspacePersona,
+    effectivePersona,
+    loading,
+    saving,
+    error,
+    savePersona,
+    resetPersona,
+    refresh: fetchPersonas
+  }
+}
+
+export default useAIPersona
@@ -0,0 +1,131 @@
+/**
+ * useAIResponse.js
+ *
+ * 채팅방 AI 답변 생성 상태를 관리하는 커스텀 Hook
+ * - 스트리밍 / 일반 응답 (provider 레지스트리 기준)
+ * - 응답 중지 (AbortController, 중지된 답변은 게시하지 않고 다시 시도만 안내)
+ * - rate limit / 과부하 오류 자동 재시도 상태
+ * - 실패한 요청 보관 (다시 시도용)
+ * - 채팅방 ID를 함께 보내 서버에서 채팅방 AI 페르소나 적용
+ */
+
+import { useState, useRef, useCallback, useEffect } from 'react'
+import { generateResponse, generateResponseStream } from '../components/chat/chatbot'
+import { getProviderForModel } from '../lib/aiProviders'
+import { isAbortError, USAGE_LIMIT_STATUS } from '../lib/aiProxy'
+
+export const useAIResponse = (workspaceId, chatRoomId) => {
+  const [isGenerating, setIsGenerating] = useState(false)
+  const [streamingContent, setStreamingContent] = useState('')
+  const [streamingProgress, setStreamingProgress] = useState(null) // 웹/파일 검색 진행 상황
+  const [retryStatus, setRetryStatus] = useState(null) // { attempt, maxRetries }
+  const [error, setError] = useState(null) // { message, request: { messages, model }, stopped? }
+
+  const abortControllerRef = useRef(null)
+
+  // 언마운트(채팅방 이동 등) 시 진행 중인 요청 중지
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort()
+  }, [])
+
+  /**
+   * AI 답변 생성
+   * - 중지된 경우 받은 내용을 버리고 null 반환 (새 요청으로 중지된 게 아니면 다시 시도 안내)
+   * - 실패한 경우 error 상태를 설정하고 null 반환
+   *
+   * @param {Array} messages - provider에 전달할 messages 배열
+   * @param {string} model - 모델 ID
+   * @returns {Promise<{ text: string, citations: Array, actions: Array } | null>} 채팅방에 게시할 답변, 출처, 확인 대기 작업
+   */
+  const generate = useCallback(async (messages, model) => {
+    abortControllerRef.current?.abort()
+
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
+
+    setError(null)
+    setRetryStatus(null)
+    setStreamingContent('')
+    setStreamingProgress(null)
+    setIsGenerating(true)
+
+    const provider = getProviderForModel(model)
+    const options = {
+      workspaceId,
+      chatRoomId,
+      signal: abortController.signal,
+      onRetry: ({ attempt, maxRetries }) => setRetryStatus({ attempt, maxRetries }),
+      onProgress: (progress) =>
+        setStreamingProgress(progress.status === 'completed' ? null : progress)
+    }
+
+    try {
+      // 🎯 스트리밍을 지원하는 provider만 스트리밍 사용
+      const response = provider.capabilities.streaming
+        ? await generateResponseStream(messages, model, (partialText) => {
+          setRetryStatus(null)
+          setStreamingContent(partialText)
+        }, options)
+        : await generateResponse(messages, model, options)
+
+      // 도구만 호출하고 텍스트 없이 끝난 경우에도 확인 대기 작업은 게시
+      return response.text || response.actions.length > 0 ? response : null
+    } catch (err) {
+      if (isAbortError(err)) {
+        console.log('⏹ AI 응답 중지됨')
+        // 중간까지 생성된 답변은 채팅방에 남기지 않음
+        if (abortControllerRef.current === abortController) {
+          setError({ message: '응답 생성을 중지했습니다.', request: { messages, model }, stopped: true })
+        }
+        return null
+      }
+
+      console.error('AI 응답 생성 중 오류:', err)
+      setError({
+        message: err.status === 429 || err.status === 529
+          ? '요청이 많아 AI 응답을 생성하지 못했습니다. 잠시 후 다시 시도해주세요.'
+          : err.status === USAGE_LIMIT_STATUS
+            ? err.message // 월간 사용 한도 초과 (서버 안내 그대로 표시)
+            : `AI 응답을 생성하는 중 오류가 발생했습니다: ${err.message}`,
+        request: { messages, model }
+      })
+      return null
+    } finally {
+      // 더 최근 요청이 시작된 경우 상태를 건드리지 않음
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null
+        setIsGenerating(false)
+        setStreamingContent('')
+        setStreamingProgress(null)
+        setRetryStatus(null)
+      }
+    }
+  }, [workspaceId, chatRoomId])
+
+  /**
+   * 진행 중인 응답 중지
+   */
+  const stop = useCallback(() => {
+    abortControllerRef.current?.abort()
+  }, [])
+
+  /**
+   * 오류 표시 닫기
+   */
+  const dismissError = useCallback(() => {
+    setError(null)
+  }, [])
+
+  return {
+    isGenerating,
+    streamingContent,
+    streamingProgress,
+    retryStatus,
+    error,
+    generate,
+    stop,
+    dismissError
+  }
+}
+
+export default useAIResponse
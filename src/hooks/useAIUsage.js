@@ -0,0 +1,138 @@
+/**
+ * useAIUsage.js
+ *
+ * 워크스페이스 AI 사용량 / 월간 한도를 관리하는 커스텀 Hook
+ * - 월별 사용량 집계 (사용자 × provider × 모델, get_workspace_ai_usage RPC)
+ * - 월간 한도 조회 / 저장 (workspace_ai_limits, 워크스페이스 관리자만 저장 가능)
+ * - 사용량 기록은 ai-proxy Edge Function이 서버에서 수행
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../lib/supabase'
+
+/**
+ * 월 범위 계산 (UTC 기준, 서버 한도 계산과 동일)
+ * @param {number} monthOffset - 0: 이번 달, -1: 지난달 ...
+ */
+export const getMonthRange = (monthOffset = 0) => {
+  const now = new Date()
+  const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + monthOffset, 1))
+  const to = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + monthOffset + 1, 1))
+  return { from: from.toISOString(), to: to.toISOString() }
+}
+
+export const useAIUsage = (workspaceId, userId, monthOffset = 0) => {
+  const [usage, setUsage] = useState([])
+  const [users, setUsers] = useState({}) // user_id → { user_name, email }
+  const [limits, setLimits] = useState(null)
+  const [isAdmin, setIsAdmin] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fetchUsage = useCallback(async () => {
+    if (!workspaceId || !userId) return
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const { from, to } = getMonthRange(monthOffset)
+
+      const [usageResult, limitsResult, memberResult] = await Promise.all([
+        supabase.rpc('get_workspace_ai_usage', { p_workspace_id: workspaceId, p_from: from, p_to: to }),
+        supabase
+          .from('workspace_ai_limits')
+          .select('monthly_token_limit, monthly_cost_limit_usd, user_monthly_cost_limit_usd, updated_at')
+          .eq('workspace_id', workspaceId)
+          .maybeSingle(),
+        supabase
+          .from('workspace_members')
+          .select('role')
+          .eq('workspace_id', workspaceId)
+          .eq('user_id', userId)
+          .maybeSingle()
+      ])
+
+      if (usageResult.error) throw usageResult.error
+      if (limitsResult.error) throw limitsResult.error
+      if (memberResult.error) throw memberResult.error
+
+      const rows = usageResult.data || []
+      const userIds = [...new Set(rows.map((row) => row.user_id))]
+
+      if (userIds.length > 0) {
+        const { data: userRows, error: usersError } = await supabase
+          .from('users')
+          .select('user_id, user_name, email')
+          .in('user_id', userIds)
+
+        if (usersError) throw usersError
+
+        setUsers(Object.fromEntries((userRows || []).map((u) => [u.user_id, u])))
+      } else {
+        setUsers({})
+      }
+
+      setUsage(rows)
+      setLimits(limitsResult.data)
+      setIsAdmin(memberResult.data?.role === 'admin')
+    } catch (err) {
+      console.error('AI 사용량 조회 오류:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [workspaceId, userId, monthOffset])
+
+  useEffect(() => {
+    fetchUsage()
+  }, [fetchUsage])
+
+  /**
+   * 월간 한도 저장 (빈 값은 제한 없음)
+   *
+   * @param {Object} nextLimits - { monthly_token_limit, monthly_cost_limit_usd, user_monthly_cost_limit_usd }
+   */
+  const saveLimits = useCallback(async (nextLimits) => {
+    try {
+      setSaving(true)
+      setError(null)
+
+      const { data, error: saveError } = await supabase
+        .from('workspace_ai_limits')
+        .upsert({
+          workspace_id: workspaceId,
+          ...nextLimits,
+          updated_by: userId
+        })
+        .select('monthly_token_limit, monthly_cost_limit_usd, user_monthly_cost_limit_usd, updated_at')
+        .single()
+
+      if (saveError) throw saveError
+
+      setLimits(data)
+      return data
+    } catch (err) {
+      console.error('AI 사용 한도 저장 오류:', err)
+      setError(err.message)
+      throw err
+    } finally {
+      setSaving(false)
+    }
+  }, [workspaceId, userId])
+
+  return {
+    usage,
+    users,
+    limits,
+    isAdmin,
+    loading,
+    saving,
+    error,
+    refresh: fetchUsage,
+    saveLimits
+  }
+}
+
+export default useAIUsage
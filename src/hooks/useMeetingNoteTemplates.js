@@ -0,0 +1,156 @@
+/**
+ * useMeetingNoteTemplates.js
+ *
+ * 회의록 템플릿을 관리하는 커스텀 Hook
+ * - 기본 제공 템플릿 + 워크스페이스 템플릿(meeting_note_templates) 목록
+ * - 워크스페이스 템플릿 생성 / 수정 / 삭제 (수정·삭제는 만든 사람 또는 관리자, RLS로 제한)
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { supabase } from '../lib/supabase'
+import {
+  BUILTIN_MEETING_NOTE_TEMPLATES,
+  normalizeTemplateSections
+} from '../utils/meetingNoteTemplates'
+
+const TEMPLATE_COLUMNS = 'id, name, description, sections, tone, language, instructions, created_by, updated_at'
+
+// 폼 값 → 테이블 컬럼 (빈 문자열은 null)
+const toRow = (values) => ({
+  name: values.name.trim(),
+  description: values.description?.trim() || null,
+  sections: normalizeTemplateSections(values.sections),
+  tone: values.tone?.trim() || null,
+  language: values.language?.trim() || null,
+  instructions: values.instructions?.trim() || null
+})
+
+export const useMeetingNoteTemplates = (workspaceId, userId) => {
+  const [workspaceTemplates, setWorkspaceTemplates] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fetchTemplates = useCallback(async () => {
+    if (!workspaceId) return
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const { data, error: fetchError } = await supabase
+        .from('meeting_note_templates')
+        .select(TEMPLATE_COLUMNS)
+        .eq('workspace_id', workspaceId)
+        .order('name', { ascending: true })
+
+      if (fetchError) throw fetchError
+
+      setWorkspaceTemplates(data || [])
+    } catch (err) {
+      console.error('회의록 템플릿 조회 오류:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [workspaceId])
+
+  useEffect(() => {
+    fetchTemplates()
+  }, [fetchTemplates])
+
+  /**
+   * 템플릿 저장 (id가 없으면 생성)
+   *
+   * @param {Object} values - { id?, name, description, sections, tone, language, instructions }
+   * @returns {Promise<Object>} 저장된 템플릿
+   */
+  const saveTemplate = useCallback(async (values) => {
+    try {
+      setSaving(true)
+      setError(null)
+
+      if (!values.name?.trim()) {
+        throw new Error('템플릿 이름을 입력해주세요.')
+      }
+
+      const { data, error: saveError } = values.id
+        ? await supabase
+          .from('meeting_note_templates')
+          .update(toRow(values))
+          .eq('id', values.id)
+          .select(TEMPLATE_COLUMNS)
+          .single()
+        : await supabase
+          .from('meeting_note_templates')
+          .insert({ ...toRow(values), workspace_id: workspaceId, created_by: userId })
+          .select(TEMPLATE_COLUMNS)
+          .single()
+
+      if (saveError) {
+        throw saveError.code === '23505'
+          ? new Error('같은 이름의 템플릿이 이미 있습니다.')
+          : saveError
+      }
+
+      setWorkspaceTemplates((prev) =>
+        [...prev.filter((template) => template.id !== data.id), data]
+          .sort((a, b) => a.name.localeCompare(b.name))
+      )
+      return data
+    } catch (err) {
+      console.error('회의록 템플릿 저장 오류:', err)
+      setError(err.message)
+      throw err
+    } finally {
+      setSaving(false)
+    }
+  }, [workspaceId, userId])
+
+  /**
+   * 템플릿 삭제
+   * 이미 생성된 회의록의 metadata.template 기록은 그대로 남음
+   *
+   * @param {string} templateId
+   */
+  const deleteTemplate = useCallback(async (templateId) => {
+    try {
+      setSaving(true)
+      setError(null)
+
+      const { error: deleteError } = await supabase
+        .from('meeting_note_templates')
+        .delete()
+        .eq('id', templateId)
+
+      if (deleteError) throw deleteError
+
+      setWorkspaceTemplates((prev) => prev.filter((template) => template.id !== templateId))
+    } catch (err) {
+      console.error('회의록 템플릿 삭제 오류:', err)
+      setError(err.message)
+      throw err
+    } finally {
+      setSaving(false)
+    }
+  }, [])
+
+  // 선택 목록: 기본 제공 → 워크스페이스 템플릿
+  const templates = useMemo(
+    () => [...BUILTIN_MEETING_NOTE_TEMPLATES, ...workspaceTemplates],
+    [workspaceTemplates]
+  )
+
+  return {
+    templates,
+    workspaceTemplates,
+    loading,
+    saving,
+    error,
+    saveTemplate,
+    deleteTemplate,
+    refresh: fetchTemplates
+  }
+}
+
+export default useMeetingNoteTemplates
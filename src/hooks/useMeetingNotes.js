@@ -3,8 +3,11 @@
  *
  * 회의록 생성 및 관리를 위한 커스텀 Hook
  * - 시간 범위 기반 메시지 조회
- * - AI 회의록 생성
- * - 회의록 저장 및 조회
+ * - AI 회의록 생성 (meeting-notes Edge Function, 서버가 시간 범위의 대화를 조회해 생성)
+ * - 회의록 저장 및 조회, 워크스페이스 전체 검색
+ * - 액션 아이템 → 태스크 일괄 생성
+ * - 버전 기록: 저장/편집/다시 생성/복원할 때마다 meeting_note_versions 에 스냅샷 추가
+ *   (저장은 DB 트리거, 수정은 update_meeting_note_with_version RPC가 변경과 같은 트랜잭션에서 기록)
  */
 
 import { useState, useCallback } from 'react'
@@ -21,6 +24,8 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
   const [messages, setMessages] = useState([])
   const [generatedNotes, setGeneratedNotes] = useState('')
   const [saving, setSaving] = useState(false)
+  // 생성 진행 상황 { stage: 'map' | 'merge' | 'reduce', current, total } (긴 대화 구간별 요약)
+  const [progress, setProgress] = useState(null)
 
   /**
    * 시간 범위 내의 메시지 조회
@@ -38,6 +43,8 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
         .from('chat_messages')
         .select('id, sender_id, sender_name, content, message_type, created_at')
         .eq('chat_room_id', chatRoomId)
+        .in('message_type', ['user', 'ai']) // 회의록 생성 대상과 같은 메시지 (시스템/파일/공유 카드 제외)
+        .is('deleted_at', null) // 삭제된 메시지 제외
         .gte('created_at', startTime)
         .lte('created_at', endTime)
         .order('created_at', { ascending: true })
@@ -46,11 +53,8 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
         throw fetchError
       }
 
-      // AI 메시지 제외 (선택적)
-      const userMessages = data.filter(msg => msg.message_type !== 'system')
-
-      setMessages(userMessages)
-      return userMessages
+      setMessages(data)
+      return data
 
     } catch (err) {
       console.error('메시지 조회 오류:', err)
@@ -64,24 +68,23 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
   /**
    * 회의록 생성 (일반 모드)
    *
-   * @param {Array} messagesToAnalyze - 분석할 메시지 배열
-   * @param {Object} metadata - 회의 메타데이터
-   * @param {Object} options - 생성 옵션
-   * @returns {Promise<string>} 생성된 회의록
+   * @param {Object} metadata - 회의 메타데이터 (startTime, endTime: 대화 범위)
+   * @param {Object} options - 생성 옵션 (template, model)
+   * @returns {Promise<{ content: string, structured: Object, chunkCount: number, messageCount: number }>} Markdown 회의록과 구조화된 회의록(JSON)
    */
-  const createMeetingNotes = useCallback(async (messagesToAnalyze, metadata = {}, options = {}) => {
+  const createMeetingNotes = useCallback(async (metadata = {}, options = {}) => {
     try {
       setLoading(true)
       setError(null)
 
-      if (!messagesToAnalyze || messagesToAnalyze.length === 0) {
-        throw new Error('분석할 메시지가 없습니다.')
-      }
-
       // AI 회의록 생성
-      const notes = await generateMeetingNotes(messagesToAnalyze, metadata, options)
+      const notes = await generateMeetingNotes(metadata, {
+        ...options,
+        workspaceId,
+        chatRoomId
+      })
 
-      setGeneratedNotes(notes)
+      setGeneratedNotes(notes.content)
       return notes
 
     } catch (err) {
@@ -91,19 +94,17 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
     } finally {
       setLoading(false)
     }
-  }, [])
+  }, [workspaceId, chatRoomId])
 
   /**
    * 회의록 생성 (스트리밍 모드)
    *
-   * @param {Array} messagesToAnalyze - 분석할 메시지 배열
-   * @param {Object} metadata - 회의 메타데이터
-   * @param {Function} onUpdate - 스트리밍 업데이트 콜백
-   * @param {Object} options - 생성 옵션
-   * @returns {Promise<string>} 완성된 회의록
+   * @param {Object} metadata - 회의 메타데이터 (startTime, endTime: 대화 범위)
+   * @param {Function} onUpdate - 스트리밍 업데이트 콜백 (JSON 원문)
+   * @param {Object} options - 생성 옵션 (template, model, onProgress)
+   * @returns {Promise<{ content: string, structured: Object, chunkCount: number, messageCount: number }>} Markdown 회의록, 구조화된 회의록(JSON), 구간 수, 사용한 메시지 수
    */
   const createMeetingNotesStreaming = useCallback(async (
-    messagesToAnalyze,
     metadata = {},
     onUpdate,
     options = {}
@@ -111,25 +112,32 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
     try {
       setLoading(true)
       setError(null)
-
-      if (!messagesToAnalyze || messagesToAnalyze.length === 0) {
-        throw new Error('분석할 메시지가 없습니다.')
-      }
+      setProgress(null)
 
       // 스트리밍 회의록 생성
       const notes = await generateMeetingNotesStreaming(
-        messagesToAnalyze,
         metadata,
         (partialText) => {
-          setGeneratedNotes(partialText)
+          // 스트리밍 중에는 JSON 원문이므로 generatedNotes(Markdown)는 완료 후에만 갱신
           if (onUpdate) {
             onUpdate(partialText)
           }
         },
-        options
+        {
+          ...options,
+          workspaceId,
+          chatRoomId,
+          onProgress: (stageProgress) => {
+            setProgress(stageProgress)
+
+            if (options.onProgress) {
+              options.onProgress(stageProgress)
+            }
+          }
+        }
       )
 
-      setGeneratedNotes(notes)
+      setGeneratedNotes(notes.content)
       return notes
 
     } catch (err) {
@@ -138,8 +146,9 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
       throw err
     } finally {
       setLoading(false)
+      setProgress(null)
     }
-  }, [])
+  }, [workspaceId, chatRoomId])
 
   /**
    * 회의록을 데이터베이스에 저장
@@ -189,6 +198,8 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
         throw insertError
       }
 
+      // AI가 생성한 원본은 DB 트리거가 첫 버전으로 기록
+
       return data
 
     } catch (err) {
@@ -203,7 +214,7 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
   /**
    * 워크스페이스의 회의록 목록 조회
    *
-   * @param {Object} options - 조회 옵션 (limit, offset 등)
+   * @param {Object} options - 조회 옵션 (limit, offset, chatRoomIdFilter, from/to: 회의 시작 시간 범위)
    * @returns {Promise<Array>} 회의록 목록
    */
   const fetchMeetingNotesList = useCallback(async (options = {}) => {
@@ -214,7 +225,9 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
       const {
         limit = 50,
         offset = 0,
-        chatRoomIdFilter = null
+        chatRoomIdFilter = null,
+        from = null,
+        to = null
       } = options
 
       let query = supabase
@@ -229,6 +242,15 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
         query = query.eq('chat_room_id', chatRoomIdFilter)
       }
 
+      // 회의 시작 시간 범위 필터 (선택적)
+      if (from) {
+        query = query.gte('start_time', from)
+      }
+
+      if (to) {
+        query = query.lt('start_time', to)
+      }
+
       const { data, error: fetchError } = await query
 
       if (fetchError) {
@@ -246,6 +268,57 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
     }
   }, [workspaceId])
 
+  /**
+   * 워크스페이스 회의록 전문 검색 (search_meeting_notes RPC)
+   * - 검색어는 공백으로 나눈 모든 단어를 포함하는 회의록 (제목 일치 우선)
+   * - 검색어 없이 필터만 지정하면 최신 회의순
+   *
+   * @param {Object} options - 검색 옵션 (query, chatRoomIdFilter, createdBy, participantId, from/to: 회의 시작 시간 범위, limit, offset)
+   * @returns {Promise<{ results: Array, total: number }>} 검색 결과 (snippet: 일치 위치 주변 본문)와 전체 개수
+   */
+  const searchMeetingNotes = useCallback(async (options = {}) => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const {
+        query = '',
+        chatRoomIdFilter = null,
+        createdBy = null,
+        participantId = null,
+        from = null,
+        to = null,
+        limit = 20,
+        offset = 0
+      } = options
+
+      const { data, error: searchError } = await supabase.rpc('search_meeting_notes', {
+        p_workspace_id: workspaceId,
+        p_query: query.trim() || null,
+        p_chat_room_id: chatRoomIdFilter,
+        p_created_by: createdBy,
+        p_participant_id: participantId,
+        p_from: from,
+        p_to: to,
+        p_limit: limit,
+        p_offset: offset
+      })
+
+      if (searchError) {
+        throw searchError
+      }
+
+      return { results: data || [], total: data?.[0]?.total_count || 0 }
+
+    } catch (err) {
+      console.error('회의록 검색 오류:', err)
+      setError(err.message)
+      throw err
+    } finally {
+      setLoading(false)
+    }
+  }, [workspaceId])
+
   /**
    * 특정 회의록 조회
    *
@@ -310,22 +383,39 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
 
   /**
    * 회의록 업데이트
+   * 제목이나 내용이 바뀌면 update_meeting_note_with_version RPC로 새 버전까지 함께 기록
+   * (버전 기록 이전에 저장된 회의록은 수정 전 내용을 먼저 첫 버전으로 남김)
    *
    * @param {string} noteId - 회의록 ID
    * @param {Object} updates - 업데이트할 필드
+   * @param {Object} options - { changeType: 'edited' | 'regenerated' | 'restored', restoredFrom }
    * @returns {Promise<Object>} 업데이트된 회의록
    */
-  const updateMeetingNote = useCallback(async (noteId, updates) => {
+  const updateMeetingNote = useCallback(async (noteId, updates, options = {}) => {
+    const { changeType = 'edited', restoredFrom = null } = options
+
     try {
       setLoading(true)
       setError(null)
 
-      const { data, error: updateError } = await supabase
-        .from('meeting_notes')
-        .update(updates)
-        .eq('id', noteId)
-        .select()
-        .single()
+      const versioned = updates.content !== undefined || updates.title !== undefined
+
+      // 제목/내용 변경은 회의록 수정과 버전 기록을 한 트랜잭션에서 처리
+      const { data, error: updateError } = versioned
+        ? await supabase.rpc('update_meeting_note_with_version', {
+          p_meeting_note_id: noteId,
+          p_title: updates.title ?? null,
+          p_content: updates.content ?? null,
+          p_metadata: updates.metadata ?? null,
+          p_change_type: changeType,
+          p_restored_from: restoredFrom
+        })
+        : await supabase
+          .from('meeting_notes')
+          .update(updates)
+          .eq('id', noteId)
+          .select()
+          .single()
 
       if (updateError) {
         throw updateError
@@ -342,6 +432,110 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
     }
   }, [])
 
+  /**
+   * 회의록 버전 목록 조회 (최신순)
+   *
+   * @param {string} noteId - 회의록 ID
+   * @returns {Promise<Array>} 버전 목록
+   */
+  const fetchMeetingNoteVersions = useCallback(async (noteId) => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const { data, error: fetchError } = await supabase
+        .from('meeting_note_versions')
+        .select('id, version_number, title, content, metadata, change_type, restored_from, created_by, created_at')
+        .eq('meeting_note_id', noteId)
+        .order('version_number', { ascending: false })
+
+      if (fetchError) {
+        throw fetchError
+      }
+
+      return data
+
+    } catch (err) {
+      console.error('회의록 버전 조회 오류:', err)
+      setError(err.message)
+      throw err
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  /**
+   * 회의록을 특정 버전으로 복원 (복원 결과도 새 버전으로 기록)
+   * 제목, 내용, 구조화된 회의록만 되돌리고 나머지 메타데이터는 유지
+   *
+   * @param {Object} note - 현재 회의록 (id, metadata)
+   * @param {Object} version - 복원할 버전
+   * @returns {Promise<Object>} 복원된 회의록
+   */
+  const restoreMeetingNoteVersion = useCallback(async (note, version) => {
+    return updateMeetingNote(
+      note.id,
+      {
+        title: version.title,
+        content: version.content,
+        metadata: { ...note.metadata, structured: version.metadata?.structured }
+      },
+      { changeType: 'restored', restoredFrom: version.version_number }
+    )
+  }, [updateMeetingNote])
+
+  /**
+   * 액션 아이템을 태스크로 일괄 생성하고 회의록에 연결 (create_tasks_from_action_items RPC, 한 트랜잭션)
+   * - tasks.meeting_note_id 에 회의록 ID 기록
+   * - 회의록 metadata.structured.actionItems[].taskId 에 생성된 태스크 ID 기록
+   * - 이미 태스크가 연결된 액션 아이템은 서버에서 건너뜀 (중복 생성 방지)
+   *
+   * @param {Object} note - 저장된 회의록 (id 필요)
+   * @param {Array} drafts - 생성할 태스크 초안 ({ index, title, assigneeId, dueDate })
+   * @returns {Promise<{ tasks: Array, note: Object }>} 생성된 태스크와 갱신된 회의록
+   */
+  const createTasksFromActionItems = useCallback(async (note, drafts) => {
+    try {
+      setSaving(true)
+      setError(null)
+
+      if (!note?.id) {
+        throw new Error('회의록을 먼저 저장해야 합니다.')
+      }
+
+      if (!drafts || drafts.length === 0) {
+        throw new Error('생성할 태스크가 없습니다.')
+      }
+
+      const { data, error: rpcError } = await supabase
+        .rpc('create_tasks_from_action_items', {
+          p_meeting_note_id: note.id,
+          p_drafts: drafts.map((draft) => ({
+            index: draft.index,
+            title: draft.title.trim(),
+            assigneeId: draft.assigneeId || null,
+            dueDate: draft.dueDate || null
+          }))
+        })
+
+      if (rpcError) {
+        throw rpcError
+      }
+
+      return {
+        tasks: (data.taskIds || []).map((id) => ({ id })),
+        note: data.note
+      }
+
+    } catch (err) {
+      console.error('액션 아이템 태스크 생성 오류:', err)
+      setError(err.message)
+      throw err
+    } finally {
+      setSaving(false)
+    }
+  }, [])
+
   return {
     // 상태
     loading,
@@ -349,6 +543,7 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
     messages,
     generatedNotes,
     saving,
+    progress,
 
     // 메서드
     fetchMessagesInRange,
@@ -356,9 +551,13 @@ export const useMeetingNotes = (workspaceId, chatRoomId) => {
     createMeetingNotesStreaming,
     saveMeetingNotes,
     fetchMeetingNotesList,
+    searchMeetingNotes,
     fetchMeetingNote,
     deleteMeetingNote,
     updateMeetingNote,
+    fetchMeetingNoteVersions,
+    restoreMeetingNoteVersion,
+    createTasksFromActionItems,
 
     // 유틸리티
     setGeneratedNotes,
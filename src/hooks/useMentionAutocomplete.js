@@ -0,0 +1,85 @@
+/**
+ * useMentionAutocomplete.js
+ *
+ * 채팅 입력창 @멘션 자동완성 상태를 관리하는 커스텀 Hook
+ * - 커서 앞의 @검색어로 채팅방 멤버 후보 필터링
+ * - 방향키/Enter/Tab/Esc 로 후보 선택 (입력창 onKeyDown에서 handleKeyDown 먼저 호출)
+ * - 선택한 멤버 이름을 입력 내용에 삽입하고 커서 이동
+ */
+
+import { useState, useMemo, useCallback } from 'react'
+import { filterMentionCandidates, findMentionQuery, insertMention } from '../utils/mentions'
+
+export const useMentionAutocomplete = (members, value, setValue, textareaRef) => {
+  const [mentionQuery, setMentionQuery] = useState(null) // { start, query }
+  const [activeIndex, setActiveIndex] = useState(0)
+
+  const candidates = useMemo(
+    () => (mentionQuery ? filterMentionCandidates(members, mentionQuery.query) : []),
+    [members, mentionQuery]
+  )
+  const isOpen = candidates.length > 0
+
+  // 입력/커서 이동 시 호출 (onChange, onSelect)
+  const updateQuery = useCallback((text, caret) => {
+    setMentionQuery(findMentionQuery(text, caret))
+    setActiveIndex(0)
+  }, [])
+
+  const close = useCallback(() => setMentionQuery(null), [])
+
+  const selectCandidate = useCallback((member) => {
+    if (!mentionQuery) return
+
+    const { text, caret } = insertMention(value, mentionQuery, member.name)
+    setValue(text)
+    setMentionQuery(null)
+
+    // 값이 반영된 뒤 커서를 멘션 뒤로 이동
+    requestAnimationFrame(() => {
+      const textarea = textareaRef.current
+      if (!textarea) return
+      textarea.focus()
+      textarea.setSelectionRange(caret, caret)
+    })
+  }, [mentionQuery, value, setValue, textareaRef])
+
+  // 자동완성이 열려 있을 때 키 입력 처리 (처리했으면 true)
+  const handleKeyDown = useCallback((e) => {
+    if (!isOpen) return false
+
+    switch (e.key) {
+      case 'ArrowDown':
+        setActiveIndex((index) => (index + 1) % candidates.length)
+        break
+      case 'ArrowUp':
+        setActiveIndex((index) => (index - 1 + candidates.length) % candidates.length)
+        break
+      case 'Enter':
+      case 'Tab':
+        if (e.nativeEvent.isComposing) return false
+        selectCandidate(candidates[activeIndex] || candidates[0])
+        break
+      case 'Escape':
+        setMentionQuery(null)
+        break
+      default:
+        return false
+    }
+
+    e.preventDefault()
+    return true
+  }, [isOpen, candidates, activeIndex, selectCandidate])
+
+  return {
+    candidates,
+    activeIndex,
+    isOpen,
+    updateQuery,
+    selectCandidate,
+    handleKeyDown,
+    close
+  }
+}
+
+export default useMentionAutocomplete
@@ -0,0 +1,74 @@
+/**
+ * useMessageSearch.js
+ *
+ * 워크스페이스 채팅 메시지 검색을 위한 커스텀 Hook
+ * - search_chat_messages RPC (검색어 + 채팅방/보낸 사람/기간/첨부 파일 필터)
+ * - 결과는 일치 위치 주변 미리보기(snippet)와 채팅방 정보를 포함 (선택하면 해당 메시지로 이동)
+ */
+
+import { useState, useCallback } from 'react'
+import { supabase } from '../lib/supabase'
+
+export const useMessageSearch = (workspaceId) => {
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  /**
+   * 채팅 메시지 전문 검색
+   * - 검색어는 공백으로 나눈 모든 단어를 포함하는 메시지 (관련도 → 최신순)
+   * - 검색어 없이 필터만 지정하면 최신순
+   *
+   * @param {Object} options - 검색 옵션 (query, chatRoomId, senderId, from/to: 보낸 시간 범위, hasFiles, limit, offset)
+   * @returns {Promise<{ results: Array, total: number }>} 검색 결과와 전체 개수
+   */
+  const searchMessages = useCallback(async (options = {}) => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const {
+        query = '',
+        chatRoomId = null,
+        senderId = null,
+        from = null,
+        to = null,
+        hasFiles = null,
+        limit = 20,
+        offset = 0
+      } = options
+
+      const { data, error: searchError } = await supabase.rpc('search_chat_messages', {
+        p_workspace_id: workspaceId,
+        p_query: query.trim() || null,
+        p_chat_room_id: chatRoomId,
+        p_sender_id: senderId,
+        p_from: from,
+        p_to: to,
+        p_has_files: hasFiles,
+        p_limit: limit,
+        p_offset: offset
+      })
+
+      if (searchError) {
+        throw searchError
+      }
+
+      return { results: data || [], total: data?.[0]?.total_count || 0 }
+
+    } catch (err) {
+      console.error('메시지 검색 오류:', err)
+      setError(err.message)
+      throw err
+    } finally {
+      setLoading(false)
+    }
+  }, [workspaceId])
+
+  return {
+    loading,
+    error,
+    searchMessages
+  }
+}
+
+export default useMessageSearch
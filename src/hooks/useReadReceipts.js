@@ -0,0 +1,86 @@
+/**
+ * useReadReceipts.js
+ *
+ * 채팅방 메시지별 읽음 표시를 위한 커스텀 Hook
+ * - get_chat_read_receipts RPC로 멤버별 마지막으로 읽은 시간 조회 (창이 보일 때 주기적으로 갱신)
+ * - 메시지를 읽은 사람 = 보낸 사람이 아닌 멤버 중 마지막으로 읽은 시간이 메시지 시간 이후인 멤버
+ * - 멤버가 많은 채팅방은 표시하지 않음 (enabled = false, 갱신 중단)
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../lib/supabase'
+
+const READ_RECEIPTS_MAX_MEMBERS = 20
+const READ_RECEIPTS_POLL_MS = 10000
+
+export const useReadReceipts = (chatRoomId) => {
+  const [readStatuses, setReadStatuses] = useState([])
+  const [enabled, setEnabled] = useState(false)
+
+  useEffect(() => {
+    setReadStatuses([])
+    setEnabled(false)
+    if (!chatRoomId) return
+
+    let cancelled = false
+    let timer = null
+
+    const fetchReadReceipts = async () => {
+      if (document.hidden) return true
+
+      const { data, error } = await supabase.rpc('get_chat_read_receipts', {
+        p_chat_room_id: chatRoomId
+      })
+      if (cancelled) return false
+
+      if (error) {
+        console.error('읽음 상태 조회 오류:', error)
+        return true
+      }
+
+      const small = (data || []).length <= READ_RECEIPTS_MAX_MEMBERS
+      setEnabled(small)
+      setReadStatuses(small ? data || [] : [])
+      return small
+    }
+
+    // 큰 채팅방이면 더 이상 갱신하지 않음
+    const poll = async () => {
+      const keepPolling = await fetchReadReceipts()
+      if (!cancelled && keepPolling) {
+        timer = setTimeout(poll, READ_RECEIPTS_POLL_MS)
+      }
+    }
+
+    poll()
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [chatRoomId])
+
+  /**
+   * 메시지를 읽은 멤버 목록
+   *
+   * @param {Object} message - 채팅 메시지 (sender_id, created_at)
+   * @returns {Array<{ user_id: string, user_name: string, last_read_at: string }>} 읽은 멤버 (최근에 읽은 순)
+   */
+  const getReaders = useCallback((message) => {
+    if (!enabled || !message?.created_at) return []
+
+    const sentAt = new Date(message.created_at)
+    return readStatuses.filter((status) =>
+      status.user_id !== message.sender_id &&
+      status.last_read_at &&
+      new Date(status.last_read_at) >= sentAt
+    )
+  }, [enabled, readStatuses])
+
+  return {
+    enabled,
+    getReaders
+  }
+}
+
+export default useReadReceipts
@@ -1,5 +1,6 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import { getSupabase } from '../lib/supabase'
+import { addToKnowledgeBase, removeFromKnowledgeBase } from '../lib/aiProxy'
 
 // AXTI (AI Assistant) 사용자 ID (환경 변수에서 로드)
 const AI_ASSISTANT_AUTH_ID = import.meta.env.VITE_AI_ASSISTANT_AUTH_ID
@@ -8,12 +9,14 @@ const AI_ASSISTANT_AUTH_ID = import.meta.env.VITE_AI_ASSISTANT_AUTH_ID
 const globalChannelManager = {
     channels: new Map(),
     activeConnections: 0,
-    maxConnections: 1, // 더 보수적으로 설정 (메시지 전송과 구독을 하나의 연결로 처리)
+    maxConnections: 3, // 채팅방 메시지(스레드 패널도 함께 사용) + 워크스페이스 접속 상태 + 채팅방 입력 중 표시
+    refCounts: new Map(), // 채널별 사용 중인 훅 수 (같은 채널을 여러 훅이 함께 사용)
     connectionQueue: [], // 연결 대기열
-    lastConnectionAttempt: 0, // 마지막 연결 시도 시간
-    connectionThrottleMs: 5000, // 연결 시도 간격 (5초)
+    lastConnectionAttempts: new Map(), // 채널별 마지막 연결 시도 시간
+    connectionThrottleMs: 5000, // 같은 채널 연결 시도 간격 (5초)
     
-    getChannel(channelName, supabase) {
+    // options.presenceKey: Presence 채널에서 내 상태를 구분할 키 (사용자 ID)
+    getChannel(channelName, supabase, options = {}) {
         if (this.channels.has(channelName)) {
             const channel = this.channels.get(channelName)
             
@@ -24,13 +27,14 @@ const globalChannelManager = {
                 this.activeConnections = Math.max(0, this.activeConnections - 1)
             } else {
                 console.log('♻️ 기존 채널 재사용:', channelName, 'state:', channel.state)
+                this.refCounts.set(channelName, (this.refCounts.get(channelName) || 0) + 1)
                 return channel
             }
         }
         
         // 연결 시도 스로틀링 체크
         const now = Date.now()
-        const timeSinceLastAttempt = now - this.lastConnectionAttempt
+        const timeSinceLastAttempt = now - (this.lastConnectionAttempts.get(channelName) || 0)
         
         if (timeSinceLastAttempt < this.connectionThrottleMs) {
             const waitTime = this.connectionThrottleMs - timeSinceLastAttempt
@@ -44,26 +48,40 @@ const globalChannelManager = {
         }
         
         // 연결 시도 시간 기록
-        this.lastConnectionAttempt = now
+        this.lastConnectionAttempts.set(channelName, now)
         
         const channel = supabase.channel(channelName, {
-            config: { private: true }
+            config: {
+                private: true,
+                ...(options.presenceKey ? { presence: { key: options.presenceKey } } : {})
+            }
         })
         
         this.channels.set(channelName, channel)
+        this.refCounts.set(channelName, 1)
         this.activeConnections++
         console.log('🆕 새 채널 생성:', channelName, `(${this.activeConnections}/${this.maxConnections})`)
         console.log('📊 현재 연결 상태:', this.getConnectionStatus())
         return channel
     },
     
+    // 마지막 사용자가 반납할 때만 제거 (true면 호출한 쪽에서 구독 해제, 이미 교체된 채널도 true)
     removeChannel(channelName, channel) {
-        if (this.channels.has(channelName)) {
-            this.channels.delete(channelName)
-            this.activeConnections = Math.max(0, this.activeConnections - 1)
-            console.log('🗑️ 채널 제거:', channelName, `(${this.activeConnections}/${this.maxConnections})`)
-            console.log('📊 현재 연결 상태:', this.getConnectionStatus())
+        if (this.channels.get(channelName) !== channel) return true
+
+        const remaining = (this.refCounts.get(channelName) || 1) - 1
+        if (remaining > 0) {
+            this.refCounts.set(channelName, remaining)
+            console.log('♻️ 채널 공유 중, 제거하지 않음:', channelName, `(남은 사용 ${remaining})`)
+            return false
         }
+
+        this.channels.delete(channelName)
+        this.refCounts.delete(channelName)
+        this.activeConnections = Math.max(0, this.activeConnections - 1)
+        console.log('🗑️ 채널 제거:', channelName, `(${this.activeConnections}/${this.maxConnections})`)
+        console.log('📊 현재 연결 상태:', this.getConnectionStatus())
+        return true
     },
     
     getConnectionStatus() {
@@ -75,6 +93,196 @@ const globalChannelManager = {
     }
 }
 
+// 이모지 반응 조회 컬럼
+const REACTIONS_SELECT = 'reactions:chat_message_reactions(id, user_id, user_name, emoji, created_at)'
+
+// 메시지 조회 컬럼 (첨부 파일, 이모지 반응 포함)
+const MESSAGE_SELECT = `
+    *,
+    files:chat_files(
+        id,
+        file_name,
+        file_type,
+        file_size,
+        storage_url
+    ),
+    ${REACTIONS_SELECT}
+`
+
+// 메시지 발신자 / 반응한 사용자 표시 이름
+const getDisplayName = (user) =>
+    user.email?.split('@')[0] || user.user_metadata?.full_name || 'Anonymous'
+
+// 채팅방 목록에 표시할 메시지 (스레드 답글은 '채팅방에도 보내기'를 선택한 것만)
+const ROOM_MESSAGES_FILTER = 'parent_message_id.is.null,also_sent_to_room.eq.true'
+
+// 스레드 패널에서만 보이는 답글인지
+const isThreadOnlyReply = (message) => !!message.parent_message_id && !message.also_sent_to_room
+
+// 새 답글을 채팅방 목록의 부모 메시지(답글 수, 마지막 답글 시간)에 반영
+// 서버에서 이미 갱신된 부모 메시지(last_reply_at 이전 답글)는 다시 세지 않음
+const applyThreadReplies = (messages, replies) => {
+    if (replies.length === 0) return messages
+
+    return messages.map(msg => {
+        const newReplies = replies.filter(reply =>
+            reply.parent_message_id === msg.id &&
+            (!msg.last_reply_at || new Date(reply.created_at) > new Date(msg.last_reply_at))
+        )
+        if (newReplies.length === 0) return msg
+
+        return {
+            ...msg,
+            reply_count: (msg.reply_count || 0) + newReplies.length,
+            last_reply_at: newReplies[newReplies.length - 1].created_at
+        }
+    })
+}
+
+// 수정/삭제된 메시지 반영 (변경 레코드에는 첨부 파일이 없으므로 기존 값 유지, 삭제되면 비움)
+const applyMessageUpdate = (message, record) => ({
+    ...message,
+    ...record,
+    files: record.deleted_at ? [] : message.files
+})
+
+// 이모지 반응 추가/취소를 메시지 목록에 반영 (사용자·이모지별 한 개)
+const applyReactionChange = (messages, event, reaction) => messages.map(msg => {
+    if (msg.id !== reaction.message_id) return msg
+
+    const reactions = msg.reactions || []
+    const isSame = (item) => item.user_id === reaction.user_id && item.emoji === reaction.emoji
+
+    if (event === 'INSERT') {
+        return reactions.some(isSame) ? msg : { ...msg, reactions: [...reactions, reaction] }
+    }
+
+    return { ...msg, reactions: reactions.filter(item => !isSame(item)) }
+})
+
+// 이모지 반응 토글 (이미 반응했으면 취소) - 반영할 변경 이벤트 반환
+const toggleChatReaction = async (user, message, emoji) => {
+    const supabase = getSupabase()
+    const reacted = (message.reactions || []).some(item => item.user_id === user.user_id && item.emoji === emoji)
+
+    if (reacted) {
+        const { error } = await supabase
+            .from('chat_message_reactions')
+            .delete()
+            .eq('message_id', message.id)
+            .eq('user_id', user.user_id)
+            .eq('emoji', emoji)
+
+        if (error) throw error
+        return { event: 'DELETE', reaction: { message_id: message.id, user_id: user.user_id, emoji } }
+    }
+
+    const { data, error } = await supabase
+        .from('chat_message_reactions')
+        .insert({
+            message_id: message.id,
+            chat_room_id: message.chat_room_id,
+            user_id: user.user_id,
+            user_name: getDisplayName(user),
+            emoji
+        })
+        .select('id, message_id, user_id, user_name, emoji, created_at')
+        .single()
+
+    if (error) throw error
+    return { event: 'INSERT', reaction: data }
+}
+
+// 메시지 수정 (보낸 사람만) - 수정 전 내용은 서버에서 chat_message_edits에 기록
+const editChatMessage = async (messageId, content) => {
+    const { data, error } = await getSupabase()
+        .rpc('edit_chat_message', { p_message_id: messageId, p_content: content })
+
+    if (error) throw error
+    return data
+}
+
+// 메시지 소프트 삭제 (보낸 사람 또는 워크스페이스 관리자)
+// 첨부 파일은 워크스페이스 지식 베이스에서도 제거 (삭제한 파일을 AI가 검색/인용하지 않도록)
+const deleteChatMessage = async (messageId) => {
+    const supabase = getSupabase()
+    const { data, error } = await supabase
+        .rpc('delete_chat_message', { p_message_id: messageId })
+
+    if (error) throw error
+
+    const { data: files, error: filesError } = await supabase
+        .from('chat_files')
+        .select('id')
+        .eq('message_id', messageId)
+
+    if (filesError) {
+        console.warn('⚠️ 삭제한 메시지의 첨부 파일 조회 실패:', filesError)
+    }
+
+    // 삭제 반영을 막지 않도록 기다리지 않고, 실패해도 로그만 남김 (지식 베이스에 없는 파일은 서버에서 건너뜀)
+    const fileIds = (files || []).map(f => f.id)
+    fileIds.forEach((fileId) => {
+        removeFromKnowledgeBase(data.workspace_id, 'chat_file', fileId)
+            .catch((err) => console.warn(`⚠️ 지식 베이스 제거 실패 (${fileId}):`, err))
+    })
+
+    return data
+}
+
+// 파일 데이터 필드명 변환 함수 (DB 필드 → UI 필드)
+const transformFiles = (files) => {
+    if (!files || files.length === 0) return []
+    return files.map(f => ({
+        id: f.id,
+        name: f.file_name,
+        type: f.file_type,
+        size: f.file_size,
+        url: f.storage_url
+    }))
+}
+
+// 특정 메시지 주변 페이지 조회 (검색 결과로 이동) - 이전 절반 + 이후 절반
+// hasNewer: 가져온 구간 뒤에 최신 메시지가 더 있는지
+const fetchMessagesAround = async (supabase, chatRoomId, createdAt, pageSize) => {
+    const half = Math.floor(pageSize / 2)
+
+    const [olderResult, newerResult] = await Promise.all([
+        supabase
+            .from('chat_messages')
+            .select(MESSAGE_SELECT)
+            .eq('chat_room_id', chatRoomId)
+            .or(ROOM_MESSAGES_FILTER)
+            .lte('created_at', createdAt)
+            .order('created_at', { ascending: false })
+            .limit(half),
+        supabase
+            .from('chat_messages')
+            .select(MESSAGE_SELECT)
+            .eq('chat_room_id', chatRoomId)
+            .or(ROOM_MESSAGES_FILTER)
+            .gt('created_at', createdAt)
+            .order('created_at', { ascending: true })
+            .limit(half + 1)
+    ])
+
+    if (olderResult.error) throw olderResult.error
+    if (newerResult.error) throw newerResult.error
+
+    const older = (olderResult.data || []).reverse()
+    const newer = (newerResult.data || []).slice(0, half)
+
+    return {
+        messages: [...older, ...newer].map(message => ({
+            ...message,
+            files: transformFiles(message.files),
+            sender_profile_image: null
+        })),
+        hasOlder: older.length === half,
+        hasNewer: (newerResult.data || []).length > half
+    }
+}
+
 const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
     const [messages, setMessages] = useState([])
     const [loading, setLoading] = useState(true)
@@ -82,7 +290,10 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
     const [realtimeStatus, setRealtimeStatus] = useState('disconnected')
     const [hasMoreMessages, setHasMoreMessages] = useState(false) // 과거 메시지 존재 여부
     const [loadingMore, setLoadingMore] = useState(false) // 추가 로딩 상태
-    
+    const [hasNewerMessages, setHasNewerMessages] = useState(false) // 검색 결과로 이동해 과거 구간을 보는 중 (최신 메시지가 뒤에 더 있음)
+    const hasNewerMessagesRef = useRef(false) // 폴링에서 참조
+    const [loadedChatRoomId, setLoadedChatRoomId] = useState(null) // 초기 메시지 로드를 마친 채팅방 (채팅방 전환 직후 이동 요청 대기용)
+
     // 페이지네이션 설정
     const MESSAGES_PER_PAGE = 50 // 한 번에 로드할 메시지 수
     const oldestMessageDateRef = useRef(null) // 가장 오래된 메시지 시간 추적
@@ -99,18 +310,6 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
     const CONNECTION_RETRY_DELAY = 15000 // 연결 재시도 간격 증가 (15초)
     const CONNECTION_BACKOFF_MULTIPLIER = 1.5 // 백오프 배수
 
-    // 파일 데이터 필드명 변환 함수 (DB 필드 → UI 필드)
-    const transformFiles = (files) => {
-        if (!files || files.length === 0) return []
-        return files.map(f => ({
-            id: f.id,
-            name: f.file_name,
-            type: f.file_type,
-            size: f.file_size,
-            url: f.storage_url
-        }))
-    }
-
     // 컴포넌트 마운트 상태 추적
     useEffect(() => {
         mountedRef.current = true
@@ -130,6 +329,15 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
     // 최신 메시지 시간 추적용 ref
     const lastMessageTimeRef = useRef(null)
 
+    // 부모 메시지 답글 수에 이미 반영한 답글 ID (중복 집계 방지)
+    const countedReplyIdsRef = useRef(new Set())
+
+    // 수정/삭제 동기화용 마지막 변경 시간 (updated_at)
+    const lastUpdateTimeRef = useRef(null)
+
+    // 서버에 기록한 읽음 위치 (chat_read_status.last_read_at, 앞으로만 이동)
+    const readMarkerRef = useRef(null)
+
     // 🔄 채팅방 전환 시 메시지 즉시 초기화
     useEffect(() => {
         if (chatRoomId) {
@@ -137,10 +345,15 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
             setMessages([])
             setError(null)
             setHasMoreMessages(false)
+            setHasNewerMessages(false)
+            hasNewerMessagesRef.current = false
             setLoading(true)
             setRealtimeStatus('disconnected') // 폴링 중단을 위해 상태 초기화
             oldestMessageDateRef.current = null
             lastMessageTimeRef.current = null
+            lastUpdateTimeRef.current = null
+            countedReplyIdsRef.current = new Set()
+            readMarkerRef.current = null
         }
     }, [chatRoomId])
 
@@ -150,6 +363,34 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
 
         const supabase = supabaseRef.current || getSupabase()
 
+        // ✏️ 다른 사용자가 수정/삭제하거나 반응한 메시지 반영 (updated_at 기준, 로드된 메시지만)
+        const syncChangedMessages = async () => {
+            const since = lastUpdateTimeRef.current || lastMessageTimeRef.current
+            if (!since) return
+
+            const { data: changedMessages, error } = await supabase
+                .from('chat_messages')
+                .select(`*, ${REACTIONS_SELECT}`)
+                .eq('chat_room_id', chatRoomId)
+                .gt('updated_at', since)
+                .order('updated_at', { ascending: true })
+                .limit(50)
+
+            if (error) {
+                console.error('❌ 변경 메시지 동기화 실패:', error)
+                return
+            }
+
+            if (!changedMessages || changedMessages.length === 0) return
+
+            lastUpdateTimeRef.current = changedMessages[changedMessages.length - 1].updated_at
+
+            const changedById = new Map(changedMessages.map(msg => [msg.id, msg]))
+            setMessages(prev => prev.map(msg =>
+                changedById.has(msg.id) ? applyMessageUpdate(msg, changedById.get(msg.id)) : msg
+            ))
+        }
+
         const pollMessages = async () => {
             try {
                 // ref에서 최신 메시지 시간 가져오기 (messages 의존성 제거)
@@ -164,16 +405,7 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
                 // 마지막 메시지 이후의 새 메시지만 가져오기
                 const { data: newMessages, error } = await supabase
                     .from('chat_messages')
-                    .select(`
-                        *,
-                        files:chat_files(
-                            id,
-                            file_name,
-                            file_type,
-                            file_size,
-                            storage_url
-                        )
-                    `)
+                    .select(MESSAGE_SELECT)
                     .eq('chat_room_id', chatRoomId)
                     .gt('created_at', lastCreatedAt)
                     .order('created_at', { ascending: true })
@@ -196,20 +428,34 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
                     // 최신 메시지 시간 업데이트
                     lastMessageTimeRef.current = messagesWithFiles[messagesWithFiles.length - 1].created_at
 
+                    // 🧵 스레드 답글은 부모 메시지의 답글 수에만 반영 (채팅방에도 보낸 답글은 목록에도 추가)
+                    const newReplies = messagesWithFiles.filter(msg =>
+                        msg.parent_message_id && !countedReplyIdsRef.current.has(msg.id)
+                    )
+                    newReplies.forEach(reply => countedReplyIdsRef.current.add(reply.id))
+                    const roomMessages = messagesWithFiles.filter(msg => !isThreadOnlyReply(msg))
+
                     // 🔒 중복 방지: 이미 존재하는 메시지는 제외
                     setMessages(prev => {
+                        const withReplies = applyThreadReplies(prev, newReplies)
+
+                        // 🔍 과거 구간을 보는 중이면 새 메시지는 최신으로 돌아갈 때 다시 불러옴
+                        if (hasNewerMessagesRef.current) return withReplies
+
                         const existingIds = new Set(prev.map(msg => msg.id))
-                        const newUniqueMessages = messagesWithFiles.filter(msg => !existingIds.has(msg.id))
+                        const newUniqueMessages = roomMessages.filter(msg => !existingIds.has(msg.id))
 
                         if (newUniqueMessages.length > 0) {
                             console.log('✅ 새로운 메시지 추가:', newUniqueMessages.length, '개')
-                            return [...prev, ...newUniqueMessages]
+                            return [...withReplies, ...newUniqueMessages]
                         }
 
                         console.log('⏭️ 모두 중복 메시지, 건너뛰기')
-                        return prev
+                        return withReplies
                     })
                 }
+
+                await syncChangedMessages()
             } catch (err) {
                 console.error('❌ 폴링 오류:', err)
             }
@@ -225,7 +471,9 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
     }, [chatRoomId, realtimeStatus]) // messages 의존성 제거
 
     // 메시지 전송 (의존성 최소화를 위해 useCallback 유지)
-    const sendMessage = useCallback(async (content, messageType = 'user', files = []) => {
+    // extraMetadata: 메시지 metadata에 함께 저장할 값 (예: AI 답변의 model)
+    // mentions: @멘션한 멤버 [{ user_id, name }]
+    const sendMessage = useCallback(async (content, messageType = 'user', files = [], extraMetadata = {}, mentions = []) => {
         const hasContent = content && content.trim()
         const hasFiles = files && files.length > 0
 
@@ -239,7 +487,7 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
         // AI 메시지의 경우 sender 정보를 다르게 설정
         const senderInfo = messageType === 'ai'
             ? { sender_id: AI_ASSISTANT_AUTH_ID, sender_name: 'AXTI' }
-            : { sender_id: user.user_id, sender_name: user.email?.split('@')[0] || user.user_metadata?.full_name || 'Anonymous' }
+            : { sender_id: user.user_id, sender_name: getDisplayName(user) }
 
         const optimisticMessage = {
             id: tempId,
@@ -250,6 +498,8 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
             message_type: messageType,
             has_files: hasFiles,
             files: files,
+            mentions,
+            metadata: { ...extraMetadata, tempId },
             created_at: new Date().toISOString(),
             _isOptimistic: true
         }
@@ -279,22 +529,14 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
                 content: hasContent ? content.trim() : '',
                 message_type: messageType,
                 has_files: hasFiles,
-                metadata: { tempId }
+                mentions,
+                metadata: { ...extraMetadata, tempId }
             }
 
             const { data, error } = await supabase
                 .from('chat_messages')
                 .insert(messageData)
-                .select(`
-                    *,
-                    files:chat_files(
-                        id,
-                        file_name,
-                        file_type,
-                        file_size,
-                        storage_url
-                    )
-                `)
+                .select(MESSAGE_SELECT)
 
             if (error) {
                 console.error('❌ 메시지 전송 오류:', error)
@@ -319,6 +561,14 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
                             console.error('❌ 파일 message_id 업데이트 실패:', updateError)
                         } else {
                             console.log('✅ 파일 message_id 업데이트 성공:', fileIds.length, '개')
+
+                            // 워크스페이스 지식 베이스에도 등록 (기본 채팅방 첨부만, 지원하지 않는 형식은 서버에서 건너뜀)
+                            // 메시지 전송을 막지 않도록 기다리지 않고, 실패해도 로그만 남김
+                            fileIds.forEach((fileId) => {
+                                addToKnowledgeBase(workspaceId, 'chat_file', fileId)
+                                    .then((result) => console.log(`📚 지식 베이스 동기화 결과: ${fileId} → ${result.status}`))
+                                    .catch((err) => console.warn(`⚠️ 지식 베이스 동기화 실패 (${fileId}):`, err))
+                            })
                         }
                     }
                 }
@@ -335,25 +585,55 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
         }
     }, [workspaceId, chatRoomId, user])
 
-    // 채팅방 읽음 처리 (외부에서 호출 가능하도록 useCallback 유지)
-    const markRoomAsRead = useCallback(async () => {
-        if (!chatRoomId || !user?.user_id) return
+    // 메시지 수정 (실패 시 에러를 던져 호출한 쪽에서 편집 상태 유지)
+    const editMessage = useCallback(async (messageId, content) => {
+        const updated = await editChatMessage(messageId, content)
+        setMessages(prev => prev.map(msg =>
+            msg.id === messageId ? applyMessageUpdate(msg, updated) : msg
+        ))
+        return updated
+    }, [])
+
+    // 메시지 삭제 (자신의 메시지 또는 관리자 삭제)
+    const deleteMessage = useCallback(async (messageId) => {
+        const deleted = await deleteChatMessage(messageId)
+        setMessages(prev => prev.map(msg =>
+            msg.id === messageId ? applyMessageUpdate(msg, deleted) : msg
+        ))
+        return deleted
+    }, [])
+
+    // 이모지 반응 토글 (서버 응답 후 반영, 다른 사용자 반응은 broadcast/폴링으로 반영)
+    const toggleReaction = useCallback(async (message, emoji) => {
+        if (!user?.user_id || message._isOptimistic) return
+
+        try {
+            const { event, reaction } = await toggleChatReaction(user, message, emoji)
+            setMessages(prev => applyReactionChange(prev, event, reaction))
+        } catch (err) {
+            console.error('❌ 반응 처리 오류:', err)
+            setError(`반응 처리 실패: ${err.message}`)
+        }
+    }, [user])
+
+    // 채팅방 읽음 처리 (화면에 보인 가장 최근 메시지 시간까지, 외부에서 호출)
+    const markRoomAsRead = useCallback(async (readAt) => {
+        if (!chatRoomId || !user?.user_id || !readAt) return
+
+        // 이미 기록한 위치보다 앞이면 생략 (스크롤로 과거 메시지를 볼 때)
+        if (readMarkerRef.current && new Date(readAt) <= new Date(readMarkerRef.current)) return
+        readMarkerRef.current = readAt
 
         try {
-            console.log('✅ 채팅방 읽음 처리:', { chatRoomId, userId: user.user_id })
+            console.log('✅ 채팅방 읽음 처리:', { chatRoomId, userId: user.user_id, readAt })
 
             // 캐시된 Supabase 인스턴스 사용
             const supabase = supabaseRef.current || getSupabase()
 
-            const { error } = await supabase
-                .from('chat_read_status')
-                .upsert({
-                    chat_room_id: chatRoomId,
-                    user_id: user.user_id,
-                    last_read_at: new Date().toISOString()
-                }, {
-                    onConflict: 'chat_room_id,user_id'
-                })
+            const { error } = await supabase.rpc('mark_chat_read', {
+                p_chat_room_id: chatRoomId,
+                p_read_at: readAt
+            })
 
             if (error) {
                 console.error('❌ 읽음 처리 오류:', error)
@@ -384,17 +664,9 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
             // 가장 오래된 메시지보다 이전 메시지 50개 가져오기
             const { data, error, count } = await supabase
                 .from('chat_messages')
-                .select(`
-                    *,
-                    files:chat_files(
-                        id,
-                        file_name,
-                        file_type,
-                        file_size,
-                        storage_url
-                    )
-                `, { count: 'exact' })
+                .select(MESSAGE_SELECT, { count: 'exact' })
                 .eq('chat_room_id', chatRoomId)
+                .or(ROOM_MESSAGES_FILTER)
                 .lt('created_at', oldestMessageDateRef.current) // 가장 오래된 메시지 시간보다 이전
                 .order('created_at', { ascending: false })
                 .limit(MESSAGES_PER_PAGE)
@@ -437,6 +709,78 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
         }
     }, [chatRoomId, hasMoreMessages, loadingMore, messages.length])
 
+    // 🔍 검색 결과로 이동: 메시지가 목록에 없으면 주변 페이지로 교체 (성공하면 true)
+    const jumpToMessage = useCallback(async (messageId) => {
+        if (!chatRoomId || !messageId) return false
+        if (messages.some(msg => msg.id === messageId)) return true
+
+        try {
+            setLoadingMore(true)
+            const supabase = supabaseRef.current || getSupabase()
+
+            const { data: target, error } = await supabase
+                .from('chat_messages')
+                .select('id, created_at')
+                .eq('id', messageId)
+                .eq('chat_room_id', chatRoomId)
+                .maybeSingle()
+
+            if (error) throw error
+            if (!target) return false
+
+            const around = await fetchMessagesAround(supabase, chatRoomId, target.created_at, MESSAGES_PER_PAGE)
+
+            setMessages(around.messages)
+            setHasMoreMessages(around.hasOlder)
+            setHasNewerMessages(around.hasNewer)
+            hasNewerMessagesRef.current = around.hasNewer
+            oldestMessageDateRef.current = around.messages[0]?.created_at || null
+            console.log('🔍 검색 결과로 이동:', messageId, { hasOlder: around.hasOlder, hasNewer: around.hasNewer })
+            return true
+        } catch (err) {
+            console.error('❌ 메시지 이동 실패:', err)
+            return false
+        } finally {
+            setLoadingMore(false)
+        }
+    }, [chatRoomId, messages])
+
+    // 과거 구간에서 최신 메시지로 돌아가기 (최근 50개 다시 로드)
+    const jumpToLatest = useCallback(async () => {
+        if (!chatRoomId || !hasNewerMessagesRef.current) return
+
+        try {
+            setLoadingMore(true)
+            const supabase = supabaseRef.current || getSupabase()
+
+            const { data, error, count } = await supabase
+                .from('chat_messages')
+                .select(MESSAGE_SELECT, { count: 'exact' })
+                .eq('chat_room_id', chatRoomId)
+                .or(ROOM_MESSAGES_FILTER)
+                .order('created_at', { ascending: false })
+                .limit(MESSAGES_PER_PAGE)
+
+            if (error) throw error
+
+            const messagesWithFiles = (data || []).reverse().map(message => ({
+                ...message,
+                files: transformFiles(message.files),
+                sender_profile_image: null
+            }))
+
+            setMessages(messagesWithFiles)
+            setHasMoreMessages(count > MESSAGES_PER_PAGE)
+            setHasNewerMessages(false)
+            hasNewerMessagesRef.current = false
+            oldestMessageDateRef.current = messagesWithFiles[0]?.created_at || null
+        } catch (err) {
+            console.error('❌ 최신 메시지 로드 실패:', err)
+        } finally {
+            setLoadingMore(false)
+        }
+    }, [chatRoomId])
+
     // Realtime 구독 및 메시지 관리
     useEffect(() => {
         // 필수 정보 체크
@@ -458,17 +802,9 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
                 // 최근 메시지 50개만 가져오기 (역순으로 정렬 후 제한)
                 const { data, error, count } = await supabase
                     .from('chat_messages')
-                    .select(`
-                        *,
-                        files:chat_files(
-                            id,
-                            file_name,
-                            file_type,
-                            file_size,
-                            storage_url
-                        )
-                    `, { count: 'exact' })
+                    .select(MESSAGE_SELECT, { count: 'exact' })
                     .eq('chat_room_id', chatRoomId)
+                    .or(ROOM_MESSAGES_FILTER) // 스레드 답글 제외
                     .order('created_at', { ascending: false }) // 최신순 정렬
                     .limit(MESSAGES_PER_PAGE) // 50개만 로드
 
@@ -500,6 +836,9 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
                     if (messagesWithFiles.length > 0) {
                         oldestMessageDateRef.current = messagesWithFiles[0].created_at
                         lastMessageTimeRef.current = messagesWithFiles[messagesWithFiles.length - 1].created_at
+                        lastUpdateTimeRef.current = messagesWithFiles.reduce((latest, msg) =>
+                            msg.updated_at && msg.updated_at > latest ? msg.updated_at : latest
+                        , lastMessageTimeRef.current)
                         console.log('📌 가장 오래된 메시지 시간:', oldestMessageDateRef.current)
                         console.log('📌 최신 메시지 시간:', lastMessageTimeRef.current)
                         console.log('📊 hasMoreMessages:', count > MESSAGES_PER_PAGE, '(전체:', count, ')')
@@ -581,8 +920,25 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
                 return
             }
 
-            // INSERT 처리
+            // 😀 이모지 반응 추가/취소 (chat_message_reactions broadcast)
+            if (p?.table === 'chat_message_reactions') {
+                const reaction = p.record ?? p.new ?? p.old_record ?? p.old
+                if (reaction) {
+                    setMessages(prev => applyReactionChange(prev, event, reaction))
+                }
+                return
+            }
+
+            // 🧵 스레드 답글: 부모 메시지 답글 수만 갱신
+            if (event === 'INSERT' && newRecord?.parent_message_id && !countedReplyIdsRef.current.has(newRecord.id)) {
+                countedReplyIdsRef.current.add(newRecord.id)
+                setMessages(prev => applyThreadReplies(prev, [newRecord]))
+            }
+
+            // INSERT 처리 (스레드 패널에서만 보이는 답글은 목록에 추가하지 않음)
             if (event === 'INSERT' && newRecord) {
+                if (isThreadOnlyReply(newRecord) || hasNewerMessagesRef.current) return
+
                 setMessages(prev => {
                     // tempId로 정확한 optimistic update 매칭
                     const optimisticIndex = prev.findIndex(msg =>
@@ -608,10 +964,10 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
                     return [...prev, newRecord]
                 })
             }
-            // UPDATE 처리
+            // UPDATE 처리 (수정/삭제, 답글 수 변경)
             else if (event === 'UPDATE' && newRecord) {
                 setMessages(prev => prev.map(msg =>
-                    msg.id === newRecord.id ? { ...newRecord } : msg
+                    msg.id === newRecord.id ? applyMessageUpdate(msg, newRecord) : msg
                 ))
             }
             // DELETE 처리
@@ -628,8 +984,11 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
                 channelRef.current = null
 
                 try {
-                    await oldChannel.unsubscribe()
-                    await supabase.removeChannel(oldChannel)
+                    // 스레드 패널이 함께 사용 중이면 구독 유지
+                    if (globalChannelManager.removeChannel(`room:${chatRoomId}:messages`, oldChannel)) {
+                        await oldChannel.unsubscribe()
+                        await supabase.removeChannel(oldChannel)
+                    }
                     console.log('✅ 기존 채널 정리 완료')
                 } catch (err) {
                     console.error('❌ 채널 정리 실패:', err)
@@ -662,6 +1021,7 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
             if (existingChannel && channelRef.current === existingChannel) {
                 console.log('♻️ 기존 채널 유지:', channelName, '사용자 변경 없음')
                 setLoading(false)
+                setLoadedChatRoomId(chatRoomId)
                 setRealtimeStatus('SUBSCRIBED')
                 return
             }
@@ -694,12 +1054,6 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
                     console.error('⚠️ 메시지 로드 실패 (계속 진행):', err)
                 }
 
-                try {
-                    await markRoomAsRead()
-                } catch (err) {
-                    console.error('⚠️ 읽음 상태 업데이트 실패 (계속 진행):', err)
-                }
-
                 // 인증 토큰 설정
                 const { data: { session } } = await supabase.auth.getSession()
                 if (session?.access_token) {
@@ -713,6 +1067,7 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
                 console.log('📌 현재 lastMessageTimeRef:', lastMessageTimeRef.current ? '설정됨' : '미설정')
                 setRealtimeStatus('polling')
                 setLoading(false)
+                setLoadedChatRoomId(chatRoomId)
                 return
                 
                 // 아래 코드는 Realtime이 안정화되면 다시 활성화
@@ -906,15 +1261,14 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
                 const channelName = `room:${chatRoomId}:messages`
                 channelRef.current = null
 
-                // 즉시 구독 해제
-                try {
-                    channel.unsubscribe()
-                } catch (err) {
-                    console.warn('⚠️ 채널 구독 해제 중 오류:', err)
+                // 전역 채널 관리자에서 채널 제거 (스레드 패널이 함께 사용 중이면 구독 유지)
+                if (globalChannelManager.removeChannel(channelName, channel)) {
+                    try {
+                        channel.unsubscribe()
+                    } catch (err) {
+                        console.warn('⚠️ 채널 구독 해제 중 오류:', err)
+                    }
                 }
-
-                // 전역 채널 관리자에서 채널 제거
-                globalChannelManager.removeChannel(channelName, channel)
                 
                 // 상태 정리
                 setRealtimeStatus('disconnected')
@@ -933,13 +1287,585 @@ const useRealtimeChat = (workspaceId, user, chatRoomId = null) => {
         loading,
         error,
         sendMessage,
+        editMessage,
+        deleteMessage,
+        toggleReaction,
         markRoomAsRead,
         realtimeStatus,
         // 페이지네이션 관련
         hasMoreMessages,
         loadingMore,
-        loadMoreMessages
+        loadMoreMessages,
+        // 검색 결과로 이동
+        loadedChatRoomId,
+        hasNewerMessages,
+        jumpToMessage,
+        jumpToLatest
     }
 }
 
+// 스레드 폴링 간격 (Realtime 구독 실패 시)
+const THREAD_POLL_INTERVAL = 3000
+
+/**
+ * 스레드(답글) 메시지 훅
+ * - 원본 메시지와 답글을 로드하고, 채팅방 채널(room:<id>:messages) broadcast로 답글 추가와 원본/답글 수정·삭제·반응 반영
+ *   (globalChannelManager로 채팅방 화면과 같은 채널을 함께 사용, 연결을 따로 열지 않음)
+ * - 구독이 실패하면 채팅방과 같은 방식으로 폴링 (새 답글 + updated_at 기준 변경 메시지)
+ * - sendReply(content, { alsoSendToRoom }) 로 답글 전송 (Optimistic Update)
+ * - editMessage / deleteMessage / toggleReaction 으로 스레드 안 메시지 수정/삭제/반응
+ */
+export const useThreadMessages = (workspaceId, user, chatRoomId, parentMessageId) => {
+    const [parentMessage, setParentMessage] = useState(null)
+    const [replies, setReplies] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState(null)
+    const [realtimeStatus, setRealtimeStatus] = useState('disconnected')
+
+    const lastReplyTimeRef = useRef(null)
+    // 수정/삭제 동기화용 마지막 변경 시간 (updated_at, 폴링 모드)
+    const lastUpdateTimeRef = useRef(null)
+
+    // 새 답글 반영 (optimistic 메시지 교체, 중복 제외)
+    const mergeReplies = useCallback((incoming) => {
+        if (incoming.length === 0) return
+
+        lastReplyTimeRef.current = incoming[incoming.length - 1].created_at
+
+        setReplies(prev => {
+            let next = prev
+
+            incoming.forEach(reply => {
+                const optimisticIndex = next.findIndex(msg =>
+                    msg._isOptimistic && msg.id === reply.metadata?.tempId
+                )
+
+                if (optimisticIndex !== -1) {
+                    next = next.map((msg, index) => index === optimisticIndex ? reply : msg)
+                } else if (!next.some(msg => msg.id === reply.id)) {
+                    next = [...next, reply]
+                }
+            })
+
+            return next
+        })
+    }, [])
+
+    // 원본 메시지 + 답글 로드
+    useEffect(() => {
+        if (!parentMessageId) return
+
+        let cancelled = false
+        const supabase = getSupabase()
+
+        const fetchThread = async () => {
+            setLoading(true)
+            setError(null)
+            setReplies([])
+            lastReplyTimeRef.current = null
+            lastUpdateTimeRef.current = null
+
+            const [parentResult, repliesResult] = await Promise.all([
+                supabase
+                    .from('chat_messages')
+                    .select(MESSAGE_SELECT)
+                    .eq('id', parentMessageId)
+                    .single(),
+                supabase
+                    .from('chat_messages')
+                    .select(MESSAGE_SELECT)
+                    .eq('parent_message_id', parentMessageId)
+                    .order('created_at', { ascending: true })
+            ])
+
+            if (cancelled) return
+
+            if (parentResult.error || repliesResult.error) {
+                const err = parentResult.error || repliesResult.error
+                console.error('❌ 스레드 로드 실패:', err)
+                setError(`스레드 로드 실패: ${err.message}`)
+                setLoading(false)
+                return
+            }
+
+            const loadedReplies = repliesResult.data.map(message => ({
+                ...message,
+                files: transformFiles(message.files)
+            }))
+
+            setParentMessage({ ...parentResult.data, files: transformFiles(parentResult.data.files) })
+            setReplies(loadedReplies)
+            lastReplyTimeRef.current = loadedReplies.length > 0
+                ? loadedReplies[loadedReplies.length - 1].created_at
+                : parentResult.data.created_at
+            lastUpdateTimeRef.current = [parentResult.data, ...loadedReplies].reduce((latest, msg) =>
+                msg.updated_at && msg.updated_at > latest ? msg.updated_at : latest
+            , parentResult.data.created_at)
+            setLoading(false)
+        }
+
+        fetchThread()
+
+        return () => {
+            cancelled = true
+        }
+    }, [parentMessageId])
+
+    // 스레드 안 메시지 수정/삭제 (원본 메시지 포함)
+    const applyToThread = useCallback((record) => {
+        setParentMessage(prev => prev?.id === record.id ? applyMessageUpdate(prev, record) : prev)
+        setReplies(prev => prev.map(msg => msg.id === record.id ? applyMessageUpdate(msg, record) : msg))
+    }, [])
+
+    // 채팅방 채널 broadcast 구독 (이 스레드의 원본 메시지와 답글만 반영)
+    useEffect(() => {
+        if (!parentMessageId || !chatRoomId) return
+
+        const supabase = getSupabase()
+        const channelName = `room:${chatRoomId}:messages`
+        let cancelled = false
+
+        // 채널을 반납해도 등록한 리스너는 남으므로 정리 후에는 무시
+        const handleChange = (msg) => {
+            if (cancelled) return
+
+            const p = msg.payload
+            const event = p?.event ?? msg.event
+            const newRecord = p?.new ?? p?.record ?? null
+            const oldRecord = p?.old ?? p?.old_record ?? null
+
+            // 😀 이모지 반응 추가/취소
+            if (p?.table === 'chat_message_reactions') {
+                const reaction = p.record ?? p.new ?? p.old_record ?? p.old
+                if (reaction) {
+                    setParentMessage(prev => prev && applyReactionChange([prev], event, reaction)[0])
+                    setReplies(prev => applyReactionChange(prev, event, reaction))
+                }
+                return
+            }
+
+            if (event === 'INSERT' && newRecord?.parent_message_id === parentMessageId) {
+                mergeReplies([{ ...newRecord, files: [] }])
+            } else if (event === 'UPDATE' && newRecord) {
+                applyToThread(newRecord)
+            } else if (event === 'DELETE' && oldRecord) {
+                setReplies(prev => prev.filter(reply => reply.id !== oldRecord.id))
+            }
+        }
+
+        const channel = globalChannelManager.getChannel(channelName, supabase)
+
+        // 연결 시도 제한/최대 연결 수에 걸리면 폴링
+        if (!channel) {
+            console.warn('⚠️ 스레드 채널 연결 불가 - 폴링 모드로 전환')
+            setRealtimeStatus('polling')
+            return
+        }
+
+        channel
+            .on('broadcast', { event: 'INSERT' }, handleChange)
+            .on('broadcast', { event: 'UPDATE' }, handleChange)
+            .on('broadcast', { event: 'DELETE' }, handleChange)
+
+        // 채팅방 화면이 이미 구독 중인 채널은 다시 구독하지 않음
+        if (channel.state === 'joined' || channel.state === 'joining') {
+            setRealtimeStatus('SUBSCRIBED')
+        } else {
+            channel.subscribe((status, err) => {
+                if (cancelled) return
+                console.log('🧵 스레드 구독 상태:', status, err)
+
+                if (status === 'SUBSCRIBED') {
+                    setRealtimeStatus('SUBSCRIBED')
+                } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                    console.warn('⚠️ 스레드 Realtime 구독 실패 - 폴링 모드로 전환')
+                    setRealtimeStatus('polling')
+                }
+            })
+        }
+
+        return () => {
+            cancelled = true
+            setRealtimeStatus('disconnected')
+
+            if (globalChannelManager.removeChannel(channelName, channel)) {
+                channel.unsubscribe()
+                supabase.removeChannel(channel)
+            }
+        }
+    }, [chatRoomId, parentMessageId, mergeReplies, applyToThread])
+
+    // 구독 실패 시 폴링으로 새 답글과 수정/삭제·반응된 메시지 확인
+    useEffect(() => {
+        if (!parentMessageId || realtimeStatus !== 'polling') return
+
+        const supabase = getSupabase()
+
+        const pollReplies = async () => {
+            if (!lastReplyTimeRef.current) return
+
+            const { data, error } = await supabase
+                .from('chat_messages')
+                .select(MESSAGE_SELECT)
+                .eq('parent_message_id', parentMessageId)
+                .gt('created_at', lastReplyTimeRef.current)
+                .order('created_at', { ascending: true })
+
+            if (error) {
+                console.error('❌ 스레드 폴링 실패:', error)
+                return
+            }
+
+            mergeReplies((data || []).map(message => ({
+                ...message,
+                files: transformFiles(message.files)
+            })))
+        }
+
+        const syncChangedMessages = async () => {
+            if (!lastUpdateTimeRef.current) return
+
+            const { data: changedMessages, error } = await supabase
+                .from('chat_messages')
+                .select(`*, ${REACTIONS_SELECT}`)
+                .or(`id.eq.${parentMessageId},parent_message_id.eq.${parentMessageId}`)
+                .gt('updated_at', lastUpdateTimeRef.current)
+                .order('updated_at', { ascending: true })
+                .limit(50)
+
+            if (error) {
+                console.error('❌ 스레드 변경 메시지 동기화 실패:', error)
+                return
+            }
+
+            if (!changedMessages || changedMessages.length === 0) return
+
+            lastUpdateTimeRef.current = changedMessages[changedMessages.length - 1].updated_at
+            changedMessages.forEach(applyToThread)
+        }
+
+        const poll = async () => {
+            await pollReplies()
+            await syncChangedMessages()
+        }
+
+        poll()
+        const interval = setInterval(poll, THREAD_POLL_INTERVAL)
+
+        return () => clearInterval(interval)
+    }, [parentMessageId, realtimeStatus, mergeReplies, applyToThread])
+
+    const editMessage = useCallback(async (messageId, content) => {
+        const updated = await editChatMessage(messageId, content)
+        applyToThread(updated)
+        return updated
+    }, [applyToThread])
+
+    const deleteMessage = useCallback(async (messageId) => {
+        const deleted = await deleteChatMessage(messageId)
+        applyToThread(deleted)
+        return deleted
+    }, [applyToThread])
+
+    // 스레드 안 메시지 이모지 반응 토글
+    const toggleReaction = useCallback(async (message, emoji) => {
+        if (!user?.user_id || message._isOptimistic) return
+
+        try {
+            const { event, reaction } = await toggleChatReaction(user, message, emoji)
+            setParentMessage(prev => prev && applyReactionChange([prev], event, reaction)[0])
+            setReplies(prev => applyReactionChange(prev, event, reaction))
+        } catch (err) {
+            console.error('❌ 반응 처리 오류:', err)
+            setError(`반응 처리 실패: ${err.message}`)
+        }
+    }, [user])
+
+    // 답글 전송 (alsoSendToRoom: 채팅방 목록에도 표시, mentions: @멘션한 멤버)
+    const sendReply = useCallback(async (content, { alsoSendToRoom = false, mentions = [] } = {}) => {
+        const trimmed = content?.trim()
+        if (!trimmed || !workspaceId || !chatRoomId || !parentMessageId || !user?.user_id) return
+
+        const tempId = `temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+
+        const messageData = {
+            workspace_id: workspaceId,
+            chat_room_id: chatRoomId,
+            sender_id: user.user_id,
+            sender_name: getDisplayName(user),
+            content: trimmed,
+            message_type: 'user',
+            has_files: false,
+            parent_message_id: parentMessageId,
+            also_sent_to_room: alsoSendToRoom,
+            mentions,
+            metadata: { tempId }
+        }
+
+        setReplies(prev => [...prev, {
+            ...messageData,
+            id: tempId,
+            files: [],
+            created_at: new Date().toISOString(),
+            _isOptimistic: true
+        }])
+
+        const { data, error } = await getSupabase()
+            .from('chat_messages')
+            .insert(messageData)
+            .select(MESSAGE_SELECT)
+            .single()
+
+        if (error) {
+            console.error('❌ 답글 전송 오류:', error)
+            setReplies(prev => prev.filter(msg => msg.id !== tempId))
+            setError(`답글 전송 실패: ${error.message}`)
+            return
+        }
+
+        mergeReplies([{ ...data, files: transformFiles(data.files) }])
+    }, [workspaceId, chatRoomId, parentMessageId, user, mergeReplies])
+
+    return {
+        parentMessage,
+        replies,
+        loading,
+        error,
+        realtimeStatus,
+        sendReply,
+        editMessage,
+        deleteMessage,
+        toggleReaction
+    }
+}
+
+// 접속 상태 설정
+const PRESENCE_AWAY_MS = 5 * 60 * 1000 // 입력이 없으면 자리 비움으로 표시
+const PRESENCE_IDLE_CHECK_MS = 30 * 1000 // 자리 비움 확인 간격
+const LAST_SEEN_INTERVAL_MS = 60 * 1000 // 마지막 접속 시간 기록 간격
+const TYPING_TIMEOUT_MS = 4000 // 입력이 멈추면 '입력 중' 해제
+
+// Presence 채널 구독 (globalChannelManager로 생성)
+// - payload: 내 상태 (바뀔 때마다 다시 track), null이면 구독하지 않음
+// - 연결 시도 제한/최대 연결 수에 걸리면 잠시 후 다시 시도
+const usePresenceChannel = (channelName, presenceKey, payload) => {
+    const [presences, setPresences] = useState({}) // presenceKey → 상태 목록 (탭마다 하나)
+    const [joined, setJoined] = useState(false)
+    const channelRef = useRef(null)
+
+    useEffect(() => {
+        if (!channelName || !presenceKey) return
+
+        const supabase = getSupabase()
+        let channel = null
+        let retryTimer = null
+        let cancelled = false
+
+        const join = () => {
+            channel = globalChannelManager.getChannel(channelName, supabase, { presenceKey })
+
+            if (!channel) {
+                retryTimer = setTimeout(join, globalChannelManager.connectionThrottleMs)
+                return
+            }
+
+            channelRef.current = channel
+            channel
+                .on('presence', { event: 'sync' }, () => {
+                    if (!cancelled) setPresences({ ...channel.presenceState() })
+                })
+                .subscribe((status, err) => {
+                    if (cancelled) return
+                    console.log('👥 Presence 구독 상태:', channelName, status, err)
+                    setJoined(status === 'SUBSCRIBED')
+                })
+        }
+
+        join()
+
+        return () => {
+            cancelled = true
+            clearTimeout(retryTimer)
+            channelRef.current = null
+            setJoined(false)
+            setPresences({})
+
+            if (channel && globalChannelManager.removeChannel(channelName, channel)) {
+                channel.untrack()
+                supabase.removeChannel(channel)
+            }
+        }
+    }, [channelName, presenceKey])
+
+    // 접속하거나 내 상태가 바뀌면 track (값이 같으면 다시 보내지 않음)
+    const payloadJson = payload ? JSON.stringify(payload) : null
+    useEffect(() => {
+        if (!joined || !payloadJson || !channelRef.current) return
+
+        channelRef.current.track(JSON.parse(payloadJson))
+    }, [joined, payloadJson])
+
+    return { presences, joined }
+}
+
+/**
+ * 워크스페이스 접속 상태 훅
+ * - workspace:<id>:presence 채널에 내 상태(online / away) track
+ * - 창이 숨겨지거나 5분간 입력이 없으면 away
+ * - 접속 중에는 1분마다 users.last_seen_at 기록, 접속하지 않은 멤버는 마지막 접속 시간 표시
+ *
+ * @returns {{ getStatus: (userId) => 'online' | 'away' | 'offline', getLastSeen: (userId) => string | null, onlineCount: number }}
+ */
+export const useWorkspacePresence = (workspaceId, user) => {
+    const userId = user?.user_id || user?.id
+    const [away, setAway] = useState(false)
+    const [lastSeen, setLastSeen] = useState({}) // user_id → last_seen_at
+
+    const { presences, joined } = usePresenceChannel(
+        workspaceId ? `workspace:${workspaceId}:presence` : null,
+        userId,
+        userId ? { user_id: userId, user_name: getDisplayName(user), status: away ? 'away' : 'online' } : null
+    )
+
+    // 자리 비움 감지 (창 숨김, 입력 없음)
+    useEffect(() => {
+        let lastActivity = Date.now()
+
+        const handleActivity = () => {
+            lastActivity = Date.now()
+            if (!document.hidden) setAway(false)
+        }
+        const handleVisibilityChange = () => {
+            if (document.hidden) {
+                setAway(true)
+            } else {
+                handleActivity()
+            }
+        }
+        const idleTimer = setInterval(() => {
+            if (Date.now() - lastActivity > PRESENCE_AWAY_MS) setAway(true)
+        }, PRESENCE_IDLE_CHECK_MS)
+
+        window.addEventListener('mousemove', handleActivity)
+        window.addEventListener('keydown', handleActivity)
+        window.addEventListener('focus', handleActivity)
+        document.addEventListener('visibilitychange', handleVisibilityChange)
+
+        return () => {
+            clearInterval(idleTimer)
+            window.removeEventListener('mousemove', handleActivity)
+            window.removeEventListener('keydown', handleActivity)
+            window.removeEventListener('focus', handleActivity)
+            document.removeEventListener('visibilitychange', handleVisibilityChange)
+        }
+    }, [])
+
+    // 멤버 마지막 접속 시간 로드
+    useEffect(() => {
+        if (!workspaceId) return
+
+        getSupabase()
+            .from('workspace_members')
+            .select('user_id, users:user_id(last_seen_at)')
+            .eq('workspace_id', workspaceId)
+            .then(({ data, error }) => {
+                if (error) {
+                    console.error('❌ 마지막 접속 시간 로드 실패:', error)
+                    return
+                }
+
+                setLastSeen(Object.fromEntries(
+                    (data || []).map(member => [member.user_id, member.users?.last_seen_at || null])
+                ))
+            })
+    }, [workspaceId])
+
+    // 접속 중에는 마지막 접속 시간 주기적으로 기록 (연결이 끊길 때도 한 번)
+    useEffect(() => {
+        if (!joined) return
+
+        const touchLastSeen = () => {
+            getSupabase()
+                .rpc('touch_last_seen')
+                .then(({ error }) => {
+                    if (error) console.error('❌ 마지막 접속 시간 기록 실패:', error)
+                })
+        }
+
+        touchLastSeen()
+        const interval = setInterval(touchLastSeen, LAST_SEEN_INTERVAL_MS)
+
+        return () => {
+            clearInterval(interval)
+            touchLastSeen()
+        }
+    }, [joined])
+
+    // 사용자별 상태 (탭 중 하나라도 online이면 online)
+    const statuses = useMemo(() => Object.fromEntries(
+        Object.entries(presences).map(([key, metas]) => [
+            key,
+            metas.some(meta => meta.status === 'online') ? 'online' : 'away'
+        ])
+    ), [presences])
+
+    // 접속을 끊은 멤버는 지금을 마지막 접속 시간으로 표시
+    const previousStatusesRef = useRef({})
+    useEffect(() => {
+        const leftIds = Object.keys(previousStatusesRef.current).filter(id => !statuses[id])
+        previousStatusesRef.current = statuses
+
+        if (leftIds.length > 0) {
+            const now = new Date().toISOString()
+            setLastSeen(prev => ({ ...prev, ...Object.fromEntries(leftIds.map(id => [id, now])) }))
+        }
+    }, [statuses])
+
+    const getStatus = useCallback((memberId) => statuses[memberId] || 'offline', [statuses])
+    const getLastSeen = useCallback((memberId) => lastSeen[memberId] || null, [lastSeen])
+
+    return {
+        getStatus,
+        getLastSeen,
+        onlineCount: Object.keys(statuses).length
+    }
+}
+
+/**
+ * 채팅방 입력 중 표시 훅
+ * - room:<id>:presence 채널에 내 입력 상태 track
+ * - setTyping(true)는 입력할 때마다 호출 (4초간 입력이 없거나 setTyping(false)면 해제)
+ *
+ * @returns {{ typingUsers: Array<{ user_id: string, user_name: string }>, setTyping: (isTyping: boolean) => void }}
+ */
+export const useRoomPresence = (chatRoomId, user) => {
+    const [typing, setTypingState] = useState(false)
+    const typingTimerRef = useRef(null)
+
+    const { presences } = usePresenceChannel(
+        chatRoomId ? `room:${chatRoomId}:presence` : null,
+        user?.user_id,
+        user?.user_id ? { user_id: user.user_id, user_name: getDisplayName(user), typing } : null
+    )
+
+    const setTyping = useCallback((isTyping) => {
+        clearTimeout(typingTimerRef.current)
+        setTypingState(isTyping)
+
+        if (isTyping) {
+            typingTimerRef.current = setTimeout(() => setTypingState(false), TYPING_TIMEOUT_MS)
+        }
+    }, [])
+
+    useEffect(() => () => clearTimeout(typingTimerRef.current), [])
+
+    // 입력 중인 다른 사용자
+    const typingUsers = useMemo(() => Object.entries(presences)
+        .filter(([key, metas]) => key !== user?.user_id && metas.some(meta => meta.typing))
+        .map(([key, metas]) => ({ user_id: key, user_name: metas[0].user_name }))
+    , [presences, user?.user_id])
+
+    return { typingUsers, setTyping }
+}
+
 export default useRealtimeChat
\ No newline at end of file
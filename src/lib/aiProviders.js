@@ -0,0 +1,172 @@
+/**
+ * AI provider 레지스트리
+ *
+ * 모델 선택 UI, 채팅 라우팅, 파일 첨부 형식이 모두 이 레지스트리를 기준으로 동작합니다.
+ * 서버(ai-proxy Edge Function)에는 provider id가 함께 전달되며, 같은 id의 어댑터가 호출을 담당합니다.
+ *
+ * @typedef {Object} AIModel
+ * @property {string} value - API에 전달되는 모델 ID
+ * @property {string} label - 표시 이름
+ * @property {string} description - 설명
+ *
+ * @typedef {Object} AIProviderCapabilities
+ * @property {boolean} streaming - 스트리밍 응답 지원
+ * @property {boolean} vision - 이미지/PDF 첨부 분석 지원
+ * @property {boolean} tools - 웹 검색 등 도구 호출 지원
+ * @property {boolean} fileSearch - 워크스페이스 파일 검색(vector store) 지원
+ *
+ * @typedef {Object} AIProvider
+ * @property {string} id - provider ID (서버 어댑터 ID와 동일)
+ * @property {string} label - 표시 이름
+ * @property {'openai' | 'claude'} fileFormat - 첨부 파일 API 객체 형식 (fileUtils.createFileForAPI)
+ * @property {boolean} markdownSystemPrompt - 마크다운 형식 지침을 system 프롬프트로 전달할지 여부
+ * @property {AIProviderCapabilities} capabilities - 지원 기능
+ * @property {AIModel[]} models - 제공 모델 목록
+ */
+
+/**
+ * 자체 호스팅 모델 목록 (VITE_LOCAL_LLM_MODELS, 쉼표 구분)
+ * 예: VITE_LOCAL_LLM_MODELS=llama3.1:8b,qwen2.5:14b
+ * 실제 엔드포인트 주소는 서버 secret(OPENAI_COMPATIBLE_BASE_URL)으로만 설정합니다
+ * @returns {AIModel[]}
+ */
+const getLocalModels = () => {
+  const models = import.meta.env.VITE_LOCAL_LLM_MODELS
+
+  if (!models) return []
+
+  return models
+    .split(',')
+    .map((model) => model.trim())
+    .filter(Boolean)
+    .map((model) => ({
+      value: model,
+      label: model,
+      description: '자체 호스팅 모델'
+    }))
+}
+
+/**
+ * 기본 제공 provider 목록
+ * @type {AIProvider[]}
+ */
+const providers = [
+  {
+    id: 'openai',
+    label: 'OpenAI',
+    fileFormat: 'openai',
+    markdownSystemPrompt: false,
+    capabilities: {
+      streaming: true,
+      vision: true,
+      tools: true,
+      fileSearch: true
+    },
+    models: [
+      {
+        value: 'gpt-5',
+        label: 'GPT-5',
+        description: '최신 GPT-5 모델'
+      },
+      {
+        value: 'gpt-4.1',
+        label: 'GPT-4.1',
+        description: '최신 GPT-4.1 모델'
+      }
+    ]
+  },
+  {
+    id: 'anthropic',
+    label: 'Anthropic',
+    fileFormat: 'claude',
+    markdownSystemPrompt: true,
+    capabilities: {
+      streaming: true,
+      vision: true,
+      tools: true,
+      fileSearch: false
+    },
+    models: [
+      {
+        value: 'claude-opus-4-1-20250805',
+        label: 'Claude Opus 4.1',
+        description: '가장 강력한 Claude 모델'
+      },
+      {
+        value: 'claude-sonnet-4-5-20250929',
+        label: 'Claude Sonnet 4.5',
+        description: '최신 Claude Sonnet 모델'
+      },
+      {
+        value: 'claude-3-7-sonnet-latest',
+        label: 'Claude 3.7 Sonnet',
+        description: 'Claude 3.7 Sonnet 최신 버전'
+      }
+    ]
+  },
+  {
+    id: 'openai-compatible',
+    label: import.meta.env.VITE_LOCAL_LLM_LABEL || '자체 호스팅',
+    fileFormat: 'openai',
+    markdownSystemPrompt: true,
+    capabilities: {
+      streaming: true,
+      vision: false,
+      tools: false,
+      fileSearch: false
+    },
+    models: getLocalModels()
+  }
+]
+
+/**
+ * provider 등록 (같은 id가 있으면 교체)
+ * 서버 ai-proxy에도 같은 id의 어댑터가 있어야 호출할 수 있습니다
+ *
+ * @param {AIProvider} provider
+ */
+export const registerAIProvider = (provider) => {
+  const index = providers.findIndex((p) => p.id === provider.id)
+
+  if (index === -1) {
+    providers.push(provider)
+  } else {
+    providers[index] = provider
+  }
+}
+
+/**
+ * 사용 가능한(모델이 하나 이상 있는) provider 목록
+ * @returns {AIProvider[]}
+ */
+export const getAIProviders = () => providers.filter((p) => p.models.length > 0)
+
+/**
+ * provider ID로 provider 조회
+ * @param {string} providerId
+ * @returns {AIProvider | undefined}
+ */
+export const getAIProvider = (providerId) => providers.find((p) => p.id === providerId)
+
+/**
+ * 모델 ID로 provider 조회
+ * 등록되지 않은 모델은 기존 규칙(claude- 접두사)으로 판단합니다
+ *
+ * @param {string} modelValue
+ * @returns {AIProvider}
+ */
+export const getProviderForModel = (modelValue) => {
+  const provider = providers.find((p) => p.models.some((m) => m.value === modelValue))
+
+  if (provider) return provider
+
+  return getAIProvider(modelValue?.startsWith('claude-') ? 'anthropic' : 'openai')
+}
+
+/**
+ * 모델 ID로 모델 정보 조회
+ * @param {string} modelValue
+ * @returns {AIModel | undefined}
+ */
+export const getAIModel = (modelValue) =>
+  providers.flatMap((p) => p.models).find((m) => m.value === modelValue)
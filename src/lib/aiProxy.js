@@ -0,0 +1,329 @@
+import { supabase } from './supabase'
+
+/**
+ * AI 관련 Edge Function 엔드포인트
+ * AI provider API 키는 서버에만 있으므로 모든 AI 호출은 이 함수들을 거칩니다
+ */
+const FUNCTIONS_URL = `${import.meta.env.VITE_SUPABASE_URL}/functions/v1`
+const AI_PROXY_URL = `${FUNCTIONS_URL}/ai-proxy`
+const KNOWLEDGE_BASE_URL = `${FUNCTIONS_URL}/knowledge-base`
+const AI_ACTIONS_URL = `${FUNCTIONS_URL}/ai-actions`
+const MEETING_NOTES_URL = `${FUNCTIONS_URL}/meeting-notes`
+
+/**
+ * 현재 세션의 인증 헤더를 생성합니다
+ * @returns {Promise<Record<string, string>>}
+ */
+const getAuthHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession()
+
+  if (!session?.access_token) {
+    throw new Error('로그인이 필요합니다.')
+  }
+
+  return {
+    Authorization: `Bearer ${session.access_token}`,
+    apikey: import.meta.env.VITE_SUPABASE_ANON_KEY
+  }
+}
+
+/**
+ * 상태 코드를 포함한 에러 생성 (429, 529 등 provider 오류 구분용)
+ * @param {string} message
+ * @param {number} status
+ * @returns {Error & { status: number }}
+ */
+const createProxyError = (message, status) => {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+// 잠시 후 다시 시도하면 성공할 수 있는 상태 코드 (rate limit, 과부하)
+const RETRYABLE_STATUS = [429, 503, 529]
+
+/**
+ * 워크스페이스/멤버 월간 AI 사용 한도 초과 응답 코드 (재시도 대상 아님)
+ */
+export const USAGE_LIMIT_STATUS = 402
+
+/**
+ * 재시도 대상 오류인지 확인합니다
+ * @param {Error & { status?: number }} error
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => RETRYABLE_STATUS.includes(error?.status)
+
+/**
+ * 사용자가 요청을 중지(AbortController.abort)해서 난 오류인지 확인합니다
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => error?.name === 'AbortError'
+
+/**
+ * 지정 시간만큼 대기 (signal이 abort 되면 즉시 AbortError)
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('요청이 중지되었습니다.', 'AbortError'))
+    return
+  }
+
+  const timer = setTimeout(resolve, ms)
+
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer)
+    reject(new DOMException('요청이 중지되었습니다.', 'AbortError'))
+  }, { once: true })
+})
+
+/**
+ * rate limit / 과부하 오류를 지수 백오프로 재시도합니다
+ *
+ * @param {(attempt: number) => Promise<any>} fn - 실행할 요청 (attempt: 0부터 시작)
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries=3] - 최대 재시도 횟수
+ * @param {number} [options.baseDelay=1000] - 첫 재시도 대기 시간 (ms), 이후 2배씩 증가
+ * @param {AbortSignal} [options.signal] - 중지 signal (대기 중에도 즉시 중단)
+ * @param {(error: Error) => boolean} [options.shouldRetry] - 재시도 여부 판단 (기본: isRetryableError)
+ * @param {(info: { attempt: number, maxRetries: number, delay: number, error: Error }) => void} [options.onRetry] - 재시도 직전 콜백
+ */
+export const withRetry = async (fn, options = {}) => {
+  const {
+    maxRetries = 3,
+    baseDelay = 1000,
+    signal,
+    shouldRetry = isRetryableError,
+    onRetry
+  } = options
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt)
+    } catch (error) {
+      if (attempt >= maxRetries || signal?.aborted || isAbortError(error) || !shouldRetry(error)) {
+        throw error
+      }
+
+      const delay = baseDelay * 2 ** attempt + Math.floor(Math.random() * 250)
+      console.warn(`⏳ AI 요청 재시도 ${attempt + 1}/${maxRetries} (${delay}ms 후):`, error.message)
+
+      if (onRetry) {
+        onRetry({ attempt: attempt + 1, maxRetries, delay, error })
+      }
+
+      await wait(delay, signal)
+    }
+  }
+}
+
+/**
+ * 실패 응답 본문에서 에러를 만듭니다
+ * @param {Response} response
+ */
+const toProxyError = async (response) => {
+  const body = await response.json().catch(() => ({}))
+  return createProxyError(body.error || `AI 요청 실패 (${response.status})`, response.status)
+}
+
+/**
+ * AI 응답을 한 번에 받아옵니다
+ *
+ * @param {Object} payload - ai-proxy 요청 본문 (workspaceId, task, model, messages, system, ...)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - 요청 중지 signal
+ * @returns {Promise<{ text: string, usage: { inputTokens: number, outputTokens: number } }>}
+ */
+export const requestAI = async (payload, { signal } = {}) => {
+  const response = await fetch(AI_PROXY_URL, {
+    method: 'POST',
+    headers: { ...(await getAuthHeaders()), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...payload, stream: false }),
+    signal
+  })
+
+  if (!response.ok) {
+    throw await toProxyError(response)
+  }
+
+  return await response.json()
+}
+
+/**
+ * Edge Function 응답을 Server-Sent Events로 스트리밍합니다 (ai-proxy, meeting-notes)
+ * signal이 abort 되면 연결을 끊고 AbortError를 던집니다 (서버도 provider 요청을 중단)
+ *
+ * @param {string} url - Edge Function URL
+ * @param {Object} payload - 요청 본문
+ * @param {(event: Object) => void} onEvent - 수신한 이벤트 콜백
+ * @param {AbortSignal} [signal] - 요청 중지 signal
+ * @returns {Promise<Object>} 마지막 done 이벤트
+ */
+const streamFunction = async (url, payload, onEvent, signal) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { ...(await getAuthHeaders()), 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal
+  })
+
+  if (!response.ok) {
+    throw await toProxyError(response)
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let doneEvent = null
+
+  const handleEvent = (rawEvent) => {
+    const data = rawEvent
+      .split('\n')
+      .filter((line) => line.startsWith('data:'))
+      .map((line) => line.slice(5).trim())
+      .join('')
+
+    if (!data) return
+
+    const event = JSON.parse(data)
+
+    if (event.type === 'error') {
+      throw createProxyError(event.message, event.status)
+    }
+
+    if (event.type === 'done') {
+      doneEvent = event
+    }
+
+    if (onEvent) {
+      onEvent(event)
+    }
+  }
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+
+    // 이벤트는 빈 줄(\n\n)로 구분됨
+    let separatorIndex
+    while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, separatorIndex)
+      buffer = buffer.slice(separatorIndex + 2)
+      handleEvent(rawEvent)
+    }
+  }
+
+  if (buffer.trim()) {
+    handleEvent(buffer)
+  }
+
+  if (!doneEvent) {
+    throw createProxyError('AI 응답 스트림이 비정상적으로 종료되었습니다.', 502)
+  }
+
+  return doneEvent
+}
+
+/**
+ * AI 응답을 Server-Sent Events로 스트리밍합니다
+ * signal이 abort 되면 연결을 끊고 AbortError를 던집니다 (서버도 provider 요청을 중단)
+ *
+ * @param {Object} payload - ai-proxy 요청 본문
+ * @param {(event: Object) => void} onEvent - 수신한 이벤트 콜백 ({ type: 'delta', text } 등)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - 요청 중지 signal
+ * @returns {Promise<Object>} 마지막 done 이벤트 ({ type: 'done', text, usage })
+ */
+export const streamAI = (payload, onEvent, { signal } = {}) =>
+  streamFunction(AI_PROXY_URL, { ...payload, stream: true }, onEvent, signal)
+
+/**
+ * 선택한 시간 범위의 채팅방 대화로 회의록을 생성합니다 (프롬프트/검증/Markdown 구성은 서버에서 처리)
+ *
+ * @param {Object} payload - meeting-notes 요청 본문 (workspaceId, chatRoomId, startTime, endTime, template, model, timeZone)
+ * @param {(event: Object) => void} onEvent - 수신한 이벤트 콜백
+ *   ({ type: 'progress', stage: 'map' | 'merge' | 'reduce', current, total } / { type: 'delta', text }: 최종 회의록 JSON 원문)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - 요청 중지 signal
+ * @returns {Promise<Object>} done 이벤트 ({ content, structured, chunkCount, messageCount, usage })
+ */
+export const streamMeetingNotes = (payload, onEvent, { signal } = {}) =>
+  streamFunction(MEETING_NOTES_URL, { ...payload, stream: true }, onEvent, signal)
+
+/**
+ * JSON 요청/응답 Edge Function 호출 (knowledge-base, ai-actions, meeting-notes)
+ * @param {string} url - Edge Function URL
+ * @param {Object} payload - 요청 본문
+ */
+const callFunction = async (url, payload) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { ...(await getAuthHeaders()), 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  })
+
+  if (!response.ok) {
+    throw await toProxyError(response)
+  }
+
+  return await response.json()
+}
+
+/**
+ * 업로드된 파일을 워크스페이스 지식 베이스(AI 파일 검색 대상)에 등록합니다
+ * 원본은 서버가 Storage에서 직접 읽으므로 파일 ID만 전달합니다
+ *
+ * @param {string} workspaceId - 워크스페이스 ID
+ * @param {'workspace_file' | 'chat_file'} sourceType - 원본 테이블
+ * @param {string} sourceId - workspace_files.id 또는 chat_files.id
+ * @returns {Promise<{ status: 'completed' | 'in_progress' | 'failed' | 'skipped' }>}
+ */
+export const addToKnowledgeBase = (workspaceId, sourceType, sourceId) =>
+  callFunction(KNOWLEDGE_BASE_URL, { workspaceId, action: 'add', sourceType, sourceId })
+
+/**
+ * 삭제된 파일을 워크스페이스 지식 베이스에서 제거합니다
+ *
+ * @param {string} workspaceId - 워크스페이스 ID
+ * @param {'workspace_file' | 'chat_file'} sourceType - 원본 테이블
+ * @param {string} sourceId - 원본 파일 ID
+ * @returns {Promise<{ removed: boolean }>}
+ */
+export const removeFromKnowledgeBase = (workspaceId, sourceType, sourceId) =>
+  callFunction(KNOWLEDGE_BASE_URL, { workspaceId, action: 'remove', sourceType, sourceId })
+
+/**
+ * 아직 동기화되지 않은 워크스페이스 파일을 지식 베이스에 등록합니다 (호출당 최대 10개)
+ *
+ * @param {string} workspaceId - 워크스페이스 ID
+ * @returns {Promise<{ results: Array, remaining: number }>}
+ */
+export const syncKnowledgeBase = (workspaceId) =>
+  callFunction(KNOWLEDGE_BASE_URL, { workspaceId, action: 'sync' })
+
+/**
+ * AI가 제안한 작업(태스크/회의 생성)을 확인하거나 취소합니다
+ * 작업을 요청한 사용자만 처리할 수 있으며, 결과는 AI 메시지 metadata.actions에도 기록됩니다
+ *
+ * @param {string} workspaceId - 워크스페이스 ID
+ * @param {string} messageId - 작업이 담긴 AI 메시지 ID
+ * @param {string} actionId - 작업 ID
+ * @param {'confirm' | 'cancel'} decision - 확인 / 취소
+ * @returns {Promise<{ action: Object }>} 처리된 작업 ({ status: 'confirmed' | 'cancelled' | 'failed', result?, error? })
+ */
+export const resolveAIAction = (workspaceId, messageId, actionId, decision) =>
+  callFunction(AI_ACTIONS_URL, { workspaceId, messageId, actionId, decision })
+
+/**
+ * 회의록을 한 번에 생성합니다 (진행 상황이 필요 없을 때)
+ *
+ * @param {Object} payload - meeting-notes 요청 본문 (streamMeetingNotes와 같음)
+ * @returns {Promise<{ content: string, structured: Object, chunkCount: number, messageCount: number }>}
+ */
+export const requestMeetingNotes = (payload) =>
+  callFunction(MEETING_NOTES_URL, { ...payload, stream: false })
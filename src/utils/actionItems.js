@@ -0,0 +1,57 @@
+/**
+ * actionItems.js
+ *
+ * 회의록 액션 아이템 → 태스크 변환 유틸리티
+ * - 담당자 이름(채팅 표시 이름)을 워크스페이스 멤버로 매칭
+ * - 검토 화면에서 수정할 태스크 초안 생성
+ */
+
+const normalize = (value) => (value || '').trim().toLowerCase()
+
+/**
+ * 이름으로 워크스페이스 멤버 찾기
+ * - 채팅 표시 이름은 user_name 또는 이메일 앞부분이므로 둘 다 비교
+ * - 정확히 일치 → 부분 일치 순, 후보가 여러 명이면 매칭하지 않음 (사용자가 직접 선택)
+ *
+ * @param {Array<{ user_id: string, user_name?: string, email?: string }>} members - 워크스페이스 멤버
+ * @param {string | null} name - 담당자 이름
+ * @returns {Object | null} 매칭된 멤버
+ */
+export function matchMemberByName(members, name) {
+  const query = normalize(name)
+  if (!query) return null
+
+  const exact = members.filter((member) =>
+    normalize(member.user_name) === query ||
+    normalize(member.email) === query ||
+    normalize(member.email?.split('@')[0]) === query
+  )
+  if (exact.length === 1) return exact[0]
+
+  const partial = members.filter((member) =>
+    normalize(member.user_name).includes(query) ||
+    normalize(member.email).includes(query) ||
+    (member.user_name && query.includes(normalize(member.user_name)))
+  )
+  return partial.length === 1 ? partial[0] : null
+}
+
+/**
+ * 액션 아이템 → 태스크 초안
+ * 이미 태스크로 만든 항목(taskId)은 기본으로 선택 해제
+ *
+ * @param {Array<{ task: string, owner: string | null, dueDate: string | null, taskId?: string }>} actionItems
+ * @param {Array} members - 워크스페이스 멤버
+ * @returns {Array<{ index: number, selected: boolean, title: string, owner: string | null, assigneeId: string, dueDate: string, taskId: string | null }>}
+ */
+export function buildTaskDrafts(actionItems = [], members = []) {
+  return actionItems.map((item, index) => ({
+    index,
+    selected: !item.taskId,
+    title: item.task,
+    owner: item.owner,
+    assigneeId: matchMemberByName(members, item.owner)?.user_id || '',
+    dueDate: item.dueDate || '',
+    taskId: item.taskId || null
+  }))
+}
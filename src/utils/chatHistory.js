@@ -0,0 +1,160 @@
+/**
+ * chatHistory.js
+ *
+ * AI 모드 대화 맥락(history) 구성 유틸리티
+ * - 채팅방 메시지를 provider 메시지 형식(user / assistant 역할)으로 변환
+ * - 토큰 예산에 맞춰 오래된 메시지부터 잘라냄
+ * - 같은 역할이 연속되면 하나로 합쳐 역할이 번갈아 나오도록 보장
+ */
+
+// 기본 history 토큰 예산 (현재 질문과 응답 여유분 제외)
+export const DEFAULT_HISTORY_TOKEN_BUDGET = 3000
+
+// history에 포함할 최대 메시지 수
+export const DEFAULT_HISTORY_MAX_MESSAGES = 30
+
+/**
+ * 텍스트의 토큰 수 추정
+ * - 정확한 토크나이저 대신 보수적인 근사치 사용
+ * - 한글/CJK 문자는 약 1토큰, 그 외 문자는 약 4자당 1토큰
+ *
+ * @param {string} text - 추정할 텍스트
+ * @returns {number} 추정 토큰 수
+ */
+export function estimateTokens(text) {
+  if (!text) return 0
+
+  const cjkCount = (text.match(/[\u3131-\uD79D\u4E00-\u9FFF\u3040-\u30FF]/g) || []).length
+  const otherCount = text.length - cjkCount
+
+  return cjkCount + Math.ceil(otherCount / 4)
+}
+
+/**
+ * 채팅 메시지 하나를 history 항목으로 변환
+ * - AI 메시지 → assistant, 사용자 메시지 → user (발신자 이름 포함)
+ *
+ * @param {Object} message - 채팅 메시지
+ * @returns {{ role: 'user' | 'assistant', text: string } | null}
+ */
+function toHistoryEntry(message) {
+  const content = message.content?.trim() || ''
+  const fileNames = (message.files || []).map(f => f.name).filter(Boolean)
+  const attachment = fileNames.length > 0 ? `[첨부 파일: ${fileNames.join(', ')}]` : ''
+  const body = [content, attachment].filter(Boolean).join('\n')
+
+  if (message.message_type === 'ai') {
+    return content ? { role: 'assistant', text: content } : null
+  }
+
+  if (!body) return null
+
+  const sender = message.sender_name || '알 수 없음'
+  return { role: 'user', text: `${sender}: ${body}` }
+}
+
+/**
+ * 채팅방 메시지로부터 AI 대화 history 구성
+ *
+ * @param {Array} messages - 채팅방 메시지 배열 (시간순)
+ * @param {Object} options - 구성 옵션
+ * @param {number} options.tokenBudget - history 토큰 예산
+ * @param {number} options.maxMessages - 포함할 최대 메시지 수
+ * @returns {Array<{ role: 'user' | 'assistant', content: string }>} 역할이 번갈아 나오는 메시지 배열
+ */
+export function buildConversationHistory(messages, options = {}) {
+  const {
+    tokenBudget = DEFAULT_HISTORY_TOKEN_BUDGET,
+    maxMessages = DEFAULT_HISTORY_MAX_MESSAGES
+  } = options
+
+  if (!messages || messages.length === 0) return []
+
+  // 사용자/AI 메시지만 사용 (system, meeting_share 등 제외), 전송 중인 메시지 제외
+  const candidates = messages
+    .filter(msg => (msg.message_type === 'user' || msg.message_type === 'ai') && !msg._isOptimistic)
+    .slice(-maxMessages)
+    .map(toHistoryEntry)
+    .filter(Boolean)
+
+  // 최신 메시지부터 토큰 예산 안에서 선택
+  const selected = []
+  let usedTokens = 0
+
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(candidates[i].text)
+    if (usedTokens + tokens > tokenBudget) break
+
+    selected.unshift(candidates[i])
+    usedTokens += tokens
+  }
+
+  // 연속된 같은 역할 병합
+  const merged = []
+  selected.forEach((entry) => {
+    const last = merged[merged.length - 1]
+    if (last && last.role === entry.role) {
+      last.content += `\n\n${entry.text}`
+    } else {
+      merged.push({ role: entry.role, content: entry.text })
+    }
+  })
+
+  // 첫 메시지는 반드시 user 역할이어야 함
+  while (merged.length > 0 && merged[0].role !== 'user') {
+    merged.shift()
+  }
+
+  return merged
+}
+
+/**
+ * history 뒤에 현재 사용자 질문을 이어 붙임
+ * - history가 user 역할로 끝나면 현재 질문과 합쳐 역할 교대를 유지
+ *
+ * @param {Array} history - buildConversationHistory 결과
+ * @param {string | Array} content - 현재 질문 (문자열 또는 multimodal content 배열)
+ * @param {string} textType - multimodal 텍스트 블록 타입 ('text' | 'input_text')
+ * @returns {Array} provider에 전달할 messages 배열
+ */
+export function appendUserTurn(history, content, textType = 'text') {
+  const last = history[history.length - 1]
+
+  if (!last || last.role !== 'user') {
+    return [...history, { role: 'user', content }]
+  }
+
+  const previous = history.slice(0, -1)
+
+  if (Array.isArray(content)) {
+    return [
+      ...previous,
+      { role: 'user', content: [{ type: textType, text: last.content }, ...content] }
+    ]
+  }
+
+  return [...previous, { role: 'user', content: `${last.content}\n\n${content}` }]
+}
+
+/**
+ * AI 답변 다시 생성용 messages 구성
+ * - 대상 AI 메시지 이전의 대화만 사용하고, 마지막이 user 역할이 되도록 뒤쪽 assistant 턴을 제거
+ * - 첨부 파일은 다시 전송하지 않고 파일 이름만 포함됩니다
+ *
+ * @param {Array} messages - 채팅방 메시지 배열 (시간순)
+ * @param {string} aiMessageId - 다시 생성할 AI 메시지 ID
+ * @param {Object} options - buildConversationHistory 옵션
+ * @returns {Array} provider에 전달할 messages 배열 (구성할 수 없으면 빈 배열)
+ */
+export function buildRegenerateMessages(messages, aiMessageId, options = {}) {
+  const index = messages.findIndex(msg => msg.id === aiMessageId)
+  if (index <= 0) return []
+
+  const history = buildConversationHistory(messages.slice(0, index), options)
+
+  while (history.length > 0 && history[history.length - 1].role !== 'user') {
+    history.pop()
+  }
+
+  return history
+}
@@ -0,0 +1,117 @@
+/**
+ * meetingNoteTemplates.js
+ *
+ * 회의록 템플릿
+ * - 기본 제공 템플릿(스탠드업, 회고, 고객 미팅, 디자인 리뷰)과 워크스페이스 템플릿(meeting_note_templates)을 같은 형태로 다룸
+ * - 템플릿의 섹션/어조/언어/추가 지침은 회의록 생성 요청에 담아 서버(meeting-notes)에서 프롬프트에 추가
+ * - 섹션이 없는 템플릿은 기본 회의록 구성을 그대로 사용
+ */
+
+export const DEFAULT_TEMPLATE_ID = 'builtin:default'
+
+/**
+ * 기본 제공 템플릿
+ * 워크스페이스 템플릿과 구분하기 위해 id는 'builtin:' 으로 시작
+ */
+export const BUILTIN_MEETING_NOTE_TEMPLATES = [
+  {
+    id: DEFAULT_TEMPLATE_ID,
+    name: '기본 회의록',
+    description: '안건, 참가자별 의견, 결정 사항, 액션 아이템, AI 제안을 정리합니다.',
+    sections: [],
+    tone: null,
+    language: null,
+    instructions: null,
+    builtin: true
+  },
+  {
+    id: 'builtin:standup',
+    name: '데일리 스탠드업',
+    description: '참가자별 어제 한 일, 오늘 할 일, 블로커를 짧게 정리합니다.',
+    sections: [
+      { title: '어제 한 일', instruction: '참가자별로 완료한 작업을 한 줄씩 정리' },
+      { title: '오늘 할 일', instruction: '참가자별로 오늘 계획한 작업을 한 줄씩 정리' },
+      { title: '블로커', instruction: '진행을 막는 문제와 도움이 필요한 사람을 정리, 없으면 "없음"' }
+    ],
+    tone: '간결한 개조식',
+    language: null,
+    instructions: '참가자 이름을 굵게 표시하고 항목은 짧게 작성하세요.',
+    builtin: true
+  },
+  {
+    id: 'builtin:retrospective',
+    name: '회고',
+    description: '잘한 점, 아쉬운 점, 개선할 점(Keep/Problem/Try)을 정리합니다.',
+    sections: [
+      { title: 'Keep (잘한 점)', instruction: '계속 유지할 좋은 점' },
+      { title: 'Problem (아쉬운 점)', instruction: '문제였던 점과 원인' },
+      { title: 'Try (개선할 점)', instruction: '다음에 시도할 구체적인 개선 방안' }
+    ],
+    tone: '건설적이고 비난하지 않는 어조',
+    language: null,
+    instructions: '개인을 탓하는 표현 대신 과정과 시스템 관점으로 정리하세요.',
+    builtin: true
+  },
+  {
+    id: 'builtin:client-call',
+    name: '고객 미팅',
+    description: '고객 요구사항, 합의 사항, 후속 조치를 외부 공유용으로 정리합니다.',
+    sections: [
+      { title: '고객 요구사항', instruction: '고객이 요청하거나 우려한 사항' },
+      { title: '합의 사항', instruction: '양측이 합의한 범위, 일정, 조건' },
+      { title: '후속 조치', instruction: '우리 측과 고객 측이 각각 해야 할 일' }
+    ],
+    tone: '격식 있는 보고서체',
+    language: null,
+    instructions: '내부 논의나 고객에게 공유하기 부적절한 내용은 제외하세요.',
+    builtin: true
+  },
+  {
+    id: 'builtin:design-review',
+    name: '디자인 리뷰',
+    description: '검토 대상, 피드백, 결정된 변경 사항과 미결 사항을 정리합니다.',
+    sections: [
+      { title: '검토 대상', instruction: '리뷰한 화면, 기능, 문서' },
+      { title: '피드백', instruction: '검토 대상별 피드백과 제안한 사람' },
+      { title: '변경 결정', instruction: '반영하기로 결정한 변경 사항' },
+      { title: '미결 사항', instruction: '추가 검토가 필요한 부분' }
+    ],
+    tone: '구체적이고 객관적인 어조',
+    language: null,
+    instructions: null,
+    builtin: true
+  }
+]
+
+/**
+ * 템플릿 섹션 정규화 (제목이 없는 섹션 제거)
+ *
+ * @param {any} sections - [{ title, instruction }]
+ * @returns {Array<{ title: string, instruction: string | null }>}
+ */
+export function normalizeTemplateSections(sections) {
+  if (!Array.isArray(sections)) return []
+
+  return sections
+    .filter((section) => typeof section?.title === 'string' && section.title.trim())
+    .map((section) => ({
+      title: section.title.trim(),
+      instruction: section.instruction?.trim() || null
+    }))
+}
+
+/**
+ * meeting_notes.metadata.template 에 기록할 템플릿 정보
+ *
+ * @param {Object | null} template - 회의록 템플릿
+ * @returns {{ id: string, name: string, builtin: boolean } | null}
+ */
+export function toTemplateMetadata(template) {
+  if (!template) return null
+
+  return {
+    id: template.id,
+    name: template.name,
+    builtin: !!template.builtin
+  }
+}
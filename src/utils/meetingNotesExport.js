@@ -0,0 +1,415 @@
+/**
+ * meetingNotesExport.js
+ *
+ * 회의록 내보내기 유틸리티
+ * - 같은 Markdown에서 HTML / PDF / DOCX 문서 생성 (제목, 체크리스트, 표 포함)
+ * - 머리글에 워크스페이스 이름과 회사 로고 표시
+ * - 여러 회의록을 한 번에 zip으로 묶어 내보내기
+ *
+ * PDF(html2pdf.js)와 DOCX(docx), zip(jszip)은 용량이 커서 내보낼 때만 불러옵니다
+ */
+
+import { unified } from 'unified'
+import remarkParse from 'remark-parse'
+import remarkGfm from 'remark-gfm'
+import remarkRehype from 'remark-rehype'
+import rehypeStringify from 'rehype-stringify'
+
+export const EXPORT_FORMATS = [
+  { value: 'pdf', label: 'PDF', extension: 'pdf' },
+  { value: 'docx', label: 'Word (DOCX)', extension: 'docx' },
+  { value: 'html', label: 'HTML', extension: 'html' },
+  { value: 'md', label: 'Markdown', extension: 'md' }
+]
+
+// 로고 머리글 높이 (px)
+const LOGO_HEIGHT = 32
+
+const DOCX_IMAGE_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp'
+}
+
+const EXPORT_STYLES = `
+  body { font-family: 'Pretendard', 'Apple SD Gothic Neo', 'Malgun Gothic', sans-serif; color: #111827; line-height: 1.6; max-width: 820px; margin: 0 auto; padding: 32px; }
+  .export-header { display: flex; align-items: center; gap: 12px; padding-bottom: 12px; margin-bottom: 24px; border-bottom: 2px solid #e5e7eb; color: #4b5563; font-size: 14px; }
+  .export-header img { height: ${LOGO_HEIGHT}px; }
+  h1 { font-size: 26px; margin: 0 0 16px; }
+  h2 { font-size: 20px; margin: 28px 0 12px; padding-bottom: 4px; border-bottom: 1px solid #e5e7eb; }
+  h3 { font-size: 16px; margin: 20px 0 8px; }
+  ul, ol { padding-left: 24px; }
+  li.task-list-item { list-style: none; margin-left: -20px; }
+  li.task-list-item input { margin-right: 6px; }
+  table { border-collapse: collapse; width: 100%; margin: 12px 0; }
+  th, td { border: 1px solid #d1d5db; padding: 6px 10px; text-align: left; }
+  th { background: #f3f4f6; }
+  code { background: #f3f4f6; padding: 1px 4px; border-radius: 4px; font-size: 13px; }
+  pre code { display: block; padding: 12px; white-space: pre-wrap; }
+  blockquote { margin: 12px 0; padding-left: 12px; border-left: 4px solid #d1d5db; color: #4b5563; }
+  hr { border: none; border-top: 1px solid #e5e7eb; margin: 24px 0; }
+  h2, h3, table, li { page-break-inside: avoid; }
+`
+
+const escapeHTML = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+const readAsDataURL = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+
+/**
+ * 머리글 정보 준비 (로고는 한 번만 받아서 모든 형식에 재사용)
+ * 로고를 불러오지 못하면 워크스페이스 이름만 표시
+ *
+ * @param {{ workspaceName?: string, logoUrl?: string }} options
+ * @returns {Promise<{ workspaceName: string, logo: Object | null }>}
+ */
+export async function loadExportBranding({ workspaceName = '', logoUrl } = {}) {
+  if (!logoUrl) {
+    return { workspaceName, logo: null }
+  }
+
+  try {
+    const response = await fetch(logoUrl)
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+
+    const blob = await response.blob()
+    const bitmap = await createImageBitmap(blob)
+    const logo = {
+      dataUrl: await readAsDataURL(blob),
+      data: await blob.arrayBuffer(),
+      docxType: DOCX_IMAGE_TYPES[blob.type] || null,
+      width: Math.round((bitmap.width / bitmap.height) * LOGO_HEIGHT),
+      height: LOGO_HEIGHT
+    }
+    bitmap.close()
+
+    return { workspaceName, logo }
+  } catch (error) {
+    console.warn('로고를 불러오지 못했습니다:', error)
+    return { workspaceName, logo: null }
+  }
+}
+
+/**
+ * 파일 이름으로 쓸 수 없는 문자 제거
+ *
+ * @param {string} title - 회의록 제목
+ * @returns {string}
+ */
+export function toExportFileName(title) {
+  return (title || '회의록')
+    .replace(/[^a-zA-Z0-9가-힣\s\-_]/g, '')
+    .trim()
+    .replace(/\s+/g, '_') || '회의록'
+}
+
+// Markdown → HTML 본문 (원본 HTML 태그는 이스케이프)
+const markdownToHTML = (markdown) =>
+  String(
+    unified()
+      .use(remarkParse)
+      .use(remarkGfm)
+      .use(remarkRehype)
+      .use(rehypeStringify)
+      .processSync(markdown || '')
+  )
+
+const renderHeaderHTML = (branding = {}) => {
+  if (!branding.workspaceName && !branding.logo) return ''
+
+  return `<div class="export-header">${branding.logo ? `<img src="${branding.logo.dataUrl}" alt="">` : ''}<span>${escapeHTML(branding.workspaceName)}</span></div>`
+}
+
+/**
+ * 스타일이 적용된 HTML 문서 생성
+ *
+ * @param {string} markdown - 회의록 Markdown
+ * @param {{ title?: string, branding?: Object }} options
+ * @returns {string} HTML 문서
+ */
+export function renderMeetingNotesHTML(markdown, { title = '회의록', branding } = {}) {
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>${EXPORT_STYLES}</style>
+</head>
+<body>
+${renderHeaderHTML(branding)}
+${markdownToHTML(markdown)}
+</body>
+</html>`
+}
+
+/**
+ * PDF 생성 (HTML 문서를 렌더링해 A4 PDF로 변환)
+ *
+ * @param {string} markdown - 회의록 Markdown
+ * @param {{ title?: string, branding?: Object }} options
+ * @returns {Promise<Blob>}
+ */
+export async function renderMeetingNotesPDF(markdown, { title = '회의록', branding } = {}) {
+  const { default: html2pdf } = await import('html2pdf.js')
+
+  return html2pdf()
+    .set({
+      margin: 10,
+      filename: `${toExportFileName(title)}.pdf`,
+      image: { type: 'jpeg', quality: 0.95 },
+      html2canvas: { scale: 2, useCORS: true },
+      jsPDF: { unit: 'mm', format: 'a4', orientation: 'portrait' },
+      pagebreak: { mode: ['css', 'legacy'] }
+    })
+    .from(`<div><style>${EXPORT_STYLES}</style>${renderHeaderHTML(branding)}${markdownToHTML(markdown)}</div>`)
+    .outputPdf('blob')
+}
+
+/**
+ * DOCX 생성 (Markdown 구문 트리를 Word 단락/표로 변환)
+ *
+ * @param {string} markdown - 회의록 Markdown
+ * @param {{ title?: string, branding?: Object }} options
+ * @returns {Promise<Blob>}
+ */
+export async function renderMeetingNotesDOCX(markdown, { title = '회의록', branding = {} } = {}) {
+  const docx = await import('docx')
+  const {
+    Document,
+    Packer,
+    Paragraph,
+    TextRun,
+    ExternalHyperlink,
+    HeadingLevel,
+    Header,
+    ImageRun,
+    Table,
+    TableRow,
+    TableCell,
+    WidthType,
+    BorderStyle
+  } = docx
+
+  const HEADING_LEVELS = [
+    HeadingLevel.HEADING_1,
+    HeadingLevel.HEADING_2,
+    HeadingLevel.HEADING_3,
+    HeadingLevel.HEADING_4,
+    HeadingLevel.HEADING_5,
+    HeadingLevel.HEADING_6
+  ]
+
+  // 인라인 노드 → TextRun (굵게/기울임/취소선/코드 스타일 누적)
+  const toRuns = (nodes = [], style = {}) =>
+    nodes.flatMap((node) => {
+      switch (node.type) {
+        case 'text':
+          return [new TextRun({ text: node.value, ...style })]
+        case 'strong':
+          return toRuns(node.children, { ...style, bold: true })
+        case 'emphasis':
+          return toRuns(node.children, { ...style, italics: true })
+        case 'delete':
+          return toRuns(node.children, { ...style, strike: true })
+        case 'inlineCode':
+          return [new TextRun({ text: node.value, ...style, font: 'Consolas' })]
+        case 'break':
+          return [new TextRun({ text: '', break: 1 })]
+        case 'link':
+          return [new ExternalHyperlink({
+            link: node.url,
+            children: toRuns(node.children, { ...style, style: 'Hyperlink' })
+          })]
+        default:
+          return node.children ? toRuns(node.children, style) : []
+      }
+    })
+
+  // 블록 노드 → Paragraph / Table
+  const toBlocks = (nodes = [], context = {}) =>
+    nodes.flatMap((node) => {
+      switch (node.type) {
+        case 'heading':
+          return [new Paragraph({ heading: HEADING_LEVELS[node.depth - 1], children: toRuns(node.children) })]
+        case 'paragraph':
+          return [new Paragraph({
+            children: [
+              ...(context.prefix ? [new TextRun(context.prefix)] : []),
+              ...toRuns(node.children)
+            ],
+            ...(context.level !== undefined && !context.ordered && !context.checklist
+              ? { bullet: { level: context.level } }
+              : {}),
+            ...(context.level !== undefined && (context.ordered || context.checklist)
+              ? { indent: { left: 360 * (context.level + 1) } }
+              : {})
+          })]
+        case 'list':
+          return node.children.flatMap((item, index) => {
+            const checklist = typeof item.checked === 'boolean'
+            const prefix = checklist
+              ? (item.checked ? '☑ ' : '☐ ')
+              : node.ordered ? `${(node.start || 1) + index}. ` : ''
+            const level = context.level === undefined ? 0 : context.level + 1
+
+            // 첫 단락에만 번호/체크박스, 하위 목록은 한 단계 들여쓰기
+            return item.children.flatMap((child, childIndex) =>
+              toBlocks([child], {
+                level,
+                ordered: node.ordered,
+                checklist,
+                prefix: childIndex === 0 ? prefix : ''
+              })
+            )
+          })
+        case 'table':
+          return [new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            rows: node.children.map((row, rowIndex) => new TableRow({
+              tableHeader: rowIndex === 0,
+              children: row.children.map((cell) => new TableCell({
+                children: [new Paragraph({
+                  children: toRuns(cell.children, rowIndex === 0 ? { bold: true } : {})
+                })]
+              }))
+            }))
+          })]
+        case 'code':
+          return node.value.split('\n').map((line) =>
+            new Paragraph({ children: [new TextRun({ text: line, font: 'Consolas' })] })
+          )
+        case 'blockquote':
+          return node.children.flatMap((child) =>
+            child.type === 'paragraph'
+              ? [new Paragraph({ indent: { left: 360 }, children: toRuns(child.children, { italics: true }) })]
+              : toBlocks([child], context)
+          )
+        case 'thematicBreak':
+          return [new Paragraph({
+            border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'D1D5DB', space: 1 } },
+            children: []
+          })]
+        default:
+          return []
+      }
+    })
+
+  const tree = unified().use(remarkParse).use(remarkGfm).parse(markdown || '')
+
+  const headerChildren = [
+    ...(branding.logo?.docxType
+      ? [new ImageRun({
+        type: branding.logo.docxType,
+        data: branding.logo.data,
+        transformation: { width: branding.logo.width, height: branding.logo.height }
+      }), new TextRun('  ')]
+      : []),
+    ...(branding.workspaceName ? [new TextRun({ text: branding.workspaceName, color: '4B5563' })] : [])
+  ]
+
+  const doc = new Document({
+    title,
+    styles: {
+      default: { document: { run: { font: 'Malgun Gothic' } } }
+    },
+    sections: [{
+      headers: headerChildren.length > 0
+        ? { default: new Header({ children: [new Paragraph({ children: headerChildren })] }) }
+        : undefined,
+      children: toBlocks(tree.children)
+    }]
+  })
+
+  return Packer.toBlob(doc)
+}
+
+/**
+ * 회의록 하나를 지정한 형식으로 변환
+ *
+ * @param {{ title: string, content: string }} note - 회의록
+ * @param {'pdf' | 'docx' | 'html' | 'md'} format - 내보낼 형식
+ * @param {Object} branding - loadExportBranding 결과
+ * @returns {Promise<Blob>}
+ */
+export async function exportMeetingNote(note, format, branding) {
+  const options = { title: note.title, branding }
+
+  switch (format) {
+    case 'pdf':
+      return renderMeetingNotesPDF(note.content, options)
+    case 'docx':
+      return renderMeetingNotesDOCX(note.content, options)
+    case 'html':
+      return new Blob([renderMeetingNotesHTML(note.content, options)], { type: 'text/html;charset=utf-8' })
+    case 'md':
+      return new Blob([note.content], { type: 'text/markdown;charset=utf-8' })
+    default:
+      throw new Error(`지원하지 않는 형식입니다: ${format}`)
+  }
+}
+
+/**
+ * 여러 회의록을 zip으로 묶기 (파일 이름: 회의 날짜_제목.확장자)
+ *
+ * @param {Array<{ title: string, content: string, start_time?: string }>} notes - 회의록 목록
+ * @param {'pdf' | 'docx' | 'html' | 'md'} format - 내보낼 형식
+ * @param {Object} branding - loadExportBranding 결과
+ * @param {Function} [onProgress] - (done, total) => void
+ * @returns {Promise<Blob>}
+ */
+export async function exportMeetingNotesArchive(notes, format, branding, onProgress) {
+  const { default: JSZip } = await import('jszip')
+  const zip = new JSZip()
+  const extension = EXPORT_FORMATS.find((item) => item.value === format)?.extension || format
+  const usedNames = new Set()
+
+  // PDF 렌더링은 무거우므로 순서대로 처리
+  for (const [index, note] of notes.entries()) {
+    const date = note.start_time ? note.start_time.slice(0, 10) : 'undated'
+    const baseName = `${date}_${toExportFileName(note.title)}`
+    let fileName = `${baseName}.${extension}`
+
+    for (let suffix = 2; usedNames.has(fileName); suffix++) {
+      fileName = `${baseName}_${suffix}.${extension}`
+    }
+    usedNames.add(fileName)
+
+    zip.file(fileName, await exportMeetingNote(note, format, branding))
+
+    if (onProgress) {
+      onProgress(index + 1, notes.length)
+    }
+  }
+
+  return zip.generateAsync({ type: 'blob' })
+}
+
+/**
+ * Blob을 파일로 다운로드
+ *
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,155 @@
+/**
+ * mentions.js
+ *
+ * 채팅 @멘션 유틸리티
+ * - 입력 중인 @검색어 찾기, 선택한 멤버 이름 삽입
+ * - 전송할 메시지에서 멘션한 멤버 추출 ({ user_id, name })
+ * - 메시지 내용을 멘션/일반 텍스트 구간으로 분리 (하이라이트 렌더링용)
+ */
+
+// @이름 뒤에 올 수 있는 문자 (공백, 문장부호, 끝)
+const MENTION_BOUNDARY = /^$|^[\s.,!?;:)\]}'"~]/
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * 커서 앞에서 입력 중인 @검색어 찾기
+ * - '@'는 줄 처음이나 공백 뒤에 있어야 하고, '@'와 커서 사이에 공백이 없어야 함
+ *
+ * @param {string} text - 입력 내용
+ * @param {number} caret - 커서 위치
+ * @returns {{ start: number, query: string } | null} start: '@' 위치
+ */
+export function findMentionQuery(text, caret) {
+  const beforeCaret = (text || '').slice(0, caret)
+  const match = beforeCaret.match(/(^|\s)@([^\s@]*)$/)
+
+  if (!match) return null
+
+  return {
+    start: beforeCaret.length - match[2].length - 1,
+    query: match[2]
+  }
+}
+
+/**
+ * @검색어를 선택한 멤버 이름으로 바꾸기 (뒤에 공백 추가)
+ *
+ * @param {string} text - 입력 내용
+ * @param {{ start: number, query: string }} mentionQuery - findMentionQuery 결과
+ * @param {string} name - 멤버 이름
+ * @returns {{ text: string, caret: number }} 바뀐 내용과 새 커서 위치
+ */
+export function insertMention(text, mentionQuery, name) {
+  const before = text.slice(0, mentionQuery.start)
+  const after = text.slice(mentionQuery.start + 1 + mentionQuery.query.length)
+  const inserted = `@${name} `
+
+  return {
+    text: `${before}${inserted}${after.replace(/^ /, '')}`,
+    caret: before.length + inserted.length
+  }
+}
+
+/**
+ * 검색어로 멘션 후보 필터링 (이름/이메일 앞부분 일치 우선)
+ *
+ * @param {Array<{ user_id: string, name: string, email?: string }>} members
+ * @param {string} query
+ * @param {number} limit
+ * @returns {Array}
+ */
+export function filterMentionCandidates(members, query, limit = 6) {
+  const keyword = (query || '').toLowerCase()
+
+  const matches = (members || []).filter((member) =>
+    member.name.toLowerCase().includes(keyword) ||
+    (member.email || '').toLowerCase().includes(keyword)
+  )
+
+  return matches
+    .sort((a, b) =>
+      Number(!a.name.toLowerCase().startsWith(keyword)) - Number(!b.name.toLowerCase().startsWith(keyword))
+    )
+    .slice(0, limit)
+}
+
+// 텍스트에서 @이름이 멘션으로 쓰인 위치인지 (앞은 처음/공백, 뒤는 경계 문자)
+const isMentionAt = (text, index, name) =>
+  (index === 0 || /\s/.test(text[index - 1])) &&
+  MENTION_BOUNDARY.test(text.slice(index + name.length + 1, index + name.length + 2))
+
+/**
+ * 메시지 내용에서 멘션한 멤버 추출 (중복 제외)
+ *
+ * @param {string} text - 메시지 내용
+ * @param {Array<{ user_id: string, name: string }>} members - 채팅방 멤버
+ * @returns {Array<{ user_id: string, name: string }>}
+ */
+export function collectMentions(text, members) {
+  if (!text || !members || members.length === 0) return []
+
+  const mentioned = new Map()
+
+  members.forEach((member) => {
+    const token = `@${member.name}`
+    let index = text.indexOf(token)
+
+    while (index !== -1) {
+      if (isMentionAt(text, index, member.name)) {
+        mentioned.set(member.user_id, { user_id: member.user_id, name: member.name })
+        break
+      }
+      index = text.indexOf(token, index + 1)
+    }
+  })
+
+  return [...mentioned.values()]
+}
+
+/**
+ * 메시지 내용을 멘션/일반 텍스트 구간으로 분리
+ *
+ * @param {string} text - 메시지 내용
+ * @param {Array<{ user_id: string, name: string }>} mentions - 메시지에 저장된 멘션
+ * @returns {Array<{ text: string, mention?: { user_id: string, name: string } }>}
+ */
+export function splitMentionSegments(text, mentions) {
+  if (!text) return []
+  if (!mentions || mentions.length === 0) return [{ text }]
+
+  // 긴 이름 우선 (예: @kim 과 @kimchi)
+  const sorted = [...mentions].sort((a, b) => b.name.length - a.name.length)
+  const pattern = new RegExp(`@(${sorted.map((mention) => escapeRegExp(mention.name)).join('|')})`, 'g')
+
+  const segments = []
+  let lastIndex = 0
+
+  for (const match of text.matchAll(pattern)) {
+    const name = match[1]
+    if (!isMentionAt(text, match.index, name)) continue
+
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index) })
+    }
+    segments.push({ text: match[0], mention: sorted.find((mention) => mention.name === name) })
+    lastIndex = match.index + match[0].length
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex) })
+  }
+
+  return segments
+}
+
+/**
+ * 메시지가 사용자를 멘션했는지
+ *
+ * @param {Object} message - 채팅 메시지
+ * @param {string} userId - 사용자 ID
+ * @returns {boolean}
+ */
+export function isMentioned(message, userId) {
+  return !!userId && (message.mentions || []).some((mention) => mention.user_id === userId)
+}
@@ -0,0 +1,55 @@
+/**
+ * presence.js
+ *
+ * 접속 상태 / 입력 중 표시 유틸리티
+ * - 접속 상태 이름 (online / away / offline)
+ * - 마지막 접속 시간을 "3분 전" 형식으로 표시
+ * - 입력 중인 사용자 목록 → "홍길동님이 입력 중…" 문구
+ */
+
+export const PRESENCE_LABELS = {
+  online: '온라인',
+  away: '자리 비움',
+  offline: '오프라인'
+}
+
+/**
+ * 마지막 접속 시간 → 상대 시간 문구
+ *
+ * @param {string | null} timestamp - ISO 시간
+ * @param {Date} now - 기준 시간
+ * @returns {string | null} 예: "방금 전", "5분 전", "3시간 전", "2일 전", 7일 이상은 날짜
+ */
+export function formatLastSeen(timestamp, now = new Date()) {
+  if (!timestamp) return null
+
+  const date = new Date(timestamp)
+  const minutes = Math.floor((now - date) / 60000)
+
+  if (minutes < 1) return '방금 전'
+  if (minutes < 60) return `${minutes}분 전`
+
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return `${hours}시간 전`
+
+  const days = Math.floor(hours / 24)
+  if (days < 7) return `${days}일 전`
+
+  return date.toLocaleDateString('ko-KR')
+}
+
+/**
+ * 입력 중인 사용자 표시 문구
+ *
+ * @param {Array<{ user_name: string }>} users - 입력 중인 사용자
+ * @returns {string | null}
+ */
+export function formatTypingUsers(users) {
+  if (!users || users.length === 0) return null
+
+  const names = users.map((user) => user.user_name || '알 수 없음')
+
+  if (names.length === 1) return `${names[0]}님이 입력 중…`
+  if (names.length === 2) return `${names[0]}, ${names[1]}님이 입력 중…`
+  return `${names[0]} 외 ${names.length - 1}명이 입력 중…`
+}
@@ -0,0 +1,70 @@
+/**
+ * searchHighlight.js
+ *
+ * 검색 결과 하이라이트 유틸리티
+ * - 검색어를 공백 단위로 나누고, 텍스트에서 일치하는 부분을 구간으로 분리
+ * - 한국어는 조사/복합어가 붙어 있으므로 단어 단위가 아닌 부분 문자열로 비교 (서버 검색과 동일)
+ * - 검색 필터의 날짜 입력 → 조회 범위 변환
+ */
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * 검색어 → 단어 목록 (중복 제거, 긴 단어 우선)
+ *
+ * @param {string} query - 검색어
+ * @returns {string[]}
+ */
+export function splitSearchTerms(query) {
+  const terms = (query || '')
+    .split(/\s+/)
+    .map((term) => term.trim())
+    .filter(Boolean)
+
+  return [...new Set(terms)].sort((a, b) => b.length - a.length)
+}
+
+/**
+ * 텍스트를 검색어 일치/불일치 구간으로 분리 (대소문자 무시)
+ *
+ * @param {string} text - 원본 텍스트
+ * @param {string[]} terms - 검색어 단어 목록
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export function highlightSegments(text, terms) {
+  if (!text) return []
+  if (!terms || terms.length === 0) return [{ text, match: false }]
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi')
+
+  return text
+    .split(pattern)
+    .filter(Boolean)
+    .map((part) => ({
+      text: part,
+      match: terms.some((term) => term.toLowerCase() === part.toLowerCase())
+    }))
+}
+
+/**
+ * 날짜 입력(로컬, YYYY-MM-DD) → 조회 범위 (종료일 포함)
+ *
+ * @param {string} fromDate - 시작일
+ * @param {string} toDate - 종료일
+ * @returns {{ from: string | null, to: string | null }} ISO 시간 (to는 종료일 다음 날 0시, 미만 비교)
+ */
+export function toDateRange(fromDate, toDate) {
+  const range = { from: null, to: null }
+
+  if (fromDate) {
+    range.from = new Date(`${fromDate}T00:00`).toISOString()
+  }
+
+  if (toDate) {
+    const to = new Date(`${toDate}T00:00`)
+    to.setDate(to.getDate() + 1)
+    range.to = to.toISOString()
+  }
+
+  return range
+}
@@ -0,0 +1,91 @@
+/**
+ * textDiff.js
+ *
+ * 줄 단위 텍스트 비교 유틸리티 (회의록 버전 비교용)
+ * - LCS(최장 공통 부분 수열)로 두 텍스트의 줄 차이 계산
+ * - 나란히 보기(side-by-side)용 행으로 변환
+ */
+
+/**
+ * 줄 단위 차이 계산
+ *
+ * @param {string} oldText - 이전 텍스트
+ * @param {string} newText - 새 텍스트
+ * @returns {Array<{ type: 'equal' | 'removed' | 'added', text: string }>}
+ */
+export function diffLines(oldText = '', newText = '') {
+  const oldLines = oldText.split('\n')
+  const newLines = newText.split('\n')
+  const n = oldLines.length
+  const m = newLines.length
+
+  // lcs[i][j]: oldLines[i..], newLines[j..]의 공통 부분 길이
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1))
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const result = []
+  let i = 0
+  let j = 0
+
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      result.push({ type: 'equal', text: oldLines[i] })
+      i++
+      j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', text: oldLines[i] })
+      i++
+    } else {
+      result.push({ type: 'added', text: newLines[j] })
+      j++
+    }
+  }
+
+  while (i < n) result.push({ type: 'removed', text: oldLines[i++] })
+  while (j < m) result.push({ type: 'added', text: newLines[j++] })
+
+  return result
+}
+
+/**
+ * 나란히 보기용 행 생성
+ * 연속된 삭제/추가 줄은 같은 행에 짝지어 표시 (수정된 줄)
+ *
+ * @param {string} oldText - 왼쪽(이전) 텍스트
+ * @param {string} newText - 오른쪽(새) 텍스트
+ * @returns {Array<{ left: { type: string, text: string } | null, right: { type: string, text: string } | null }>}
+ */
+export function buildSideBySideDiff(oldText = '', newText = '') {
+  const rows = []
+  let removed = []
+  let added = []
+
+  const flush = () => {
+    const length = Math.max(removed.length, added.length)
+    for (let k = 0; k < length; k++) {
+      rows.push({ left: removed[k] || null, right: added[k] || null })
+    }
+    removed = []
+    added = []
+  }
+
+  diffLines(oldText, newText).forEach((line) => {
+    if (line.type === 'removed') {
+      removed.push(line)
+    } else if (line.type === 'added') {
+      added.push(line)
+    } else {
+      flush()
+      rows.push({ left: line, right: line })
+    }
+  })
+  flush()
+
+  return rows
+}
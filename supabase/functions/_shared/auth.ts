@@ -0,0 +1,82 @@
+/**
+ * auth.ts
+ *
+ * Edge Function 호출자 인증
+ * - Authorization 헤더의 JWT 검증
+ * - 워크스페이스 멤버 여부 확인
+ */
+
+import { createClient } from 'npm:@supabase/supabase-js@2'
+import { HttpError } from './http.ts'
+
+/**
+ * service role 클라이언트 생성 (RLS 우회)
+ * 멤버십 확인, 서버 전용 테이블 기록 등에만 사용합니다.
+ */
+export const createAdminClient = () =>
+  createClient(
+    Deno.env.get('SUPABASE_URL')!,
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!,
+    { auth: { persistSession: false } }
+  )
+
+/**
+ * 호출자 권한으로 동작하는 클라이언트 생성 (RLS 적용)
+ */
+export const createUserClient = (authHeader: string) =>
+  createClient(
+    Deno.env.get('SUPABASE_URL')!,
+    Deno.env.get('SUPABASE_ANON_KEY')!,
+    {
+      global: { headers: { Authorization: authHeader } },
+      auth: { persistSession: false }
+    }
+  )
+
+/**
+ * 요청의 JWT를 검증하고 워크스페이스 멤버인지 확인
+ *
+ * @param req - 들어온 요청
+ * @param workspaceId - 접근하려는 워크스페이스 ID
+ * @returns 인증된 사용자, 멤버 정보, 사용자/관리자 클라이언트
+ * @throws {HttpError} 401 (인증 실패), 400 (workspaceId 누락), 403 (멤버 아님)
+ */
+export const authenticateRequest = async (req: Request, workspaceId?: string) => {
+  const authHeader = req.headers.get('Authorization')
+
+  if (!authHeader?.startsWith('Bearer ')) {
+    throw new HttpError(401, '인증 토큰이 없습니다.')
+  }
+
+  const userClient = createUserClient(authHeader)
+  const token = authHeader.replace('Bearer ', '')
+
+  const { data: { user }, error: userError } = await userClient.auth.getUser(token)
+
+  if (userError || !user) {
+    throw new HttpError(401, '유효하지 않은 인증 토큰입니다.')
+  }
+
+  if (!workspaceId) {
+    throw new HttpError(400, 'workspaceId가 필요합니다.')
+  }
+
+  const adminClient = createAdminClient()
+
+  const { data: member, error: memberError } = await adminClient
+    .from('workspace_members')
+    .select('id, role')
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', user.id)
+    .maybeSingle()
+
+  if (memberError) {
+    throw new HttpError(500, `멤버 확인 실패: ${memberError.message}`)
+  }
+
+  if (!member) {
+    throw new HttpError(403, '워크스페이스 멤버만 AI 기능을 사용할 수 있습니다.')
+  }
+
+  return { user, member, userClient, adminClient }
+}
@@ -0,0 +1,12 @@
+/**
+ * cors.ts
+ *
+ * Edge Function 공통 CORS 헤더
+ * - 브라우저(Vite 앱)에서 직접 호출하므로 preflight 응답에 사용
+ */
+
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+}
@@ -0,0 +1,108 @@
+/**
+ * http.ts
+ *
+ * Edge Function 공통 응답 유틸리티
+ * - JSON / 에러 응답 생성
+ * - Server-Sent Events 스트림 응답 생성
+ */
+
+import { corsHeaders } from './cors.ts'
+
+/**
+ * HTTP 상태 코드를 가진 에러
+ * 핸들러에서 throw 하면 errorResponse()가 해당 상태 코드로 응답합니다.
+ */
+export class HttpError extends Error {
+  status: number
+
+  constructor(status: number, message: string) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+  }
+}
+
+/**
+ * JSON 응답 생성
+ */
+export const jsonResponse = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  })
+
+/**
+ * 에러 응답 생성
+ * - HttpError는 지정된 상태 코드, 그 외 provider 오류는 원래 status(429, 529 등)를 유지
+ */
+export const errorResponse = (error: unknown) => {
+  const err = error as { status?: number; message?: string }
+  const status = error instanceof HttpError
+    ? error.status
+    : typeof err?.status === 'number' ? err.status : 500
+
+  console.error('❌ Edge Function 오류:', error)
+
+  return jsonResponse({ error: err?.message || '알 수 없는 오류가 발생했습니다.' }, status)
+}
+
+export type SendEvent = (event: Record<string, unknown>) => void
+
+/**
+ * Server-Sent Events 응답 생성
+ *
+ * 이벤트는 `data: {...}\n\n` 형식의 JSON 한 줄로 전송됩니다.
+ * 핸들러 실행 중 오류가 나면 { type: 'error', message, status } 이벤트를 보내고 스트림을 닫습니다.
+ * 클라이언트가 연결을 끊으면(응답 중지) signal이 abort 되므로, 핸들러는 provider 호출에 signal을 전달해 생성을 멈춥니다.
+ *
+ * @param handler - send 함수와 중단 signal을 받아 이벤트를 전송하는 비동기 함수
+ */
+export const sseResponse = (
+  handler: (send: SendEvent, signal: AbortSignal) => Promise<void>
+) => {
+  const encoder = new TextEncoder()
+  const abortController = new AbortController()
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send: SendEvent = (event) => {
+        if (abortController.signal.aborted) return
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`))
+      }
+
+      try {
+        await handler(send, abortController.signal)
+      } catch (error) {
+        if (abortController.signal.aborted) {
+          console.log('⏹ 클라이언트가 스트림을 중단했습니다.')
+          return
+        }
+
+        const err = error as { status?: number; message?: string }
+        console.error('❌ 스트리밍 중 오류:', error)
+        send({
+          type: 'error',
+          message: err?.message || '알 수 없는 오류가 발생했습니다.',
+          status: typeof err?.status === 'number' ? err.status : 500
+        })
+      } finally {
+        if (!abortController.signal.aborted) {
+          controller.close()
+        }
+      }
+    },
+
+    cancel() {
+      abortController.abort()
+    }
+  })
+
+  return new Response(stream, {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    }
+  })
+}
@@ -0,0 +1,456 @@
+/**
+ * knowledgeBase.ts
+ *
+ * 워크스페이스별 지식 베이스(OpenAI Vector Store) 관리 (서버 전용)
+ * - 워크스페이스마다 vector store 1개 (최초 파일 동기화 시 생성, workspace_vector_stores에 기록)
+ * - workspace_files / chat_files 원본을 Storage에서 읽어 vector store에 등록 (knowledge_base_files에 기록)
+ * - chat_files는 기본 채팅방(워크스페이스 전체 공개)의 삭제되지 않은 메시지 첨부만 등록
+ *   (다른 채팅방 파일은 채팅방 멤버가 아닌 사람에게 답변 내용/출처로 노출될 수 있음)
+ * - 모든 DB 접근은 service role 클라이언트로 수행하므로 호출 전에 워크스페이스 멤버 확인이 끝나 있어야 합니다
+ */
+
+import type { SupabaseClient } from 'npm:@supabase/supabase-js@2'
+import type OpenAI from 'npm:openai@5'
+import { HttpError } from './http.ts'
+import type { Citation } from './providers.ts'
+
+export type SourceType = 'workspace_file' | 'chat_file'
+
+export interface SyncResult {
+  sourceType: SourceType
+  sourceId: string
+  status: 'in_progress' | 'completed' | 'failed' | 'skipped'
+  error?: string
+}
+
+// 원본 테이블별 Storage 정보
+const SOURCES: Record<SourceType, { table: string; bucket: string; pathColumn: string }> = {
+  workspace_file: { table: 'workspace_files', bucket: 'workspace-files', pathColumn: 'storage_path' },
+  chat_file: { table: 'chat_files', bucket: 'chat-files', pathColumn: 'file_path' }
+}
+
+// OpenAI file_search가 지원하는 확장자 (이미지, 영상, 압축 파일 등은 건너뜀)
+const FILE_SEARCH_EXTENSIONS = [
+  'pdf', 'txt', 'md', 'doc', 'docx', 'pptx', 'html', 'json',
+  'c', 'cpp', 'cs', 'css', 'go', 'java', 'js', 'ts', 'php', 'py', 'rb', 'sh', 'tex'
+]
+
+const MAX_POLL_ATTEMPTS = 10
+
+export const isSourceType = (value: unknown): value is SourceType =>
+  value === 'workspace_file' || value === 'chat_file'
+
+const isFileSearchSupported = (fileName: string) =>
+  FILE_SEARCH_EXTENSIONS.includes(fileName.split('.').pop()?.toLowerCase() || '')
+
+/**
+ * 워크스페이스 vector store ID 조회 (없으면 null)
+ */
+export const getWorkspaceVectorStoreId = async (
+  adminClient: SupabaseClient,
+  workspaceId: string
+): Promise<string | null> => {
+  const { data, error } = await adminClient
+    .from('workspace_vector_stores')
+    .select('vector_store_id')
+    .eq('workspace_id', workspaceId)
+    .maybeSingle()
+
+  if (error) {
+    throw new HttpError(500, `지식 베이스 조회 실패: ${error.message}`)
+  }
+
+  return data?.vector_store_id || null
+}
+
+/**
+ * 워크스페이스 vector store 조회, 없으면 생성
+ * - 동시에 두 요청이 생성한 경우 먼저 기록된 store를 사용하고 나중 것은 삭제
+ */
+export const ensureWorkspaceVectorStore = async (
+  adminClient: SupabaseClient,
+  openai: OpenAI,
+  workspaceId: string
+): Promise<string> => {
+  const existingId = await getWorkspaceVectorStoreId(adminClient, workspaceId)
+  if (existingId) return existingId
+
+  const vectorStore = await openai.vectorStores.create({
+    name: `workspace-${workspaceId}`,
+    metadata: { workspace_id: workspaceId }
+  })
+
+  const { error } = await adminClient
+    .from('workspace_vector_stores')
+    .insert({ workspace_id: workspaceId, vector_store_id: vectorStore.id })
+
+  if (error) {
+    // 23505: unique 위반 → 다른 요청이 먼저 생성함
+    if (error.code === '23505') {
+      await openai.vectorStores.delete(vectorStore.id).catch(() => {})
+      const winnerId = await getWorkspaceVectorStoreId(adminClient, workspaceId)
+      if (winnerId) return winnerId
+    }
+    throw new HttpError(500, `지식 베이스 생성 실패: ${error.message}`)
+  }
+
+  console.log(`📚 워크스페이스 지식 베이스 생성: ${workspaceId} → ${vectorStore.id}`)
+  return vectorStore.id
+}
+
+/**
+ * 원본 파일 행 조회 (없으면 null)
+ */
+const findSourceRow = async (
+  adminClient: SupabaseClient,
+  sourceType: SourceType,
+  sourceId: string
+) => {
+  const source = SOURCES[sourceType]
+  const columns = sourceType === 'workspace_file'
+    ? `id, file_name, uploaded_by, workspace_id, ${source.pathColumn}`
+    : `id, file_name, uploaded_by, message_id, ${source.pathColumn}`
+
+  const { data, error } = await adminClient
+    .from(source.table)
+    .select(columns)
+    .eq('id', sourceId)
+    .maybeSingle()
+
+  if (error) {
+    throw new HttpError(500, `파일 조회 실패: ${error.message}`)
+  }
+
+  // deno-lint-ignore no-explicit-any
+  return data as any
+}
+
+/**
+ * 원본 파일 행 조회 + 워크스페이스 소속 확인
+ * - workspace_files: workspace_id 컬럼
+ * - chat_files: 저장 경로가 `${workspaceId}/` 로 시작 (generateFilePath 규칙)
+ */
+const fetchSourceFile = async (
+  adminClient: SupabaseClient,
+  workspaceId: string,
+  sourceType: SourceType,
+  sourceId: string
+) => {
+  const source = SOURCES[sourceType]
+  const row = await findSourceRow(adminClient, sourceType, sourceId)
+  const path: string | undefined = row?.[source.pathColumn]
+  const belongsToWorkspace = sourceType === 'workspace_file'
+    ? row?.workspace_id === workspaceId
+    : path?.startsWith(`${workspaceId}/`)
+
+  if (!row || !belongsToWorkspace) {
+    throw new HttpError(404, '워크스페이스에서 파일을 찾을 수 없습니다.')
+  }
+
+  return {
+    fileName: row.file_name as string,
+    bucket: source.bucket,
+    path: path as string,
+    messageId: (row.message_id || null) as string | null
+  }
+}
+
+/**
+ * 채팅 첨부 파일을 지식 베이스에 등록할 수 있는지 확인
+ * - 메시지에 연결되어 있고, 기본 채팅방의 삭제되지 않은 메시지인 경우만
+ */
+const isSharedChatMessage = async (adminClient: SupabaseClient, messageId: string | null) => {
+  if (!messageId) return false
+
+  const { data, error } = await adminClient
+    .from('chat_messages')
+    .select('deleted_at, chat_rooms!inner(is_default)')
+    .eq('id', messageId)
+    .maybeSingle()
+
+  if (error) {
+    throw new HttpError(500, `메시지 조회 실패: ${error.message}`)
+  }
+
+  // deno-lint-ignore no-explicit-any
+  const message = data as any
+  return !!message && !message.deleted_at && message.chat_rooms?.is_default === true
+}
+
+/**
+ * 파일 등록/제거 권한 확인 (관리자가 아닌 경우)
+ * - 파일을 올린 사람만 가능
+ * - 원본이 이미 삭제된 경우는 지식 베이스 기록 정리만 하므로 허용
+ */
+export const canManageSourceFile = async (
+  adminClient: SupabaseClient,
+  sourceType: SourceType,
+  sourceId: string,
+  userId: string
+) => {
+  const row = await findSourceRow(adminClient, sourceType, sourceId)
+  return !row || row.uploaded_by === userId
+}
+
+/**
+ * knowledge_base_files 기록 조회 (없으면 null)
+ */
+const findFileRecord = async (
+  adminClient: SupabaseClient,
+  workspaceId: string,
+  sourceType: SourceType,
+  sourceId: string
+) => {
+  const { data, error } = await adminClient
+    .from('knowledge_base_files')
+    .select('id, openai_file_id, status')
+    .eq('workspace_id', workspaceId)
+    .eq('source_type', sourceType)
+    .eq('source_id', sourceId)
+    .maybeSingle()
+
+  if (error) {
+    throw new HttpError(500, `지식 베이스 파일 조회 실패: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * vector store와 OpenAI 파일 저장소에서 파일 삭제 (이미 지워진 파일이면 경고만)
+ */
+const deleteOpenAIFile = async (
+  openai: OpenAI,
+  vectorStoreId: string | null,
+  openaiFileId: string
+) => {
+  if (vectorStoreId) {
+    await openai.vectorStores.files
+      .delete(openaiFileId, { vector_store_id: vectorStoreId })
+      .catch((err) => console.warn('⚠️ vector store 파일 제거 실패:', err.message))
+  }
+  await openai.files
+    .delete(openaiFileId)
+    .catch((err) => console.warn('⚠️ OpenAI 파일 삭제 실패:', err.message))
+}
+
+/**
+ * knowledge_base_files 상태 기록
+ */
+const recordFile = async (
+  adminClient: SupabaseClient,
+  values: Record<string, unknown>
+) => {
+  const { error } = await adminClient
+    .from('knowledge_base_files')
+    .upsert(values, { onConflict: 'source_type,source_id' })
+
+  if (error) {
+    console.error('❌ knowledge_base_files 기록 실패:', error)
+  }
+}
+
+/**
+ * 파일 하나를 워크스페이스 지식 베이스에 동기화
+ * - 지원하지 않는 형식은 skipped로 기록
+ * - 기본 채팅방 메시지 첨부가 아닌 chat_file은 기록 없이 skipped
+ * - 이미 등록(completed / in_progress)된 파일은 다시 올리지 않고, 실패한 파일은 이전 OpenAI 파일을 지운 뒤 다시 올림
+ * - 처리 완료를 최대 10초까지 기다리고, 그 이후에는 in_progress로 기록 (OpenAI가 계속 처리)
+ */
+export const syncFile = async (
+  adminClient: SupabaseClient,
+  openai: OpenAI,
+  workspaceId: string,
+  sourceType: SourceType,
+  sourceId: string
+): Promise<SyncResult> => {
+  const { fileName, bucket, path, messageId } = await fetchSourceFile(adminClient, workspaceId, sourceType, sourceId)
+  const base = { workspace_id: workspaceId, source_type: sourceType, source_id: sourceId, file_name: fileName }
+
+  if (sourceType === 'chat_file' && !(await isSharedChatMessage(adminClient, messageId))) {
+    return { sourceType, sourceId, status: 'skipped' }
+  }
+
+  const existing = await findFileRecord(adminClient, workspaceId, sourceType, sourceId)
+  if (existing?.openai_file_id && (existing.status === 'completed' || existing.status === 'in_progress')) {
+    return { sourceType, sourceId, status: existing.status }
+  }
+
+  if (!isFileSearchSupported(fileName)) {
+    await recordFile(adminClient, { ...base, status: 'skipped', error: null })
+    return { sourceType, sourceId, status: 'skipped' }
+  }
+
+  try {
+    const vectorStoreId = await ensureWorkspaceVectorStore(adminClient, openai, workspaceId)
+
+    // 이전에 실패한 업로드가 남아 있으면 정리 (고아 파일 방지)
+    if (existing?.openai_file_id) {
+      await deleteOpenAIFile(openai, vectorStoreId, existing.openai_file_id)
+    }
+
+    // 1. Storage에서 원본 다운로드
+    const { data: blob, error: downloadError } = await adminClient.storage.from(bucket).download(path)
+    if (downloadError || !blob) {
+      throw new Error(`Storage 다운로드 실패: ${downloadError?.message || path}`)
+    }
+
+    // 2. OpenAI에 파일 업로드 후 vector store에 첨부
+    const openaiFile = await openai.files.create({
+      file: new File([blob], fileName),
+      purpose: 'assistants'
+    })
+
+    await recordFile(adminClient, { ...base, openai_file_id: openaiFile.id, status: 'in_progress', error: null })
+
+    const vectorStoreFile = await openai.vectorStores.files.create(vectorStoreId, {
+      file_id: openaiFile.id
+    })
+
+    // 3. 처리 완료 대기
+    let status: string = vectorStoreFile.status
+    let attempts = 0
+
+    while (status === 'in_progress' && attempts < MAX_POLL_ATTEMPTS) {
+      await new Promise((resolve) => setTimeout(resolve, 1000))
+
+      const updatedFile = await openai.vectorStores.files.retrieve(vectorStoreFile.id, {
+        vector_store_id: vectorStoreId
+      })
+
+      status = updatedFile.status
+      attempts++
+    }
+
+    const result: SyncResult['status'] = status === 'completed'
+      ? 'completed'
+      : status === 'in_progress' ? 'in_progress' : 'failed'
+
+    await recordFile(adminClient, { ...base, openai_file_id: openaiFile.id, status: result, error: null })
+    console.log(`📊 지식 베이스 동기화: ${fileName} → ${result}`)
+
+    return { sourceType, sourceId, status: result }
+  } catch (error) {
+    const message = (error as Error).message || '알 수 없는 오류'
+    console.error(`❌ 지식 베이스 동기화 실패 (${fileName}):`, error)
+    await recordFile(adminClient, { ...base, status: 'failed', error: message })
+    return { sourceType, sourceId, status: 'failed', error: message }
+  }
+}
+
+/**
+ * 원본 파일 삭제 시 지식 베이스에서도 제거
+ */
+export const removeFile = async (
+  adminClient: SupabaseClient,
+  openai: OpenAI,
+  workspaceId: string,
+  sourceType: SourceType,
+  sourceId: string
+) => {
+  const record = await findFileRecord(adminClient, workspaceId, sourceType, sourceId)
+
+  if (!record) return { removed: false }
+
+  if (record.openai_file_id) {
+    await deleteOpenAIFile(openai, await getWorkspaceVectorStoreId(adminClient, workspaceId), record.openai_file_id)
+  }
+
+  await adminClient.from('knowledge_base_files').delete().eq('id', record.id)
+
+  return { removed: true }
+}
+
+/**
+ * 아직 동기화되지 않은 워크스페이스 파일 목록 (workspace_files + 기본 채팅방 chat_files)
+ * - completed / in_progress / skipped 는 제외, failed는 다시 시도
+ */
+export const listPendingFiles = async (
+  adminClient: SupabaseClient,
+  workspaceId: string
+): Promise<Array<{ sourceType: SourceType; sourceId: string }>> => {
+  const [workspaceFiles, chatFiles, records] = await Promise.all([
+    adminClient.from('workspace_files').select('id').eq('workspace_id', workspaceId),
+    adminClient
+      .from('chat_files')
+      .select('id, chat_messages!inner(deleted_at, chat_rooms!inner(is_default))')
+      .like('file_path', `${workspaceId}/%`)
+      .is('chat_messages.deleted_at', null)
+      .eq('chat_messages.chat_rooms.is_default', true),
+    adminClient
+      .from('knowledge_base_files')
+      .select('source_type, source_id')
+      .eq('workspace_id', workspaceId)
+      .in('status', ['completed', 'in_progress', 'skipped'])
+  ])
+
+  const queryError = workspaceFiles.error || chatFiles.error || records.error
+  if (queryError) {
+    throw new HttpError(500, `동기화 대상 조회 실패: ${queryError.message}`)
+  }
+
+  const synced = new Set((records.data || []).map((r) => `${r.source_type}:${r.source_id}`))
+
+  return [
+    ...(workspaceFiles.data || []).map((f) => ({ sourceType: 'workspace_file' as const, sourceId: f.id })),
+    ...(chatFiles.data || []).map((f) => ({ sourceType: 'chat_file' as const, sourceId: f.id }))
+  ].filter((f) => !synced.has(`${f.sourceType}:${f.sourceId}`))
+}
+
+/**
+ * 답변에 포함된 파일 출처(OpenAI file ID)를 워크스페이스 원본 파일로 변환
+ * - 이 워크스페이스 지식 베이스에 없는 파일은 이름만 남김
+ * - chat_file은 첨부된 메시지 ID도 함께 반환 (메시지로 이동용)
+ */
+export const resolveFileCitations = async (
+  adminClient: SupabaseClient,
+  workspaceId: string,
+  citations: Citation[]
+) => {
+  const fileIds = citations.filter((c) => c.type === 'file' && c.fileId).map((c) => c.fileId!)
+
+  if (fileIds.length === 0) return citations
+
+  const { data: records, error } = await adminClient
+    .from('knowledge_base_files')
+    .select('openai_file_id, source_type, source_id, file_name')
+    .eq('workspace_id', workspaceId)
+    .in('openai_file_id', fileIds)
+
+  if (error) {
+    console.error('❌ 파일 출처 조회 실패:', error)
+    return citations.map(({ fileId: _fileId, ...citation }) => citation)
+  }
+
+  const idsBySource = (sourceType: SourceType) =>
+    (records || []).filter((r) => r.source_type === sourceType).map((r) => r.source_id)
+
+  const [workspaceFiles, chatFiles] = await Promise.all([
+    adminClient.from('workspace_files').select('id, storage_url').in('id', idsBySource('workspace_file')),
+    adminClient.from('chat_files').select('id, storage_url, message_id').in('id', idsBySource('chat_file'))
+  ])
+
+  // deno-lint-ignore no-explicit-any
+  const sourceRows = new Map<string, any>([
+    ...(workspaceFiles.data || []).map((f) => [`workspace_file:${f.id}`, f] as const),
+    ...(chatFiles.data || []).map((f) => [`chat_file:${f.id}`, f] as const)
+  ])
+
+  return citations.map(({ fileId, ...citation }) => {
+    if (citation.type !== 'file') return citation
+
+    const record = (records || []).find((r) => r.openai_file_id === fileId)
+    if (!record) return citation
+
+    const row = sourceRows.get(`${record.source_type}:${record.source_id}`)
+
+    return {
+      ...citation,
+      title: record.file_name,
+      url: row?.storage_url,
+      sourceType: record.source_type,
+      sourceId: record.source_id,
+      ...(row?.message_id ? { messageId: row.message_id } : {})
+    }
+  })
+}
@@ -0,0 +1,729 @@
+/**
+ * meetingNotes.ts
+ *
+ * 회의록 생성 (서버 전용, 회의록 생성 로직은 여기에만 둠)
+ * - meeting-notes(사용자 요청)와 meeting-notes-auto(회의 종료 후 자동 생성)가 함께 사용
+ * - AI는 회의록을 JSON으로 생성하고, 검증을 통과한 JSON에서 Markdown을 만들어 반환
+ * - 검증에 실패하면 오류 내용을 알려주고 한 번 더 요청
+ * - 긴 대화는 시간순 구간별 요약(map) → 중간 병합(merge) → 최종 회의록(reduce) 순서로 생성
+ * - 회의록 템플릿의 섹션/어조/언어/추가 지침을 시스템 프롬프트에 추가
+ */
+
+import type { SupabaseClient } from 'npm:@supabase/supabase-js@2'
+import type { GenerateResult, ProviderAdapter } from './providers.ts'
+
+// 구조 변경 시 올려서 저장된 회의록과 구분
+export const MEETING_NOTES_SCHEMA_VERSION = 1
+
+// 기본 모델 (MEETING_NOTES_MODEL secret으로 변경, 서버 모델 레지스트리에 등록된 모델이어야 함)
+export const DEFAULT_MEETING_NOTES_MODEL = Deno.env.get('MEETING_NOTES_MODEL') || 'claude-sonnet-4-5-20250929'
+
+// 시간대를 지정하지 않으면 서비스 기준 시간대로 표시 (서버는 UTC)
+const DEFAULT_TIME_ZONE = Deno.env.get('MEETING_NOTES_TIME_ZONE') || 'Asia/Seoul'
+
+// 한 번에 보낼 대화 원문 토큰 예산 (넘으면 구간별 요약 사용)
+const SINGLE_PASS_TOKEN_BUDGET = 12000
+// 구간 하나의 대화 원문 토큰 예산
+const CHUNK_TOKEN_BUDGET = 8000
+const CHUNK_SUMMARY_MAX_TOKENS = 2048
+const NOTES_MAX_TOKENS = 4096
+const TEMPERATURE = 0.7
+
+// 회의록에 포함하는 메시지 종류 (시스템/파일/공유 카드 메시지 제외)
+const MEETING_MESSAGE_TYPES = ['user', 'ai']
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+export interface ChatMessage {
+  sender_id: string | null
+  sender_name: string | null
+  content: string | null
+  message_type: string
+  created_at: string
+}
+
+export interface MeetingNotesMetadata {
+  chatRoomName?: string
+  startTime: string
+  endTime: string
+  // 회의록 시각 표시용 IANA 시간대 (없거나 잘못되면 기본 시간대)
+  timeZone?: string
+}
+
+/**
+ * 회의록 템플릿 (기본 제공 / 워크스페이스 템플릿 공통 형태)
+ */
+export interface MeetingNoteTemplate {
+  name: string
+  sections: { title: string; instruction: string | null }[]
+  tone: string | null
+  language: string | null
+  instructions: string | null
+}
+
+export interface MeetingNotesProgress {
+  stage: 'map' | 'merge' | 'reduce'
+  current: number
+  total: number
+}
+
+export interface GenerateMeetingNotesOptions {
+  template?: MeetingNoteTemplate | null
+  // 단계(구간 요약, 병합, 최종 회의록)가 시작될 때마다 호출
+  onProgress?: (progress: MeetingNotesProgress) => void
+  // 최종 회의록 JSON 원문 delta
+  onDelta?: (delta: string) => void
+  // 지금까지의 누적 사용량 (중지/실패 시 기록용, 진행 중인 요청은 추정치)
+  onUsage?: (usage: GenerateResult['usage']) => void
+  signal?: AbortSignal
+}
+
+export interface GeneratedMeetingNotes {
+  content: string
+  // deno-lint-ignore no-explicit-any
+  structured: Record<string, any>
+  chunkCount: number
+  usage: GenerateResult['usage']
+}
+
+const MEETING_NOTES_JSON_FORMAT = `{
+  "title": "회의 주제 (한 줄)",
+  "summary": "회의 전체 요약 (2~3문장)",
+  "agenda": [
+    { "topic": "안건/주제", "summary": "논의 내용 요약" }
+  ],
+  "participants": [
+    {
+      "name": "참가자 이름 (대화에 표시된 이름 그대로)",
+      "opinions": ["주요 의견"],
+      "discussion": "상세 논의 내용",
+      "contribution": "특별히 기여한 부분"
+    }
+  ],
+  "decisions": ["확정된 결정 사항"],
+  "actionItems": [
+    { "task": "실행할 작업", "owner": "담당자 이름 또는 null", "dueDate": "YYYY-MM-DD 또는 null" }
+  ],
+  "openIssues": ["보류되었거나 추가 논의가 필요한 사항"],
+  "aiSuggestions": {
+    "considerations": ["추가로 고려할 점"],
+    "risks": ["리스크 및 주의사항"],
+    "nextSteps": ["다음 단계 제안"]
+  }
+}`
+
+const MEETING_NOTES_SYSTEM_PROMPT = `당신은 전문적인 회의록 작성 전문가입니다.
+
+주어진 채팅 대화 내용을 분석하여 체계적이고 전문적인 회의록을 작성해야 합니다.
+
+## 작성 지침
+
+1. **전반적인 안건과 주제 분석**
+   - 대화의 주요 목적과 핵심 주제를 파악하세요
+   - 논의된 모든 안건을 체계적으로 정리하세요
+
+2. **참가자별 의견 정리**
+   - 각 참가자가 제시한 주요 의견과 관점을 요약하세요
+   - 참가자들의 입장 차이나 공통점을 분석하세요
+
+3. **참가자별 대화 분석**
+   - 각 참가자가 어떤 내용을 중점적으로 논의했는지 분석하세요
+   - 참가자의 기여도와 역할을 파악하세요
+
+4. **전체 결론 정리**
+   - 회의를 통해 도출된 결론과 합의사항을 명확히 정리하세요
+   - 결정되지 않은 사항이 있다면 명시하세요
+
+5. **AI 제안사항**
+   - 논의 내용을 기반으로 추가적인 고려사항을 제안하세요
+   - 실행 가능한 다음 단계나 개선 방안을 제시하세요
+   - 놓칠 수 있는 리스크나 기회를 지적하세요
+
+## 출력 형식
+
+반드시 아래 구조의 JSON 객체 하나만 출력하세요. 코드 블록, 설명 문장 등 JSON 외의 텍스트는 쓰지 마세요.
+
+${MEETING_NOTES_JSON_FORMAT}
+
+## 작성 규칙
+- 모든 값은 한국어로 작성하세요
+- participants의 name과 actionItems의 owner는 대화에 표시된 참가자 이름을 그대로 사용하세요
+- 담당자나 기한이 대화에서 정해지지 않았다면 추측하지 말고 null로 두세요
+- 기한은 회의 날짜를 기준으로 계산해 YYYY-MM-DD 형식으로 작성하세요 (예: "다음 주 금요일")
+- 해당 내용이 없는 항목은 빈 배열로 두세요`
+
+const CHUNK_SUMMARY_SYSTEM_PROMPT = `당신은 회의록 작성을 돕는 요약 전문가입니다.
+
+긴 회의 대화의 일부 구간이 주어집니다. 나중에 모든 구간의 요약을 합쳐 회의록을 작성하므로,
+이 구간에서 나온 정보를 빠짐없이 아래 형식으로 요약하세요.
+
+## 논의 주제
+- [주제]: [논의 내용 요약]
+
+## 참가자별 발언 요지
+- [참가자 이름]: [주요 의견과 논의 내용]
+
+## 결정 사항
+- [결정 내용]
+
+## 액션 아이템
+- [작업] (담당: [이름 또는 미정], 기한: [날짜 또는 미정])
+
+## 미결 사항
+- [추가 논의가 필요한 사항]
+
+규칙:
+- 참가자 이름은 대화에 표시된 이름을 그대로 사용하세요
+- 담당자와 기한은 대화에 나온 경우에만 적고, 상대적인 날짜("내일", "다음 주 금요일")는 메시지 시각 기준으로 날짜를 함께 적으세요
+- 해당 내용이 없는 항목은 "- 없음"으로 적으세요
+- 구간 밖의 내용을 추측하지 마세요`
+
+// 한글/한자/가나는 글자당 1토큰, 나머지는 4글자당 1토큰으로 보수적으로 추정
+const estimateTokens = (text: string) => {
+  if (!text) return 0
+
+  const cjkCount = (text.match(/[\u3131-\uD79D\u4E00-\u9FFF\u3040-\u30FF]/g) || []).length
+  return cjkCount + Math.ceil((text.length - cjkCount) / 4)
+}
+
+const resolveTimeZone = (timeZone?: string) => {
+  if (!timeZone) return DEFAULT_TIME_ZONE
+
+  try {
+    new Intl.DateTimeFormat('ko-KR', { timeZone })
+    return timeZone
+  } catch {
+    return DEFAULT_TIME_ZONE
+  }
+}
+
+const formatDateTime = (value: string | undefined, timeZone: string) =>
+  value ? new Date(value).toLocaleString('ko-KR', { timeZone }) : '알 수 없음'
+
+const formatMessages = (messages: ChatMessage[], timeZone: string) =>
+  messages
+    .map((msg) =>
+      `[${formatDateTime(msg.created_at, timeZone)}] ${msg.sender_name || msg.sender_id || '알 수 없음'}: ${msg.content || ''}`
+    )
+    .join('\n')
+
+const participantNames = (messages: ChatMessage[]) =>
+  [...new Map(messages.filter((msg) => msg.sender_id).map((msg) => [msg.sender_id, msg.sender_name || msg.sender_id])).values()]
+
+const meetingInfo = (messages: ChatMessage[], metadata: MeetingNotesMetadata, timeZone: string) => {
+  const names = participantNames(messages)
+
+  return `## 회의 정보
+- 채팅방: ${metadata.chatRoomName || '알 수 없음'}
+- 시작 시간: ${formatDateTime(metadata.startTime, timeZone)}
+- 종료 시간: ${formatDateTime(metadata.endTime, timeZone)}
+- 참석자 (${names.length}명): ${names.join(', ')}
+- 메시지 수: ${messages.length}개`
+}
+
+/**
+ * 대화를 시간순 구간으로 분할 (구간마다 토큰 예산 이내, 예산을 넘는 메시지는 잘라냄)
+ */
+const chunkMessages = (messages: ChatMessage[], timeZone: string) => {
+  const chunks: ChatMessage[][] = []
+  let current: ChatMessage[] = []
+  let currentTokens = 0
+
+  for (const msg of messages) {
+    let message = msg
+    let tokens = estimateTokens(formatMessages([msg], timeZone))
+
+    if (tokens > CHUNK_TOKEN_BUDGET) {
+      // 토큰 추정은 보수적이므로 글자 수 비율로 잘라도 예산을 넘지 않음
+      const content = msg.content || ''
+      message = { ...msg, content: `${content.slice(0, Math.floor(content.length * (CHUNK_TOKEN_BUDGET / tokens) * 0.9))}... (이하 생략)` }
+      tokens = CHUNK_TOKEN_BUDGET
+    }
+
+    if (current.length > 0 && currentTokens + tokens > CHUNK_TOKEN_BUDGET) {
+      chunks.push(current)
+      current = []
+      currentTokens = 0
+    }
+
+    current.push(message)
+    currentTokens += tokens
+  }
+
+  if (current.length > 0) {
+    chunks.push(current)
+  }
+
+  return chunks
+}
+
+// ===== 검증 / 템플릿 / Markdown =====
+
+// deno-lint-ignore no-explicit-any
+const isNonEmptyString = (value: any): value is string => typeof value === 'string' && value.trim().length > 0
+
+// deno-lint-ignore no-explicit-any
+const optionalString = (value: any) => (isNonEmptyString(value) ? value.trim() : null)
+
+// deno-lint-ignore no-explicit-any
+const toStringList = (value: any, path: string, errors: string[]): string[] => {
+  if (value === undefined || value === null) return []
+
+  if (!Array.isArray(value)) {
+    errors.push(`${path}는 배열이어야 합니다.`)
+    return []
+  }
+
+  return value.filter(isNonEmptyString).map((item) => item.trim())
+}
+
+const toObjectList = <T>(
+  // deno-lint-ignore no-explicit-any
+  value: any,
+  path: string,
+  errors: string[],
+  // deno-lint-ignore no-explicit-any
+  normalizeItem: (item: Record<string, any>, itemPath: string) => T | null
+): T[] => {
+  if (value === undefined || value === null) return []
+
+  if (!Array.isArray(value)) {
+    errors.push(`${path}는 배열이어야 합니다.`)
+    return []
+  }
+
+  return value
+    .map((item, index) => {
+      if (!item || typeof item !== 'object') {
+        errors.push(`${path}[${index}]는 객체여야 합니다.`)
+        return null
+      }
+      return normalizeItem(item, `${path}[${index}]`)
+    })
+    .filter((item): item is T => item !== null)
+}
+
+/**
+ * 요청 본문의 회의록 템플릿 정규화 (이름이 없으면 null → 기본 구성)
+ */
+// deno-lint-ignore no-explicit-any
+export const normalizeTemplate = (value: any): MeetingNoteTemplate | null => {
+  if (!value || typeof value !== 'object' || !isNonEmptyString(value.name)) return null
+
+  return {
+    name: value.name.trim(),
+    sections: Array.isArray(value.sections)
+      ? value.sections
+        // deno-lint-ignore no-explicit-any
+        .filter((section: any) => isNonEmptyString(section?.title))
+        // deno-lint-ignore no-explicit-any
+        .map((section: any) => ({ title: section.title.trim(), instruction: optionalString(section.instruction) }))
+      : [],
+    tone: optionalString(value.tone),
+    language: optionalString(value.language),
+    instructions: optionalString(value.instructions)
+  }
+}
+
+/**
+ * 템플릿을 적용한 시스템 프롬프트 (템플릿 지침이 없으면 기본 구성)
+ */
+const buildSystemPrompt = (template?: MeetingNoteTemplate | null) => {
+  if (!template) return MEETING_NOTES_SYSTEM_PROMPT
+
+  const lines: string[] = []
+
+  if (template.sections.length > 0) {
+    lines.push(
+      '- 아래 섹션을 순서대로 JSON의 "sections" 배열에 작성하세요: [{ "title": "섹션 제목", "content": "Markdown 본문" }]',
+      ...template.sections.map((section, index) =>
+        `  ${index + 1}. ${section.title}${section.instruction ? `: ${section.instruction}` : ''}`
+      ),
+      '- 섹션 외의 필드(summary, participants, decisions, actionItems 등)도 지정된 형식대로 채우세요'
+    )
+  }
+
+  if (template.tone) {
+    lines.push(`- 어조: ${template.tone}`)
+  }
+
+  if (template.language) {
+    lines.push(`- 작성 언어: ${template.language} (JSON 키는 그대로 두고 값만 이 언어로 작성)`)
+  }
+
+  if (template.instructions) {
+    lines.push(`- 추가 지침: ${template.instructions}`)
+  }
+
+  if (lines.length === 0) return MEETING_NOTES_SYSTEM_PROMPT
+
+  return `${MEETING_NOTES_SYSTEM_PROMPT}
+
+## 회의록 템플릿: ${template.name}
+다음 템플릿 지침이 위 작성 규칙과 다르면 템플릿 지침을 따르세요.
+${lines.join('\n')}`
+}
+
+/**
+ * 구조화된 회의록 검증 및 정규화
+ * - 선택 필드는 빈 배열/null로 채움
+ * - 잘못된 형식의 날짜는 null로 바꾸지 않고 오류로 보고 (AI에 다시 요청하기 위함)
+ */
+// deno-lint-ignore no-explicit-any
+const validateMeetingNotes = (data: any) => {
+  const errors: string[] = []
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['최상위 값은 객체여야 합니다.'], value: null }
+  }
+
+  if (!isNonEmptyString(data.title)) {
+    errors.push('title이 필요합니다.')
+  }
+
+  const value = {
+    title: optionalString(data.title),
+    summary: optionalString(data.summary),
+    agenda: toObjectList(data.agenda, 'agenda', errors, (item, path) => {
+      if (!isNonEmptyString(item.topic)) {
+        errors.push(`${path}.topic이 필요합니다.`)
+        return null
+      }
+      return { topic: item.topic.trim(), summary: optionalString(item.summary) }
+    }),
+    participants: toObjectList(data.participants, 'participants', errors, (item, path) => {
+      if (!isNonEmptyString(item.name)) {
+        errors.push(`${path}.name이 필요합니다.`)
+        return null
+      }
+      return {
+        name: item.name.trim(),
+        opinions: toStringList(item.opinions, `${path}.opinions`, errors),
+        discussion: optionalString(item.discussion),
+        contribution: optionalString(item.contribution)
+      }
+    }),
+    decisions: toStringList(data.decisions, 'decisions', errors),
+    actionItems: toObjectList(data.actionItems, 'actionItems', errors, (item, path) => {
+      if (!isNonEmptyString(item.task)) {
+        errors.push(`${path}.task가 필요합니다.`)
+        return null
+      }
+
+      const dueDate = optionalString(item.dueDate)
+      if (dueDate && (!DATE_PATTERN.test(dueDate) || Number.isNaN(Date.parse(dueDate)))) {
+        errors.push(`${path}.dueDate는 YYYY-MM-DD 형식이어야 합니다: ${dueDate}`)
+      }
+
+      return { task: item.task.trim(), owner: optionalString(item.owner), dueDate }
+    }),
+    openIssues: toStringList(data.openIssues, 'openIssues', errors),
+    sections: toObjectList(data.sections, 'sections', errors, (item, path) => {
+      if (!isNonEmptyString(item.title)) {
+        errors.push(`${path}.title이 필요합니다.`)
+        return null
+      }
+      return { title: item.title.trim(), content: optionalString(item.content) }
+    }),
+    aiSuggestions: {
+      considerations: toStringList(data.aiSuggestions?.considerations, 'aiSuggestions.considerations', errors),
+      risks: toStringList(data.aiSuggestions?.risks, 'aiSuggestions.risks', errors),
+      nextSteps: toStringList(data.aiSuggestions?.nextSteps, 'aiSuggestions.nextSteps', errors)
+    }
+  }
+
+  return { valid: errors.length === 0, errors, value: errors.length === 0 ? value : null }
+}
+
+// ```json 코드 블록이나 앞뒤 설명 문장이 섞여 있어도 첫 { ~ 마지막 } 구간을 파싱
+const parseJSON = (text: string) => {
+  const start = text.indexOf('{')
+  const end = text.lastIndexOf('}')
+
+  if (start === -1 || end <= start) {
+    throw new Error('응답에서 JSON을 찾을 수 없습니다.')
+  }
+
+  return JSON.parse(text.slice(start, end + 1))
+}
+
+const bulletList = (items: string[]) => (items.length > 0 ? items.map((item) => `- ${item}`).join('\n') : '- 없음')
+
+const numberedList = (items: string[]) =>
+  items.length > 0 ? items.map((item, index) => `${index + 1}. ${item}`).join('\n') : '- 없음'
+
+const FOOTER = '---\n*본 회의록은 AI에 의해 자동 생성되었습니다. 내용을 검토하고 필요시 수정해주세요.*'
+
+/**
+ * 구조화된 회의록 → Markdown
+ * - 템플릿 섹션(sections)이 있으면 기본 구성 대신 템플릿 섹션을 렌더링
+ * - 회의 정보/요약과 액션 아이템(태스크 변환용)은 항상 포함
+ */
+// deno-lint-ignore no-explicit-any
+const renderMarkdown = (notes: Record<string, any>, metadata: MeetingNotesMetadata, timeZone: string) => {
+  const { aiSuggestions } = notes
+
+  const meetingInfoSection = [
+    '## 📅 회의 정보',
+    `- **일시**: ${formatDateTime(metadata.startTime, timeZone)} ~ ${formatDateTime(metadata.endTime, timeZone)}`,
+    // deno-lint-ignore no-explicit-any
+    `- **참석자**: ${notes.participants.map((p: any) => p.name).join(', ') || '알 수 없음'}`,
+    `- **장소**: ${metadata.chatRoomName || '채팅방'}`
+  ].join('\n')
+
+  const actionItemsSection = `## 🎯 액션 아이템\n${notes.actionItems.length > 0
+    ? notes.actionItems
+      // deno-lint-ignore no-explicit-any
+      .map((item: any) => `- [ ] ${item.task} (담당: ${item.owner || '미정'}, 기한: ${item.dueDate || '미정'})`)
+      .join('\n')
+    : '- 없음'}`
+
+  if (notes.sections.length > 0) {
+    return [
+      `# 회의록: ${notes.title}`,
+      meetingInfoSection,
+      notes.summary && `## 📝 요약\n${notes.summary}`,
+      // deno-lint-ignore no-explicit-any
+      ...notes.sections.map((section: any) => `## ${section.title}\n${section.content || '- 없음'}`),
+      actionItemsSection,
+      FOOTER
+    ].filter(Boolean).join('\n\n')
+  }
+
+  return [
+    `# 회의록: ${notes.title}`,
+
+    meetingInfoSection,
+
+    notes.summary && `## 📝 요약\n${notes.summary}`,
+
+    `## 📋 안건 및 주요 주제\n${numberedList(
+      // deno-lint-ignore no-explicit-any
+      notes.agenda.map((item: any) => (item.summary ? `**${item.topic}**: ${item.summary}` : item.topic))
+    )}`,
+
+    [
+      '## 👥 참가자별 의견 및 기여',
+      ...(notes.participants.length > 0
+        // deno-lint-ignore no-explicit-any
+        ? notes.participants.map((p: any) => [
+          `### ${p.name}`,
+          `- **주요 의견**: ${p.opinions.join(' / ') || '없음'}`,
+          p.discussion && `- **논의 내용**: ${p.discussion}`,
+          p.contribution && `- **기여도**: ${p.contribution}`
+        ].filter(Boolean).join('\n'))
+        : ['- 없음'])
+    ].join('\n\n'),
+
+    `## ✅ 결정 사항\n${numberedList(notes.decisions)}`,
+
+    actionItemsSection,
+
+    `## 🔄 보류 및 추가 논의 필요 사항\n${bulletList(notes.openIssues)}`,
+
+    [
+      '## 🤖 AI 제안사항',
+      `### 고려할 점\n${bulletList(aiSuggestions.considerations)}`,
+      `### 리스크 및 주의사항\n${bulletList(aiSuggestions.risks)}`,
+      `### 다음 단계 제안\n${bulletList(aiSuggestions.nextSteps)}`
+    ].join('\n\n'),
+
+    FOOTER
+  ].filter(Boolean).join('\n\n')
+}
+
+/**
+ * 회의 시간 동안의 채팅방 대화 조회 (오래된 순, 삭제된 메시지 제외)
+ * 사용자 요청은 호출자 권한 클라이언트로 조회 → 채팅방 멤버만 대화를 읽을 수 있음
+ *
+ * @throws {Error} 조회 실패
+ */
+export const fetchMeetingMessages = async (
+  client: SupabaseClient,
+  chatRoomId: string,
+  startTime: string,
+  endTime: string
+): Promise<ChatMessage[]> => {
+  const { data, error } = await client
+    .from('chat_messages')
+    .select('sender_id, sender_name, content, message_type, created_at')
+    .eq('chat_room_id', chatRoomId)
+    .in('message_type', MEETING_MESSAGE_TYPES)
+    .is('deleted_at', null)
+    .gte('created_at', startTime)
+    .lte('created_at', endTime)
+    .order('created_at', { ascending: true })
+
+  if (error) {
+    throw new Error(`메시지 조회 실패: ${error.message}`)
+  }
+
+  return data || []
+}
+
+/**
+ * 채팅 메시지로 회의록 생성
+ * - 모든 요청을 스트리밍으로 실행 (signal로 중단, 진행 중 사용량 전달)
+ * - 사용량은 모든 호출을 합산해 반환 (호출한 쪽에서 기록)
+ *
+ * @throws {Error} AI가 올바른 형식을 생성하지 못한 경우
+ */
+export const generateMeetingNotes = async (
+  adapter: ProviderAdapter,
+  model: string,
+  messages: ChatMessage[],
+  metadata: MeetingNotesMetadata,
+  options: GenerateMeetingNotesOptions = {}
+): Promise<GeneratedMeetingNotes> => {
+  const { template = null, onProgress, onDelta, onUsage, signal } = options
+  const timeZone = resolveTimeZone(metadata.timeZone)
+  const usage = { inputTokens: 0, outputTokens: 0 }
+
+  const generate = async (
+    system: string,
+    content: string | { role: string; content: string }[],
+    maxTokens: number,
+    forwardDelta = false
+  ) => {
+    const result = await adapter.stream({
+      model,
+      system,
+      maxTokens,
+      temperature: TEMPERATURE,
+      messages: typeof content === 'string' ? [{ role: 'user', content }] : content
+    }, {
+      onDelta: (delta) => {
+        if (forwardDelta) onDelta?.(delta)
+      },
+      onUsage: (partial) => onUsage?.({
+        inputTokens: usage.inputTokens + partial.inputTokens,
+        outputTokens: usage.outputTokens + partial.outputTokens
+      }),
+      signal
+    })
+
+    usage.inputTokens += result.usage.inputTokens
+    usage.outputTokens += result.usage.outputTokens
+    onUsage?.({ ...usage })
+    return result.text
+  }
+
+  let prompt: string
+  let chunkCount = 1
+
+  if (estimateTokens(formatMessages(messages, timeZone)) <= SINGLE_PASS_TOKEN_BUDGET) {
+    prompt = `다음 채팅 대화 내용을 분석하여 회의록을 작성해주세요.
+
+${meetingInfo(messages, metadata, timeZone)}
+
+## 대화 내용
+${formatMessages(messages, timeZone)}
+
+---
+
+위 대화 내용을 토대로 체계적이고 전문적인 회의록을 작성해주세요.
+전반적인 안건과 주제를 분석하고 각 참가자의 의견을 정리해줘.
+참가자별로 나눠서 그들이 어떤 대화를 했는지 분석하고, 전체적으로 어떤 결론에 도달했는지 정리해줘.
+도움을 줄 수 있는 부분이 있다면 aiSuggestions에 별도의 제안을 해줘.
+결과는 지정된 JSON 형식으로만 출력해줘.`
+  } else {
+    // map: 구간별 요약 (순차 처리 - rate limit 보호)
+    const chunks = chunkMessages(messages, timeZone)
+    let summaries: string[] = []
+
+    for (const [index, chunk] of chunks.entries()) {
+      onProgress?.({ stage: 'map', current: index + 1, total: chunks.length })
+      summaries.push(await generate(
+        CHUNK_SUMMARY_SYSTEM_PROMPT,
+        `## 구간 ${index + 1}/${chunks.length} 대화 내용\n${formatMessages(chunk, timeZone)}`,
+        CHUNK_SUMMARY_MAX_TOKENS
+      ))
+    }
+
+    // merge: 요약을 합쳐도 예산을 넘으면 인접 요약끼리 다시 요약
+    while (summaries.length > 1 && estimateTokens(summaries.join('\n\n')) > SINGLE_PASS_TOKEN_BUDGET) {
+      const groups: string[][] = []
+      let group: string[] = []
+
+      for (const summary of summaries) {
+        if (group.length > 0 && estimateTokens([...group, summary].join('\n\n')) > CHUNK_TOKEN_BUDGET) {
+          groups.push(group)
+          group = []
+        }
+        group.push(summary)
+      }
+      groups.push(group)
+
+      // 더 이상 줄일 수 없으면 (요약 하나가 예산보다 큰 경우) 그대로 진행
+      if (groups.length === summaries.length) break
+
+      const merged: string[] = []
+      for (const [index, items] of groups.entries()) {
+        onProgress?.({ stage: 'merge', current: index + 1, total: groups.length })
+        merged.push(items.length === 1 ? items[0] : await generate(
+          CHUNK_SUMMARY_SYSTEM_PROMPT,
+          `다음 연속된 구간 요약들을 하나의 구간 요약으로 합쳐주세요.\n\n${items.map((item, i) => `## 요약 ${i + 1}\n${item}`).join('\n\n')}`,
+          CHUNK_SUMMARY_MAX_TOKENS
+        ))
+      }
+
+      summaries = merged
+    }
+
+    chunkCount = chunks.length
+    prompt = `다음은 긴 회의 대화를 시간순 ${summaries.length}개 구간으로 나눠 요약한 내용입니다.
+구간 요약을 모두 종합하여 하나의 회의록을 작성해주세요.
+
+${meetingInfo(messages, metadata, timeZone)}
+
+${summaries.map((summary, index) => `## 구간 ${index + 1}\n${summary}`).join('\n\n')}
+
+---
+
+같은 주제·결정·액션 아이템이 여러 구간에 나오면 하나로 합치고, 나중 구간에서 바뀐 내용이 있으면 최신 내용을 따르세요.
+참가자별 의견은 모든 구간을 종합해 정리하고, 필요한 경우 aiSuggestions에 제안을 해줘.
+결과는 지정된 JSON 형식으로만 출력해줘.`
+  }
+
+  const parse = (raw: string) => {
+    try {
+      return validateMeetingNotes(parseJSON(raw))
+    } catch (error) {
+      return { valid: false, errors: [(error as Error).message], value: null }
+    }
+  }
+
+  // reduce: 최종 회의록(JSON) 생성
+  const system = buildSystemPrompt(template)
+  onProgress?.({ stage: 'reduce', current: 1, total: 1 })
+  const text = await generate(system, prompt, NOTES_MAX_TOKENS, true)
+  let result = parse(text)
+
+  if (!result.valid) {
+    console.warn('⚠️ 회의록 JSON 검증 실패, 다시 요청합니다:', result.errors)
+
+    const retryText = await generate(system, [
+      { role: 'user', content: prompt },
+      { role: 'assistant', content: text || '{}' },
+      {
+        role: 'user',
+        content: `응답이 지정된 JSON 형식과 맞지 않습니다.\n\n오류:\n${result.errors.map((e) => `- ${e}`).join('\n')}\n\n오류를 고쳐서 JSON 객체 하나만 다시 출력해주세요.`
+      }
+    ], NOTES_MAX_TOKENS)
+
+    result = parse(retryText)
+
+    if (!result.valid || !result.value) {
+      throw new Error(`AI가 올바른 회의록 형식을 생성하지 못했습니다 (${result.errors.slice(0, 3).join(', ')})`)
+    }
+  }
+
+  const structured = { ...result.value!, schemaVersion: MEETING_NOTES_SCHEMA_VERSION }
+
+  return {
+    content: renderMarkdown(structured, metadata, timeZone),
+    structured,
+    chunkCount,
+    usage
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * personas.ts
+ *
+ * 채팅방 AI 페르소나 조회 (서버 전용)
+ * - 채팅방 페르소나의 비어 있는 항목은 워크스페이스 기본 페르소나 값을 따름
+ * - 페르소나가 없으면 기존 동작 (모든 도구 허용, 요청의 system/temperature 사용)
+ */
+
+import type { SupabaseClient } from 'npm:@supabase/supabase-js@2'
+import { HttpError } from './http.ts'
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+export interface AIPersona {
+  systemPrompt: string | null
+  defaultModel: string | null
+  temperature: number | null
+  // null이면 모든 도구 허용
+  allowedTools: string[] | null
+}
+
+/**
+ * 채팅방에 적용할 페르소나 조회 (채팅방 → 워크스페이스 기본 순으로 항목별 병합)
+ *
+ * @param chatRoomId - 없으면 워크스페이스 기본 페르소나만 사용
+ * @returns 페르소나 (설정된 것이 없으면 null)
+ */
+export const getEffectivePersona = async (
+  adminClient: SupabaseClient,
+  workspaceId: string,
+  chatRoomId?: string | null
+): Promise<AIPersona | null> => {
+  // or 필터 문자열에 들어가므로 UUID 형식만 허용
+  if (chatRoomId && !UUID_PATTERN.test(chatRoomId)) {
+    throw new HttpError(400, 'chatRoomId 형식이 올바르지 않습니다.')
+  }
+
+  let query = adminClient
+    .from('ai_personas')
+    .select('chat_room_id, system_prompt, default_model, temperature, allowed_tools')
+    .eq('workspace_id', workspaceId)
+
+  query = chatRoomId
+    ? query.or(`chat_room_id.is.null,chat_room_id.eq.${chatRoomId}`)
+    : query.is('chat_room_id', null)
+
+  const { data, error } = await query
+
+  if (error) {
+    throw new HttpError(500, `AI 페르소나 조회 실패: ${error.message}`)
+  }
+
+  if (!data || data.length === 0) return null
+
+  const room = data.find((row) => row.chat_room_id)
+  const workspaceDefault = data.find((row) => !row.chat_room_id)
+
+  // deno-lint-ignore no-explicit-any
+  const pick = (key: string) => (room as any)?.[key] ?? (workspaceDefault as any)?.[key] ?? null
+
+  const temperature = pick('temperature')
+
+  return {
+    systemPrompt: pick('system_prompt'),
+    defaultModel: pick('default_model'),
+    temperature: temperature === null ? null : Number(temperature),
+    allowedTools: pick('allowed_tools')
+  }
+}
+
+/**
+ * 페르소나가 도구 사용을 허용하는지 확인
+ */
+export const isToolAllowed = (persona: AIPersona | null, toolName: string) =>
+  !persona?.allowedTools || persona.allowedTools.includes(toolName)
@@ -0,0 +1,631 @@
+/**
+ * providers.ts
+ *
+ * AI provider 어댑터 레지스트리 (서버 전용)
+ * - 클라이언트 레지스트리(src/lib/aiProviders.js)와 같은 provider id를 사용
+ * - API 키와 엔드포인트는 Edge Function secret에서만 읽습니다
+ *     openai            : OPENAI_API_KEY
+ *     anthropic         : ANTHROPIC_API_KEY
+ *     openai-compatible : OPENAI_COMPATIBLE_BASE_URL, OPENAI_COMPATIBLE_API_KEY (선택)
+ * - 일반 응답 / 스트리밍 응답을 동일한 결과 형식({ text, usage, citations })으로 반환
+ */
+
+import OpenAI from 'npm:openai@5'
+import Anthropic from 'npm:@anthropic-ai/sdk@0.65'
+import { HttpError } from './http.ts'
+import type { ToolDefinition, ToolExecutor } from './tools.ts'
+
+export interface GenerateParams {
+  model: string
+  // deno-lint-ignore no-explicit-any
+  messages: any[]
+  system?: string
+  maxTokens?: number
+  temperature?: number
+  enableTools?: boolean
+  // 웹 검색 사용 여부 (enableTools일 때, 기본 true / 채팅방 페르소나에서 끌 수 있음)
+  webSearch?: boolean
+  // 워크스페이스 지식 베이스 (file_search 범위, 없으면 web_search만 사용)
+  vectorStoreId?: string | null
+  // 워크스페이스 함수 도구 (enableTools일 때만 사용, 자체 호스팅 모델은 미지원)
+  tools?: ToolDefinition[]
+  executeTool?: ToolExecutor
+}
+
+/**
+ * 답변 출처 (웹 검색 / 파일 검색 결과)
+ * - url : 웹 페이지
+ * - file: 지식 베이스 파일 (fileId는 OpenAI file ID, ai-proxy에서 워크스페이스 원본 파일로 변환)
+ */
+export interface Citation {
+  type: 'url' | 'file'
+  title: string
+  url?: string
+  fileId?: string
+}
+
+export interface GenerateResult {
+  text: string
+  usage: {
+    inputTokens: number
+    outputTokens: number
+  }
+  citations: Citation[]
+}
+
+/**
+ * 도구 호출 진행 상황
+ * - tool: 'web_search' | 'file_search' | 함수 도구 이름 (create_task 등)
+ * - status: 'in_progress' | 'searching' | 'completed'
+ */
+export interface ToolProgress {
+  tool: string
+  status: string
+}
+
+export interface StreamHandlers {
+  onDelta: (delta: string) => void
+  onProgress?: (progress: ToolProgress) => void
+  // 클라이언트가 응답을 중지하면 abort → provider 요청도 취소
+  signal?: AbortSignal
+  // 지금까지의 누적 사용량 (중지/실패 시 기록용, 진행 중인 요청은 추정치)
+  onUsage?: (usage: GenerateResult['usage']) => void
+}
+
+export interface ProviderAdapter {
+  generate: (params: GenerateParams) => Promise<GenerateResult>
+  stream: (params: GenerateParams, handlers: StreamHandlers) => Promise<GenerateResult>
+}
+
+// 같은 URL/파일을 여러 번 인용해도 출처는 한 번만 (첫 인용 순서 유지)
+const uniqueCitations = (citations: Citation[]) => {
+  const seen = new Set<string>()
+  return citations.filter((citation) => {
+    const key = citation.url || citation.fileId || citation.title
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+const DEFAULT_MAX_TOKENS = 4096
+const MAX_TOKENS_LIMIT = 8192
+
+const clampMaxTokens = (maxTokens?: number) =>
+  Math.min(Math.max(maxTokens || DEFAULT_MAX_TOKENS, 1), MAX_TOKENS_LIMIT)
+
+export const getOpenAIClient = () => {
+  const apiKey = Deno.env.get('OPENAI_API_KEY')
+  if (!apiKey) {
+    throw new HttpError(500, 'OPENAI_API_KEY secret이 설정되지 않았습니다.')
+  }
+  return new OpenAI({ apiKey })
+}
+
+const getAnthropicClient = () => {
+  const apiKey = Deno.env.get('ANTHROPIC_API_KEY')
+  if (!apiKey) {
+    throw new HttpError(500, 'ANTHROPIC_API_KEY secret이 설정되지 않았습니다.')
+  }
+  return new Anthropic({ apiKey })
+}
+
+// Ollama, vLLM 등 OpenAI 호환 서버 (/v1/chat/completions)
+const getOpenAICompatibleClient = () => {
+  const baseURL = Deno.env.get('OPENAI_COMPATIBLE_BASE_URL')
+  if (!baseURL) {
+    throw new HttpError(500, 'OPENAI_COMPATIBLE_BASE_URL secret이 설정되지 않았습니다.')
+  }
+  // 인증이 없는 자체 호스팅 서버도 있으므로 키는 선택 사항
+  return new OpenAI({
+    baseURL,
+    apiKey: Deno.env.get('OPENAI_COMPATIBLE_API_KEY') || 'not-needed'
+  })
+}
+
+// ─── 함수 도구 공통 ──────────────────────────────────────────────────
+
+// 함수 도구 호출 → 결과 → 재요청 반복 횟수 제한
+const MAX_TOOL_ROUNDS = 5
+
+const addUsage = (total: GenerateResult['usage'], inputTokens = 0, outputTokens = 0) => ({
+  inputTokens: total.inputTokens + inputTokens,
+  outputTokens: total.outputTokens + outputTokens
+})
+
+/**
+ * 대략적인 토큰 수 (provider가 사용량을 알려주기 전에 중지/실패한 요청용)
+ * 한국어 비중이 높아 영어 기준(4글자)보다 보수적으로 3글자 = 1토큰으로 계산
+ */
+const estimateTokens = (value: unknown) =>
+  Math.ceil((typeof value === 'string' ? value : JSON.stringify(value ?? '')).length / 3)
+
+// 도구 실행 (실패해도 오류 내용을 모델에 돌려줘서 답변을 이어가게 함)
+const executeToolCall = async (
+  params: GenerateParams,
+  name: string,
+  // deno-lint-ignore no-explicit-any
+  args: Record<string, any>,
+  onProgress?: (progress: ToolProgress) => void
+) => {
+  onProgress?.({ tool: name, status: 'in_progress' })
+
+  const result = await params.executeTool!(name, args)
+    .catch((error) => ({ error: (error as Error).message }))
+
+  onProgress?.({ tool: name, status: 'completed' })
+  return JSON.stringify(result)
+}
+
+// ─── OpenAI (Responses API) ──────────────────────────────────────────
+
+const buildOpenAIRequest = (params: GenerateParams) => {
+  // deno-lint-ignore no-explicit-any
+  const requestConfig: Record<string, any> = {
+    model: params.model,
+    input: params.messages,
+    max_output_tokens: clampMaxTokens(params.maxTokens)
+  }
+
+  if (params.system) {
+    requestConfig.instructions = params.system
+  }
+
+  if (params.enableTools) {
+    requestConfig.tools = [
+      ...(params.webSearch !== false ? [{ type: 'web_search' }] : []),
+      ...(params.vectorStoreId
+        ? [{ type: 'file_search', vector_store_ids: [params.vectorStoreId] }]
+        : []),
+      ...(params.tools || []).map((tool) => ({
+        type: 'function',
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+        strict: false
+      }))
+    ]
+
+    if (requestConfig.tools.length === 0) delete requestConfig.tools
+  }
+
+  // GPT-5만 reasoning과 text 파라미터 지원
+  if (params.model === 'gpt-5') {
+    requestConfig.reasoning = { effort: 'low' }
+    requestConfig.text = { verbosity: 'low' }
+  } else if (params.temperature !== undefined) {
+    requestConfig.temperature = params.temperature
+  }
+
+  return requestConfig
+}
+
+// output_text의 annotations(url_citation, file_citation) → 출처 목록
+// deno-lint-ignore no-explicit-any
+const extractOpenAICitations = (response: any): Citation[] =>
+  uniqueCitations(
+    (response?.output || [])
+      // deno-lint-ignore no-explicit-any
+      .filter((item: any) => item.type === 'message')
+      // deno-lint-ignore no-explicit-any
+      .flatMap((item: any) => item.content || [])
+      // deno-lint-ignore no-explicit-any
+      .flatMap((content: any) => content.annotations || [])
+      // deno-lint-ignore no-explicit-any
+      .map((annotation: any): Citation | null => {
+        if (annotation.type === 'url_citation') {
+          return { type: 'url', title: annotation.title || annotation.url, url: annotation.url }
+        }
+        if (annotation.type === 'file_citation') {
+          return { type: 'file', title: annotation.filename || annotation.file_id, fileId: annotation.file_id }
+        }
+        return null
+      })
+      .filter(Boolean) as Citation[]
+  )
+
+/**
+ * 응답의 function_call을 실행하고 다음 요청을 만듦 (호출이 없으면 null)
+ * - previous_response_id로 이전 맥락을 이어가고 function_call_output만 전달
+ */
+const buildOpenAIToolFollowUp = async (
+  params: GenerateParams,
+  // deno-lint-ignore no-explicit-any
+  response: any,
+  onProgress?: (progress: ToolProgress) => void
+) => {
+  const calls = (response?.output || [])
+    // deno-lint-ignore no-explicit-any
+    .filter((item: any) => item.type === 'function_call')
+
+  if (calls.length === 0 || !params.executeTool) return null
+
+  const outputs = []
+  for (const call of calls) {
+    let args = {}
+    try {
+      args = JSON.parse(call.arguments || '{}')
+    } catch {
+      // 잘못된 JSON이면 빈 인자로 실행 → 도구가 오류를 돌려줌
+    }
+
+    outputs.push({
+      type: 'function_call_output',
+      call_id: call.call_id,
+      output: await executeToolCall(params, call.name, args, onProgress)
+    })
+  }
+
+  return { ...buildOpenAIRequest(params), previous_response_id: response.id, input: outputs }
+}
+
+const generateOpenAI = async (params: GenerateParams): Promise<GenerateResult> => {
+  const client = getOpenAIClient()
+
+  let request: Record<string, unknown> | null = buildOpenAIRequest(params)
+  const texts: string[] = []
+  let usage = { inputTokens: 0, outputTokens: 0 }
+  const citations: Citation[] = []
+
+  for (let round = 0; request && round < MAX_TOOL_ROUNDS; round++) {
+    // deno-lint-ignore no-explicit-any
+    const response: any = await client.responses.create(request)
+
+    if (response.output_text) texts.push(response.output_text)
+    usage = addUsage(usage, response.usage?.input_tokens, response.usage?.output_tokens)
+    citations.push(...extractOpenAICitations(response))
+
+    request = await buildOpenAIToolFollowUp(params, response)
+  }
+
+  return { text: texts.join('\n\n'), usage, citations: uniqueCitations(citations) }
+}
+
+// Responses API 도구 호출 이벤트 → 진행 상황
+// 예: response.web_search_call.searching → { tool: 'web_search', status: 'searching' }
+const OPENAI_TOOL_EVENT = /^response\.(web_search|file_search)_call\.(in_progress|searching|completed)$/
+
+const openaiAdapter: ProviderAdapter = {
+  generate: generateOpenAI,
+
+  stream: async (params, { onDelta, onProgress, signal, onUsage }) => {
+    const client = getOpenAIClient()
+
+    let request: Record<string, unknown> | null = buildOpenAIRequest(params)
+    let fullText = ''
+    let usage = { inputTokens: 0, outputTokens: 0 }
+    const citations: Citation[] = []
+
+    for (let round = 0; request && round < MAX_TOOL_ROUNDS; round++) {
+      // 완료 이벤트(response.completed) 전에는 요청/출력 글자 수로 추정
+      const roundInput = estimateTokens([request.instructions, request.input])
+      let roundText = ''
+      onUsage?.(addUsage(usage, roundInput))
+
+      const stream = await client.responses.create({ ...request, stream: true }, { signal })
+      // 이전 라운드에 텍스트가 있었으면 새 라운드 텍스트와 문단 구분
+      let needsSeparator = fullText.length > 0
+      // deno-lint-ignore no-explicit-any
+      let finalResponse: any = null
+
+      for await (const event of stream) {
+        if (event.type === 'response.output_text.delta') {
+          const delta = needsSeparator ? `\n\n${event.delta}` : event.delta
+          needsSeparator = false
+          fullText += delta
+          roundText += delta
+          onDelta(delta)
+          onUsage?.(addUsage(usage, roundInput, estimateTokens(roundText)))
+          continue
+        }
+
+        const toolEvent = OPENAI_TOOL_EVENT.exec(event.type)
+        if (toolEvent) {
+          onProgress?.({ tool: toolEvent[1], status: toolEvent[2] })
+          continue
+        }
+
+        if (event.type === 'response.completed' || event.type === 'response.incomplete') {
+          finalResponse = event.response
+          usage = addUsage(usage, event.response.usage?.input_tokens, event.response.usage?.output_tokens)
+          onUsage?.(usage)
+          citations.push(...extractOpenAICitations(event.response))
+        } else if (event.type === 'response.failed') {
+          throw new HttpError(502, event.response.error?.message || 'OpenAI 응답 생성에 실패했습니다.')
+        } else if (event.type === 'error') {
+          throw new HttpError(502, event.message || 'OpenAI 스트리밍 오류가 발생했습니다.')
+        }
+      }
+
+      request = await buildOpenAIToolFollowUp(params, finalResponse, onProgress)
+    }
+
+    return { text: fullText, usage, citations: uniqueCitations(citations) }
+  }
+}
+
+// ─── Anthropic (Messages API) ────────────────────────────────────────
+
+// deno-lint-ignore no-explicit-any
+const buildAnthropicRequest = (params: GenerateParams, messages: any[] = params.messages) => {
+  // deno-lint-ignore no-explicit-any
+  const requestConfig: Record<string, any> = {
+    model: params.model,
+    max_tokens: clampMaxTokens(params.maxTokens),
+    messages
+  }
+
+  if (params.system) {
+    requestConfig.system = params.system
+  }
+
+  if (params.temperature !== undefined) {
+    requestConfig.temperature = params.temperature
+  }
+
+  if (params.enableTools) {
+    requestConfig.tools = [
+      ...(params.webSearch !== false
+        ? [{ type: 'web_search_20250305', name: 'web_search', max_uses: 5 }]
+        : []),
+      ...(params.tools || []).map((tool) => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }))
+    ]
+
+    if (requestConfig.tools.length === 0) delete requestConfig.tools
+  }
+
+  return requestConfig
+}
+
+// text 블록의 citations(web_search_result_location) → 출처 목록
+// deno-lint-ignore no-explicit-any
+const extractAnthropicCitations = (message: any): Citation[] =>
+  uniqueCitations(
+    (message?.content || [])
+      // deno-lint-ignore no-explicit-any
+      .filter((c: any) => c.type === 'text')
+      // deno-lint-ignore no-explicit-any
+      .flatMap((c: any) => c.citations || [])
+      // deno-lint-ignore no-explicit-any
+      .filter((citation: any) => citation.type === 'web_search_result_location' && citation.url)
+      // deno-lint-ignore no-explicit-any
+      .map((citation: any): Citation => ({
+        type: 'url',
+        title: citation.title || citation.url,
+        url: citation.url
+      }))
+  )
+
+/**
+ * tool_use 블록을 실행하고 다음 요청의 messages를 만듦 (호출이 없으면 null)
+ */
+const buildAnthropicToolFollowUp = async (
+  params: GenerateParams,
+  // deno-lint-ignore no-explicit-any
+  messages: any[],
+  // deno-lint-ignore no-explicit-any
+  message: any,
+  onProgress?: (progress: ToolProgress) => void
+) => {
+  // deno-lint-ignore no-explicit-any
+  const toolUses = (message.content || []).filter((c: any) => c.type === 'tool_use')
+
+  if (message.stop_reason !== 'tool_use' || toolUses.length === 0 || !params.executeTool) {
+    return null
+  }
+
+  const results = []
+  for (const toolUse of toolUses) {
+    results.push({
+      type: 'tool_result',
+      tool_use_id: toolUse.id,
+      content: await executeToolCall(params, toolUse.name, toolUse.input || {}, onProgress)
+    })
+  }
+
+  return [
+    ...messages,
+    { role: 'assistant', content: message.content },
+    { role: 'user', content: results }
+  ]
+}
+
+const anthropicAdapter: ProviderAdapter = {
+  generate: async (params) => {
+    const client = getAnthropicClient()
+
+    // deno-lint-ignore no-explicit-any
+    let messages: any[] | null = params.messages
+    const texts: string[] = []
+    let usage = { inputTokens: 0, outputTokens: 0 }
+    const citations: Citation[] = []
+
+    for (let round = 0; messages && round < MAX_TOOL_ROUNDS; round++) {
+      const response = await client.messages.create(buildAnthropicRequest(params, messages))
+
+      const text = response.content
+        // deno-lint-ignore no-explicit-any
+        .filter((c: any) => c.type === 'text')
+        // deno-lint-ignore no-explicit-any
+        .map((c: any) => c.text)
+        .join('\n\n')
+
+      if (text) texts.push(text)
+      usage = addUsage(usage, response.usage?.input_tokens, response.usage?.output_tokens)
+      citations.push(...extractAnthropicCitations(response))
+
+      messages = await buildAnthropicToolFollowUp(params, messages, response)
+    }
+
+    return { text: texts.join('\n\n'), usage, citations: uniqueCitations(citations) }
+  },
+
+  stream: async (params, { onDelta, onProgress, signal, onUsage }) => {
+    const client = getAnthropicClient()
+
+    // deno-lint-ignore no-explicit-any
+    let messages: any[] | null = params.messages
+    let fullText = ''
+    let usage = { inputTokens: 0, outputTokens: 0 }
+    const citations: Citation[] = []
+
+    for (let round = 0; messages && round < MAX_TOOL_ROUNDS; round++) {
+      const request = buildAnthropicRequest(params, messages)
+      // message_start / message_delta 이벤트의 실제 사용량, 받기 전에는 글자 수로 추정
+      let roundInput = estimateTokens([request.system, request.messages])
+      let roundOutput = 0
+      let roundText = ''
+      onUsage?.(addUsage(usage, roundInput))
+
+      const stream = client.messages.stream(request, { signal })
+      let needsSeparator = fullText.length > 0
+
+      for await (const event of stream) {
+        if (event.type === 'message_start') {
+          roundInput = event.message.usage?.input_tokens ?? roundInput
+        } else if (event.type === 'message_delta') {
+          roundOutput = event.usage?.output_tokens ?? roundOutput
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          const delta = needsSeparator ? `\n\n${event.delta.text}` : event.delta.text
+          needsSeparator = false
+          fullText += delta
+          roundText += delta
+          onDelta(delta)
+        } else if (event.type === 'content_block_start') {
+          // 서버 도구(web_search) 호출 시작/결과 수신
+          if (event.content_block.type === 'server_tool_use') {
+            onProgress?.({ tool: event.content_block.name, status: 'searching' })
+          } else if (event.content_block.type === 'web_search_tool_result') {
+            onProgress?.({ tool: 'web_search', status: 'completed' })
+          }
+        }
+
+        onUsage?.(addUsage(usage, roundInput, Math.max(roundOutput, estimateTokens(roundText))))
+      }
+
+      const finalMessage = await stream.finalMessage()
+
+      usage = addUsage(usage, finalMessage.usage?.input_tokens, finalMessage.usage?.output_tokens)
+      onUsage?.(usage)
+      citations.push(...extractAnthropicCitations(finalMessage))
+
+      messages = await buildAnthropicToolFollowUp(params, messages, finalMessage, onProgress)
+    }
+
+    return { text: fullText, usage, citations: uniqueCitations(citations) }
+  }
+}
+
+// ─── OpenAI 호환 (Chat Completions API) ──────────────────────────────
+
+// multimodal content 배열은 텍스트만 남김 (자체 호스팅 모델은 vision 미지원)
+// deno-lint-ignore no-explicit-any
+const toChatContent = (content: any) =>
+  Array.isArray(content)
+    ? content
+      // deno-lint-ignore no-explicit-any
+      .filter((c: any) => typeof c.text === 'string')
+      // deno-lint-ignore no-explicit-any
+      .map((c: any) => c.text)
+      .join('\n\n')
+    : content
+
+const buildChatCompletionsRequest = (params: GenerateParams) => ({
+  model: params.model,
+  max_tokens: clampMaxTokens(params.maxTokens),
+  ...(params.temperature !== undefined ? { temperature: params.temperature } : {}),
+  messages: [
+    ...(params.system ? [{ role: 'system', content: params.system }] : []),
+    ...params.messages.map((msg) => ({ role: msg.role, content: toChatContent(msg.content) }))
+  ]
+})
+
+const openaiCompatibleAdapter: ProviderAdapter = {
+  generate: async (params) => {
+    const client = getOpenAICompatibleClient()
+    const response = await client.chat.completions.create(buildChatCompletionsRequest(params))
+
+    return {
+      text: response.choices[0]?.message?.content || '',
+      usage: {
+        inputTokens: response.usage?.prompt_tokens || 0,
+        outputTokens: response.usage?.completion_tokens || 0
+      },
+      // 자체 호스팅 모델은 도구를 사용하지 않으므로 출처 없음
+      citations: []
+    }
+  },
+
+  stream: async (params, { onDelta, signal, onUsage }) => {
+    const client = getOpenAICompatibleClient()
+    const request = buildChatCompletionsRequest(params)
+    const stream = await client.chat.completions.create(
+      {
+        ...request,
+        stream: true,
+        stream_options: { include_usage: true }
+      },
+      { signal }
+    )
+
+    let fullText = ''
+    // 마지막 청크의 사용량을 받기 전에는 글자 수로 추정
+    let usage = { inputTokens: estimateTokens(request.messages), outputTokens: 0 }
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content
+      if (delta) {
+        fullText += delta
+        onDelta(delta)
+        usage = { ...usage, outputTokens: estimateTokens(fullText) }
+      }
+
+      // include_usage: 마지막 청크에 사용량 포함 (서버가 지원하는 경우)
+      if (chunk.usage) {
+        usage = {
+          inputTokens: chunk.usage.prompt_tokens || 0,
+          outputTokens: chunk.usage.completion_tokens || 0
+        }
+      }
+
+      onUsage?.(usage)
+    }
+
+    return { text: fullText, usage, citations: [] }
+  }
+}
+
+// ─── 레지스트리 ──────────────────────────────────────────────────────
+
+const adapters: Record<string, ProviderAdapter> = {
+  openai: openaiAdapter,
+  anthropic: anthropicAdapter,
+  'openai-compatible': openaiCompatibleAdapter
+}
+
+/**
+ * 요청의 provider id 결정
+ * - provider가 없으면 기존 규칙(claude- 접두사)으로 판단
+ */
+export const resolveProviderId = (providerId: string | undefined, model: string) =>
+  providerId || (model.startsWith('claude-') ? 'anthropic' : 'openai')
+
+/**
+ * provider id로 어댑터 조회
+ *
+ * @throws {HttpError} 400 (등록되지 않은 provider)
+ */
+export const getProviderAdapter = (providerId: string | undefined, model: string) => {
+  const id = resolveProviderId(providerId, model)
+  const adapter = adapters[id]
+
+  if (!adapter) {
+    throw new HttpError(400, `지원하지 않는 AI provider입니다: ${id}`)
+  }
+
+  return adapter
+}
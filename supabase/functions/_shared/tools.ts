@@ -0,0 +1,305 @@
+/**
+ * tools.ts
+ *
+ * 채팅 AI가 호출할 수 있는 워크스페이스 도구 (서버 전용)
+ * - 모든 조회/쓰기는 호출자 JWT로 만든 userClient로 수행 (RLS = 호출자 권한)
+ * - 조회 도구(list_my_tasks, search_messages)는 즉시 실행해 결과를 모델에 돌려줌
+ * - 쓰기 도구(create_task, create_meeting)는 바로 실행하지 않고 "확인 대기" 작업으로 반환
+ *   → 채팅에 확인 카드가 표시되고, 사용자가 확인하면 ai-actions Edge Function이 실행
+ */
+
+import type { SupabaseClient, User } from 'npm:@supabase/supabase-js@2'
+import { HttpError } from './http.ts'
+
+/**
+ * provider 중립 도구 정의 (JSON Schema)
+ * 각 어댑터가 provider 형식(OpenAI function / Anthropic tool)으로 변환합니다
+ */
+export interface ToolDefinition {
+  name: string
+  description: string
+  // deno-lint-ignore no-explicit-any
+  parameters: Record<string, any>
+}
+
+/**
+ * 사용자 확인이 필요한 작업 (ai 메시지 metadata.actions에 저장)
+ */
+export interface PendingAction {
+  id: string
+  tool: 'create_task' | 'create_meeting'
+  // deno-lint-ignore no-explicit-any
+  args: Record<string, any>
+  requestedBy: string
+  // processing: 확인 후 실행 중 (ai-actions가 선점)
+  status: 'pending' | 'processing' | 'confirmed' | 'cancelled' | 'failed'
+}
+
+// deno-lint-ignore no-explicit-any
+export type ToolExecutor = (name: string, args: Record<string, any>) => Promise<unknown>
+
+export const WRITE_TOOLS = ['create_task', 'create_meeting']
+
+const MAX_RESULTS = 20
+
+export const TOOL_DEFINITIONS: ToolDefinition[] = [
+  {
+    name: 'create_task',
+    description: '워크스페이스에 새 태스크를 만듭니다. 실행 전에 사용자 확인을 받습니다.',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: '태스크 제목' },
+        description: { type: 'string', description: '태스크 설명' },
+        assignee: { type: 'string', description: '담당자 이름 또는 이메일 (없으면 미지정, "나"는 요청자)' },
+        due_date: { type: 'string', description: '마감일 (YYYY-MM-DD)' }
+      },
+      required: ['title']
+    }
+  },
+  {
+    name: 'list_my_tasks',
+    description: '요청한 사용자에게 배정된 태스크 목록을 조회합니다.',
+    parameters: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: ['todo', 'in_progress', 'done'],
+          description: '상태 필터 (생략하면 완료되지 않은 태스크)'
+        }
+      }
+    }
+  },
+  {
+    name: 'create_meeting',
+    description: '워크스페이스에 회의를 만들고 참석자를 추가합니다. 실행 전에 사용자 확인을 받습니다.',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: '회의 제목' },
+        description: { type: 'string', description: '회의 설명' },
+        start_time: { type: 'string', description: '시작 시각 (ISO 8601, 시간대 포함)' },
+        end_time: { type: 'string', description: '종료 시각 (ISO 8601, 시간대 포함)' },
+        location: { type: 'string', description: '장소' },
+        participants: {
+          type: 'array',
+          items: { type: 'string' },
+          description: '참석자 이름 또는 이메일 목록 (요청자는 자동으로 주최자)'
+        }
+      },
+      required: ['title', 'start_time', 'end_time']
+    }
+  },
+  {
+    name: 'search_messages',
+    description: '사용자가 볼 수 있는 채팅방의 메시지를 키워드로 검색합니다.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: '검색 키워드' },
+        limit: { type: 'number', description: `최대 결과 수 (기본 10, 최대 ${MAX_RESULTS})` }
+      },
+      required: ['query']
+    }
+  }
+]
+
+/**
+ * 워크스페이스 멤버 목록 (이름/이메일 → user_id 매칭용)
+ */
+export const fetchWorkspaceMembers = async (userClient: SupabaseClient, workspaceId: string) => {
+  const { data: members, error } = await userClient
+    .from('workspace_members')
+    .select('user_id')
+    .eq('workspace_id', workspaceId)
+
+  if (error) {
+    throw new HttpError(500, `멤버 조회 실패: ${error.message}`)
+  }
+
+  const userIds = (members || []).map((m) => m.user_id)
+  if (userIds.length === 0) return []
+
+  const { data: users, error: usersError } = await userClient
+    .from('users')
+    .select('user_id, user_name, email')
+    .in('user_id', userIds)
+
+  if (usersError) {
+    throw new HttpError(500, `사용자 조회 실패: ${usersError.message}`)
+  }
+
+  return (users || []) as Array<{ user_id: string; user_name: string | null; email: string | null }>
+}
+
+type Member = Awaited<ReturnType<typeof fetchWorkspaceMembers>>[number]
+
+/**
+ * 이름/이메일로 멤버 찾기 (정확히 일치 → 부분 일치 순, 후보가 여러 명이면 null)
+ */
+export const matchMember = (members: Member[], query: string, selfId?: string) => {
+  const normalized = query.trim().toLowerCase()
+  if (!normalized) return null
+
+  if (selfId && ['나', '저', 'me', 'myself'].includes(normalized)) {
+    return members.find((m) => m.user_id === selfId) || null
+  }
+
+  const exact = members.filter((m) =>
+    m.user_name?.toLowerCase() === normalized ||
+    m.email?.toLowerCase() === normalized ||
+    m.email?.split('@')[0].toLowerCase() === normalized
+  )
+  if (exact.length === 1) return exact[0]
+
+  const partial = members.filter((m) =>
+    m.user_name?.toLowerCase().includes(normalized) ||
+    m.email?.toLowerCase().includes(normalized)
+  )
+  return partial.length === 1 ? partial[0] : null
+}
+
+const memberLabel = (member: Member) => member.user_name || member.email || member.user_id
+
+/**
+ * 쓰기 도구 인자를 검증하고 담당자/참석자를 워크스페이스 멤버로 변환
+ * - 확인 카드에 보여줄 값(이름)과 실행에 쓸 값(user_id)을 함께 담음
+ */
+const prepareWriteAction = async (
+  userClient: SupabaseClient,
+  workspaceId: string,
+  user: User,
+  name: string,
+  // deno-lint-ignore no-explicit-any
+  args: Record<string, any>
+) => {
+  if (!args.title || typeof args.title !== 'string') {
+    return { error: 'title이 필요합니다.' }
+  }
+
+  const members = await fetchWorkspaceMembers(userClient, workspaceId)
+
+  if (name === 'create_task') {
+    const assignee = args.assignee ? matchMember(members, args.assignee, user.id) : null
+    if (args.assignee && !assignee) {
+      return { error: `담당자 "${args.assignee}"를 워크스페이스 멤버에서 찾을 수 없습니다. 사용자에게 정확한 이름을 물어보세요.` }
+    }
+    if (args.due_date && Number.isNaN(Date.parse(args.due_date))) {
+      return { error: 'due_date는 YYYY-MM-DD 형식이어야 합니다.' }
+    }
+
+    return {
+      args: {
+        title: args.title.trim(),
+        description: args.description?.trim() || null,
+        due_date: args.due_date || null,
+        assignee_id: assignee?.user_id || null,
+        assignee_name: assignee ? memberLabel(assignee) : null
+      }
+    }
+  }
+
+  // create_meeting
+  const start = Date.parse(args.start_time)
+  const end = Date.parse(args.end_time)
+  if (Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+    return { error: 'start_time/end_time이 올바르지 않습니다. 종료 시각은 시작 시각보다 늦어야 합니다.' }
+  }
+
+  const requested: string[] = Array.isArray(args.participants) ? args.participants : []
+  const matched = requested.map((query) => ({ query, member: matchMember(members, query, user.id) }))
+  const unknown = matched.filter((m) => !m.member).map((m) => m.query)
+
+  if (unknown.length > 0) {
+    return { error: `참석자를 찾을 수 없습니다: ${unknown.join(', ')}. 사용자에게 정확한 이름을 물어보세요.` }
+  }
+
+  const participants = matched
+    .map((m) => m.member!)
+    .filter((member, index, list) =>
+      member.user_id !== user.id && list.findIndex((m) => m.user_id === member.user_id) === index
+    )
+
+  return {
+    args: {
+      title: args.title.trim(),
+      description: args.description?.trim() || null,
+      start_time: new Date(start).toISOString(),
+      end_time: new Date(end).toISOString(),
+      location: args.location?.trim() || null,
+      participants: participants.map((m) => ({ user_id: m.user_id, name: memberLabel(m) }))
+    }
+  }
+}
+
+/**
+ * 요청 단위 도구 실행기 생성
+ *
+ * @param onAction - 쓰기 도구 호출 시 확인 대기 작업을 전달받는 콜백
+ */
+export const createToolExecutor = (
+  { userClient, workspaceId, user }: { userClient: SupabaseClient; workspaceId: string; user: User },
+  onAction: (action: PendingAction) => void
+): ToolExecutor => async (name, args) => {
+  switch (name) {
+    case 'list_my_tasks': {
+      let query = userClient
+        .from('tasks')
+        .select('id, title, status, due_date')
+        .eq('workspace_id', workspaceId)
+        .eq('assignee_id', user.id)
+        .order('due_date', { ascending: true, nullsFirst: false })
+        .limit(MAX_RESULTS)
+
+      query = args.status ? query.eq('status', args.status) : query.neq('status', 'done')
+
+      const { data, error } = await query
+      if (error) return { error: error.message }
+      return { tasks: data }
+    }
+
+    case 'search_messages': {
+      if (!args.query || typeof args.query !== 'string') {
+        return { error: 'query가 필요합니다.' }
+      }
+
+      const limit = Math.min(Math.max(Number(args.limit) || 10, 1), MAX_RESULTS)
+      const keyword = args.query.replace(/[%_]/g, '\\$&')
+
+      const { data, error } = await userClient
+        .from('chat_messages')
+        .select('id, content, sender_name, created_at, chat_room:chat_room_id(name)')
+        .eq('workspace_id', workspaceId)
+        .in('message_type', ['user', 'ai'])
+        .ilike('content', `%${keyword}%`)
+        .order('created_at', { ascending: false })
+        .limit(limit)
+
+      if (error) return { error: error.message }
+      return { messages: data }
+    }
+
+    case 'create_task':
+    case 'create_meeting': {
+      const prepared = await prepareWriteAction(userClient, workspaceId, user, name, args)
+      if (prepared.error) return { error: prepared.error }
+
+      onAction({
+        id: crypto.randomUUID(),
+        tool: name as PendingAction['tool'],
+        args: prepared.args!,
+        requestedBy: user.id,
+        status: 'pending'
+      })
+
+      return {
+        status: 'pending_confirmation',
+        message: '채팅에 확인 카드를 표시했습니다. 사용자가 확인해야 실행됩니다. 아직 실행되지 않았음을 알려주세요.'
+      }
+    }
+
+    default:
+      return { error: `알 수 없는 도구입니다: ${name}` }
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * usage.ts
+ *
+ * AI 호출 사용량 / 비용 기록과 월간 한도 확인 (서버 전용)
+ * - 기록: ai_usage_logs (호출 1건당 1행)
+ * - 한도: workspace_ai_limits (워크스페이스 토큰/비용, 멤버 1인당 비용)
+ * - 월 기준: UTC 매월 1일 0시부터
+ */
+
+import type { SupabaseClient } from 'npm:@supabase/supabase-js@2'
+import { HttpError } from './http.ts'
+
+/**
+ * 서버 모델 레지스트리 + 단가 (USD / 100만 토큰)
+ * - provider별 허용 모델 ID (클라이언트 레지스트리 src/lib/aiProviders.js의 모델 ID와 같아야 함)
+ * - 여기에 없는 모델은 호출하지 않습니다 (assertSupportedModel)
+ */
+const MODEL_PRICING: Record<string, Record<string, { input: number; output: number }>> = {
+  openai: {
+    'gpt-5': { input: 1.25, output: 10 },
+    'gpt-4.1': { input: 2, output: 8 }
+  },
+  anthropic: {
+    'claude-opus-4-1-20250805': { input: 15, output: 75 },
+    'claude-sonnet-4-5-20250929': { input: 3, output: 15 },
+    'claude-3-7-sonnet-latest': { input: 3, output: 15 }
+  }
+}
+
+// 자체 호스팅 provider는 API 비용 없음
+const FREE_PROVIDERS = ['openai-compatible']
+
+// 자체 호스팅 모델 목록 (OPENAI_COMPATIBLE_MODELS secret, 쉼표 구분 / 클라이언트 VITE_LOCAL_LLM_MODELS와 같게 설정)
+const getSelfHostedModels = () =>
+  (Deno.env.get('OPENAI_COMPATIBLE_MODELS') || '')
+    .split(',')
+    .map((model) => model.trim())
+    .filter(Boolean)
+
+const getModelPricing = (provider: string, model: string) => MODEL_PRICING[provider]?.[model] || null
+
+/**
+ * 레지스트리에 등록된 모델인지 확인 (provider 호출 전에 검사)
+ *
+ * @throws {HttpError} 400 (등록되지 않은 모델)
+ */
+export const assertSupportedModel = (provider: string, model: string) => {
+  const supported = FREE_PROVIDERS.includes(provider)
+    ? getSelfHostedModels().includes(model)
+    : !!getModelPricing(provider, model)
+
+  if (!supported) {
+    throw new HttpError(400, `지원하지 않는 모델입니다: ${model}`)
+  }
+}
+
+// 한도 초과 응답 코드 (자동 재시도 대상인 429와 구분)
+export const USAGE_LIMIT_STATUS = 402
+
+export interface UsageEntry {
+  workspaceId: string
+  userId: string
+  task: string
+  provider: string
+  model: string
+  inputTokens: number
+  outputTokens: number
+}
+
+/**
+ * 예상 비용 계산 (USD)
+ * 단가가 없는 모델을 0원으로 기록하면 비용 한도를 우회하므로 거부합니다
+ *
+ * @throws {HttpError} 400 (단가가 등록되지 않은 모델)
+ */
+export const estimateCost = (provider: string, model: string, inputTokens: number, outputTokens: number) => {
+  if (FREE_PROVIDERS.includes(provider)) return 0
+
+  const pricing = getModelPricing(provider, model)
+  if (!pricing) {
+    throw new HttpError(400, `단가가 등록되지 않은 모델입니다: ${model}`)
+  }
+
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1_000_000
+}
+
+const getMonthStart = () => {
+  const now = new Date()
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString()
+}
+
+/**
+ * 이번 달 사용량이 한도를 넘었는지 확인
+ *
+ * @throws {HttpError} 402 (워크스페이스 또는 멤버 월간 한도 초과)
+ */
+export const assertWithinLimits = async (adminClient: SupabaseClient, workspaceId: string, userId: string) => {
+  const { data: limits, error } = await adminClient
+    .from('workspace_ai_limits')
+    .select('monthly_token_limit, monthly_cost_limit_usd, user_monthly_cost_limit_usd')
+    .eq('workspace_id', workspaceId)
+    .maybeSingle()
+
+  if (error) {
+    throw new HttpError(500, `사용 한도 조회 실패: ${error.message}`)
+  }
+
+  if (
+    !limits ||
+    (!limits.monthly_token_limit && !limits.monthly_cost_limit_usd && !limits.user_monthly_cost_limit_usd)
+  ) {
+    return
+  }
+
+  const { data: rows, error: usageError } = await adminClient.rpc('get_workspace_ai_usage', {
+    p_workspace_id: workspaceId,
+    p_from: getMonthStart()
+  })
+
+  if (usageError) {
+    throw new HttpError(500, `사용량 조회 실패: ${usageError.message}`)
+  }
+
+  // deno-lint-ignore no-explicit-any
+  const usage = (rows || []) as any[]
+  const totalTokens = usage.reduce((sum, row) => sum + Number(row.input_tokens) + Number(row.output_tokens), 0)
+  const totalCost = usage.reduce((sum, row) => sum + Number(row.cost_usd), 0)
+  const userCost = usage
+    .filter((row) => row.user_id === userId)
+    .reduce((sum, row) => sum + Number(row.cost_usd), 0)
+
+  if (limits.monthly_token_limit && totalTokens >= Number(limits.monthly_token_limit)) {
+    throw new HttpError(USAGE_LIMIT_STATUS, '이번 달 워크스페이스 AI 토큰 한도를 모두 사용했습니다. 관리자에게 문의해주세요.')
+  }
+
+  if (limits.monthly_cost_limit_usd && totalCost >= Number(limits.monthly_cost_limit_usd)) {
+    throw new HttpError(USAGE_LIMIT_STATUS, '이번 달 워크스페이스 AI 비용 한도를 초과했습니다. 관리자에게 문의해주세요.')
+  }
+
+  if (limits.user_monthly_cost_limit_usd && userCost >= Number(limits.user_monthly_cost_limit_usd)) {
+    throw new HttpError(USAGE_LIMIT_STATUS, '이번 달 개인 AI 사용 한도를 초과했습니다. 관리자에게 문의해주세요.')
+  }
+}
+
+/**
+ * 호출 사용량 기록
+ * 기록 실패로 이미 생성된 답변을 버리지 않도록 저장 오류는 로그만 남깁니다
+ * (단가가 없는 모델은 호출 전에 assertSupportedModel로 걸러지며, 여기서도 estimateCost가 거부)
+ *
+ * @throws {HttpError} 400 (단가가 등록되지 않은 모델)
+ */
+export const recordUsage = async (adminClient: SupabaseClient, entry: UsageEntry) => {
+  const costUsd = estimateCost(entry.provider, entry.model, entry.inputTokens, entry.outputTokens)
+
+  const { error } = await adminClient
+    .from('ai_usage_logs')
+    .insert({
+      workspace_id: entry.workspaceId,
+      user_id: entry.userId,
+      task: entry.task,
+      provider: entry.provider,
+      model: entry.model,
+      input_tokens: entry.inputTokens,
+      output_tokens: entry.outputTokens,
+      cost_usd: costUsd
+    })
+
+  if (error) {
+    console.error('❌ AI 사용량 기록 실패:', error.message)
+  }
+
+  return costUsd
+}
@@ -0,0 +1,170 @@
+/**
+ * ai-actions
+ *
+ * AI가 제안한 쓰기 작업(태스크/회의 생성)을 사용자 확인 후 실행하는 Edge Function
+ * - 호출자 JWT 검증 + 워크스페이스 멤버 확인 후에만 처리
+ * - 작업을 요청한 사용자만 확인/취소 가능
+ * - 실제 생성은 호출자 권한(userClient)으로 수행 (RLS = 호출자 권한)
+ * - 결과 상태는 AI 메시지의 metadata.actions에 기록 (다른 참여자에게도 실시간 반영)
+ * - 작업은 먼저 claim_ai_action으로 선점한 뒤 실행 (동시에 확인해도 한 번만 생성)
+ *
+ * 요청 본문:
+ *   { workspaceId, messageId, actionId, decision: 'confirm' | 'cancel' }
+ *
+ * 응답:
+ *   { action: { id, tool, args, requestedBy, status, result?, error? } }
+ */
+
+import type { SupabaseClient, User } from 'npm:@supabase/supabase-js@2'
+import { corsHeaders } from '../_shared/cors.ts'
+import { HttpError, errorResponse, jsonResponse } from '../_shared/http.ts'
+import { authenticateRequest } from '../_shared/auth.ts'
+import type { PendingAction } from '../_shared/tools.ts'
+
+const DECISIONS = ['confirm', 'cancel']
+
+/**
+ * 확인된 작업 실행
+ * @returns 생성된 레코드 정보 (확인 카드에 표시)
+ */
+const executeAction = async (
+  userClient: SupabaseClient,
+  workspaceId: string,
+  user: User,
+  action: PendingAction
+) => {
+  const { args } = action
+
+  if (action.tool === 'create_task') {
+    const { data: task, error } = await userClient
+      .from('tasks')
+      .insert({
+        workspace_id: workspaceId,
+        title: args.title,
+        description: args.description,
+        assignee_id: args.assignee_id,
+        due_date: args.due_date,
+        status: 'todo',
+        created_by: user.id
+      })
+      .select('id')
+      .single()
+
+    if (error) {
+      throw new HttpError(500, `태스크 생성 실패: ${error.message}`)
+    }
+
+    return { taskId: task.id }
+  }
+
+  // 회의와 참석자는 한 트랜잭션으로 생성 (참석자 추가가 실패하면 회의도 남지 않음)
+  const { data: meetingId, error } = await userClient.rpc('create_meeting_with_participants', {
+    p_workspace_id: workspaceId,
+    p_title: args.title,
+    p_description: args.description,
+    p_start_time: args.start_time,
+    p_end_time: args.end_time,
+    p_location: args.location,
+    p_participant_ids: (args.participants || []).map((p: { user_id: string }) => p.user_id)
+  })
+
+  if (error) {
+    throw new HttpError(500, `회의 생성 실패: ${error.message}`)
+  }
+
+  return { meetingId }
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return errorResponse(new HttpError(405, 'POST 요청만 지원합니다.'))
+  }
+
+  try {
+    const body = await req.json().catch(() => {
+      throw new HttpError(400, '요청 본문이 올바른 JSON이 아닙니다.')
+    })
+
+    const { workspaceId, messageId, actionId, decision } = body
+
+    const { user, userClient, adminClient } = await authenticateRequest(req, workspaceId)
+
+    if (!messageId || !actionId || !DECISIONS.includes(decision)) {
+      throw new HttpError(400, 'messageId, actionId, decision(confirm | cancel)이 필요합니다.')
+    }
+
+    // AI 메시지는 AI 계정으로 저장되므로 metadata 갱신은 adminClient로 처리
+    const { data: message, error: messageError } = await adminClient
+      .from('chat_messages')
+      .select('id, metadata')
+      .eq('id', messageId)
+      .eq('workspace_id', workspaceId)
+      .eq('message_type', 'ai')
+      .maybeSingle()
+
+    if (messageError) {
+      throw new HttpError(500, `메시지 조회 실패: ${messageError.message}`)
+    }
+
+    const actions: PendingAction[] = message?.metadata?.actions || []
+    const action = actions.find((a) => a.id === actionId)
+
+    if (!action) {
+      throw new HttpError(404, '작업을 찾을 수 없습니다.')
+    }
+
+    if (action.requestedBy !== user.id) {
+      throw new HttpError(403, '작업을 요청한 사용자만 확인할 수 있습니다.')
+    }
+
+    if (action.status !== 'pending') {
+      throw new HttpError(409, '이미 처리된 작업입니다.')
+    }
+
+    // 대기 중인 작업 선점 (다른 요청이 먼저 처리했으면 NULL)
+    const { data: claimed, error: claimError } = await adminClient.rpc('claim_ai_action', {
+      p_message_id: messageId,
+      p_action_id: actionId,
+      p_status: decision === 'cancel' ? 'cancelled' : 'processing'
+    })
+
+    if (claimError) {
+      throw new HttpError(500, `작업 상태 저장 실패: ${claimError.message}`)
+    }
+
+    if (!claimed) {
+      throw new HttpError(409, '이미 처리된 작업입니다.')
+    }
+
+    let updated: PendingAction & { result?: unknown; error?: string } = claimed
+
+    if (decision === 'confirm') {
+      try {
+        const result = await executeAction(userClient, workspaceId, user, claimed)
+        updated = { ...claimed, status: 'confirmed', result }
+      } catch (error) {
+        updated = { ...claimed, status: 'failed', error: (error as Error).message }
+      }
+
+      const { error: finishError } = await adminClient.rpc('finish_ai_action', {
+        p_message_id: messageId,
+        p_action_id: actionId,
+        p_action: updated
+      })
+
+      if (finishError) {
+        throw new HttpError(500, `작업 상태 저장 실패: ${finishError.message}`)
+      }
+    }
+
+    console.log('✅ ai-actions 처리:', { tool: action.tool, decision, status: updated.status })
+
+    return jsonResponse({ action: updated })
+  } catch (error) {
+    return errorResponse(error)
+  }
+})
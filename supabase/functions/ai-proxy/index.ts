@@ -0,0 +1,208 @@
+/**
+ * ai-proxy
+ *
+ * 브라우저 대신 AI provider를 호출하는 Edge Function
+ * - provider API 키는 서버 secret으로만 보관 (브라우저 번들에 포함되지 않음)
+ * - 호출자 JWT 검증 + 워크스페이스 멤버 확인 후에만 호출
+ * - stream: true 이면 Server-Sent Events로 응답
+ * - 호출마다 토큰 사용량/예상 비용을 ai_usage_logs에 기록, 월간 한도 초과 시 402
+ *   (스트리밍이 중지/실패해도 그때까지의 사용량을 기록, provider가 알려주기 전 구간은 추정치)
+ *
+ * 필요한 secret:
+ *   supabase secrets set OPENAI_API_KEY=... ANTHROPIC_API_KEY=...
+ *   (자체 호스팅 모델) OPENAI_COMPATIBLE_BASE_URL=http://.../v1 OPENAI_COMPATIBLE_API_KEY=... OPENAI_COMPATIBLE_MODELS=llama3.1:8b,...
+ *
+ * 요청 본문:
+ *   {
+ *     workspaceId: string,
+ *     task: 'chat',                     // web/file search 도구 사용 (file search는 워크스페이스 지식 베이스 한정)
+ *     chatRoomId?: string,               // chat: 채팅방 AI 페르소나 적용 (system 프롬프트, temperature, 허용 도구)
+ *     provider?: string,                 // 'openai' | 'anthropic' | 'openai-compatible'
+ *     model: string,                     // 서버 모델 레지스트리(_shared/usage.ts)에 등록된 모델만 허용
+ *     messages: Array,                   // provider 형식의 메시지 배열
+ *     system?: string,
+ *     maxTokens?: number,
+ *     temperature?: number,              // 채팅방 페르소나에 temperature가 있으면 페르소나 값 사용
+ *     timeZone?: string,                 // 사용자 시간대 (도구 호출 시 "내일 3시" 등 해석용)
+ *     stream?: boolean
+ *   }
+ *
+ * 응답:
+ *   - stream: false → { text, usage, citations, actions }
+ *   - stream: true  → data: { type: 'delta', text } ... data: { type: 'done', text, usage, citations, actions }
+ *                     도구 호출 시 data: { type: 'progress', tool, status }
+ *                     오류 시 data: { type: 'error', message, status }
+ *                     클라이언트가 연결을 끊으면 provider 요청도 중단
+ *   - citations: [{ type: 'url' | 'file', title, url?, sourceType?, sourceId?, messageId? }]
+ *                (파일 출처는 워크스페이스 원본 파일 정보로 변환해서 반환)
+ *   - actions: 사용자 확인이 필요한 작업 목록 (태스크/회의 생성, 확인은 ai-actions에서 처리)
+ *
+ * 워크스페이스 도구(task: 'chat'):
+ *   태스크 조회/생성, 회의 생성, 메시지 검색 (_shared/tools.ts)
+ *   조회는 호출자 권한(userClient)으로 즉시 실행, 쓰기는 확인 대기 작업으로만 반환
+ *
+ * 회의록 생성은 meeting-notes Edge Function에서 처리합니다 (서버 프롬프트/검증 사용)
+ */
+
+import { corsHeaders } from '../_shared/cors.ts'
+import { HttpError, errorResponse, jsonResponse, sseResponse } from '../_shared/http.ts'
+import { authenticateRequest } from '../_shared/auth.ts'
+import { getProviderAdapter, resolveProviderId, type GenerateParams } from '../_shared/providers.ts'
+import { getWorkspaceVectorStoreId, resolveFileCitations } from '../_shared/knowledgeBase.ts'
+import { TOOL_DEFINITIONS, createToolExecutor, type PendingAction } from '../_shared/tools.ts'
+import { assertSupportedModel, assertWithinLimits, recordUsage } from '../_shared/usage.ts'
+import { getEffectivePersona, isToolAllowed } from '../_shared/personas.ts'
+
+const TASKS = ['chat']
+
+// 도구 사용 시 system 프롬프트에 덧붙이는 맥락 (상대 날짜 해석, 확인 절차 안내)
+const buildToolContext = (timeZone?: string) => {
+  let zone = 'Asia/Seoul'
+  try {
+    if (timeZone) {
+      new Intl.DateTimeFormat('ko-KR', { timeZone })
+      zone = timeZone
+    }
+  } catch {
+    // 잘못된 시간대면 기본값 사용
+  }
+
+  const now = new Intl.DateTimeFormat('ko-KR', {
+    timeZone: zone,
+    dateStyle: 'full',
+    timeStyle: 'short'
+  }).format(new Date())
+
+  return [
+    `현재 시각: ${now} (${zone})`,
+    '날짜/시각 인자는 이 시간대 기준으로 계산해서 시간대를 포함한 ISO 8601 형식으로 전달하세요.',
+    '태스크/회의 생성 도구는 사용자 확인 후에 실행됩니다. 도구 호출 결과를 근거로 답하고, 아직 생성되지 않았다면 생성되었다고 말하지 마세요.'
+  ].join('\n')
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return errorResponse(new HttpError(405, 'POST 요청만 지원합니다.'))
+  }
+
+  try {
+    const body = await req.json().catch(() => {
+      throw new HttpError(400, '요청 본문이 올바른 JSON이 아닙니다.')
+    })
+
+    const {
+      workspaceId,
+      task = 'chat',
+      chatRoomId,
+      provider,
+      model,
+      messages,
+      system,
+      maxTokens,
+      temperature,
+      timeZone,
+      stream = false
+    } = body
+
+    const { user, userClient, adminClient } = await authenticateRequest(req, workspaceId)
+
+    if (!TASKS.includes(task)) {
+      throw new HttpError(400, `지원하지 않는 task입니다: ${task}`)
+    }
+
+    if (!model || typeof model !== 'string') {
+      throw new HttpError(400, 'model이 필요합니다.')
+    }
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new HttpError(400, 'messages가 비어 있습니다.')
+    }
+
+    const adapter = getProviderAdapter(provider, model)
+    assertSupportedModel(resolveProviderId(provider, model), model)
+    await assertWithinLimits(adminClient, workspaceId, user.id)
+    // 채팅 AI는 채팅방(또는 워크스페이스 기본) 페르소나 적용
+    const persona = task === 'chat'
+      ? await getEffectivePersona(adminClient, workspaceId, chatRoomId)
+      : null
+
+    const tools = TOOL_DEFINITIONS.filter((tool) => isToolAllowed(persona, tool.name))
+    const webSearch = isToolAllowed(persona, 'web_search')
+    const fileSearch = isToolAllowed(persona, 'file_search')
+    const enableTools = task === 'chat' && (webSearch || fileSearch || tools.length > 0)
+    const actions: PendingAction[] = []
+
+    const params: GenerateParams = {
+      model,
+      messages,
+      system: [
+        persona?.systemPrompt,
+        system,
+        enableTools ? buildToolContext(timeZone) : null
+      ].filter(Boolean).join('\n\n') || undefined,
+      maxTokens,
+      // 페르소나 설정이 우선 (클라이언트 값은 페르소나에 temperature가 없을 때만)
+      temperature: persona?.temperature ?? temperature ?? undefined,
+      enableTools,
+      webSearch,
+      // 파일 검색은 호출한 워크스페이스의 vector store만 대상으로 함
+      vectorStoreId: enableTools && fileSearch
+        ? await getWorkspaceVectorStoreId(adminClient, workspaceId)
+        : null,
+      tools: enableTools ? tools : undefined,
+      executeTool: enableTools
+        ? createToolExecutor({ userClient, workspaceId, user }, (action) => actions.push(action))
+        : undefined
+    }
+
+    console.log('🤖 ai-proxy 요청:', { task, provider, model, messageCount: messages.length, stream })
+
+    const logUsage = (usage: { inputTokens: number; outputTokens: number }) =>
+      recordUsage(adminClient, {
+        workspaceId,
+        userId: user.id,
+        task,
+        provider: resolveProviderId(provider, model),
+        model,
+        ...usage
+      })
+
+    if (!stream) {
+      const result = await adapter.generate(params)
+      await logUsage(result.usage)
+      const citations = await resolveFileCitations(adminClient, workspaceId, result.citations)
+      return jsonResponse({ ...result, citations, actions })
+    }
+
+    return sseResponse(async (send, signal) => {
+      // 중지/실패한 응답도 그때까지 사용한 토큰은 기록 (한도 계산에 포함)
+      let usedTokens = { inputTokens: 0, outputTokens: 0 }
+      let usageLogged = false
+
+      try {
+        const result = await adapter.stream(params, {
+          onDelta: (delta) => send({ type: 'delta', text: delta }),
+          onProgress: (progress) => send({ type: 'progress', ...progress }),
+          onUsage: (usage) => { usedTokens = usage },
+          signal
+        })
+
+        usageLogged = true
+        await logUsage(result.usage)
+        const citations = await resolveFileCitations(adminClient, workspaceId, result.citations)
+        send({ type: 'done', text: result.text, usage: result.usage, citations, actions })
+      } finally {
+        if (!usageLogged && (usedTokens.inputTokens > 0 || usedTokens.outputTokens > 0)) {
+          console.log('⏹ 완료되지 않은 응답 사용량 기록:', usedTokens)
+          await logUsage(usedTokens)
+        }
+      }
+    })
+  } catch (error) {
+    return errorResponse(error)
+  }
+})
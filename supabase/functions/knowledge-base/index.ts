@@ -0,0 +1,95 @@
+/**
+ * knowledge-base
+ *
+ * 워크스페이스 지식 베이스(AI 파일 검색 대상)를 관리하는 Edge Function
+ * - 워크스페이스마다 별도의 OpenAI Vector Store 사용 (최초 동기화 시 생성)
+ * - 호출자 JWT 검증 + 워크스페이스 멤버 확인 후에만 처리
+ * - add / remove 는 워크스페이스 관리자 또는 파일을 올린 사람만, sync 는 관리자만
+ * - 원본 파일은 클라이언트가 보내지 않고 Storage에서 직접 읽음 (workspace_files, chat_files)
+ *
+ * 필요한 secret:
+ *   supabase secrets set OPENAI_API_KEY=...
+ *
+ * 요청 본문:
+ *   { workspaceId, action: 'add',    sourceType: 'workspace_file' | 'chat_file', sourceId }
+ *   { workspaceId, action: 'remove', sourceType, sourceId }
+ *   { workspaceId, action: 'sync' }   // 아직 동기화되지 않은 파일 일괄 등록 (호출당 최대 10개)
+ *
+ * 응답:
+ *   - add    → { sourceType, sourceId, status: 'completed' | 'in_progress' | 'failed' | 'skipped' }
+ *   - remove → { removed: boolean }
+ *   - sync   → { results: [...], remaining: number }
+ */
+
+import { corsHeaders } from '../_shared/cors.ts'
+import { HttpError, errorResponse, jsonResponse } from '../_shared/http.ts'
+import { authenticateRequest } from '../_shared/auth.ts'
+import { getOpenAIClient } from '../_shared/providers.ts'
+import {
+  canManageSourceFile,
+  isSourceType,
+  listPendingFiles,
+  removeFile,
+  syncFile
+} from '../_shared/knowledgeBase.ts'
+
+const SYNC_BATCH_SIZE = 10
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return errorResponse(new HttpError(405, 'POST 요청만 지원합니다.'))
+  }
+
+  try {
+    const body = await req.json().catch(() => {
+      throw new HttpError(400, '요청 본문이 올바른 JSON이 아닙니다.')
+    })
+
+    const { workspaceId, action, sourceType, sourceId } = body
+
+    const { user, member, adminClient } = await authenticateRequest(req, workspaceId)
+    const isAdmin = member.role === 'admin'
+    const openai = getOpenAIClient()
+
+    if (action === 'sync') {
+      if (!isAdmin) {
+        throw new HttpError(403, '워크스페이스 관리자만 지식 베이스를 일괄 동기화할 수 있습니다.')
+      }
+
+      const pending = await listPendingFiles(adminClient, workspaceId)
+      const batch = pending.slice(0, SYNC_BATCH_SIZE)
+      const results = []
+
+      // 순차 처리 (OpenAI rate limit 보호)
+      for (const file of batch) {
+        results.push(await syncFile(adminClient, openai, workspaceId, file.sourceType, file.sourceId))
+      }
+
+      return jsonResponse({ results, remaining: pending.length - batch.length })
+    }
+
+    if (!isSourceType(sourceType) || !sourceId) {
+      throw new HttpError(400, 'sourceType(workspace_file | chat_file)과 sourceId가 필요합니다.')
+    }
+
+    if (!isAdmin && !(await canManageSourceFile(adminClient, sourceType, sourceId, user.id))) {
+      throw new HttpError(403, '워크스페이스 관리자나 파일을 올린 사람만 지식 베이스 파일을 관리할 수 있습니다.')
+    }
+
+    if (action === 'add') {
+      return jsonResponse(await syncFile(adminClient, openai, workspaceId, sourceType, sourceId))
+    }
+
+    if (action === 'remove') {
+      return jsonResponse(await removeFile(adminClient, openai, workspaceId, sourceType, sourceId))
+    }
+
+    throw new HttpError(400, `지원하지 않는 action입니다: ${action}`)
+  } catch (error) {
+    return errorResponse(error)
+  }
+})
@@ -0,0 +1,310 @@
+/**
+ * meeting-notes-auto
+ *
+ * 종료된 회의의 회의록을 자동 생성하는 Edge Function (pg_cron에서 5분마다 호출)
+ * - 대상: 채팅방이 연결되고 자동 회의록을 켠 회의 중 종료 시간이 지난 회의 (claim_due_meeting_notes)
+ * - 회의 시작 ~ 종료 시간 동안의 채팅방 대화로 회의록 생성 → meeting_notes.meeting_id 로 회의와 연결
+ * - 생성된 회의록은 연결된 채팅방에 AI 메시지(meeting_notes)로 공유하고 회의 참석자를 @멘션
+ *   (채팅방 멤버가 아닌 참석자는 워크스페이스 기본 채팅방에서 @멘션, 요약은 제외)
+ * - 사용량은 회의를 만든 사용자 기준으로 한도 확인 / 기록
+ * - service role 키로만 호출 가능 (사용자 JWT 거부)
+ *
+ * 필요한 secret:
+ *   supabase secrets set ANTHROPIC_API_KEY=...          (또는 사용하는 provider의 키)
+ *   supabase secrets set AI_ASSISTANT_AUTH_ID=...       (AI 메시지 발신자, VITE_AI_ASSISTANT_AUTH_ID 와 동일)
+ *   supabase secrets set MEETING_NOTES_MODEL=...        (선택, 기본 claude-sonnet-4-5-20250929 / 서버 모델 레지스트리에 등록된 모델)
+ *
+ * 요청 본문:
+ *   {}
+ *
+ * 응답:
+ *   { results: [{ meetingId, status: 'completed' | 'skipped' | 'failed', meetingNoteId?, error? }] }
+ */
+
+import type { SupabaseClient } from 'npm:@supabase/supabase-js@2'
+import { corsHeaders } from '../_shared/cors.ts'
+import { HttpError, errorResponse, jsonResponse } from '../_shared/http.ts'
+import { createAdminClient } from '../_shared/auth.ts'
+import { getProviderAdapter, resolveProviderId } from '../_shared/providers.ts'
+import { assertSupportedModel, assertWithinLimits, recordUsage } from '../_shared/usage.ts'
+import { DEFAULT_MEETING_NOTES_MODEL, fetchMeetingMessages, generateMeetingNotes } from '../_shared/meetingNotes.ts'
+
+// 호출당 처리할 회의 수 (순차 처리 - rate limit 보호)
+const CLAIM_BATCH_SIZE = 5
+
+// 클라이언트 기본 템플릿과 같은 값 (meetingNoteTemplates.js)
+const DEFAULT_TEMPLATE = { id: 'builtin:default', name: '기본 회의록', builtin: true }
+
+interface Meeting {
+  id: string
+  workspace_id: string
+  chat_room_id: string
+  title: string
+  start_time: string
+  end_time: string
+  created_by: string
+}
+
+const updateMeetingStatus = async (
+  adminClient: SupabaseClient,
+  meetingId: string,
+  status: 'completed' | 'skipped' | 'failed',
+  error: string | null = null
+) => {
+  const { error: updateError } = await adminClient
+    .from('meetings')
+    .update({ notes_status: status, notes_error: error })
+    .eq('id', meetingId)
+
+  if (updateError) {
+    console.error('❌ 회의 상태 업데이트 실패:', meetingId, updateError.message)
+  }
+}
+
+interface Mention {
+  user_id: string
+  name: string
+}
+
+/**
+ * 회의록 공유 메시지 전송 (AI 메시지, 실패해도 회의록 생성은 완료로 처리)
+ */
+const postMeetingNotesMessage = async (
+  adminClient: SupabaseClient,
+  meeting: Meeting,
+  chatRoomId: string,
+  card: Record<string, unknown>,
+  mentions: Mention[]
+) => {
+  const { error } = await adminClient
+    .from('chat_messages')
+    .insert({
+      workspace_id: meeting.workspace_id,
+      chat_room_id: chatRoomId,
+      sender_id: Deno.env.get('AI_ASSISTANT_AUTH_ID'),
+      sender_name: 'AXTI',
+      content: JSON.stringify(card),
+      message_type: 'meeting_notes',
+      has_files: false,
+      mentions
+    })
+
+  if (error) {
+    console.error('❌ 회의록 공유 메시지 전송 실패:', chatRoomId, error.message)
+  }
+}
+
+/**
+ * 회의 참석자에게 회의록 공유 (@멘션 → 채팅방 목록의 안 읽은 멘션으로 표시)
+ * - 연결된 채팅방: 회의록 카드 + 채팅방 멤버인 참석자 @멘션
+ * - 채팅방 멤버가 아닌 참석자: 워크스페이스 기본 채팅방(모든 멤버 참여)에서 @멘션
+ *   기본 채팅방은 회의 채팅방 밖의 멤버도 보므로 요약은 빼고 제목/시간만 공유
+ */
+const shareMeetingNotes = async (adminClient: SupabaseClient, meeting: Meeting, card: Record<string, unknown>) => {
+  const { data: participants, error: participantsError } = await adminClient
+    .from('meeting_participants')
+    .select('user_id')
+    .eq('meeting_id', meeting.id)
+
+  if (participantsError) {
+    console.error('❌ 회의 참석자 조회 실패:', participantsError.message)
+  }
+
+  const participantIds: string[] = [...new Set((participants || []).map((participant) => participant.user_id as string))]
+
+  if (participantIds.length === 0) {
+    await postMeetingNotesMessage(adminClient, meeting, meeting.chat_room_id, card, [])
+    return
+  }
+
+  const [{ data: users }, { data: roomMembers, error: membersError }] = await Promise.all([
+    adminClient
+      .from('users')
+      .select('user_id, user_name, email')
+      .in('user_id', participantIds),
+    adminClient
+      .from('chat_room_members')
+      .select('user_id')
+      .eq('chat_room_id', meeting.chat_room_id)
+      .in('user_id', participantIds)
+  ])
+
+  if (membersError) {
+    console.error('❌ 채팅방 멤버 조회 실패:', membersError.message)
+  }
+
+  const toMention = (userId: string): Mention => {
+    const user = users?.find((item) => item.user_id === userId)
+    return { user_id: userId, name: user?.user_name || user?.email || '참석자' }
+  }
+
+  const memberIds = new Set((roomMembers || []).map((member) => member.user_id))
+  const inRoom = participantIds.filter((id) => memberIds.has(id))
+  const outside = membersError ? [] : participantIds.filter((id) => !memberIds.has(id))
+
+  await postMeetingNotesMessage(adminClient, meeting, meeting.chat_room_id, card, inRoom.map(toMention))
+
+  if (outside.length === 0) return
+
+  const { data: defaultRoom, error: defaultRoomError } = await adminClient
+    .from('chat_rooms')
+    .select('id')
+    .eq('workspace_id', meeting.workspace_id)
+    .eq('is_default', true)
+    .maybeSingle()
+
+  if (defaultRoomError || !defaultRoom || defaultRoom.id === meeting.chat_room_id) {
+    console.error('❌ 채팅방 밖의 참석자에게 회의록을 공유하지 못했습니다:', meeting.id, outside)
+    return
+  }
+
+  await postMeetingNotesMessage(adminClient, meeting, defaultRoom.id, { ...card, summary: null }, outside.map(toMention))
+}
+
+/**
+ * 회의 하나의 회의록 생성 → 저장 → 참석자에게 공유
+ */
+const processMeeting = async (adminClient: SupabaseClient, meeting: Meeting) => {
+  const { data: room, error: roomError } = await adminClient
+    .from('chat_rooms')
+    .select('name')
+    .eq('id', meeting.chat_room_id)
+    .single()
+
+  if (roomError) {
+    throw new Error(`채팅방 조회 실패: ${roomError.message}`)
+  }
+
+  const messages = await fetchMeetingMessages(adminClient, meeting.chat_room_id, meeting.start_time, meeting.end_time)
+
+  // 회의 시간 동안 대화가 없으면 생성하지 않음
+  if (messages.length === 0) {
+    return { status: 'skipped' as const }
+  }
+
+  const model = DEFAULT_MEETING_NOTES_MODEL
+  const provider = resolveProviderId(undefined, model)
+  assertSupportedModel(provider, model)
+  await assertWithinLimits(adminClient, meeting.workspace_id, meeting.created_by)
+
+  const metadata = {
+    chatRoomName: room.name,
+    startTime: meeting.start_time,
+    endTime: meeting.end_time
+  }
+
+  const logUsage = (usage: { inputTokens: number; outputTokens: number }) =>
+    recordUsage(adminClient, {
+      workspaceId: meeting.workspace_id,
+      userId: meeting.created_by,
+      task: 'meeting_notes',
+      provider,
+      model,
+      ...usage
+    })
+
+  // 생성에 실패해도 그때까지 사용한 토큰은 기록 (한도 계산에 포함)
+  let usedTokens = { inputTokens: 0, outputTokens: 0 }
+  let notes
+
+  try {
+    notes = await generateMeetingNotes(getProviderAdapter(provider, model), model, messages, metadata, {
+      onUsage: (usage) => { usedTokens = usage }
+    })
+  } catch (error) {
+    if (usedTokens.inputTokens > 0 || usedTokens.outputTokens > 0) {
+      await logUsage(usedTokens)
+    }
+    throw error
+  }
+
+  await logUsage(notes.usage)
+
+  // 첫 버전(generated)은 meeting_notes INSERT 트리거가 기록
+  const { data: note, error: insertError } = await adminClient
+    .from('meeting_notes')
+    .insert({
+      workspace_id: meeting.workspace_id,
+      chat_room_id: meeting.chat_room_id,
+      meeting_id: meeting.id,
+      title: `${meeting.title} 회의록`,
+      content: notes.content,
+      start_time: meeting.start_time,
+      end_time: meeting.end_time,
+      message_count: messages.length,
+      created_by: meeting.created_by,
+      metadata: {
+        ...metadata,
+        source: 'auto',
+        template: DEFAULT_TEMPLATE,
+        messageCount: messages.length,
+        chunkCount: notes.chunkCount,
+        structured: notes.structured
+      }
+    })
+    .select()
+    .single()
+
+  if (insertError) {
+    throw new Error(`회의록 저장 실패: ${insertError.message}`)
+  }
+
+  await shareMeetingNotes(adminClient, meeting, {
+    type: 'meeting_notes',
+    meeting_note_id: note.id,
+    meeting_id: meeting.id,
+    title: note.title,
+    summary: notes.structured.summary,
+    action_item_count: notes.structured.actionItems.length,
+    start_time: meeting.start_time,
+    end_time: meeting.end_time
+  })
+
+  return { status: 'completed' as const, meetingNoteId: note.id }
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return errorResponse(new HttpError(405, 'POST 요청만 지원합니다.'))
+  }
+
+  try {
+    // 스케줄러(service role)만 호출 가능
+    if (req.headers.get('Authorization') !== `Bearer ${Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')}`) {
+      throw new HttpError(403, '스케줄러에서만 호출할 수 있습니다.')
+    }
+
+    const adminClient = createAdminClient()
+
+    const { data: meetings, error: claimError } = await adminClient
+      .rpc('claim_due_meeting_notes', { p_limit: CLAIM_BATCH_SIZE })
+
+    if (claimError) {
+      throw new HttpError(500, `회의 조회 실패: ${claimError.message}`)
+    }
+
+    const results = []
+
+    for (const meeting of (meetings || []) as Meeting[]) {
+      try {
+        const result = await processMeeting(adminClient, meeting)
+        await updateMeetingStatus(adminClient, meeting.id, result.status)
+        results.push({ meetingId: meeting.id, ...result })
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error)
+        console.error('❌ 자동 회의록 생성 실패:', meeting.id, message)
+
+        await updateMeetingStatus(adminClient, meeting.id, 'failed', message)
+        results.push({ meetingId: meeting.id, status: 'failed', error: message })
+      }
+    }
+
+    return jsonResponse({ results })
+  } catch (error) {
+    return errorResponse(error)
+  }
+})
@@ -0,0 +1,174 @@
+/**
+ * meeting-notes
+ *
+ * 선택한 시간 범위의 채팅방 대화로 회의록을 생성하는 Edge Function
+ * - 자동 회의록(meeting-notes-auto)과 같은 서버 생성기(_shared/meetingNotes.ts) 사용
+ * - 대화는 호출자 권한으로 조회 (채팅방 멤버만 생성 가능)
+ * - 사용량은 호출자 기준으로 한도 확인 / 기록 (task: 'meeting_notes')
+ *   (스트리밍이 중지/실패해도 그때까지의 사용량을 기록)
+ * - 생성 결과만 반환하고 저장은 클라이언트가 처리 (검토 후 저장)
+ *
+ * 요청 본문:
+ *   {
+ *     workspaceId: string,
+ *     chatRoomId: string,
+ *     startTime: string,                // ISO 8601
+ *     endTime: string,
+ *     template?: { name, sections, tone, language, instructions },   // 없으면 기본 구성
+ *     provider?: string,
+ *     model?: string,                   // 없으면 MEETING_NOTES_MODEL 또는 기본 모델
+ *     timeZone?: string,                // 회의록 시각 표시용 사용자 시간대
+ *     stream?: boolean
+ *   }
+ *
+ * 응답:
+ *   - stream: false → { content, structured, chunkCount, messageCount, usage }
+ *   - stream: true  → data: { type: 'progress', stage: 'map' | 'merge' | 'reduce', current, total }
+ *                     data: { type: 'delta', text }   (최종 회의록 JSON 원문)
+ *                     data: { type: 'done', content, structured, chunkCount, messageCount, usage }
+ *                     오류 시 data: { type: 'error', message, status }
+ */
+
+import { corsHeaders } from '../_shared/cors.ts'
+import { HttpError, errorResponse, jsonResponse, sseResponse } from '../_shared/http.ts'
+import { authenticateRequest } from '../_shared/auth.ts'
+import { getProviderAdapter, resolveProviderId } from '../_shared/providers.ts'
+import { assertSupportedModel, assertWithinLimits, recordUsage } from '../_shared/usage.ts'
+import {
+  DEFAULT_MEETING_NOTES_MODEL,
+  fetchMeetingMessages,
+  generateMeetingNotes,
+  normalizeTemplate
+} from '../_shared/meetingNotes.ts'
+
+const isValidTime = (value: unknown): value is string =>
+  typeof value === 'string' && !Number.isNaN(Date.parse(value))
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return errorResponse(new HttpError(405, 'POST 요청만 지원합니다.'))
+  }
+
+  try {
+    const body = await req.json().catch(() => {
+      throw new HttpError(400, '요청 본문이 올바른 JSON이 아닙니다.')
+    })
+
+    const {
+      workspaceId,
+      chatRoomId,
+      startTime,
+      endTime,
+      template,
+      provider,
+      model = DEFAULT_MEETING_NOTES_MODEL,
+      timeZone,
+      stream = false
+    } = body
+
+    const { user, userClient, adminClient } = await authenticateRequest(req, workspaceId)
+
+    if (!chatRoomId || typeof chatRoomId !== 'string') {
+      throw new HttpError(400, 'chatRoomId가 필요합니다.')
+    }
+
+    if (!isValidTime(startTime) || !isValidTime(endTime) || Date.parse(startTime) > Date.parse(endTime)) {
+      throw new HttpError(400, '시작 시간과 종료 시간이 올바르지 않습니다.')
+    }
+
+    if (typeof model !== 'string') {
+      throw new HttpError(400, 'model이 올바르지 않습니다.')
+    }
+
+    const { data: room, error: roomError } = await userClient
+      .from('chat_rooms')
+      .select('name')
+      .eq('id', chatRoomId)
+      .eq('workspace_id', workspaceId)
+      .maybeSingle()
+
+    if (roomError) {
+      throw new HttpError(500, `채팅방 조회 실패: ${roomError.message}`)
+    }
+
+    if (!room) {
+      throw new HttpError(404, '채팅방을 찾을 수 없습니다.')
+    }
+
+    const messages = await fetchMeetingMessages(userClient, chatRoomId, startTime, endTime)
+
+    if (messages.length === 0) {
+      throw new HttpError(400, '분석할 메시지가 없습니다.')
+    }
+
+    const providerId = resolveProviderId(provider, model)
+    const adapter = getProviderAdapter(providerId, model)
+    assertSupportedModel(providerId, model)
+    await assertWithinLimits(adminClient, workspaceId, user.id)
+
+    const metadata = { chatRoomName: room.name, startTime, endTime, timeZone }
+    const normalizedTemplate = normalizeTemplate(template)
+
+    console.log('📝 meeting-notes 요청:', { chatRoomId, model, messageCount: messages.length, stream })
+
+    const logUsage = (usage: { inputTokens: number; outputTokens: number }) =>
+      recordUsage(adminClient, {
+        workspaceId,
+        userId: user.id,
+        task: 'meeting_notes',
+        provider: providerId,
+        model,
+        ...usage
+      })
+
+    if (!stream) {
+      let usedTokens = { inputTokens: 0, outputTokens: 0 }
+
+      try {
+        const notes = await generateMeetingNotes(adapter, model, messages, metadata, {
+          template: normalizedTemplate,
+          onUsage: (usage) => { usedTokens = usage }
+        })
+
+        await logUsage(notes.usage)
+        return jsonResponse({ ...notes, messageCount: messages.length })
+      } catch (error) {
+        if (usedTokens.inputTokens > 0 || usedTokens.outputTokens > 0) {
+          await logUsage(usedTokens)
+        }
+        throw error
+      }
+    }
+
+    return sseResponse(async (send, signal) => {
+      // 중지/실패한 생성도 그때까지 사용한 토큰은 기록 (한도 계산에 포함)
+      let usedTokens = { inputTokens: 0, outputTokens: 0 }
+      let usageLogged = false
+
+      try {
+        const notes = await generateMeetingNotes(adapter, model, messages, metadata, {
+          template: normalizedTemplate,
+          onProgress: (progress) => send({ type: 'progress', ...progress }),
+          onDelta: (delta) => send({ type: 'delta', text: delta }),
+          onUsage: (usage) => { usedTokens = usage },
+          signal
+        })
+
+        usageLogged = true
+        await logUsage(notes.usage)
+        send({ type: 'done', ...notes, messageCount: messages.length })
+      } finally {
+        if (!usageLogged && (usedTokens.inputTokens > 0 || usedTokens.outputTokens > 0)) {
+          console.log('⏹ 완료되지 않은 회의록 사용량 기록:', usedTokens)
+          await logUsage(usedTokens)
+        }
+      }
+    })
+  } catch (error) {
+    return errorResponse(error)
+  }
+})
@@ -0,0 +1,89 @@
+-- 워크스페이스별 지식 베이스(OpenAI Vector Store) 마이그레이션
+-- 작성일: 2026-10-19
+-- 워크스페이스마다 별도의 vector store를 두어 AI 파일 검색 범위를 해당 워크스페이스로 제한합니다.
+-- 두 테이블 모두 knowledge-base Edge Function(service role)만 기록합니다.
+
+-- workspace_vector_stores 테이블 생성 (워크스페이스당 1개, 최초 파일 동기화 시 생성)
+CREATE TABLE IF NOT EXISTS public.workspace_vector_stores (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL UNIQUE REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  vector_store_id TEXT NOT NULL,  -- OpenAI vector store ID (vs_...)
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- knowledge_base_files 테이블 생성 (원본 파일 ↔ vector store 파일 매핑)
+CREATE TABLE IF NOT EXISTS public.knowledge_base_files (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('workspace_file', 'chat_file')),
+  source_id UUID NOT NULL,  -- workspace_files.id 또는 chat_files.id
+  file_name VARCHAR(255) NOT NULL,
+  openai_file_id TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'in_progress', 'completed', 'failed', 'skipped')),
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (source_type, source_id)
+);
+
+-- 인덱스 생성
+CREATE INDEX IF NOT EXISTS idx_knowledge_base_files_workspace
+  ON public.knowledge_base_files(workspace_id);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_base_files_status
+  ON public.knowledge_base_files(workspace_id, status);
+
+-- updated_at 자동 업데이트 트리거
+CREATE OR REPLACE FUNCTION public.update_knowledge_base_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_workspace_vector_stores_updated_at
+  BEFORE UPDATE ON public.workspace_vector_stores
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_knowledge_base_updated_at();
+
+CREATE TRIGGER trigger_knowledge_base_files_updated_at
+  BEFORE UPDATE ON public.knowledge_base_files
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_knowledge_base_updated_at();
+
+-- RLS (Row Level Security) 정책 활성화
+ALTER TABLE public.workspace_vector_stores ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.knowledge_base_files ENABLE ROW LEVEL SECURITY;
+
+-- RLS 정책: 워크스페이스 멤버는 자신이 속한 워크스페이스의 지식 베이스 정보를 볼 수 있음
+-- (INSERT/UPDATE/DELETE 정책 없음 → service role만 기록 가능)
+CREATE POLICY "Users can view vector stores in their workspaces"
+  ON public.workspace_vector_stores
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id
+      FROM public.workspace_members
+      WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can view knowledge base files in their workspaces"
+  ON public.knowledge_base_files
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id
+      FROM public.workspace_members
+      WHERE user_id = auth.uid()
+    )
+  );
+
+-- 코멘트 추가 (문서화)
+COMMENT ON TABLE public.workspace_vector_stores IS '워크스페이스별 OpenAI Vector Store (AI 파일 검색 범위)';
+COMMENT ON TABLE public.knowledge_base_files IS '워크스페이스 지식 베이스에 동기화된 파일 (workspace_files, chat_files)';
+COMMENT ON COLUMN public.knowledge_base_files.source_type IS '원본 테이블 (workspace_file | chat_file)';
+COMMENT ON COLUMN public.knowledge_base_files.status IS '동기화 상태 (skipped: 파일 검색 미지원 형식)';
@@ -0,0 +1,148 @@
+-- AI 사용량 / 비용 기록 및 월간 한도 마이그레이션
+-- 작성일: 2026-10-19
+-- ai-proxy Edge Function이 모든 AI 호출(채팅 AI, 회의록 생성)의 토큰 사용량과 예상 비용을 기록하고,
+-- 워크스페이스 관리자가 설정한 월간 한도를 넘으면 추가 호출을 차단합니다.
+
+-- ai_usage_logs 테이블 생성 (호출 1건당 1행, ai-proxy(service role)만 기록)
+CREATE TABLE IF NOT EXISTS public.ai_usage_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  task VARCHAR(30) NOT NULL,           -- 'chat' | 'meeting_notes'
+  provider VARCHAR(50) NOT NULL,       -- 'openai' | 'anthropic' | 'openai-compatible'
+  model VARCHAR(100) NOT NULL,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,  -- 모델 단가 기준 예상 비용
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- workspace_ai_limits 테이블 생성 (워크스페이스당 1행, 비어 있으면 한도 없음)
+CREATE TABLE IF NOT EXISTS public.workspace_ai_limits (
+  workspace_id UUID PRIMARY KEY REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  monthly_token_limit BIGINT CHECK (monthly_token_limit > 0),
+  monthly_cost_limit_usd NUMERIC(12, 2) CHECK (monthly_cost_limit_usd > 0),
+  user_monthly_cost_limit_usd NUMERIC(12, 2) CHECK (user_monthly_cost_limit_usd > 0),
+  updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 인덱스 생성
+CREATE INDEX IF NOT EXISTS idx_ai_usage_logs_workspace_created
+  ON public.ai_usage_logs(workspace_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_logs_workspace_user_created
+  ON public.ai_usage_logs(workspace_id, user_id, created_at DESC);
+
+-- updated_at 자동 업데이트 트리거
+CREATE OR REPLACE FUNCTION public.update_workspace_ai_limits_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_workspace_ai_limits_updated_at
+  BEFORE UPDATE ON public.workspace_ai_limits
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_workspace_ai_limits_updated_at();
+
+-- RLS (Row Level Security) 정책 활성화
+ALTER TABLE public.ai_usage_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.workspace_ai_limits ENABLE ROW LEVEL SECURITY;
+
+-- RLS 정책: 워크스페이스 멤버는 자신이 속한 워크스페이스의 사용량을 볼 수 있음
+-- (INSERT 정책 없음 → service role만 기록 가능)
+CREATE POLICY "Users can view AI usage in their workspaces"
+  ON public.ai_usage_logs
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id
+      FROM public.workspace_members
+      WHERE user_id = auth.uid()
+    )
+  );
+
+-- RLS 정책: 워크스페이스 멤버는 월간 한도를 볼 수 있음
+CREATE POLICY "Users can view AI limits in their workspaces"
+  ON public.workspace_ai_limits
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id
+      FROM public.workspace_members
+      WHERE user_id = auth.uid()
+    )
+  );
+
+-- RLS 정책: 워크스페이스 관리자만 월간 한도를 설정/변경할 수 있음
+CREATE POLICY "Workspace admins can insert AI limits"
+  ON public.workspace_ai_limits
+  FOR INSERT
+  WITH CHECK (
+    workspace_id IN (
+      SELECT workspace_id
+      FROM public.workspace_members
+      WHERE user_id = auth.uid()
+        AND role = 'admin'
+    )
+  );
+
+CREATE POLICY "Workspace admins can update AI limits"
+  ON public.workspace_ai_limits
+  FOR UPDATE
+  USING (
+    workspace_id IN (
+      SELECT workspace_id
+      FROM public.workspace_members
+      WHERE user_id = auth.uid()
+        AND role = 'admin'
+    )
+  );
+
+-- 기간별 사용량 집계 (사용자 × provider × 모델)
+-- SECURITY INVOKER → 호출자의 RLS가 그대로 적용됨
+CREATE OR REPLACE FUNCTION public.get_workspace_ai_usage(
+  p_workspace_id UUID,
+  p_from TIMESTAMP WITH TIME ZONE,
+  p_to TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+)
+RETURNS TABLE (
+  user_id UUID,
+  provider VARCHAR,
+  model VARCHAR,
+  call_count BIGINT,
+  input_tokens BIGINT,
+  output_tokens BIGINT,
+  cost_usd NUMERIC
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+  SELECT
+    l.user_id,
+    l.provider,
+    l.model,
+    COUNT(*) AS call_count,
+    COALESCE(SUM(l.input_tokens), 0) AS input_tokens,
+    COALESCE(SUM(l.output_tokens), 0) AS output_tokens,
+    COALESCE(SUM(l.cost_usd), 0) AS cost_usd
+  FROM public.ai_usage_logs l
+  WHERE l.workspace_id = p_workspace_id
+    AND l.created_at >= p_from
+    AND l.created_at < p_to
+  GROUP BY l.user_id, l.provider, l.model
+  ORDER BY cost_usd DESC;
+$$;
+
+-- 코멘트 추가 (문서화)
+COMMENT ON TABLE public.ai_usage_logs IS 'AI 호출별 토큰 사용량과 예상 비용 (ai-proxy가 기록)';
+COMMENT ON COLUMN public.ai_usage_logs.task IS '호출 용도 (chat | meeting_notes)';
+COMMENT ON COLUMN public.ai_usage_logs.cost_usd IS '모델 단가 기준 예상 비용 (USD, 자체 호스팅 모델은 0)';
+COMMENT ON TABLE public.workspace_ai_limits IS '워크스페이스 AI 월간 사용 한도 (NULL이면 제한 없음)';
+COMMENT ON COLUMN public.workspace_ai_limits.user_monthly_cost_limit_usd IS '멤버 1인당 월간 비용 한도 (USD)';
+COMMENT ON FUNCTION public.get_workspace_ai_usage IS '기간별 AI 사용량 집계 (사용자 × provider × 모델)';
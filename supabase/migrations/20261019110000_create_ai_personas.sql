@@ -0,0 +1,106 @@
+-- 채팅방 AI 페르소나 마이그레이션
+-- 작성일: 2026-10-19
+-- 채팅방별(및 워크스페이스 기본) AI 페르소나: system 프롬프트, 기본 모델, temperature, 허용 도구
+-- 채팅방 페르소나의 비어 있는(NULL) 항목은 워크스페이스 기본 페르소나 값을 따릅니다.
+-- ai-proxy Edge Function이 요청의 chatRoomId로 페르소나를 조회해 모든 provider에 적용합니다.
+
+-- ai_personas 테이블 생성
+CREATE TABLE IF NOT EXISTS public.ai_personas (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  chat_room_id UUID REFERENCES public.chat_rooms(id) ON DELETE CASCADE,  -- NULL이면 워크스페이스 기본
+  system_prompt TEXT,
+  default_model VARCHAR(100),
+  temperature NUMERIC(3, 2) CHECK (temperature >= 0 AND temperature <= 2),
+  allowed_tools TEXT[],  -- NULL이면 모든 도구 허용 (채팅방은 워크스페이스 기본값 상속)
+  updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 채팅방당 1개, 워크스페이스 기본 1개
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_personas_chat_room
+  ON public.ai_personas(chat_room_id)
+  WHERE chat_room_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_personas_workspace_default
+  ON public.ai_personas(workspace_id)
+  WHERE chat_room_id IS NULL;
+
+-- updated_at 자동 업데이트 트리거
+CREATE OR REPLACE FUNCTION public.update_ai_personas_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_ai_personas_updated_at
+  BEFORE UPDATE ON public.ai_personas
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_ai_personas_updated_at();
+
+-- RLS (Row Level Security) 정책 활성화
+ALTER TABLE public.ai_personas ENABLE ROW LEVEL SECURITY;
+
+-- RLS 정책: 워크스페이스 멤버는 페르소나를 볼 수 있음
+CREATE POLICY "Users can view AI personas in their workspaces"
+  ON public.ai_personas
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id
+      FROM public.workspace_members
+      WHERE user_id = auth.uid()
+    )
+  );
+
+-- 수정 권한: 채팅방 페르소나는 채팅방 멤버, 워크스페이스 기본은 워크스페이스 관리자
+CREATE OR REPLACE FUNCTION public.can_manage_ai_persona(p_workspace_id UUID, p_chat_room_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT CASE
+    WHEN p_chat_room_id IS NULL THEN EXISTS (
+      SELECT 1
+      FROM public.workspace_members
+      WHERE workspace_id = p_workspace_id
+        AND user_id = auth.uid()
+        AND role = 'admin'
+    )
+    ELSE EXISTS (
+      SELECT 1
+      FROM public.chat_room_members m
+      JOIN public.chat_rooms r ON r.id = m.chat_room_id
+      WHERE m.chat_room_id = p_chat_room_id
+        AND m.user_id = auth.uid()
+        AND r.workspace_id = p_workspace_id
+    )
+  END;
+$$;
+
+CREATE POLICY "Users can create AI personas they manage"
+  ON public.ai_personas
+  FOR INSERT
+  WITH CHECK (public.can_manage_ai_persona(workspace_id, chat_room_id));
+
+CREATE POLICY "Users can update AI personas they manage"
+  ON public.ai_personas
+  FOR UPDATE
+  USING (public.can_manage_ai_persona(workspace_id, chat_room_id))
+  WITH CHECK (public.can_manage_ai_persona(workspace_id, chat_room_id));
+
+CREATE POLICY "Users can delete AI personas they manage"
+  ON public.ai_personas
+  FOR DELETE
+  USING (public.can_manage_ai_persona(workspace_id, chat_room_id));
+
+-- 코멘트 추가 (문서화)
+COMMENT ON TABLE public.ai_personas IS '채팅방/워크스페이스 기본 AI 페르소나 (ai-proxy가 모든 provider에 적용)';
+COMMENT ON COLUMN public.ai_personas.chat_room_id IS '대상 채팅방 (NULL이면 워크스페이스 기본 페르소나)';
+COMMENT ON COLUMN public.ai_personas.allowed_tools IS '허용 도구 이름 목록 (web_search, file_search, create_task 등, NULL이면 상속/전체 허용)';
+COMMENT ON FUNCTION public.can_manage_ai_persona IS '페르소나 수정 권한 (채팅방: 채팅방 멤버, 기본: 워크스페이스 관리자)';
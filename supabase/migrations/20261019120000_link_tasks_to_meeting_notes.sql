@@ -0,0 +1,15 @@
+-- 회의록 액션 아이템 → 태스크 연결 마이그레이션
+-- 작성일: 2026-10-19
+-- 회의록 뷰어에서 액션 아이템을 검토해 태스크로 일괄 생성할 때 원본 회의록을 기록합니다.
+-- (회의록 쪽에는 metadata.structured.actionItems[].taskId 로 생성된 태스크를 기록)
+
+ALTER TABLE public.tasks
+  ADD COLUMN IF NOT EXISTS meeting_note_id UUID REFERENCES public.meeting_notes(id) ON DELETE SET NULL;
+
+-- 인덱스 생성 (회의록별 태스크 조회)
+CREATE INDEX IF NOT EXISTS idx_tasks_meeting_note_id
+  ON public.tasks(meeting_note_id)
+  WHERE meeting_note_id IS NOT NULL;
+
+-- 코멘트 추가 (문서화)
+COMMENT ON COLUMN public.tasks.meeting_note_id IS '액션 아이템에서 생성된 경우 원본 회의록 ID';
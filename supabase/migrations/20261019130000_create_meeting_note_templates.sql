@@ -0,0 +1,101 @@
+-- 회의록 템플릿 마이그레이션
+-- 작성일: 2026-10-19
+-- 워크스페이스별 회의록 템플릿: 섹션 구성, 어조, 작성 언어, 추가 지침
+-- 기본 제공 템플릿(스탠드업, 회고 등)은 클라이언트에 정의되어 있고, 이 테이블에는 워크스페이스가 만든 템플릿만 저장합니다.
+-- 회의록 생성 시 선택한 템플릿은 meeting_notes.metadata.template 에 기록됩니다.
+
+-- meeting_note_templates 테이블 생성
+CREATE TABLE IF NOT EXISTS public.meeting_note_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  sections JSONB NOT NULL DEFAULT '[]'::jsonb,  -- [{ "title": "섹션 제목", "instruction": "작성 지침" }]
+  tone VARCHAR(100),
+  language VARCHAR(50),
+  instructions TEXT,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT meeting_note_templates_sections_is_array CHECK (jsonb_typeof(sections) = 'array')
+);
+
+-- 워크스페이스 내 템플릿 이름 중복 방지
+CREATE UNIQUE INDEX IF NOT EXISTS idx_meeting_note_templates_workspace_name
+  ON public.meeting_note_templates(workspace_id, name);
+
+-- updated_at 자동 업데이트 트리거
+CREATE OR REPLACE FUNCTION public.update_meeting_note_templates_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_meeting_note_templates_updated_at
+  BEFORE UPDATE ON public.meeting_note_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_meeting_note_templates_updated_at();
+
+-- RLS (Row Level Security) 정책 활성화
+ALTER TABLE public.meeting_note_templates ENABLE ROW LEVEL SECURITY;
+
+-- RLS 정책: 워크스페이스 멤버는 템플릿을 볼 수 있음
+CREATE POLICY "Users can view meeting note templates in their workspaces"
+  ON public.meeting_note_templates
+  FOR SELECT
+  USING (
+    workspace_id IN (
+      SELECT workspace_id
+      FROM public.workspace_members
+      WHERE user_id = auth.uid()
+    )
+  );
+
+-- RLS 정책: 워크스페이스 멤버는 템플릿을 만들 수 있음
+CREATE POLICY "Users can create meeting note templates in their workspaces"
+  ON public.meeting_note_templates
+  FOR INSERT
+  WITH CHECK (
+    created_by = auth.uid()
+    AND workspace_id IN (
+      SELECT workspace_id
+      FROM public.workspace_members
+      WHERE user_id = auth.uid()
+    )
+  );
+
+-- RLS 정책: 만든 사람 또는 워크스페이스 관리자만 수정/삭제
+CREATE POLICY "Creators and admins can update meeting note templates"
+  ON public.meeting_note_templates
+  FOR UPDATE
+  USING (
+    created_by = auth.uid()
+    OR workspace_id IN (
+      SELECT workspace_id
+      FROM public.workspace_members
+      WHERE user_id = auth.uid()
+        AND role = 'admin'
+    )
+  );
+
+CREATE POLICY "Creators and admins can delete meeting note templates"
+  ON public.meeting_note_templates
+  FOR DELETE
+  USING (
+    created_by = auth.uid()
+    OR workspace_id IN (
+      SELECT workspace_id
+      FROM public.workspace_members
+      WHERE user_id = auth.uid()
+        AND role = 'admin'
+    )
+  );
+
+-- 코멘트 추가 (문서화)
+COMMENT ON TABLE public.meeting_note_templates IS '워크스페이스 회의록 템플릿 (섹션 구성, 어조, 언어, 추가 지침)';
+COMMENT ON COLUMN public.meeting_note_templates.sections IS '회의록 섹션 목록 [{ title, instruction }] (순서대로 작성)';
+COMMENT ON COLUMN public.meeting_note_templates.tone IS '작성 어조 (예: 간결한 개조식, 격식 있는 보고서체)';
+COMMENT ON COLUMN public.meeting_note_templates.language IS '작성 언어 (예: 한국어, English)';
+COMMENT ON COLUMN public.meeting_note_templates.instructions IS 'AI에 전달할 추가 작성 지침';
@@ -0,0 +1,80 @@
+-- 회의록 버전 기록 마이그레이션
+-- 작성일: 2026-10-19
+-- 회의록을 저장/편집/다시 생성/복원할 때마다 그 시점의 제목·내용·메타데이터를 버전으로 남깁니다.
+-- 버전은 수정하거나 삭제할 수 없고, 회의록을 삭제하면 함께 삭제됩니다.
+
+-- meeting_note_versions 테이블 생성
+CREATE TABLE IF NOT EXISTS public.meeting_note_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  meeting_note_id UUID NOT NULL REFERENCES public.meeting_notes(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,  -- 회의록별 1부터 증가 (트리거에서 설정)
+  title VARCHAR(255) NOT NULL,
+  content TEXT NOT NULL,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  change_type VARCHAR(20) NOT NULL DEFAULT 'edited'
+    CHECK (change_type IN ('generated', 'edited', 'regenerated', 'restored')),
+  restored_from INTEGER,  -- 복원한 경우 원본 버전 번호
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (meeting_note_id, version_number)
+);
+
+-- 인덱스 생성 (회의록별 최신 버전 조회)
+CREATE INDEX IF NOT EXISTS idx_meeting_note_versions_note
+  ON public.meeting_note_versions(meeting_note_id, version_number DESC);
+
+-- 버전 번호 자동 설정 트리거
+CREATE OR REPLACE FUNCTION public.set_meeting_note_version_number()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- 같은 회의록에 동시에 버전이 추가되지 않도록 회의록 행 잠금
+  PERFORM 1 FROM public.meeting_notes WHERE id = NEW.meeting_note_id FOR UPDATE;
+
+  SELECT COALESCE(MAX(version_number), 0) + 1
+    INTO NEW.version_number
+    FROM public.meeting_note_versions
+    WHERE meeting_note_id = NEW.meeting_note_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_meeting_note_versions_number
+  BEFORE INSERT ON public.meeting_note_versions
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_meeting_note_version_number();
+
+-- RLS (Row Level Security) 정책 활성화
+ALTER TABLE public.meeting_note_versions ENABLE ROW LEVEL SECURITY;
+
+-- RLS 정책: 회의록을 볼 수 있는 워크스페이스 멤버는 버전도 볼 수 있음
+CREATE POLICY "Users can view meeting note versions in their workspaces"
+  ON public.meeting_note_versions
+  FOR SELECT
+  USING (
+    meeting_note_id IN (
+      SELECT n.id
+      FROM public.meeting_notes n
+      JOIN public.workspace_members m ON m.workspace_id = n.workspace_id
+      WHERE m.user_id = auth.uid()
+    )
+  );
+
+-- RLS 정책: 회의록 작성자만 버전을 추가할 수 있음 (회의록 수정 권한과 동일)
+CREATE POLICY "Note owners can create meeting note versions"
+  ON public.meeting_note_versions
+  FOR INSERT
+  WITH CHECK (
+    created_by = auth.uid()
+    AND meeting_note_id IN (
+      SELECT id
+      FROM public.meeting_notes
+      WHERE created_by = auth.uid()
+    )
+  );
+
+-- 코멘트 추가 (문서화)
+COMMENT ON TABLE public.meeting_note_versions IS '회의록 버전 기록 (저장/편집/다시 생성/복원 시점의 스냅샷)';
+COMMENT ON COLUMN public.meeting_note_versions.version_number IS '회의록별 버전 번호 (1부터 증가, 트리거에서 설정)';
+COMMENT ON COLUMN public.meeting_note_versions.change_type IS '변경 종류 (generated: 최초 저장, edited: 직접 편집, regenerated: 다시 생성, restored: 버전 복원)';
+COMMENT ON COLUMN public.meeting_note_versions.restored_from IS '복원한 경우 원본 버전 번호';
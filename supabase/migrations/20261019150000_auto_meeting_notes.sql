@@ -0,0 +1,123 @@
+-- 회의 종료 후 회의록 자동 생성 마이그레이션
+-- 작성일: 2026-10-19
+-- 회의(meetings)를 채팅방에 연결하고, 자동 회의록을 켠 회의는 종료 시간이 지나면
+-- meeting-notes-auto Edge Function이 회의 시간 동안의 채팅방 대화로 회의록을 생성합니다.
+-- 생성된 회의록은 meeting_notes.meeting_id 로 회의와 연결되고, 연결된 채팅방에서 회의 참석자를 @멘션해 공유합니다
+-- (채팅방 멤버가 아닌 참석자는 워크스페이스 기본 채팅방에서 @멘션).
+--
+-- 스케줄 실행에 필요한 Vault secret (SQL Editor에서 한 번 등록):
+--   SELECT vault.create_secret('https://<project-ref>.supabase.co', 'project_url');
+--   SELECT vault.create_secret('<service_role_key>', 'service_role_key');
+
+-- 회의 ↔ 채팅방 연결, 자동 회의록 상태
+ALTER TABLE public.meetings
+  ADD COLUMN IF NOT EXISTS chat_room_id UUID REFERENCES public.chat_rooms(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS auto_meeting_notes BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS notes_status VARCHAR(20)
+    CHECK (notes_status IN ('pending', 'generating', 'completed', 'skipped', 'failed')),
+  ADD COLUMN IF NOT EXISTS notes_error TEXT,
+  ADD COLUMN IF NOT EXISTS notes_claimed_at TIMESTAMP WITH TIME ZONE;
+
+-- 회의록 → 원본 회의
+ALTER TABLE public.meeting_notes
+  ADD COLUMN IF NOT EXISTS meeting_id UUID REFERENCES public.meetings(id) ON DELETE SET NULL;
+
+-- 인덱스 생성 (생성 대기 회의 조회, 회의별 회의록 조회)
+CREATE INDEX IF NOT EXISTS idx_meetings_notes_pending
+  ON public.meetings(end_time)
+  WHERE notes_status IN ('pending', 'generating');
+
+CREATE INDEX IF NOT EXISTS idx_meeting_notes_meeting_id
+  ON public.meeting_notes(meeting_id)
+  WHERE meeting_id IS NOT NULL;
+
+-- 자동 회의록 상태 관리 트리거
+-- - 자동 회의록을 켜고 채팅방이 연결되면 'pending'
+-- - 채팅방이나 회의 시간이 바뀌면 다시 'pending' (생성 중인 경우 제외)
+-- - 자동 회의록을 끄거나 채팅방 연결을 해제하면 NULL
+CREATE OR REPLACE FUNCTION public.update_meeting_notes_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NOT NEW.auto_meeting_notes OR NEW.chat_room_id IS NULL THEN
+    NEW.notes_status := NULL;
+    NEW.notes_error := NULL;
+  ELSIF TG_OP = 'INSERT'
+    OR NEW.notes_status IS NULL
+    OR (
+      COALESCE(NEW.notes_status, '') <> 'generating'
+      AND (
+        NEW.chat_room_id IS DISTINCT FROM OLD.chat_room_id
+        OR NEW.start_time IS DISTINCT FROM OLD.start_time
+        OR NEW.end_time IS DISTINCT FROM OLD.end_time
+      )
+    )
+  THEN
+    NEW.notes_status := 'pending';
+    NEW.notes_error := NULL;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_meetings_notes_status
+  BEFORE INSERT OR UPDATE OF auto_meeting_notes, chat_room_id, start_time, end_time ON public.meetings
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_meeting_notes_status();
+
+-- 종료된 회의 중 회의록을 생성할 회의 가져오기 (Edge Function 전용)
+-- 동시에 실행되어도 같은 회의를 두 번 처리하지 않도록 SKIP LOCKED 사용
+-- 30분 넘게 'generating'인 회의는 실패한 실행으로 보고 다시 가져옴
+CREATE OR REPLACE FUNCTION public.claim_due_meeting_notes(p_limit INTEGER DEFAULT 5)
+RETURNS SETOF public.meetings
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE public.meetings
+  SET notes_status = 'generating',
+      notes_claimed_at = NOW()
+  WHERE id IN (
+    SELECT id
+    FROM public.meetings
+    WHERE end_time <= NOW()
+      AND (
+        notes_status = 'pending'
+        OR (notes_status = 'generating' AND notes_claimed_at < NOW() - INTERVAL '30 minutes')
+      )
+    ORDER BY end_time
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.claim_due_meeting_notes(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_due_meeting_notes(INTEGER) TO service_role;
+
+-- 5분마다 meeting-notes-auto Edge Function 호출
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+CREATE EXTENSION IF NOT EXISTS pg_net;
+
+SELECT cron.schedule(
+  'auto-meeting-notes',
+  '*/5 * * * *',
+  $$
+  SELECT net.http_post(
+    url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url') || '/functions/v1/meeting-notes-auto',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+    ),
+    body := '{}'::jsonb
+  );
+  $$
+);
+
+-- 코멘트 추가 (문서화)
+COMMENT ON COLUMN public.meetings.chat_room_id IS '회의 대화가 이루어지는 채팅방 (자동 회의록 대상)';
+COMMENT ON COLUMN public.meetings.auto_meeting_notes IS '종료 시간이 지나면 채팅방 대화로 회의록 자동 생성';
+COMMENT ON COLUMN public.meetings.notes_status IS '자동 회의록 상태 (pending, generating, completed, skipped: 대화 없음, failed)';
+COMMENT ON COLUMN public.meetings.notes_error IS '자동 회의록 생성 실패 사유';
+COMMENT ON COLUMN public.meeting_notes.meeting_id IS '회의에서 생성된 경우 원본 회의 ID';
+COMMENT ON FUNCTION public.claim_due_meeting_notes IS '종료된 자동 회의록 대상 회의를 생성 중 상태로 바꾸고 반환 (meeting-notes-auto 전용)';
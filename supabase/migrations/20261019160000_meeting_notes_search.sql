@@ -0,0 +1,168 @@
+-- 회의록 전문 검색 마이그레이션
+-- 작성일: 2026-10-19
+-- 워크스페이스 전체 회의록의 제목/내용 검색 (채팅방, 작성자, 기간, 참석자 필터)
+--
+-- 한국어 검색 방식:
+-- - PostgreSQL에는 한국어 형태소 분석 설정이 없으므로 'simple' 설정으로 공백 단위 토큰화
+-- - 검색어마다 접두사 검색(:*) → "회의" 로 "회의에서", "회의록" 등 조사/접미어가 붙은 단어도 찾음
+-- - 복합어 중간에 들어간 검색어("주간회의" 의 "회의")는 pg_trgm 부분 문자열 검색으로 보완
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- 검색용 tsvector (제목 가중치 A, 내용 가중치 B)
+ALTER TABLE public.meeting_notes
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+      setweight(to_tsvector('simple', coalesce(title, '')), 'A') ||
+      setweight(to_tsvector('simple', coalesce(content, '')), 'B')
+    ) STORED;
+
+-- 인덱스 생성 (접두사 검색, 부분 문자열 검색)
+CREATE INDEX IF NOT EXISTS idx_meeting_notes_search_vector
+  ON public.meeting_notes USING GIN (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_meeting_notes_search_trgm
+  ON public.meeting_notes USING GIN ((title || ' ' || content) gin_trgm_ops);
+
+-- 검색 결과 미리보기: Markdown 기호를 뺀 본문에서 처음 일치한 위치 주변을 잘라냄
+CREATE OR REPLACE FUNCTION public.meeting_note_snippet(
+  p_content TEXT,
+  p_terms TEXT[],
+  p_length INTEGER DEFAULT 160
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  v_text TEXT;
+  v_pos INTEGER;
+  v_start INTEGER;
+BEGIN
+  v_text := btrim(regexp_replace(
+    regexp_replace(coalesce(p_content, ''), '[#*>`|]|\[ \]|---', ' ', 'g'),
+    '\s+', ' ', 'g'
+  ));
+
+  SELECT min(strpos(lower(v_text), term)) INTO v_pos
+  FROM unnest(coalesce(p_terms, '{}'::TEXT[])) AS term
+  WHERE strpos(lower(v_text), term) > 0;
+
+  v_start := greatest(coalesce(v_pos, 1) - p_length / 4, 1);
+
+  RETURN CASE WHEN v_start > 1 THEN '…' ELSE '' END
+    || substr(v_text, v_start, p_length)
+    || CASE WHEN v_start + p_length <= length(v_text) THEN '…' ELSE '' END;
+END;
+$$;
+
+-- 회의록 검색
+-- - 검색어는 공백으로 나눈 모든 단어를 포함하는 회의록 (AND)
+-- - 검색어가 없으면 필터만 적용해 최신 회의순
+-- - 참석자: 회의 시간 동안 채팅방에 메시지를 보낸 사용자
+-- SECURITY INVOKER → 호출자의 RLS가 그대로 적용됨
+CREATE OR REPLACE FUNCTION public.search_meeting_notes(
+  p_workspace_id UUID,
+  p_query TEXT DEFAULT NULL,
+  p_chat_room_id UUID DEFAULT NULL,
+  p_created_by UUID DEFAULT NULL,
+  p_participant_id UUID DEFAULT NULL,
+  p_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  id UUID,
+  chat_room_id UUID,
+  chat_room_name TEXT,
+  meeting_id UUID,
+  title TEXT,
+  snippet TEXT,
+  start_time TIMESTAMP WITH TIME ZONE,
+  end_time TIMESTAMP WITH TIME ZONE,
+  created_by UUID,
+  created_at TIMESTAMP WITH TIME ZONE,
+  rank REAL,
+  total_count BIGINT
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_terms TEXT[];
+  v_patterns TEXT[];
+  v_tsquery TSQUERY;
+BEGIN
+  -- 검색어 → 단어 목록 (tsquery 특수문자 제거, 소문자)
+  SELECT array_agg(DISTINCT term) INTO v_terms
+  FROM (
+    SELECT lower(regexp_replace(word, '[&|!():*<>''\\]', '', 'g')) AS term
+    FROM regexp_split_to_table(coalesce(p_query, ''), '\s+') AS word
+  ) words
+  WHERE term <> '';
+
+  IF v_terms IS NOT NULL THEN
+    v_patterns := ARRAY(
+      SELECT '%' || replace(replace(replace(term, '\', '\\'), '%', '\%'), '_', '\_') || '%'
+      FROM unnest(v_terms) AS term
+    );
+    v_tsquery := to_tsquery('simple', array_to_string(
+      ARRAY(SELECT quote_literal(term) || ':*' FROM unnest(v_terms) AS term),
+      ' & '
+    ));
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    n.id,
+    n.chat_room_id,
+    r.name::TEXT,
+    n.meeting_id,
+    n.title::TEXT,
+    public.meeting_note_snippet(n.content, v_terms),
+    n.start_time,
+    n.end_time,
+    n.created_by,
+    n.created_at,
+    CASE
+      WHEN v_terms IS NULL THEN 0::REAL
+      -- 제목에 검색어가 있으면 우선
+      ELSE ts_rank(n.search_vector, v_tsquery) + CASE WHEN n.title ILIKE ANY (v_patterns) THEN 1 ELSE 0 END
+    END AS rank,
+    COUNT(*) OVER () AS total_count
+  FROM public.meeting_notes n
+  LEFT JOIN public.chat_rooms r ON r.id = n.chat_room_id
+  WHERE n.workspace_id = p_workspace_id
+    AND (p_chat_room_id IS NULL OR n.chat_room_id = p_chat_room_id)
+    AND (p_created_by IS NULL OR n.created_by = p_created_by)
+    AND (p_from IS NULL OR n.start_time >= p_from)
+    AND (p_to IS NULL OR n.start_time < p_to)
+    AND (
+      v_terms IS NULL
+      OR n.search_vector @@ v_tsquery
+      OR (n.title || ' ' || n.content) ILIKE ALL (v_patterns)
+    )
+    AND (
+      p_participant_id IS NULL
+      OR EXISTS (
+        SELECT 1
+        FROM public.chat_messages m
+        WHERE m.chat_room_id = n.chat_room_id
+          AND m.sender_id = p_participant_id
+          AND m.created_at BETWEEN n.start_time AND n.end_time
+      )
+    )
+  ORDER BY rank DESC, n.start_time DESC
+  LIMIT least(greatest(p_limit, 1), 100)
+  OFFSET greatest(p_offset, 0);
+END;
+$$;
+
+-- 코멘트 추가 (문서화)
+COMMENT ON COLUMN public.meeting_notes.search_vector IS '회의록 검색용 tsvector (simple 설정, 제목 A / 내용 B 가중치)';
+COMMENT ON FUNCTION public.meeting_note_snippet IS '검색어가 처음 나오는 위치 주변의 회의록 본문 미리보기';
+COMMENT ON FUNCTION public.search_meeting_notes IS '워크스페이스 회의록 전문 검색 (채팅방, 작성자, 참석자, 기간 필터)';
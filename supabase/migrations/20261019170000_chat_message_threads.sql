@@ -0,0 +1,111 @@
+-- 채팅 메시지 스레드(답글) 마이그레이션
+-- 작성일: 2026-10-19
+-- 메시지에 답글을 달 수 있도록 chat_messages에 부모 메시지를 추가합니다.
+-- 답글은 스레드 패널에서만 보이고, '채팅방에도 보내기'를 선택한 답글만 채팅방 목록에 함께 표시됩니다.
+-- 부모 메시지의 reply_count / last_reply_at 은 트리거로 유지합니다.
+
+-- 스레드 컬럼
+ALTER TABLE public.chat_messages
+  ADD COLUMN IF NOT EXISTS parent_message_id UUID REFERENCES public.chat_messages(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS reply_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_reply_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS also_sent_to_room BOOLEAN NOT NULL DEFAULT false;
+
+-- 인덱스 생성 (스레드 답글 조회)
+CREATE INDEX IF NOT EXISTS idx_chat_messages_parent_created
+  ON public.chat_messages(parent_message_id, created_at)
+  WHERE parent_message_id IS NOT NULL;
+
+-- 답글 유효성 검사
+-- - 부모 메시지와 같은 채팅방이어야 함
+-- - 답글에 다시 답글을 달 수 없음 (스레드는 한 단계만)
+CREATE OR REPLACE FUNCTION public.validate_chat_message_reply()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_parent public.chat_messages%ROWTYPE;
+BEGIN
+  IF NEW.parent_message_id IS NULL THEN
+    NEW.also_sent_to_room := false;
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO v_parent
+  FROM public.chat_messages
+  WHERE id = NEW.parent_message_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION '원본 메시지를 찾을 수 없습니다.';
+  END IF;
+
+  IF v_parent.chat_room_id IS DISTINCT FROM NEW.chat_room_id THEN
+    RAISE EXCEPTION '다른 채팅방의 메시지에는 답글을 달 수 없습니다.';
+  END IF;
+
+  IF v_parent.parent_message_id IS NOT NULL THEN
+    RAISE EXCEPTION '답글에는 다시 답글을 달 수 없습니다.';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_chat_messages_validate_reply
+  BEFORE INSERT ON public.chat_messages
+  FOR EACH ROW
+  EXECUTE FUNCTION public.validate_chat_message_reply();
+
+-- 부모 메시지의 답글 수 / 마지막 답글 시간 갱신
+-- 답글 작성자는 부모 메시지를 수정할 권한이 없으므로 SECURITY DEFINER로 실행
+CREATE OR REPLACE FUNCTION public.update_chat_message_reply_count()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_parent_id UUID := COALESCE(NEW.parent_message_id, OLD.parent_message_id);
+BEGIN
+  IF v_parent_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE public.chat_messages
+  SET reply_count = stats.reply_count,
+      last_reply_at = stats.last_reply_at
+  FROM (
+    SELECT COUNT(*)::INTEGER AS reply_count,
+           MAX(created_at) AS last_reply_at
+    FROM public.chat_messages
+    WHERE parent_message_id = v_parent_id
+  ) AS stats
+  WHERE id = v_parent_id;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER trigger_chat_messages_reply_count
+  AFTER INSERT OR DELETE ON public.chat_messages
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_chat_message_reply_count();
+
+-- 스레드 패널 실시간 구독 (postgres_changes)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+      AND schemaname = 'public'
+      AND tablename = 'chat_messages'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.chat_messages;
+  END IF;
+END;
+$$;
+
+-- 코멘트 추가
+COMMENT ON COLUMN public.chat_messages.parent_message_id IS '스레드 원본 메시지 ID (NULL이면 채팅방 메시지)';
+COMMENT ON COLUMN public.chat_messages.reply_count IS '스레드 답글 수 (트리거로 갱신)';
+COMMENT ON COLUMN public.chat_messages.last_reply_at IS '마지막 답글 작성 시간 (트리거로 갱신)';
+COMMENT ON COLUMN public.chat_messages.also_sent_to_room IS '답글을 채팅방 목록에도 표시할지 여부';
+COMMENT ON FUNCTION public.update_chat_message_reply_count() IS '답글 추가/삭제 시 부모 메시지의 reply_count, last_reply_at 갱신';
@@ -0,0 +1,169 @@
+-- 채팅 메시지 수정/삭제 마이그레이션
+-- 작성일: 2026-10-19
+-- 보낸 사람은 자신의 메시지를 수정하거나 삭제할 수 있고, 워크스페이스 관리자는 모든 메시지를 삭제할 수 있습니다.
+-- 수정 전 내용은 chat_message_edits에 기록되고, 삭제는 내용을 비우고 deleted_at을 남기는 소프트 삭제입니다.
+-- updated_at은 폴링 중인 클라이언트가 수정/삭제된 메시지를 다시 가져오는 기준입니다.
+
+-- 수정/삭제 컬럼
+ALTER TABLE public.chat_messages
+  ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW();
+
+-- 인덱스 생성 (채팅방별 변경된 메시지 조회)
+CREATE INDEX IF NOT EXISTS idx_chat_messages_room_updated
+  ON public.chat_messages(chat_room_id, updated_at);
+
+-- updated_at 자동 갱신 트리거
+CREATE OR REPLACE FUNCTION public.update_chat_messages_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_chat_messages_updated_at
+  BEFORE UPDATE ON public.chat_messages
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_chat_messages_updated_at();
+
+-- chat_message_edits 테이블 생성 (수정 기록)
+CREATE TABLE IF NOT EXISTS public.chat_message_edits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID NOT NULL REFERENCES public.chat_messages(id) ON DELETE CASCADE,
+  previous_content TEXT NOT NULL,  -- 수정 전 내용
+  edited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  edited_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 인덱스 생성 (메시지별 수정 기록 조회)
+CREATE INDEX IF NOT EXISTS idx_chat_message_edits_message
+  ON public.chat_message_edits(message_id, edited_at DESC);
+
+-- RLS (Row Level Security) 정책 활성화
+-- 기록은 edit_chat_message()에서만 추가 (INSERT/UPDATE/DELETE 정책 없음)
+ALTER TABLE public.chat_message_edits ENABLE ROW LEVEL SECURITY;
+
+-- RLS 정책: 메시지가 있는 워크스페이스 멤버는 수정 기록을 볼 수 있음
+CREATE POLICY "Users can view message edits in their workspaces"
+  ON public.chat_message_edits
+  FOR SELECT
+  USING (
+    message_id IN (
+      SELECT c.id
+      FROM public.chat_messages c
+      JOIN public.workspace_members m ON m.workspace_id = c.workspace_id
+      WHERE m.user_id = auth.uid()
+    )
+  );
+
+-- 메시지 수정 (보낸 사람만, 사용자 메시지만)
+-- 수정 전 내용을 기록하고 edited_at 설정
+CREATE OR REPLACE FUNCTION public.edit_chat_message(p_message_id UUID, p_content TEXT)
+RETURNS public.chat_messages
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_message public.chat_messages%ROWTYPE;
+  v_content TEXT := btrim(COALESCE(p_content, ''));
+BEGIN
+  SELECT * INTO v_message
+  FROM public.chat_messages
+  WHERE id = p_message_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION '메시지를 찾을 수 없습니다.';
+  END IF;
+
+  IF v_message.sender_id IS DISTINCT FROM auth.uid() OR v_message.message_type <> 'user' THEN
+    RAISE EXCEPTION '자신이 보낸 메시지만 수정할 수 있습니다.';
+  END IF;
+
+  IF v_message.deleted_at IS NOT NULL THEN
+    RAISE EXCEPTION '삭제된 메시지는 수정할 수 없습니다.';
+  END IF;
+
+  IF v_content = '' AND NOT v_message.has_files THEN
+    RAISE EXCEPTION '메시지 내용을 입력해주세요.';
+  END IF;
+
+  -- 내용이 같으면 기록하지 않음
+  IF v_content = v_message.content THEN
+    RETURN v_message;
+  END IF;
+
+  INSERT INTO public.chat_message_edits (message_id, previous_content, edited_by)
+  VALUES (p_message_id, v_message.content, auth.uid());
+
+  UPDATE public.chat_messages
+  SET content = v_content,
+      edited_at = NOW()
+  WHERE id = p_message_id
+  RETURNING * INTO v_message;
+
+  RETURN v_message;
+END;
+$$;
+
+-- 메시지 삭제 (보낸 사람 또는 워크스페이스 관리자)
+-- 내용과 첨부 표시를 지우고 삭제 표시만 남김 (스레드 답글은 유지)
+CREATE OR REPLACE FUNCTION public.delete_chat_message(p_message_id UUID)
+RETURNS public.chat_messages
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_message public.chat_messages%ROWTYPE;
+BEGIN
+  SELECT * INTO v_message
+  FROM public.chat_messages
+  WHERE id = p_message_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION '메시지를 찾을 수 없습니다.';
+  END IF;
+
+  IF v_message.deleted_at IS NOT NULL THEN
+    RETURN v_message;
+  END IF;
+
+  IF v_message.sender_id IS DISTINCT FROM auth.uid() AND NOT EXISTS (
+    SELECT 1
+    FROM public.workspace_members
+    WHERE workspace_id = v_message.workspace_id
+      AND user_id = auth.uid()
+      AND role = 'admin'
+  ) THEN
+    RAISE EXCEPTION '메시지를 삭제할 권한이 없습니다.';
+  END IF;
+
+  UPDATE public.chat_messages
+  SET content = '',
+      has_files = false,
+      deleted_at = NOW(),
+      deleted_by = auth.uid()
+  WHERE id = p_message_id
+  RETURNING * INTO v_message;
+
+  RETURN v_message;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.edit_chat_message(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.delete_chat_message(UUID) TO authenticated;
+
+-- 코멘트 추가 (문서화)
+COMMENT ON TABLE public.chat_message_edits IS '채팅 메시지 수정 기록 (수정 전 내용)';
+COMMENT ON COLUMN public.chat_messages.edited_at IS '마지막 수정 시간 (NULL이면 수정 안 됨)';
+COMMENT ON COLUMN public.chat_messages.deleted_at IS '삭제 시간 (소프트 삭제, 내용은 비워짐)';
+COMMENT ON COLUMN public.chat_messages.deleted_by IS '삭제한 사용자 (보낸 사람이 아니면 관리자 삭제)';
+COMMENT ON COLUMN public.chat_messages.updated_at IS '마지막 변경 시간 (클라이언트 폴링 동기화 기준)';
+COMMENT ON FUNCTION public.edit_chat_message(UUID, TEXT) IS '자신의 메시지 수정 (수정 전 내용을 chat_message_edits에 기록)';
+COMMENT ON FUNCTION public.delete_chat_message(UUID) IS '메시지 소프트 삭제 (보낸 사람 또는 워크스페이스 관리자)';
@@ -0,0 +1,116 @@
+-- 채팅 메시지 이모지 반응 마이그레이션
+-- 작성일: 2026-10-19
+-- 메시지별 이모지 반응을 chat_message_reactions에 저장합니다 (사용자당 이모지 하나씩 토글).
+-- 반응이 바뀌면 채팅방 채널(room:<chat_room_id>:messages)로 broadcast하고,
+-- 폴링 중인 클라이언트를 위해 메시지의 updated_at도 갱신합니다.
+
+-- chat_message_reactions 테이블 생성
+CREATE TABLE IF NOT EXISTS public.chat_message_reactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID NOT NULL REFERENCES public.chat_messages(id) ON DELETE CASCADE,
+  chat_room_id UUID NOT NULL REFERENCES public.chat_rooms(id) ON DELETE CASCADE,  -- 메시지의 채팅방 (트리거에서 설정)
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  user_name VARCHAR(255),  -- 반응한 사용자 표시 이름 (chat_messages.sender_name과 같은 방식)
+  emoji VARCHAR(32) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (message_id, user_id, emoji)
+);
+
+-- 인덱스 생성 (메시지별 반응 조회)
+CREATE INDEX IF NOT EXISTS idx_chat_message_reactions_message
+  ON public.chat_message_reactions(message_id, created_at);
+
+-- 채팅방 ID 자동 설정 트리거 (클라이언트가 보낸 값 무시)
+CREATE OR REPLACE FUNCTION public.set_chat_message_reaction_room()
+RETURNS TRIGGER AS $$
+BEGIN
+  SELECT chat_room_id INTO NEW.chat_room_id
+  FROM public.chat_messages
+  WHERE id = NEW.message_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_chat_message_reactions_room
+  BEFORE INSERT ON public.chat_message_reactions
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_chat_message_reaction_room();
+
+-- 반응 변경 알림
+-- - 채팅방 채널로 broadcast (useRealtimeChat의 handleChange에서 처리)
+-- - 메시지 updated_at 갱신 (폴링 클라이언트의 변경 메시지 동기화)
+-- 반응한 사용자는 다른 사람의 메시지를 수정할 권한이 없으므로 SECURITY DEFINER로 실행
+CREATE OR REPLACE FUNCTION public.notify_chat_message_reaction()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_reaction public.chat_message_reactions%ROWTYPE := COALESCE(NEW, OLD);
+BEGIN
+  UPDATE public.chat_messages
+  SET updated_at = NOW()
+  WHERE id = v_reaction.message_id;
+
+  PERFORM realtime.broadcast_changes(
+    'room:' || v_reaction.chat_room_id || ':messages',
+    TG_OP,
+    TG_OP,
+    TG_TABLE_NAME,
+    TG_TABLE_SCHEMA,
+    NEW,
+    OLD
+  );
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER trigger_chat_message_reactions_notify
+  AFTER INSERT OR DELETE ON public.chat_message_reactions
+  FOR EACH ROW
+  EXECUTE FUNCTION public.notify_chat_message_reaction();
+
+-- RLS (Row Level Security) 정책 활성화
+ALTER TABLE public.chat_message_reactions ENABLE ROW LEVEL SECURITY;
+
+-- RLS 정책: 메시지가 있는 워크스페이스 멤버는 반응을 볼 수 있음
+CREATE POLICY "Users can view reactions in their workspaces"
+  ON public.chat_message_reactions
+  FOR SELECT
+  USING (
+    message_id IN (
+      SELECT c.id
+      FROM public.chat_messages c
+      JOIN public.workspace_members m ON m.workspace_id = c.workspace_id
+      WHERE m.user_id = auth.uid()
+    )
+  );
+
+-- RLS 정책: 워크스페이스 멤버는 삭제되지 않은 메시지에 자신의 반응을 추가할 수 있음
+CREATE POLICY "Users can add their own reactions"
+  ON public.chat_message_reactions
+  FOR INSERT
+  WITH CHECK (
+    user_id = auth.uid()
+    AND message_id IN (
+      SELECT c.id
+      FROM public.chat_messages c
+      JOIN public.workspace_members m ON m.workspace_id = c.workspace_id
+      WHERE m.user_id = auth.uid()
+        AND c.deleted_at IS NULL
+    )
+  );
+
+-- RLS 정책: 자신의 반응만 취소할 수 있음
+CREATE POLICY "Users can remove their own reactions"
+  ON public.chat_message_reactions
+  FOR DELETE
+  USING (user_id = auth.uid());
+
+-- 코멘트 추가 (문서화)
+COMMENT ON TABLE public.chat_message_reactions IS '채팅 메시지 이모지 반응 (사용자·이모지별 한 행)';
+COMMENT ON COLUMN public.chat_message_reactions.chat_room_id IS '메시지의 채팅방 (broadcast 토픽, 트리거에서 설정)';
+COMMENT ON COLUMN public.chat_message_reactions.user_name IS '반응한 사용자 표시 이름';
@@ -0,0 +1,47 @@
+-- 채팅 메시지 @멘션 마이그레이션
+-- 작성일: 2026-10-19
+-- 메시지에서 @이름으로 언급한 채팅방 멤버를 chat_messages.mentions에 구조화해서 저장합니다.
+--   예: [{"user_id": "...", "name": "hong"}]
+-- 채팅방 목록에서는 읽지 않은 메시지 중 나를 언급한 메시지 수를 일반 안 읽은 메시지와 따로 표시합니다.
+
+-- 멘션 컬럼
+ALTER TABLE public.chat_messages
+  ADD COLUMN IF NOT EXISTS mentions JSONB NOT NULL DEFAULT '[]'::jsonb
+    CHECK (jsonb_typeof(mentions) = 'array');
+
+-- 인덱스 생성 (사용자별 멘션 조회: mentions @> '[{"user_id": "..."}]')
+CREATE INDEX IF NOT EXISTS idx_chat_messages_mentions
+  ON public.chat_messages USING GIN (mentions jsonb_path_ops);
+
+-- 채팅방별 읽지 않은 멘션 수 (현재 사용자 기준)
+-- - 마지막으로 읽은 시간(chat_read_status.last_read_at) 이후 나를 언급한 메시지
+-- - 내가 보낸 메시지, 삭제된 메시지 제외
+-- RLS가 적용되도록 SECURITY INVOKER로 실행
+CREATE OR REPLACE FUNCTION public.get_unread_mention_counts(p_workspace_id UUID)
+RETURNS TABLE (
+  chat_room_id UUID,
+  mention_count BIGINT
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+AS $$
+  SELECT c.chat_room_id, COUNT(*) AS mention_count
+  FROM public.chat_messages c
+  LEFT JOIN public.chat_read_status r
+    ON r.chat_room_id = c.chat_room_id
+   AND r.user_id = auth.uid()
+  WHERE c.workspace_id = p_workspace_id
+    AND c.mentions @> jsonb_build_array(jsonb_build_object('user_id', auth.uid()))
+    AND c.sender_id IS DISTINCT FROM auth.uid()
+    AND c.deleted_at IS NULL
+    AND (r.last_read_at IS NULL OR c.created_at > r.last_read_at)
+  GROUP BY c.chat_room_id;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_unread_mention_counts(UUID) TO authenticated;
+
+-- 코멘트 추가 (문서화)
+COMMENT ON COLUMN public.chat_messages.mentions IS '@멘션한 사용자 목록 [{user_id, name}]';
+COMMENT ON FUNCTION public.get_unread_mention_counts(UUID) IS '채팅방별 읽지 않은 @멘션 수 (현재 사용자 기준)';
@@ -0,0 +1,126 @@
+-- 채팅 메시지 전문 검색 마이그레이션
+-- 작성일: 2026-10-19
+-- 워크스페이스 전체 채팅방의 메시지 검색 (채팅방, 보낸 사람, 기간, 첨부 파일 필터)
+--
+-- 한국어 검색 방식은 회의록 검색(20261019160000)과 동일:
+-- - 'simple' 설정으로 공백 단위 토큰화 + 검색어마다 접두사 검색(:*)
+-- - 복합어 중간에 들어간 검색어는 pg_trgm 부분 문자열 검색으로 보완
+--
+-- chat_messages는 목록/폴링에서 select('*')로 조회하므로 tsvector 컬럼을 추가하지 않고
+-- 식 인덱스(to_tsvector('simple', content))를 사용합니다. 검색 쿼리도 같은 식을 써야 인덱스를 탑니다.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- 인덱스 생성 (접두사 검색, 부분 문자열 검색)
+CREATE INDEX IF NOT EXISTS idx_chat_messages_search_vector
+  ON public.chat_messages USING GIN (to_tsvector('simple', content));
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_search_trgm
+  ON public.chat_messages USING GIN (content gin_trgm_ops);
+
+-- 메시지 검색
+-- - 검색어는 공백으로 나눈 모든 단어를 포함하는 메시지 (AND)
+-- - 검색어가 없으면 필터만 적용해 최신순
+-- - 삭제된 메시지, 비활성 채팅방 제외 / 스레드 답글 포함 (parent_message_id로 스레드 열기)
+-- - 미리보기는 회의록 검색의 meeting_note_snippet 재사용 (AI 답변의 Markdown 기호 제거)
+-- SECURITY INVOKER → 호출자의 RLS가 그대로 적용됨 (참여 중인 채팅방 메시지만)
+CREATE OR REPLACE FUNCTION public.search_chat_messages(
+  p_workspace_id UUID,
+  p_query TEXT DEFAULT NULL,
+  p_chat_room_id UUID DEFAULT NULL,
+  p_sender_id UUID DEFAULT NULL,
+  p_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_has_files BOOLEAN DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  id UUID,
+  chat_room_id UUID,
+  chat_room_name TEXT,
+  chat_room_is_default BOOLEAN,
+  sender_id UUID,
+  sender_name TEXT,
+  message_type TEXT,
+  snippet TEXT,
+  has_files BOOLEAN,
+  parent_message_id UUID,
+  also_sent_to_room BOOLEAN,
+  created_at TIMESTAMP WITH TIME ZONE,
+  rank REAL,
+  total_count BIGINT
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_terms TEXT[];
+  v_patterns TEXT[];
+  v_tsquery TSQUERY;
+BEGIN
+  -- 검색어 → 단어 목록 (tsquery 특수문자 제거, 소문자)
+  SELECT array_agg(DISTINCT term) INTO v_terms
+  FROM (
+    SELECT lower(regexp_replace(word, '[&|!():*<>''\\]', '', 'g')) AS term
+    FROM regexp_split_to_table(coalesce(p_query, ''), '\s+') AS word
+  ) words
+  WHERE term <> '';
+
+  IF v_terms IS NOT NULL THEN
+    v_patterns := ARRAY(
+      SELECT '%' || replace(replace(replace(term, '\', '\\'), '%', '\%'), '_', '\_') || '%'
+      FROM unnest(v_terms) AS term
+    );
+    v_tsquery := to_tsquery('simple', array_to_string(
+      ARRAY(SELECT quote_literal(term) || ':*' FROM unnest(v_terms) AS term),
+      ' & '
+    ));
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    m.id,
+    m.chat_room_id,
+    r.name::TEXT,
+    r.is_default,
+    m.sender_id,
+    m.sender_name::TEXT,
+    m.message_type::TEXT,
+    public.meeting_note_snippet(m.content, v_terms, 120),
+    m.has_files,
+    m.parent_message_id,
+    m.also_sent_to_room,
+    m.created_at,
+    CASE
+      WHEN v_terms IS NULL THEN 0::REAL
+      ELSE ts_rank(to_tsvector('simple', m.content), v_tsquery)
+    END AS rank,
+    COUNT(*) OVER () AS total_count
+  FROM public.chat_messages m
+  JOIN public.chat_rooms r ON r.id = m.chat_room_id AND r.is_active = true
+  WHERE m.workspace_id = p_workspace_id
+    AND m.deleted_at IS NULL
+    AND (p_chat_room_id IS NULL OR m.chat_room_id = p_chat_room_id)
+    AND (p_sender_id IS NULL OR m.sender_id = p_sender_id)
+    AND (p_from IS NULL OR m.created_at >= p_from)
+    AND (p_to IS NULL OR m.created_at < p_to)
+    AND (p_has_files IS NULL OR m.has_files = p_has_files)
+    AND (
+      v_terms IS NULL
+      OR to_tsvector('simple', m.content) @@ v_tsquery
+      OR m.content ILIKE ALL (v_patterns)
+    )
+  ORDER BY rank DESC, m.created_at DESC
+  LIMIT least(greatest(p_limit, 1), 100)
+  OFFSET greatest(p_offset, 0);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_chat_messages(UUID, TEXT, UUID, UUID, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, BOOLEAN, INTEGER, INTEGER) TO authenticated;
+
+-- 코멘트 추가 (문서화)
+COMMENT ON FUNCTION public.search_chat_messages IS '워크스페이스 채팅 메시지 전문 검색 (채팅방, 보낸 사람, 기간, 첨부 파일 필터)';
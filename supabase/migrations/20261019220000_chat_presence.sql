@@ -0,0 +1,74 @@
+-- 접속 상태(Presence) / 입력 중 표시 마이그레이션
+-- 작성일: 2026-10-19
+-- 클라이언트는 Supabase Realtime Presence로 접속 상태와 입력 중 여부를 주고받습니다.
+--   - workspace:<workspace_id>:presence  워크스페이스 접속 상태 (online / away)
+--   - room:<chat_room_id>:presence       채팅방 입력 중 표시
+-- 채널은 private이므로 realtime.messages RLS로 워크스페이스/채팅방 멤버만 참여할 수 있게 합니다.
+-- 접속을 끊은 뒤 보여줄 "마지막 접속" 시간은 users.last_seen_at에 주기적으로 기록합니다.
+
+-- 마지막 접속 시간
+ALTER TABLE public.users
+  ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE;
+
+-- 현재 사용자의 마지막 접속 시간 갱신 (접속 중 주기적으로 호출)
+CREATE OR REPLACE FUNCTION public.touch_last_seen()
+RETURNS TIMESTAMP WITH TIME ZONE
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE public.users
+  SET last_seen_at = NOW()
+  WHERE user_id = auth.uid()
+  RETURNING last_seen_at;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.touch_last_seen() TO authenticated;
+
+-- Presence 채널 참여 권한 (토픽의 두 번째 부분이 워크스페이스/채팅방 ID)
+CREATE OR REPLACE FUNCTION public.can_join_presence_topic(p_topic TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT CASE
+    WHEN p_topic LIKE 'workspace:%:presence' THEN EXISTS (
+      SELECT 1
+      FROM public.workspace_members
+      WHERE workspace_id::TEXT = split_part(p_topic, ':', 2)
+        AND user_id = auth.uid()
+    )
+    WHEN p_topic LIKE 'room:%:presence' THEN EXISTS (
+      SELECT 1
+      FROM public.chat_room_members
+      WHERE chat_room_id::TEXT = split_part(p_topic, ':', 2)
+        AND user_id = auth.uid()
+    )
+    ELSE false
+  END;
+$$;
+
+CREATE POLICY "Members can receive presence"
+  ON realtime.messages
+  FOR SELECT
+  TO authenticated
+  USING (
+    realtime.messages.extension = 'presence'
+    AND public.can_join_presence_topic(realtime.topic())
+  );
+
+CREATE POLICY "Members can track presence"
+  ON realtime.messages
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    realtime.messages.extension = 'presence'
+    AND public.can_join_presence_topic(realtime.topic())
+  );
+
+-- 코멘트 추가 (문서화)
+COMMENT ON COLUMN public.users.last_seen_at IS '마지막 접속 시간 (접속 중 주기적으로 갱신)';
+COMMENT ON FUNCTION public.touch_last_seen() IS '현재 사용자의 마지막 접속 시간 갱신';
+COMMENT ON FUNCTION public.can_join_presence_topic(TEXT) IS 'Presence 채널(workspace:<id>:presence, room:<id>:presence) 참여 가능 여부';
@@ -0,0 +1,66 @@
+-- 메시지별 읽음 표시 마이그레이션
+-- 작성일: 2026-10-19
+-- chat_read_status.last_read_at(채팅방별 마지막으로 읽은 시간)을 그대로 사용해 메시지별 "N명 읽음"을 계산합니다.
+--   - 메시지를 읽은 사람 = 보낸 사람이 아닌 채팅방 멤버 중 last_read_at >= 메시지 created_at
+-- 읽음 위치는 채팅방을 열 때가 아니라 메시지가 화면에 보일 때 클라이언트가 올립니다.
+-- 여러 탭/기기에서 동시에 기록해도 뒤로 가지 않도록 mark_chat_read로만 갱신합니다.
+
+-- 읽음 위치 갱신 (현재 사용자, 앞으로만 이동 / 미래 시간은 현재 시간으로 제한)
+CREATE OR REPLACE FUNCTION public.mark_chat_read(
+  p_chat_room_id UUID,
+  p_read_at TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS TIMESTAMP WITH TIME ZONE
+LANGUAGE sql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+  INSERT INTO public.chat_read_status (chat_room_id, user_id, last_read_at)
+  VALUES (p_chat_room_id, auth.uid(), least(coalesce(p_read_at, NOW()), NOW()))
+  ON CONFLICT (chat_room_id, user_id) DO UPDATE
+  SET last_read_at = greatest(
+    coalesce(public.chat_read_status.last_read_at, EXCLUDED.last_read_at),
+    EXCLUDED.last_read_at
+  )
+  RETURNING last_read_at;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.mark_chat_read(UUID, TIMESTAMP WITH TIME ZONE) TO authenticated;
+
+-- 채팅방 멤버별 읽음 위치 (채팅방 멤버만 조회 가능)
+-- 다른 멤버의 chat_read_status는 RLS로 보이지 않으므로 SECURITY DEFINER로 조회합니다.
+CREATE OR REPLACE FUNCTION public.get_chat_read_receipts(p_chat_room_id UUID)
+RETURNS TABLE (
+  user_id UUID,
+  user_name TEXT,
+  last_read_at TIMESTAMP WITH TIME ZONE
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    m.user_id,
+    coalesce(u.user_name, u.email)::TEXT,
+    r.last_read_at
+  FROM public.chat_room_members m
+  JOIN public.users u ON u.user_id = m.user_id
+  LEFT JOIN public.chat_read_status r
+    ON r.chat_room_id = m.chat_room_id
+   AND r.user_id = m.user_id
+  WHERE m.chat_room_id = p_chat_room_id
+    AND EXISTS (
+      SELECT 1
+      FROM public.chat_room_members me
+      WHERE me.chat_room_id = p_chat_room_id
+        AND me.user_id = auth.uid()
+    )
+  ORDER BY r.last_read_at DESC NULLS LAST;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_chat_read_receipts(UUID) TO authenticated;
+
+-- 코멘트 추가 (문서화)
+COMMENT ON FUNCTION public.mark_chat_read(UUID, TIMESTAMP WITH TIME ZONE) IS '현재 사용자의 채팅방 읽음 위치 갱신 (앞으로만 이동)';
+COMMENT ON FUNCTION public.get_chat_read_receipts(UUID) IS '채팅방 멤버별 마지막으로 읽은 시간 (메시지별 읽음 표시용)';
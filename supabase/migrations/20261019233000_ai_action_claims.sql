@@ -0,0 +1,151 @@
+-- AI 작업 확인 처리 마이그레이션
+-- 작성일: 2026-10-19
+-- ai-actions Edge Function이 AI 메시지 metadata.actions의 작업(태스크/회의 생성)을 처리할 때 사용합니다.
+--   - claim_ai_action  : 대기(pending) 중인 작업만 처리 중/취소 상태로 바꾸고 반환 (동시에 확인해도 한 요청만 성공)
+--   - finish_ai_action : 처리 중인 작업의 결과(완료/실패) 기록
+--   - create_meeting_with_participants : 회의와 참석자를 한 트랜잭션으로 생성 (호출자 권한, RLS 적용)
+-- 작업 하나만 jsonb_set으로 바꾸므로 같은 메시지의 다른 작업 결과를 덮어쓰지 않습니다.
+
+-- metadata.actions 배열에서 작업 위치 (없으면 NULL)
+CREATE OR REPLACE FUNCTION public.ai_action_index(p_metadata JSONB, p_action_id TEXT)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public
+AS $$
+  SELECT (a.ordinality - 1)::INTEGER
+  FROM jsonb_array_elements(coalesce(p_metadata->'actions', '[]'::JSONB)) WITH ORDINALITY AS a(value, ordinality)
+  WHERE a.value->>'id' = p_action_id
+  LIMIT 1;
+$$;
+
+-- 대기 중인 작업 선점 (p_status: 'processing' = 확인 후 실행, 'cancelled' = 취소)
+-- 이미 처리 중이거나 처리된 작업이면 NULL 반환
+CREATE OR REPLACE FUNCTION public.claim_ai_action(
+  p_message_id UUID,
+  p_action_id TEXT,
+  p_status TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_metadata JSONB;
+  v_index INTEGER;
+  v_action JSONB;
+BEGIN
+  IF p_status NOT IN ('processing', 'cancelled') THEN
+    RAISE EXCEPTION '지원하지 않는 작업 상태입니다: %', p_status;
+  END IF;
+
+  -- 메시지 행을 잠가 같은 작업에 대한 동시 요청을 순서대로 처리
+  SELECT metadata INTO v_metadata
+  FROM public.chat_messages
+  WHERE id = p_message_id
+  FOR UPDATE;
+
+  v_index := public.ai_action_index(v_metadata, p_action_id);
+  IF v_index IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  v_action := v_metadata->'actions'->v_index;
+  IF v_action->>'status' IS DISTINCT FROM 'pending' THEN
+    RETURN NULL;
+  END IF;
+
+  v_action := jsonb_set(v_action, '{status}', to_jsonb(p_status));
+
+  UPDATE public.chat_messages
+  SET metadata = jsonb_set(metadata, ARRAY['actions', v_index::TEXT], v_action)
+  WHERE id = p_message_id;
+
+  RETURN v_action;
+END;
+$$;
+
+-- 처리 중인 작업의 결과 기록 (처리 중이 아니면 false)
+CREATE OR REPLACE FUNCTION public.finish_ai_action(
+  p_message_id UUID,
+  p_action_id TEXT,
+  p_action JSONB
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_metadata JSONB;
+  v_index INTEGER;
+BEGIN
+  IF p_action->>'status' NOT IN ('confirmed', 'failed') THEN
+    RAISE EXCEPTION '지원하지 않는 작업 상태입니다: %', p_action->>'status';
+  END IF;
+
+  SELECT metadata INTO v_metadata
+  FROM public.chat_messages
+  WHERE id = p_message_id
+  FOR UPDATE;
+
+  v_index := public.ai_action_index(v_metadata, p_action_id);
+  IF v_index IS NULL OR v_metadata->'actions'->v_index->>'status' IS DISTINCT FROM 'processing' THEN
+    RETURN false;
+  END IF;
+
+  UPDATE public.chat_messages
+  SET metadata = jsonb_set(metadata, ARRAY['actions', v_index::TEXT], p_action)
+  WHERE id = p_message_id;
+
+  RETURN true;
+END;
+$$;
+
+-- AI 메시지는 AI 계정으로 저장되므로 작업 상태 변경은 서버(service role)에서만
+REVOKE ALL ON FUNCTION public.claim_ai_action(UUID, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.finish_ai_action(UUID, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_ai_action(UUID, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.finish_ai_action(UUID, TEXT, JSONB) TO service_role;
+
+-- 회의 + 참석자 생성 (현재 사용자가 host, 중복 참석자 제외)
+-- SECURITY INVOKER → meetings / meeting_participants의 RLS가 호출자 권한으로 적용됨
+CREATE OR REPLACE FUNCTION public.create_meeting_with_participants(
+  p_workspace_id UUID,
+  p_title TEXT,
+  p_description TEXT,
+  p_start_time TIMESTAMP WITH TIME ZONE,
+  p_end_time TIMESTAMP WITH TIME ZONE,
+  p_location TEXT,
+  p_participant_ids UUID[] DEFAULT '{}'
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_meeting_id UUID;
+BEGIN
+  INSERT INTO public.meetings (workspace_id, title, description, start_time, end_time, location, created_by)
+  VALUES (p_workspace_id, p_title, p_description, p_start_time, p_end_time, p_location, auth.uid())
+  RETURNING id INTO v_meeting_id;
+
+  INSERT INTO public.meeting_participants (meeting_id, user_id, role)
+  SELECT v_meeting_id, auth.uid(), 'host'
+  UNION ALL
+  SELECT DISTINCT v_meeting_id, p.user_id, 'participant'
+  FROM unnest(coalesce(p_participant_ids, '{}')) AS p(user_id)
+  WHERE p.user_id IS DISTINCT FROM auth.uid();
+
+  RETURN v_meeting_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.create_meeting_with_participants(UUID, TEXT, TEXT, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, UUID[]) TO authenticated;
+
+-- 코멘트 추가 (문서화)
+COMMENT ON FUNCTION public.claim_ai_action(UUID, TEXT, TEXT) IS '대기 중인 AI 작업을 처리 중/취소 상태로 선점 (이미 처리된 작업이면 NULL)';
+COMMENT ON FUNCTION public.finish_ai_action(UUID, TEXT, JSONB) IS '처리 중인 AI 작업의 결과(완료/실패) 기록';
+COMMENT ON FUNCTION public.create_meeting_with_participants(UUID, TEXT, TEXT, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, UUID[]) IS '회의와 참석자를 한 트랜잭션으로 생성 (AI 회의 생성 확인용)';
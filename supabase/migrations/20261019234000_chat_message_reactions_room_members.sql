@@ -0,0 +1,35 @@
+-- 채팅 메시지 이모지 반응 권한을 채팅방 멤버로 제한하는 마이그레이션
+-- 작성일: 2026-10-19
+-- 반응 조회/추가 정책이 워크스페이스 멤버 기준이라 비공개 채팅방 메시지의 반응이 채팅방 밖 멤버에게도 보였습니다.
+-- chat_messages와 같이 메시지가 있는 채팅방의 멤버(chat_room_members)만 조회/추가할 수 있도록 바꿉니다.
+-- 반응 변경 broadcast(room:<chat_room_id>:messages)는 채팅방 멤버 전용 private 채널이므로 그대로 사용합니다.
+
+DROP POLICY IF EXISTS "Users can view reactions in their workspaces" ON public.chat_message_reactions;
+DROP POLICY IF EXISTS "Users can add their own reactions" ON public.chat_message_reactions;
+
+-- RLS 정책: 메시지가 있는 채팅방 멤버만 반응을 볼 수 있음
+CREATE POLICY "Users can view reactions in their chat rooms"
+  ON public.chat_message_reactions
+  FOR SELECT
+  USING (
+    chat_room_id IN (
+      SELECT m.chat_room_id
+      FROM public.chat_room_members m
+      WHERE m.user_id = auth.uid()
+    )
+  );
+
+-- RLS 정책: 채팅방 멤버는 삭제되지 않은 메시지에 자신의 반응을 추가할 수 있음
+CREATE POLICY "Users can add their own reactions"
+  ON public.chat_message_reactions
+  FOR INSERT
+  WITH CHECK (
+    user_id = auth.uid()
+    AND message_id IN (
+      SELECT c.id
+      FROM public.chat_messages c
+      JOIN public.chat_room_members m ON m.chat_room_id = c.chat_room_id
+      WHERE m.user_id = auth.uid()
+        AND c.deleted_at IS NULL
+    )
+  );
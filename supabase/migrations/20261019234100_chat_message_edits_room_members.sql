@@ -0,0 +1,82 @@
+-- 채팅 메시지 수정 기록 보호 마이그레이션
+-- 작성일: 2026-10-19
+-- 메시지를 삭제해도 수정 기록(chat_message_edits)에 이전 내용이 남고, 워크스페이스 멤버면 누구나 읽을 수 있었습니다.
+--   - 수정 기록 조회를 메시지가 있는 채팅방 멤버로 제한 (chat_messages와 같은 범위)
+--   - delete_chat_message()에서 수정 기록도 같은 트랜잭션으로 삭제
+--   - 이미 삭제된 메시지에 남아 있는 수정 기록 정리
+
+DROP POLICY IF EXISTS "Users can view message edits in their workspaces" ON public.chat_message_edits;
+
+-- RLS 정책: 메시지가 있는 채팅방 멤버만 수정 기록을 볼 수 있음 (chat_messages와 같은 범위)
+CREATE POLICY "Users can view message edits in their chat rooms"
+  ON public.chat_message_edits
+  FOR SELECT
+  USING (
+    message_id IN (
+      SELECT c.id
+      FROM public.chat_messages c
+      JOIN public.chat_room_members m ON m.chat_room_id = c.chat_room_id
+      WHERE m.user_id = auth.uid()
+    )
+  );
+
+-- 메시지 삭제 (보낸 사람 또는 워크스페이스 관리자)
+-- 내용과 첨부 표시를 지우고 삭제 표시만 남김 (스레드 답글은 유지)
+-- 수정 기록에 남은 이전 내용도 함께 삭제 (삭제한 내용을 다시 볼 수 없도록)
+CREATE OR REPLACE FUNCTION public.delete_chat_message(p_message_id UUID)
+RETURNS public.chat_messages
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_message public.chat_messages%ROWTYPE;
+BEGIN
+  SELECT * INTO v_message
+  FROM public.chat_messages
+  WHERE id = p_message_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION '메시지를 찾을 수 없습니다.';
+  END IF;
+
+  IF v_message.deleted_at IS NOT NULL THEN
+    RETURN v_message;
+  END IF;
+
+  IF v_message.sender_id IS DISTINCT FROM auth.uid() AND NOT EXISTS (
+    SELECT 1
+    FROM public.workspace_members
+    WHERE workspace_id = v_message.workspace_id
+      AND user_id = auth.uid()
+      AND role = 'admin'
+  ) THEN
+    RAISE EXCEPTION '메시지를 삭제할 권한이 없습니다.';
+  END IF;
+
+  DELETE FROM public.chat_message_edits
+  WHERE message_id = p_message_id;
+
+  UPDATE public.chat_messages
+  SET content = '',
+      has_files = false,
+      deleted_at = NOW(),
+      deleted_by = auth.uid()
+  WHERE id = p_message_id
+  RETURNING * INTO v_message;
+
+  RETURN v_message;
+END;
+$$;
+
+-- 이미 삭제된 메시지의 수정 기록 정리
+DELETE FROM public.chat_message_edits
+WHERE message_id IN (
+  SELECT id
+  FROM public.chat_messages
+  WHERE deleted_at IS NOT NULL
+);
+
+-- 코멘트 추가 (문서화)
+COMMENT ON FUNCTION public.delete_chat_message(UUID) IS '메시지 소프트 삭제 (보낸 사람 또는 워크스페이스 관리자, 수정 기록도 삭제)';
@@ -0,0 +1,61 @@
+-- 스레드 답글 수에서 삭제된 답글 제외 마이그레이션
+-- 작성일: 2026-10-19
+-- 메시지 삭제는 deleted_at을 남기는 소프트 삭제(UPDATE)라서 답글 수 트리거(INSERT/DELETE)가 실행되지 않았고,
+-- 삭제된 답글도 부모 메시지의 reply_count / last_reply_at 에 포함되었습니다.
+-- 삭제되지 않은 답글만 세고, deleted_at이 바뀔 때도 다시 계산합니다.
+
+-- 부모 메시지의 답글 수 / 마지막 답글 시간 갱신 (삭제된 답글 제외)
+-- 답글 작성자는 부모 메시지를 수정할 권한이 없으므로 SECURITY DEFINER로 실행
+CREATE OR REPLACE FUNCTION public.update_chat_message_reply_count()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_parent_id UUID := COALESCE(NEW.parent_message_id, OLD.parent_message_id);
+BEGIN
+  IF v_parent_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE public.chat_messages
+  SET reply_count = stats.reply_count,
+      last_reply_at = stats.last_reply_at
+  FROM (
+    SELECT COUNT(*)::INTEGER AS reply_count,
+           MAX(created_at) AS last_reply_at
+    FROM public.chat_messages
+    WHERE parent_message_id = v_parent_id
+      AND deleted_at IS NULL
+  ) AS stats
+  WHERE id = v_parent_id;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_chat_messages_reply_count ON public.chat_messages;
+
+CREATE TRIGGER trigger_chat_messages_reply_count
+  AFTER INSERT OR DELETE OR UPDATE OF deleted_at ON public.chat_messages
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_chat_message_reply_count();
+
+-- 기존 답글 수 다시 계산 (이미 삭제된 답글 제외)
+UPDATE public.chat_messages p
+SET reply_count = stats.reply_count,
+    last_reply_at = stats.last_reply_at
+FROM (
+  SELECT parent_message_id,
+         COUNT(*) FILTER (WHERE deleted_at IS NULL)::INTEGER AS reply_count,
+         MAX(created_at) FILTER (WHERE deleted_at IS NULL) AS last_reply_at
+  FROM public.chat_messages
+  WHERE parent_message_id IS NOT NULL
+  GROUP BY parent_message_id
+) AS stats
+WHERE p.id = stats.parent_message_id;
+
+-- 코멘트 추가
+COMMENT ON COLUMN public.chat_messages.reply_count IS '스레드 답글 수 (삭제된 답글 제외, 트리거로 갱신)';
+COMMENT ON COLUMN public.chat_messages.last_reply_at IS '삭제되지 않은 마지막 답글 작성 시간 (트리거로 갱신)';
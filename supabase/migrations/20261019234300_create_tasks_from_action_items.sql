@@ -0,0 +1,101 @@
+-- 회의록 액션 아이템 → 태스크 일괄 생성 마이그레이션
+-- 작성일: 2026-10-19
+-- 태스크 생성과 회의록 연결(metadata.structured.actionItems[].taskId)을 따로 요청하면 연결에 실패했을 때 태스크만 남고,
+-- 다음 검토에서 같은 액션 아이템이 다시 제안되어 중복 태스크가 생깁니다.
+-- create_tasks_from_action_items()로 두 작업을 한 트랜잭션에서 처리합니다.
+--   - 회의록 행을 잠가 동시에 요청해도 이미 태스크가 연결된 액션 아이템은 다시 만들지 않음
+--   - SECURITY INVOKER → tasks / meeting_notes 의 RLS가 호출자 권한으로 적용됨 (회의록을 수정할 수 없으면 태스크도 만들지 않음)
+
+-- 태스크 초안(p_drafts): [{ "index": 액션 아이템 위치, "title", "assigneeId", "dueDate": "YYYY-MM-DD" }]
+-- 반환: { "note": 갱신된 회의록, "taskIds": 생성된 태스크 ID 배열 }
+CREATE OR REPLACE FUNCTION public.create_tasks_from_action_items(
+  p_meeting_note_id UUID,
+  p_drafts JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_note public.meeting_notes%ROWTYPE;
+  v_action_items JSONB;
+  v_draft JSONB;
+  v_index INTEGER;
+  v_task_id UUID;
+  v_task_ids UUID[] := '{}';
+BEGIN
+  -- 회의록 행을 잠가 같은 회의록에 대한 동시 요청을 순서대로 처리
+  SELECT * INTO v_note
+  FROM public.meeting_notes
+  WHERE id = p_meeting_note_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION '회의록을 찾을 수 없거나 수정할 권한이 없습니다.';
+  END IF;
+
+  v_action_items := v_note.metadata->'structured'->'actionItems';
+
+  FOR v_draft IN
+    SELECT value FROM jsonb_array_elements(coalesce(p_drafts, '[]'::JSONB))
+  LOOP
+    v_index := (v_draft->>'index')::INTEGER;
+
+    -- 이미 태스크가 연결된 액션 아이템은 건너뜀
+    IF v_action_items->v_index->>'taskId' IS NOT NULL THEN
+      CONTINUE;
+    END IF;
+
+    IF nullif(btrim(v_draft->>'title'), '') IS NULL THEN
+      RAISE EXCEPTION '태스크 제목이 필요합니다.';
+    END IF;
+
+    INSERT INTO public.tasks (
+      workspace_id,
+      title,
+      description,
+      assignee_id,
+      due_date,
+      created_by,
+      status,
+      meeting_note_id
+    )
+    VALUES (
+      v_note.workspace_id,
+      btrim(v_draft->>'title'),
+      format('회의록 "%s"의 액션 아이템', v_note.title),
+      nullif(v_draft->>'assigneeId', '')::UUID,
+      nullif(v_draft->>'dueDate', '')::DATE,
+      auth.uid(),
+      'todo',
+      v_note.id
+    )
+    RETURNING id INTO v_task_id;
+
+    v_task_ids := v_task_ids || v_task_id;
+
+    IF v_action_items->v_index IS NOT NULL THEN
+      v_action_items := jsonb_set(v_action_items, ARRAY[v_index::TEXT, 'taskId'], to_jsonb(v_task_id));
+    END IF;
+  END LOOP;
+
+  IF v_action_items IS NOT NULL THEN
+    UPDATE public.meeting_notes
+    SET metadata = jsonb_set(metadata, '{structured,actionItems}', v_action_items)
+    WHERE id = p_meeting_note_id
+    RETURNING * INTO v_note;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION '회의록을 수정할 권한이 없습니다.';
+    END IF;
+  END IF;
+
+  RETURN jsonb_build_object('note', to_jsonb(v_note), 'taskIds', to_jsonb(v_task_ids));
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.create_tasks_from_action_items(UUID, JSONB) TO authenticated;
+
+-- 코멘트 추가 (문서화)
+COMMENT ON FUNCTION public.create_tasks_from_action_items(UUID, JSONB) IS '액션 아이템을 태스크로 생성하고 회의록에 연결 (한 트랜잭션, 이미 연결된 항목은 건너뜀)';
@@ -0,0 +1,89 @@
+-- 회의록 버전 기록을 DB에서 처리하는 마이그레이션
+-- 작성일: 2026-10-19
+-- 클라이언트가 회의록 저장/수정 후 버전을 따로 추가하면, 그 요청이 실패하거나 중단되었을 때 버전 없는 변경이 남고
+-- 여러 탭에서 동시에 수정하면 변경과 버전 순서가 어긋날 수 있습니다.
+--   - 회의록 생성: AFTER INSERT 트리거가 첫 버전(generated) 기록 (자동 회의록 포함)
+--   - 회의록 수정: update_meeting_note_with_version()이 회의록 행을 잠그고 수정과 버전 추가를 한 트랜잭션으로 처리
+
+-- 회의록 생성 시 첫 버전 기록
+-- 기록 내용은 방금 저장된 행에서만 가져오므로 SECURITY DEFINER로 실행 (자동 회의록은 service role로 저장)
+CREATE OR REPLACE FUNCTION public.record_meeting_note_generated_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO public.meeting_note_versions (meeting_note_id, title, content, metadata, change_type, created_by)
+  VALUES (NEW.id, NEW.title, NEW.content, COALESCE(NEW.metadata, '{}'::JSONB), 'generated', NEW.created_by);
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER trigger_meeting_notes_generated_version
+  AFTER INSERT ON public.meeting_notes
+  FOR EACH ROW
+  EXECUTE FUNCTION public.record_meeting_note_generated_version();
+
+-- 회의록 수정 + 버전 기록 (제목/내용/메타데이터 중 NULL이 아닌 값만 변경)
+-- SECURITY INVOKER → meeting_notes / meeting_note_versions 의 RLS가 호출자 권한으로 적용됨 (작성자만 수정)
+CREATE OR REPLACE FUNCTION public.update_meeting_note_with_version(
+  p_meeting_note_id UUID,
+  p_title TEXT,
+  p_content TEXT,
+  p_metadata JSONB,
+  p_change_type TEXT,
+  p_restored_from INTEGER DEFAULT NULL
+)
+RETURNS public.meeting_notes
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_note public.meeting_notes%ROWTYPE;
+BEGIN
+  IF p_change_type NOT IN ('edited', 'regenerated', 'restored') THEN
+    RAISE EXCEPTION '지원하지 않는 변경 종류입니다: %', p_change_type;
+  END IF;
+
+  -- 회의록 행을 잠가 같은 회의록에 대한 동시 수정을 순서대로 처리
+  SELECT * INTO v_note
+  FROM public.meeting_notes
+  WHERE id = p_meeting_note_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION '회의록을 찾을 수 없거나 수정할 권한이 없습니다.';
+  END IF;
+
+  -- 버전 기록 이전에 저장된 회의록은 수정 전 내용을 첫 버전으로 먼저 기록
+  IF NOT EXISTS (
+    SELECT 1
+    FROM public.meeting_note_versions
+    WHERE meeting_note_id = p_meeting_note_id
+  ) THEN
+    INSERT INTO public.meeting_note_versions (meeting_note_id, title, content, metadata, change_type, created_by)
+    VALUES (v_note.id, v_note.title, v_note.content, COALESCE(v_note.metadata, '{}'::JSONB), 'generated', auth.uid());
+  END IF;
+
+  UPDATE public.meeting_notes
+  SET title = COALESCE(p_title, title),
+      content = COALESCE(p_content, content),
+      metadata = COALESCE(p_metadata, metadata)
+  WHERE id = p_meeting_note_id
+  RETURNING * INTO v_note;
+
+  INSERT INTO public.meeting_note_versions (meeting_note_id, title, content, metadata, change_type, restored_from, created_by)
+  VALUES (v_note.id, v_note.title, v_note.content, COALESCE(v_note.metadata, '{}'::JSONB), p_change_type, p_restored_from, auth.uid());
+
+  RETURN v_note;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.update_meeting_note_with_version(UUID, TEXT, TEXT, JSONB, TEXT, INTEGER) TO authenticated;
+
+-- 코멘트 추가 (문서화)
+COMMENT ON FUNCTION public.record_meeting_note_generated_version() IS '회의록 생성 시 첫 버전(generated) 기록';
+COMMENT ON FUNCTION public.update_meeting_note_with_version(UUID, TEXT, TEXT, JSONB, TEXT, INTEGER) IS '회의록 수정과 버전 기록을 한 트랜잭션으로 처리 (작성자만)';